@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * ui-test command
+ * See src/cli.js for options.
+ */
+
+import { main } from '../src/cli.js';
+
+main(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,449 @@
+/**
+ * Command-line runner
+ * `ui-test [patterns]` discovers test files, loads ui-test.config.js,
+ * launches one shared browser and runs every registered suite.
+ *
+ * Test files only register suites (describe/test/hooks); the CLI owns the
+ * browser and the run, so files must not call launch() or run() themselves.
+ */
+
+import { readdir, access } from 'fs/promises';
+import { join, relative, resolve } from 'path';
+import { platform } from 'os';
+import { pathToFileURL } from 'url';
+import {
+  launch,
+  close,
+  run,
+  setReporters,
+  reportConcept
+} from './index.js';
+import { globToRegExp } from './concepts/networkConcept.js';
+import { watchTestFiles, importTestFiles } from './watch.js';
+import { getChromePath } from '../test-config.js';
+
+const CONFIG_FILES = ['ui-test.config.js', 'ui-test.config.mjs'];
+
+// Directories never searched for test files
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+
+// Exit codes: tests failed vs. the run could not start
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const DEFAULT_CONFIG = {
+  testDir: '.',
+  testMatch: ['**/*.ui.test.js'],
+  testIgnore: [],
+  browserExecutablePath: null,
+  headless: true,
+  disableSiteIsolation: false,
+  viewport: null,
+  emulation: null,
+  timeout: undefined,
+  retries: 0,
+  workers: 1,
+  reporters: ['console', 'json'],
+  outputDir: './test-results',
+  trace: 'off',
+  video: 'off',
+  screenshotOnFailure: true,
+  failOnConsoleError: false,
+  grep: undefined,
+  tags: undefined,
+  exclude: undefined
+};
+
+// Flags: name -> [config key, kind]
+const FLAGS = {
+  '--config': ['config', 'string'],
+  '-c': ['config', 'string'],
+  '--grep': ['grep', 'string'],
+  '-g': ['grep', 'string'],
+  '--tags': ['tags', 'list'],
+  '--exclude': ['exclude', 'list'],
+  '--workers': ['workers', 'number'],
+  '-j': ['workers', 'number'],
+  '--retries': ['retries', 'number'],
+  '--timeout': ['timeout', 'number'],
+  '--reporter': ['reporters', 'list'],
+  '--trace': ['trace', 'string'],
+  '--video': ['video', 'string'],
+  '--output-dir': ['outputDir', 'string'],
+  '--headed': ['headed', 'boolean'],
+  '--fail-on-console-error': ['failOnConsoleError', 'boolean'],
+  '--watch': ['watch', 'boolean'],
+  '-w': ['watch', 'boolean'],
+  '--help': ['help', 'boolean'],
+  '-h': ['help', 'boolean']
+};
+
+const USAGE = `Usage: ui-test [options] [patterns...]
+
+Runs test files matching the patterns (globs, files or directories),
+or the config's testMatch when none are given.
+
+Options:
+  -c, --config <file>         Config file (default: ui-test.config.js)
+  -g, --grep <pattern>        Only run tests whose full name matches
+      --tags <a,b>            Only run tests with one of these tags
+      --exclude <a,b>         Don't run tests with any of these tags
+  -j, --workers <n>           Parallel workers
+      --retries <n>           Retries for failed tests
+      --timeout <ms>          Default test timeout
+      --reporter <a,b>        Reporters (console, json, junit, tap, html)
+      --trace <mode>          off | on-failure | always
+      --video <mode>          off | on | retain-on-failure
+      --output-dir <dir>      Directory for reports, screenshots, traces and videos
+      --headed                Show the browser window
+      --fail-on-console-error Fail tests that log console errors
+  -w, --watch                 Keep the browser open and re-run affected files on change
+  -h, --help                  Show this help`;
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} options - { cwd? }
+ * @returns {Promise<number>} Exit code: 0 passed, 1 tests failed, 2 error
+ */
+export async function main(argv, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  let args;
+
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`ui-test: ${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.flags.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const fileConfig = await loadConfig(args.flags.config, cwd);
+    const config = mergeConfig(fileConfig, args.flags);
+
+    const discover = () => discoverTestFiles({
+      cwd,
+      testDir: config.testDir,
+      testMatch: config.testMatch,
+      testIgnore: config.testIgnore,
+      patterns: args.patterns
+    });
+    const files = await discover();
+
+    if (files.length === 0) {
+      const searched = args.patterns.length > 0 ? args.patterns : config.testMatch;
+      console.error(`ui-test: No test files found matching ${searched.join(', ')}`);
+      return EXIT_FAILED;
+    }
+
+    if (!config.browserExecutablePath) {
+      throw new Error(`No browser for ${platform()}: set browserExecutablePath in ui-test.config.js or the CHROME_PATH environment variable`);
+    }
+
+    reportConcept.state.outputDir = resolve(cwd, config.outputDir);
+    setReporters(config.reporters);
+
+    // Importing a file registers its suites; watch mode keeps track of each file's global hooks
+    const globalHooks = await importTestFiles(files.map(file => resolve(cwd, file)));
+
+    await launch({
+      executablePath: config.browserExecutablePath,
+      headless: config.headless,
+      disableSiteIsolation: config.disableSiteIsolation,
+      ...(config.viewport && { viewport: config.viewport })
+    });
+
+    const runOptions = {
+      workers: config.workers,
+      retries: config.retries,
+      timeout: config.timeout,
+      trace: config.trace,
+      video: config.video,
+      screenshotOnFailure: config.screenshotOnFailure,
+      failOnConsoleError: config.failOnConsoleError,
+      emulation: config.emulation,
+      grep: config.grep,
+      tags: config.tags,
+      exclude: config.exclude
+    };
+
+    try {
+      if (args.flags.watch) {
+        return await watchTestFiles({ cwd, files, globalHooks, testDir: config.testDir, discover, runOptions });
+      }
+
+      const summary = await run(runOptions);
+
+      await reportConcept.actions.flush();
+      return summary.failed > 0 ? EXIT_FAILED : 0;
+    } finally {
+      await close();
+    }
+  } catch (error) {
+    console.error(`ui-test: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+/**
+ * Load the config file's default export
+ * Without an explicit path, ui-test.config.js in cwd is used when present.
+ * @param {string|undefined} configPath - Path from --config
+ * @param {string} cwd - Working directory
+ * @returns {Promise<Object>} Config object ({} when there is no config file)
+ * @throws {Error} If an explicit config file doesn't exist or the config is invalid
+ */
+export async function loadConfig(configPath, cwd) {
+  let file = configPath ? resolve(cwd, configPath) : null;
+
+  if (file) {
+    if (!await fileExists(file)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+  } else {
+    for (const name of CONFIG_FILES) {
+      if (await fileExists(join(cwd, name))) {
+        file = join(cwd, name);
+        break;
+      }
+    }
+    if (!file) {
+      return {};
+    }
+  }
+
+  const module = await import(pathToFileURL(file).href);
+  const exported = module.default;
+  const config = typeof exported === 'function' ? await exported() : exported;
+
+  validateConfigFile(config, relative(cwd, file));
+  return config;
+}
+
+/**
+ * Find test files under testDir
+ * @param {Object} options - { cwd, testDir, testMatch, testIgnore, patterns }
+ * @returns {Promise<Array<string>>} Paths relative to cwd, '/'-separated and sorted
+ */
+export async function discoverTestFiles({ cwd, testDir, testMatch, testIgnore = [], patterns = [] }) {
+  const files = [];
+
+  async function walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) {
+          await walk(fullPath);
+        }
+      } else if (entry.isFile()) {
+        files.push(toPosixPath(relative(cwd, fullPath)));
+      }
+    }
+  }
+
+  await walk(resolve(cwd, testDir));
+
+  return files
+    .filter(file => !matchesAnyGlob(file, testIgnore))
+    .filter(file => selectTestFile(file, { testMatch, patterns: patterns.map(normalizePattern) }))
+    .sort();
+}
+
+async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The browser the repo's test scripts use: $CHROME_PATH or the platform's
+ * usual Chrome location
+ * @returns {string|null} Executable path, null on platforms without a default
+ */
+function defaultBrowserPath() {
+  try {
+    return getChromePath();
+  } catch {
+    return null;
+  }
+}
+
+// Pure functions for the CLI
+
+/**
+ * Parse command-line arguments
+ * Flags take `--flag value` or `--flag=value`; list flags take comma-separated
+ * values and may be repeated.
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {Object} { patterns, flags }
+ * @throws {Error} If a flag is unknown or is missing its value
+ */
+export function parseArgs(argv) {
+  const patterns = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      patterns.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const flag = FLAGS[name];
+
+    if (!flag) {
+      throw new Error(`Unknown option: ${name}`);
+    }
+
+    const [key, kind] = flag;
+
+    if (kind === 'boolean') {
+      flags[key] = true;
+      continue;
+    }
+
+    const value = inlineValue ?? argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+      throw new Error(`Option ${name} requires a value`);
+    }
+
+    if (kind === 'number') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Option ${name} must be a non-negative integer, got: ${value}`);
+      }
+      flags[key] = number;
+    } else if (kind === 'list') {
+      flags[key] = [...(flags[key] || []), ...value.split(',').map(item => item.trim()).filter(Boolean)];
+    } else {
+      flags[key] = value;
+    }
+  }
+
+  return { patterns, flags };
+}
+
+/**
+ * Validate a config file's contents
+ * @param {Object} config - Default export of the config file
+ * @param {string} file - Config path, for messages
+ * @throws {Error} If the config isn't an object or has an unknown option
+ */
+export function validateConfigFile(config, file) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file} must export a config object`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!(key in DEFAULT_CONFIG)) {
+      throw new Error(`Unknown option "${key}" in ${file}`);
+    }
+  }
+
+  for (const key of ['testMatch', 'testIgnore']) {
+    if (config[key] !== undefined && typeof config[key] !== 'string' && !Array.isArray(config[key])) {
+      throw new Error(`${key} in ${file} must be a glob or an array of globs`);
+    }
+  }
+}
+
+/**
+ * Combine defaults, config file and command-line flags
+ * Flags win over the config file, which wins over the defaults.
+ * @param {Object} fileConfig - Config file contents
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} Resolved config
+ */
+export function mergeConfig(fileConfig, flags = {}) {
+  const config = { ...DEFAULT_CONFIG, ...fileConfig };
+
+  for (const key of ['grep', 'tags', 'exclude', 'workers', 'retries', 'timeout', 'reporters', 'trace', 'video', 'outputDir', 'failOnConsoleError']) {
+    if (flags[key] !== undefined) {
+      config[key] = flags[key];
+    }
+  }
+
+  if (flags.headed) {
+    config.headless = false;
+  }
+
+  config.testMatch = [].concat(config.testMatch);
+  config.testIgnore = [].concat(config.testIgnore);
+  config.browserExecutablePath = config.browserExecutablePath || defaultBrowserPath();
+
+  return config;
+}
+
+/**
+ * Whether a file is selected for the run
+ * Without patterns, files matching testMatch are selected. A pattern is a
+ * glob, a file path, or a directory whose testMatch files are selected.
+ * @param {string} file - Path relative to cwd
+ * @param {Object} options - { testMatch, patterns }
+ * @returns {boolean}
+ */
+export function selectTestFile(file, { testMatch, patterns = [] }) {
+  if (patterns.length === 0) {
+    return matchesAnyGlob(file, testMatch);
+  }
+
+  return patterns.some(pattern => {
+    if (pattern.includes('*')) {
+      return matchesGlob(file, pattern);
+    }
+    return file === pattern ||
+      ((pattern === '.' || file.startsWith(`${pattern}/`)) && matchesAnyGlob(file, testMatch));
+  });
+}
+
+/**
+ * Match a relative path against a glob
+ * '**' + '/' also matches no directory at all, so 'tests/' + '**' + '/*.js'
+ * matches files directly in tests/ and a leading one matches the top level.
+ * @param {string} file - '/'-separated relative path
+ * @param {string} glob - Glob pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(file, glob) {
+  const pattern = normalizePattern(glob);
+
+  if (globToRegExp(pattern).test(file)) {
+    return true;
+  }
+  if (pattern.startsWith('**/') && matchesGlob(file, pattern.slice(3))) {
+    return true;
+  }
+
+  for (let index = pattern.indexOf('/**/'); index !== -1; index = pattern.indexOf('/**/', index + 1)) {
+    if (matchesGlob(file, pattern.slice(0, index) + pattern.slice(index + 3))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function matchesAnyGlob(file, globs) {
+  return globs.some(glob => matchesGlob(file, glob));
+}
+
+function normalizePattern(pattern) {
+  const normalized = toPosixPath(pattern).replace(/^\.\/(?=.)/, '').replace(/\/+$/, '');
+  return normalized || '.';
+}
+
+function toPosixPath(path) {
+  return path.split('\\').join('/');
+}
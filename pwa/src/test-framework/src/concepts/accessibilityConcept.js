@@ -0,0 +1,729 @@
+/**
+ * Accessibility Concept
+ * Locates elements through the browser's accessibility tree and audits
+ * pages for accessibility violations.
+ *
+ * Locators describe an element the way a user (or agent) perceives it -
+ * by role, accessible name, label, placeholder or visible text - instead of
+ * by CSS structure. They are plain objects accepted anywhere a selector is,
+ * and are resolved against CDP Accessibility.getFullAXTree when used.
+ */
+
+import { browserConcept } from './browserConcept.js';
+import { navigationConcept } from './navigationConcept.js';
+
+// Roles of controls that take their name from a <label> or aria-label
+const LABELLED_ROLES = new Set([
+  'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio',
+  'slider', 'spinbutton', 'switch'
+]);
+
+// Roles of controls that can show a placeholder
+const PLACEHOLDER_ROLES = new Set(['textbox', 'searchbox', 'combobox']);
+
+// Roles of interactive controls that need an accessible name
+const CONTROL_ROLES = new Set([...LABELLED_ROLES, 'button', 'link', 'menuitem', 'tab']);
+
+// Audit rules and the impact of a violation
+const AUDIT_RULES = {
+  'missing-label': 'critical',
+  'missing-alt': 'critical',
+  'color-contrast': 'serious',
+  'focus-trap': 'serious',
+  'duplicate-id': 'minor'
+};
+
+// Most Tab presses spent looking for a focus trap
+const MAX_TAB_PRESSES = 100;
+
+export const accessibilityConcept = {
+  state: {
+    enabledSessions: new Set() // Sessions with the Accessibility domain enabled
+  },
+
+  actions: {
+    /**
+     * Locate element by ARIA role and accessible name
+     * @param {string} role - ARIA role, e.g. 'button'
+     * @param {Object} options - { name?: string|RegExp, exact? }
+     * @returns {Object} Locator
+     */
+    getByRole(role, options = {}) {
+      return createLocator('role', { role: role.toLowerCase(), name: options.name }, options);
+    },
+
+    /**
+     * Locate form control by its label text
+     * @param {string|RegExp} text - Label text
+     * @param {Object} options - { exact? }
+     * @returns {Object} Locator
+     */
+    getByLabel(text, options = {}) {
+      return createLocator('label', { text }, options);
+    },
+
+    /**
+     * Locate input by placeholder text
+     * @param {string|RegExp} text - Placeholder text
+     * @param {Object} options - { exact? }
+     * @returns {Object} Locator
+     */
+    getByPlaceholder(text, options = {}) {
+      return createLocator('placeholder', { text }, options);
+    },
+
+    /**
+     * Locate the innermost element containing visible text
+     * @param {string|RegExp} text - Text
+     * @param {Object} options - { exact? }
+     * @returns {Object} Locator
+     */
+    getByText(text, options = {}) {
+      return createLocator('text', { text }, options);
+    },
+
+    /**
+     * Get the page's full accessibility tree
+     * @param {string} sessionId - Page session
+     * @returns {Promise<Array>} AXNode list
+     */
+    async _getAXTree(sessionId) {
+      const self = accessibilityConcept;
+
+      if (!self.state.enabledSessions.has(sessionId)) {
+        await browserConcept.actions.sendCDPCommand('Accessibility.enable', {}, sessionId);
+        self.state.enabledSessions.add(sessionId);
+      }
+
+      const { nodes } = await browserConcept.actions.sendCDPCommand('Accessibility.getFullAXTree', {}, sessionId);
+      return nodes;
+    },
+
+    /**
+     * Resolve a locator to DOM nodes in the page's main frame
+     * @param {Object} locator - Locator from getByRole/getByLabel/getByPlaceholder/getByText
+     * @param {string} sessionId - Page session
+     * @returns {Promise<number[]>} Backend DOM node IDs, in document order
+     */
+    async resolve(locator, sessionId) {
+      const self = accessibilityConcept;
+
+      const nodes = await self.actions._getAXTree(sessionId);
+      let matches = findAXNodes(nodes, locator);
+
+      // Placeholders aren't part of the accessibility tree; check the DOM attribute
+      if (locator.strategy === 'placeholder') {
+        const withPlaceholder = [];
+        for (const node of matches) {
+          const { node: domNode } = await browserConcept.actions.sendCDPCommand('DOM.describeNode', {
+            backendNodeId: node.backendDOMNodeId
+          }, sessionId);
+          if (matchesName(getDOMAttribute(domNode, 'placeholder'), locator.text, locator.exact)) {
+            withPlaceholder.push(node);
+          }
+        }
+        matches = withPlaceholder;
+      }
+
+      self.notify('locatorResolved', {
+        locator: locator.description,
+        count: matches.length
+      });
+
+      return matches.map(node => node.backendDOMNodeId);
+    },
+
+    /**
+     * Audit the active page for accessibility violations
+     * Checks the accessibility tree for unlabelled controls and the DOM for
+     * missing alt text, low text contrast, duplicate IDs and focus traps.
+     * The focus-trap check tabs through the page, moving keyboard focus.
+     * @param {Object} options - { rules?: string[] } subset of rules to run (default: all)
+     * @returns {Promise<Object>} { url, violations: [{ rule, impact, message, target, snippet }] }
+     */
+    async auditAccessibility(options = {}) {
+      const self = accessibilityConcept;
+      const rules = resolveAuditRules(options.rules);
+      const page = navigationConcept.actions.getActivePage();
+      const sessionId = page.sessionId;
+      if (!sessionId) {
+        throw new Error('No active page session. Navigate to a page first.');
+      }
+
+      const startTime = Date.now();
+      const violations = [];
+
+      if (rules.includes('missing-label')) {
+        violations.push(...await self.actions._checkLabels(sessionId));
+      }
+
+      const domRules = rules.filter(rule => ['missing-alt', 'color-contrast', 'duplicate-id'].includes(rule));
+      if (domRules.length > 0) {
+        const { result, exceptionDetails } = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+          expression: `(${pageAuditDOM.toString()})(${JSON.stringify(domRules)}, ${describeElement.toString()})`,
+          returnByValue: true
+        }, sessionId);
+        if (exceptionDetails) {
+          throw new Error(`Accessibility audit failed: ${exceptionDetails.exception?.description || exceptionDetails.text}`);
+        }
+        violations.push(...result.value);
+      }
+
+      if (rules.includes('focus-trap')) {
+        violations.push(...await self.actions._checkFocusTraps(sessionId));
+      }
+
+      const report = {
+        url: page.currentUrl,
+        violations: violations.map(violation => ({ impact: AUDIT_RULES[violation.rule], ...violation }))
+      };
+
+      self.notify('accessibilityAudited', {
+        ...report,
+        rules,
+        duration: Date.now() - startTime
+      });
+
+      return report;
+    },
+
+    /**
+     * Find interactive controls without an accessible name
+     * @param {string} sessionId - Page session
+     * @returns {Promise<Array>} Violations
+     */
+    async _checkLabels(sessionId) {
+      const self = accessibilityConcept;
+
+      const nodes = await self.actions._getAXTree(sessionId);
+      const violations = [];
+
+      for (const node of findUnlabelledControls(nodes)) {
+        const { object } = await browserConcept.actions.sendCDPCommand('DOM.resolveNode', {
+          backendNodeId: node.backendDOMNodeId
+        }, sessionId);
+
+        try {
+          const { result } = await browserConcept.actions.sendCDPCommand('Runtime.callFunctionOn', {
+            objectId: object.objectId,
+            functionDeclaration: describeElement.toString(),
+            arguments: [{ objectId: object.objectId }],
+            returnByValue: true
+          }, sessionId);
+
+          violations.push({
+            rule: 'missing-label',
+            message: `${node.role.value} has no accessible name`,
+            ...result.value
+          });
+        } finally {
+          await browserConcept.actions.sendCDPCommand('Runtime.releaseObject', { objectId: object.objectId }, sessionId);
+        }
+      }
+
+      return violations;
+    },
+
+    /**
+     * Tab through the page and report focus that cannot leave a set of elements
+     * @param {string} sessionId - Page session
+     * @returns {Promise<Array>} Violations
+     */
+    async _checkFocusTraps(sessionId) {
+      const evaluate = async (expression) => {
+        const { result } = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+          expression,
+          returnByValue: true
+        }, sessionId);
+        return result.value;
+      };
+
+      const tabStops = await evaluate(`(${pageCountTabStops.toString()})()`);
+      const presses = Math.min(tabStops + 2, MAX_TAB_PRESSES);
+      const sequence = [];
+
+      for (let i = 0; i < presses; i++) {
+        for (const type of ['keyDown', 'keyUp']) {
+          await browserConcept.actions.sendCDPCommand('Input.dispatchKeyEvent', {
+            type,
+            key: 'Tab',
+            code: 'Tab',
+            windowsVirtualKeyCode: 9
+          }, sessionId);
+        }
+        sequence.push(await evaluate(`(${pageFocusedElement.toString()})(${describeElement.toString()})`));
+      }
+
+      await evaluate('document.activeElement && document.activeElement.blur()');
+
+      const trap = detectFocusTrap(sequence, tabStops);
+      if (!trap) {
+        return [];
+      }
+
+      return [{
+        rule: 'focus-trap',
+        message: `Keyboard focus cycles between ${trap.length} element(s) and cannot reach the rest of the page`,
+        target: trap[0].target,
+        snippet: trap[0].snippet
+      }];
+    },
+
+    /**
+     * Forget enabled sessions (browser closed)
+     */
+    reset() {
+      accessibilityConcept.state.enabledSessions.clear();
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+// Pure functions for accessibility concept
+
+/**
+ * Create a locator object
+ * Locators stringify to a readable description for errors and traces.
+ * @param {string} strategy - 'role' | 'label' | 'placeholder' | 'text'
+ * @param {Object} query - { role?, name?, text? }
+ * @param {Object} options - { exact? }
+ * @returns {Object} Locator
+ */
+export function createLocator(strategy, query, options = {}) {
+  const exact = Boolean(options.exact);
+  const description = describeLocator(strategy, query, exact);
+
+  return {
+    isLocator: true,
+    strategy,
+    ...query,
+    exact,
+    description,
+    toString: () => description,
+    toJSON: () => description
+  };
+}
+
+/**
+ * Check whether a value is a locator
+ * @param {*} value - Selector or locator
+ * @returns {boolean}
+ */
+export function isLocator(value) {
+  return Boolean(value && typeof value === 'object' && value.isLocator === true);
+}
+
+/**
+ * Describe a locator the way it was written, e.g. getByRole("button", { name: "Save" })
+ * @param {string} strategy - Locator strategy
+ * @param {Object} query - Locator query
+ * @param {boolean} exact - Exact matching
+ * @returns {string}
+ */
+export function describeLocator(strategy, query, exact) {
+  const show = (value) => value instanceof RegExp ? String(value) : JSON.stringify(value);
+  const options = [];
+
+  if (strategy === 'role') {
+    if (query.name !== undefined) options.push(`name: ${show(query.name)}`);
+    if (exact) options.push('exact: true');
+    return `getByRole(${show(query.role)}${options.length ? `, { ${options.join(', ')} }` : ''})`;
+  }
+
+  const method = { label: 'getByLabel', placeholder: 'getByPlaceholder', text: 'getByText' }[strategy];
+  return `${method}(${show(query.text)}${exact ? ', { exact: true }' : ''})`;
+}
+
+/**
+ * Match an accessible name or text
+ * Strings match case-insensitively as substrings (whitespace collapsed)
+ * unless exact; RegExps are tested as-is.
+ * @param {string} value - Actual name or text
+ * @param {string|RegExp} expected - Expected name or pattern
+ * @param {boolean} exact - Require the whole, case-sensitive string
+ * @returns {boolean}
+ */
+export function matchesName(value, expected, exact = false) {
+  const actual = normalizeText(value);
+
+  if (expected instanceof RegExp) {
+    return actual.search(expected) !== -1;
+  }
+  if (exact) {
+    return actual === normalizeText(expected);
+  }
+  return actual.toLowerCase().includes(normalizeText(expected).toLowerCase());
+}
+
+/**
+ * Find accessibility nodes matching a locator
+ * @param {Array} nodes - AXNode list from Accessibility.getFullAXTree
+ * @param {Object} locator - Locator
+ * @returns {Array} Matching AXNodes with a DOM node
+ */
+export function findAXNodes(nodes, locator) {
+  const live = nodes.filter(node => !node.ignored && node.backendDOMNodeId);
+  const roleOf = (node) => normalizeRole(node.role?.value);
+  const nameOf = (node) => node.name?.value || '';
+
+  switch (locator.strategy) {
+    case 'role':
+      return live.filter(node =>
+        roleOf(node) === normalizeRole(locator.role) &&
+        (locator.name === undefined || matchesName(nameOf(node), locator.name, locator.exact))
+      );
+
+    case 'label':
+      return live.filter(node =>
+        LABELLED_ROLES.has(roleOf(node)) && matchesName(nameOf(node), locator.text, locator.exact)
+      );
+
+    case 'placeholder':
+      return live.filter(node => PLACEHOLDER_ROLES.has(roleOf(node)));
+
+    case 'text':
+      return findTextNodes(nodes, locator.text, locator.exact);
+
+    default:
+      throw new Error(`Unknown locator strategy: ${locator.strategy}`);
+  }
+}
+
+/**
+ * Find the innermost nodes whose rendered text matches
+ * A node's text is the concatenation of the static text beneath it, so
+ * text split across inline elements ("Drop <b>files</b>") still matches.
+ * @param {Array} nodes - AXNode list
+ * @param {string|RegExp} text - Text to match
+ * @param {boolean} exact - Exact matching
+ * @returns {Array} Matching AXNodes
+ */
+export function findTextNodes(nodes, text, exact) {
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const textOf = new Map();
+  const matched = new Map();
+
+  const collectText = (node) => {
+    if (textOf.has(node.nodeId)) return textOf.get(node.nodeId);
+
+    const value = node.role?.value === 'StaticText'
+      ? node.name?.value || ''
+      : (node.childIds || [])
+        .map(id => byId.get(id))
+        .filter(Boolean)
+        .map(collectText)
+        .join('');
+
+    textOf.set(node.nodeId, value);
+    return value;
+  };
+
+  const isCandidate = (node) =>
+    !node.ignored && node.backendDOMNodeId && node.role?.value !== 'InlineTextBox' &&
+    matchesName(collectText(node), text, exact);
+
+  // Whether the node or anything beneath it is a candidate
+  const hasMatch = (node) => {
+    if (matched.has(node.nodeId)) return matched.get(node.nodeId);
+    const childMatch = (node.childIds || []).some(id => byId.has(id) && hasMatch(byId.get(id)));
+    const result = childMatch || isCandidate(node);
+    matched.set(node.nodeId, result);
+    return result;
+  };
+
+  return nodes.filter(node =>
+    isCandidate(node) && !(node.childIds || []).some(id => byId.has(id) && hasMatch(byId.get(id)))
+  );
+}
+
+/**
+ * Normalize a role name; Chrome reports <img> as "image"
+ * @param {string} role - Role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+  const value = String(role || '').toLowerCase();
+  return value === 'img' ? 'image' : value;
+}
+
+/**
+ * Read an attribute from a DOM.describeNode result
+ * @param {Object} node - DOM node with flat [name, value, ...] attributes
+ * @param {string} name - Attribute name
+ * @returns {string} Attribute value, or '' when missing
+ */
+export function getDOMAttribute(node, name) {
+  const attributes = node?.attributes || [];
+  for (let i = 0; i < attributes.length; i += 2) {
+    if (attributes[i] === name) return attributes[i + 1];
+  }
+  return '';
+}
+
+/**
+ * Find non-ignored interactive controls with an empty accessible name
+ * @param {Array} nodes - AXNode list from Accessibility.getFullAXTree
+ * @returns {Array} Unlabelled AXNodes
+ */
+export function findUnlabelledControls(nodes) {
+  return nodes.filter(node =>
+    !node.ignored && node.backendDOMNodeId &&
+    CONTROL_ROLES.has(normalizeRole(node.role?.value)) &&
+    normalizeText(node.name?.value) === ''
+  );
+}
+
+/**
+ * Validate the rules requested for an audit
+ * @param {string[]} [rules] - Rule names; all rules when omitted
+ * @returns {string[]} Rules to run
+ * @throws {Error} On an unknown rule
+ */
+export function resolveAuditRules(rules) {
+  if (rules === undefined) {
+    return Object.keys(AUDIT_RULES);
+  }
+
+  const unknown = rules.filter(rule => !(rule in AUDIT_RULES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown accessibility rule(s): ${unknown.join(', ')}. Available: ${Object.keys(AUDIT_RULES).join(', ')}`);
+  }
+  return rules;
+}
+
+/**
+ * Find a focus trap in the elements focused by successive Tab presses
+ * Focus that reaches the end of the page leaves the document (null). A trap
+ * revisits an element without leaving, before every tab stop was reached.
+ * Repeats of an iframe are focus moving inside it; traps in modal dialogs
+ * are intentional.
+ * @param {Array<Object|null>} sequence - { target, snippet, frame, modal } per press
+ * @param {number} tabStops - Tab stops in the page
+ * @returns {Array<Object>|null} Elements in the trap
+ */
+export function detectFocusTrap(sequence, tabStops) {
+  if (sequence.length === 0 || sequence.some(entry => entry === null)) {
+    return null;
+  }
+
+  // Collapse focus moving within an iframe
+  const stops = sequence.filter((entry, i) =>
+    i === 0 || !(entry.frame && entry.target === sequence[i - 1].target)
+  );
+
+  const targets = stops.map(entry => entry.target);
+  const distinct = new Set(targets);
+  if (distinct.size === targets.length || distinct.size >= tabStops) {
+    return null;
+  }
+
+  const firstRepeat = targets.findIndex((target, i) => targets.indexOf(target) !== i);
+  const cycle = stops.slice(targets.indexOf(targets[firstRepeat]), firstRepeat);
+  const trapped = cycle.length > 0 ? cycle : [stops[firstRepeat]];
+
+  if (trapped.every(entry => entry.modal)) {
+    return null;
+  }
+  return trapped;
+}
+
+/**
+ * Format violations as a readable list
+ * @param {Array} violations - Audit violations
+ * @returns {string}
+ */
+export function formatViolations(violations) {
+  return violations
+    .map(violation => `[${violation.rule}] ${violation.message}\n    ${violation.target}${violation.snippet ? `  ${violation.snippet}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Collapse whitespace and trim
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Page functions: serialized into Runtime.evaluate, so they must not
+// reference anything outside their own body.
+
+/**
+ * Describe an element by its path from <html> and its opening tag
+ */
+function describeElement(element) {
+  const path = [];
+  for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+    let part = el.localName;
+    const siblings = el.parentElement
+      ? Array.from(el.parentElement.children).filter(child => child.localName === el.localName)
+      : [];
+    if (siblings.length > 1) {
+      part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+    }
+    path.unshift(part);
+  }
+
+  const html = element.outerHTML || '';
+  const tag = html.slice(0, html.indexOf('>') + 1);
+  return {
+    target: path.join(' > '),
+    snippet: tag.length > 120 ? `${tag.slice(0, 117)}...` : tag
+  };
+}
+
+/**
+ * DOM audit: missing alt text, text contrast and duplicate IDs
+ */
+function pageAuditDOM(rules, describe) {
+  const violations = [];
+  const hidden = (el) => !el.getClientRects().length || getComputedStyle(el).visibility === 'hidden' ||
+    el.closest('[aria-hidden="true"]');
+
+  if (rules.includes('missing-alt')) {
+    const named = (el) => ['aria-label', 'aria-labelledby', 'title'].some(attr => (el.getAttribute(attr) || '').trim());
+    const images = document.querySelectorAll('img:not([alt]), input[type="image"]:not([alt]), [role="img"]:not(img)');
+    for (const el of images) {
+      const role = el.getAttribute('role');
+      if (hidden(el) || named(el) || (el.localName === 'img' && (role === 'presentation' || role === 'none'))) {
+        continue;
+      }
+      violations.push({ rule: 'missing-alt', message: 'Image has no alt text', ...describe(el) });
+    }
+  }
+
+  if (rules.includes('color-contrast')) {
+    const parse = (value) => {
+      const match = /rgba?\(([^)]+)\)/.exec(value);
+      if (!match) return null;
+      const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+      return { r, g, b, a };
+    };
+    const blend = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+      const [R, G, B] = [r, g, b].map(c => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    };
+    const hex = ({ r, g, b }) => '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+
+    // Background behind an element; null when an image makes it unknowable
+    const background = (el) => {
+      const layers = [];
+      for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+        const style = getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+        const color = parse(style.backgroundColor);
+        if (color && color.a > 0) {
+          layers.push(color);
+          if (color.a === 1) break;
+        }
+      }
+      return layers.reverse().reduce((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    };
+
+    const checked = new Set();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let text = walker.nextNode(); text; text = walker.nextNode()) {
+      const el = text.parentElement;
+      if (!el || checked.has(el) || !text.textContent.trim()) continue;
+      checked.add(el);
+      if (hidden(el) || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(el.tagName) || el.closest(':disabled')) continue;
+
+      const style = getComputedStyle(el);
+      const fg = parse(style.color);
+      const bg = background(el);
+      if (!fg || !bg) continue;
+
+      const color = blend(fg, bg);
+      const [light, dark] = [luminance(color), luminance(bg)].sort((x, y) => y - x);
+      const ratio = (light + 0.05) / (dark + 0.05);
+      const size = parseFloat(style.fontSize);
+      const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+      const required = large ? 3 : 4.5;
+
+      if (ratio < required) {
+        violations.push({
+          rule: 'color-contrast',
+          message: `Text contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${hex(color)} on ${hex(bg)})`,
+          ...describe(el)
+        });
+      }
+    }
+  }
+
+  if (rules.includes('duplicate-id')) {
+    const byId = new Map();
+    for (const el of document.querySelectorAll('[id]')) {
+      if (!el.id) continue;
+      byId.set(el.id, [...(byId.get(el.id) || []), el]);
+    }
+    for (const [id, elements] of byId) {
+      if (elements.length > 1) {
+        violations.push({
+          rule: 'duplicate-id',
+          message: `id "${id}" is used by ${elements.length} elements`,
+          ...describe(elements[1])
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Count the page's tab stops (a radio group is one stop)
+ */
+function pageCountTabStops() {
+  const candidates = document.querySelectorAll(
+    'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable="true"]'
+  );
+  const radioGroups = new Set();
+  let count = 0;
+
+  for (const el of candidates) {
+    if (el.tabIndex < 0 || el.disabled || el.type === 'hidden' || !el.getClientRects().length) continue;
+    if (el.type === 'radio' && el.name) {
+      if (radioGroups.has(el.name)) continue;
+      radioGroups.add(el.name);
+    }
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Describe the focused element; null when focus is outside the page content
+ */
+function pageFocusedElement(describe) {
+  const el = document.activeElement;
+  if (!el || el === document.body || el === document.documentElement) {
+    return null;
+  }
+
+  const dialog = el.closest('dialog');
+  return {
+    ...describe(el),
+    frame: el.localName === 'iframe' || el.localName === 'frame',
+    modal: Boolean(el.closest('[aria-modal="true"]') || (dialog && dialog.matches(':modal')))
+  };
+}
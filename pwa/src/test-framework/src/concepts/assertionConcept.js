@@ -5,132 +5,179 @@
  * FR-40: Assertion Library
  */
 
-import { AssertionError } from '../errors/index.js';
+import { AssertionError, ElementNotFoundError, TimeoutError } from '../errors/index.js';
 import { domConcept } from './domConcept.js';
+import { waitConcept } from './waitConcept.js';
+import { traceConcept, formatTraceForError } from './traceConcept.js';
+import { screenshotConcept } from './screenshotConcept.js';
+import { accessibilityConcept, isLocator, formatViolations } from './accessibilityConcept.js';
 
 export const assertionConcept = {
   state: {
-    lastAssertion: null      // Last assertion details
+    lastAssertion: null,     // Last assertion details
+    customMatchers: {},      // Matchers registered with expect.extend()
+    timeout: 5000            // Default timeout for auto-retrying DOM matchers
   },
 
   actions: {
     /**
      * Create expectation wrapper for value
      * @param {*} actual - Actual value to test
-     * @returns {Object} Fluent assertion API
+     * @returns {Object} Fluent assertion API, with .not, .resolves and .rejects
      */
     expect(actual) {
+      return assertionConcept.actions._createExpectation(actual, {});
+    },
+
+    /**
+     * Register custom matchers
+     * A matcher is called as matcher(actual, ...args) with this = { isNot, promise, equals }
+     * and returns { pass, expected?, actual?, message? } (or a Promise of it).
+     * @param {Object<string, Function>} newMatchers - Matcher name -> matcher function
+     */
+    extend(newMatchers) {
       const self = assertionConcept;
 
-      return {
-        toBe(expected) {
-          const passed = strictEquals(actual, expected);
-          if (!passed) {
-            const error = new AssertionError({
-              expected,
-              actual,
-              matcher: 'toBe',
-              diff: generateDiff(expected, actual)
-            });
-            self.notify('assertionFailed', error);
-            throw error;
-          }
-          self.notify('assertionPassed', { expected, actual, matcher: 'toBe' });
-        },
+      for (const [name, matcher] of Object.entries(newMatchers)) {
+        if (typeof matcher !== 'function') {
+          throw new Error(`Matcher "${name}" must be a function`);
+        }
+        if (['not', 'resolves', 'rejects'].includes(name)) {
+          throw new Error(`"${name}" is reserved and cannot be used as a matcher name`);
+        }
+        self.state.customMatchers[name] = matcher;
+      }
 
-        toContain(substring) {
-          const passed = contains(actual, substring);
-          if (!passed) {
-            const error = new AssertionError({
-              expected: substring,
-              actual,
-              matcher: 'toContain',
-              diff: `Expected "${actual}" to contain "${substring}"`
-            });
-            self.notify('assertionFailed', error);
-            throw error;
-          }
-          self.notify('assertionPassed', { expected: substring, actual, matcher: 'toContain' });
-        },
+      self.notify('matchersExtended', { names: Object.keys(newMatchers) });
+    },
 
-        async toExist() {
-          // For DOM selector assertions
-          if (typeof actual !== 'string') {
-            throw new AssertionError({
-              expected: 'CSS selector string',
-              actual: typeof actual,
-              matcher: 'toExist',
-              diff: 'toExist() requires a CSS selector string'
-            });
-          }
+    /**
+     * Build the matcher object for a value
+     * @param {*} actual - Actual value to test
+     * @param {Object} flags - { isNot?, promise?: 'resolves' | 'rejects' }
+     * @returns {Object} Matcher functions
+     */
+    _createExpectation(actual, flags) {
+      const self = assertionConcept;
+      const expectation = {};
+      const all = { ...matchers, ...self.state.customMatchers };
 
-          const exists = await domConcept.actions.exists(actual);
-          if (!exists) {
-            const error = new AssertionError({
-              expected: `Element "${actual}" to exist`,
-              actual: 'Element not found',
-              matcher: 'toExist',
-              selector: actual
-            });
-            self.notify('assertionFailed', error);
-            throw error;
-          }
-          self.notify('assertionPassed', { expected: 'exists', actual, matcher: 'toExist' });
-        },
+      for (const [name, matcher] of Object.entries(all)) {
+        expectation[name] = (...args) => self.actions._runMatcher(name, matcher, actual, args, flags);
+      }
 
-        async toBeVisible() {
-          // For DOM selector assertions
-          if (typeof actual !== 'string') {
-            throw new AssertionError({
-              expected: 'CSS selector string',
-              actual: typeof actual,
-              matcher: 'toBeVisible',
-              diff: 'toBeVisible() requires a CSS selector string'
-            });
-          }
+      if (!flags.isNot) {
+        expectation.not = self.actions._createExpectation(actual, { ...flags, isNot: true });
+      }
+      if (!flags.promise) {
+        expectation.resolves = self.actions._createExpectation(actual, { ...flags, promise: 'resolves' });
+        expectation.rejects = self.actions._createExpectation(actual, { ...flags, promise: 'rejects' });
+      }
 
-          const visible = await domConcept.actions.isVisible(actual);
-          if (!visible) {
-            const error = new AssertionError({
-              expected: `Element "${actual}" to be visible`,
-              actual: 'Element is not visible or does not exist',
-              matcher: 'toBeVisible',
-              selector: actual
-            });
-            self.notify('assertionFailed', error);
-            throw error;
-          }
-          self.notify('assertionPassed', { expected: 'visible', actual, matcher: 'toBeVisible' });
-        },
+      return expectation;
+    },
+
+    /**
+     * Run a matcher, settling the promise first for .resolves/.rejects
+     * @returns {void|Promise<void>} Promise when the matcher or value is async
+     */
+    _runMatcher(name, matcher, actual, args, flags) {
+      const self = assertionConcept;
+
+      if (!flags.promise) {
+        return self.actions._evaluate(name, matcher, actual, args, flags);
+      }
 
-        toBeTruthy() {
-          const passed = Boolean(actual);
-          if (!passed) {
-            const error = new AssertionError({
-              expected: 'truthy value',
-              actual,
-              matcher: 'toBeTruthy'
+      const promise = typeof actual === 'function' ? actual() : actual;
+
+      return Promise.resolve(promise).then(
+        (value) => {
+          if (flags.promise === 'rejects') {
+            self.actions._fail({
+              expected: 'promise to reject',
+              actual: `resolved with ${formatValue(value)}`,
+              matcher: `rejects.${name}`,
+              diff: `Expected promise to reject, but it resolved with ${formatValue(value)}`
             });
-            self.notify('assertionFailed', error);
-            throw error;
           }
-          self.notify('assertionPassed', { expected: 'truthy', actual, matcher: 'toBeTruthy' });
+          return value;
         },
-
-        toBeFalsy() {
-          const passed = !Boolean(actual);
-          if (!passed) {
-            const error = new AssertionError({
-              expected: 'falsy value',
-              actual,
-              matcher: 'toBeFalsy'
+        (reason) => {
+          if (flags.promise === 'resolves') {
+            self.actions._fail({
+              expected: 'promise to resolve',
+              actual: `rejected with ${formatValue(reason)}`,
+              matcher: `resolves.${name}`,
+              diff: `Expected promise to resolve, but it rejected with ${formatValue(reason)}`
             });
-            self.notify('assertionFailed', error);
-            throw error;
           }
-          self.notify('assertionPassed', { expected: 'falsy', actual, matcher: 'toBeFalsy' });
+          return reason;
         }
+      ).then(settled => self.actions._evaluate(name, matcher, settled, args, flags));
+    },
+
+    /**
+     * Call a matcher and report its result
+     * @returns {void|Promise<void>} Promise when the matcher is async
+     */
+    _evaluate(name, matcher, actual, args, flags) {
+      const self = assertionConcept;
+      const context = {
+        isNot: Boolean(flags.isNot),
+        promise: flags.promise || '',
+        equals: deepEquals
       };
+
+      const result = matcher.call(context, actual, ...args);
+
+      if (result && typeof result.then === 'function') {
+        return result.then(settled => self.actions._report(name, settled, actual, args, flags));
+      }
+      return self.actions._report(name, result, actual, args, flags);
+    },
+
+    /**
+     * Emit assertionPassed, or emit assertionFailed and throw
+     * @param {string} name - Matcher name
+     * @param {Object} result - { pass, expected?, actual?, diff?, message?, selector? }
+     * @param {*} received - Value passed to expect()
+     * @param {Array} args - Matcher arguments
+     * @param {Object} flags - { isNot?, promise? }
+     */
+    _report(name, result, received, args, flags) {
+      const self = assertionConcept;
+      const matcher = [flags.promise, flags.isNot ? 'not' : '', name].filter(Boolean).join('.');
+
+      if (!result || typeof result.pass !== 'boolean') {
+        throw new Error(`Matcher "${name}" must return { pass: boolean }`);
+      }
+
+      const expected = 'expected' in result ? result.expected : (args.length > 0 ? args[0] : 'to pass');
+      const actual = 'actual' in result ? result.actual : received;
+
+      if (result.pass === Boolean(flags.isNot)) {
+        const message = typeof result.message === 'function' ? result.message() : result.message;
+        self.actions._fail({
+          expected,
+          actual,
+          matcher,
+          diff: message ?? (flags.isNot && !result.retried ? formatNegatedDiff(expected, actual) : result.diff),
+          selector: result.selector,
+          recentTrace: result.recentTrace
+        });
+      }
+
+      self.notify('assertionPassed', { expected, actual, matcher });
+    },
+
+    /**
+     * Emit assertionFailed and throw
+     * @param {Object} details - AssertionError fields
+     */
+    _fail(details) {
+      const error = new AssertionError(details);
+      assertionConcept.notify('assertionFailed', error);
+      throw error;
     }
   },
 
@@ -145,6 +192,425 @@ export const assertionConcept = {
   }
 };
 
+// Built-in matchers
+// Each is called as matcher(actual, ...args) and returns { pass, expected?, actual?, diff?, selector? }.
+// Negation (.not) is handled by the caller, so matchers only describe the positive case.
+
+const matchers = {
+  toBe(actual, expected) {
+    return {
+      pass: strictEquals(actual, expected),
+      expected,
+      diff: generateDiff(expected, actual)
+    };
+  },
+
+  toEqual(actual, expected) {
+    return {
+      pass: deepEquals(expected, actual),
+      expected,
+      diff: generateDiff(expected, actual)
+    };
+  },
+
+  toContain(actual, substring) {
+    return {
+      pass: contains(actual, substring),
+      expected: substring,
+      diff: `Expected "${actual}" to contain "${substring}"`
+    };
+  },
+
+  toMatch(actual, pattern) {
+    if (typeof actual !== 'string') {
+      throw usageError('toMatch', 'string', actual);
+    }
+
+    const pass = pattern instanceof RegExp
+      ? actual.search(pattern) !== -1
+      : actual.includes(pattern);
+
+    return {
+      pass,
+      expected: String(pattern),
+      diff: `Expected ${formatValue(actual)} to match ${pattern instanceof RegExp ? pattern : formatValue(pattern)}`
+    };
+  },
+
+  toBeGreaterThan(actual, expected) {
+    return compareNumbers('toBeGreaterThan', '>', actual, expected, actual > expected);
+  },
+
+  toBeGreaterThanOrEqual(actual, expected) {
+    return compareNumbers('toBeGreaterThanOrEqual', '>=', actual, expected, actual >= expected);
+  },
+
+  toBeLessThan(actual, expected) {
+    return compareNumbers('toBeLessThan', '<', actual, expected, actual < expected);
+  },
+
+  toBeLessThanOrEqual(actual, expected) {
+    return compareNumbers('toBeLessThanOrEqual', '<=', actual, expected, actual <= expected);
+  },
+
+  toBeCloseTo(actual, expected, numDigits = 2) {
+    if (typeof actual !== 'number' || typeof expected !== 'number') {
+      throw usageError('toBeCloseTo', 'number', actual);
+    }
+
+    const precision = Math.pow(10, -numDigits) / 2;
+    const pass = actual === expected || Math.abs(expected - actual) < precision;
+
+    return {
+      pass,
+      expected,
+      diff: `Expected ${actual} to be within ${precision} of ${expected} (difference: ${Math.abs(expected - actual)})`
+    };
+  },
+
+  toHaveLength(actual, length) {
+    if (actual === null || actual === undefined || typeof actual.length !== 'number') {
+      throw usageError('toHaveLength', 'value with a length', actual);
+    }
+
+    return {
+      pass: actual.length === length,
+      expected: length,
+      actual: actual.length,
+      diff: `Expected length: ${length}\nActual length:   ${actual.length}`
+    };
+  },
+
+  toHaveProperty(actual, path, ...value) {
+    const { found, value: propertyValue, resolvedPath } = getProperty(actual, path);
+    const checkValue = value.length > 0;
+    const pass = found && (!checkValue || deepEquals(value[0], propertyValue));
+
+    let diff;
+    if (!found) {
+      diff = `Property "${resolvedPath}" not found`;
+    } else if (checkValue) {
+      diff = `Property "${resolvedPath}":\n${generateDiff(value[0], propertyValue)}`;
+    }
+
+    return {
+      pass,
+      expected: checkValue ? `${resolvedPath} = ${formatValue(value[0])}` : resolvedPath,
+      actual: found ? formatValue(propertyValue) : 'undefined',
+      diff
+    };
+  },
+
+  toThrow(actual, expected) {
+    let threw = false;
+    let thrown;
+
+    if (this.promise === 'rejects') {
+      // .rejects passes the rejection reason
+      threw = true;
+      thrown = actual;
+    } else {
+      if (typeof actual !== 'function') {
+        throw usageError('toThrow', 'function', actual);
+      }
+      try {
+        actual();
+      } catch (err) {
+        threw = true;
+        thrown = err;
+      }
+    }
+
+    return {
+      pass: threw && matchesError(thrown, expected),
+      expected: expected === undefined ? 'to throw' : `to throw ${describeErrorMatcher(expected)}`,
+      actual: threw ? formatValue(thrown) : 'nothing thrown',
+      diff: threw
+        ? `Expected error ${describeErrorMatcher(expected)}\nReceived: ${formatValue(thrown)}`
+        : 'Expected function to throw, but it returned normally'
+    };
+  },
+
+  async toExist(actual) {
+    // For DOM selector assertions
+    if (!isSelector(actual)) {
+      throw usageError('toExist', 'selector or locator', actual);
+    }
+
+    const exists = await domConcept.actions.exists(actual);
+    return {
+      pass: exists,
+      expected: `Element "${actual}" to exist`,
+      actual: exists ? 'Element found' : 'Element not found',
+      selector: actual
+    };
+  },
+
+  async toBeVisible(actual) {
+    // For DOM selector assertions
+    if (!isSelector(actual)) {
+      throw usageError('toBeVisible', 'selector or locator', actual);
+    }
+
+    const visible = await domConcept.actions.isVisible(actual);
+    return {
+      pass: visible,
+      expected: `Element "${actual}" to be visible`,
+      actual: visible ? 'Element is visible' : 'Element is not visible or does not exist',
+      selector: actual
+    };
+  },
+
+  async toMatchScreenshot(actual, name, options = {}) {
+    // Accepts a selector or locator (element screenshot) or PNG Buffer from screenshot()
+    if (!isSelector(actual) && !Buffer.isBuffer(actual)) {
+      throw usageError('toMatchScreenshot', 'selector, locator or PNG Buffer', actual);
+    }
+
+    const image = isSelector(actual)
+      ? await screenshotConcept.actions.screenshot({ selector: actual })
+      : actual;
+
+    const comparison = await screenshotConcept.actions.compareWithBaseline(name, image, options);
+
+    return {
+      pass: comparison.passed,
+      expected: `screenshot "${name}"`,
+      actual: comparison.passed
+        ? (comparison.created ? 'baseline created' : `${comparison.diffPixels} pixels differ`)
+        : comparison.reason,
+      diff: formatScreenshotDiff(comparison),
+      selector: isSelector(actual) ? actual : undefined
+    };
+  },
+
+  async toBeAccessible(actual, options = {}) {
+    // Accepts a selector or locator (audit the page, keep violations inside
+    // the element) or a result from auditAccessibility()
+    let violations;
+
+    if (isSelector(actual)) {
+      const report = await accessibilityConcept.actions.auditAccessibility(options);
+      // Violation targets are paths from the top-level document, the only
+      // one audited, so a scope inside a frame or shadow root can't hold any
+      const { found, value: inScope } = await domConcept.actions._evaluateOnElement(actual, (scope, targets) => {
+        if (window !== window.top || scope.getRootNode() !== document) {
+          return null;
+        }
+        return targets.map(target => {
+          const element = document.querySelector(target);
+          return Boolean(element && scope.contains(element));
+        });
+      }, [report.violations.map(violation => violation.target)]);
+
+      if (!found) {
+        throw new ElementNotFoundError({ selector: actual, action: 'toBeAccessible' });
+      }
+      if (!inScope) {
+        throw new AssertionError({
+          expected: 'element in the top-level document',
+          actual: 'element in an iframe or shadow root',
+          matcher: 'toBeAccessible',
+          diff: 'toBeAccessible() only audits the top-level document; pass an element outside iframes and shadow roots'
+        });
+      }
+      violations = report.violations.filter((violation, i) => inScope[i]);
+    } else if (actual && Array.isArray(actual.violations)) {
+      violations = actual.violations;
+    } else {
+      throw usageError('toBeAccessible', 'selector, locator or auditAccessibility() result', actual);
+    }
+
+    return {
+      pass: violations.length === 0,
+      expected: 'no accessibility violations',
+      actual: `${violations.length} violation(s)`,
+      diff: formatViolations(violations),
+      selector: isSelector(actual) ? actual : undefined
+    };
+  },
+
+  // Auto-retrying DOM matchers: poll until satisfied (or, with .not, until
+  // no longer satisfied) and fail with the last observed value on timeout
+
+  async toHaveText(selector, text, options = {}) {
+    return pollElement(this, 'toHaveText', selector, options, {
+      expected: text instanceof RegExp ? String(text) : text,
+      read: async () => (await domConcept.actions._queryElement(selector)).text || '',
+      check: (actual) => matchesText(actual, text, options.exact)
+    });
+  },
+
+  async toHaveValue(selector, value, options = {}) {
+    return pollElement(this, 'toHaveValue', selector, options, {
+      expected: value instanceof RegExp ? String(value) : value,
+      read: async () => (await domConcept.actions._queryElement(selector)).value ?? null,
+      check: (actual) => actual !== null && matchesText(actual, value, true)
+    });
+  },
+
+  async toHaveAttribute(selector, name, ...args) {
+    const { value, options } = splitOptions(args);
+    const checkValue = value !== undefined;
+
+    return pollElement(this, 'toHaveAttribute', selector, options, {
+      expected: checkValue ? `${name}=${formatValue(value)}` : name,
+      read: async () => (await domConcept.actions._queryElement(selector)).attributes[name] ?? null,
+      check: (actual) => actual !== null && (!checkValue || matchesText(actual, value, true))
+    });
+  },
+
+  async toHaveClass(selector, className, options = {}) {
+    return pollElement(this, 'toHaveClass', selector, options, {
+      expected: String(className),
+      read: async () => (await domConcept.actions._queryElement(selector)).attributes.class ?? '',
+      check: (actual) => className instanceof RegExp
+        ? actual.search(className) !== -1
+        : actual.split(/\s+/).includes(className)
+    });
+  },
+
+  async toHaveCount(selector, count, options = {}) {
+    return pollElement(this, 'toHaveCount', selector, options, {
+      expected: count,
+      read: () => domConcept.actions.count(selector),
+      check: (actual) => actual === count
+    });
+  },
+
+  async toBeEnabled(selector, options = {}) {
+    return pollElement(this, 'toBeEnabled', selector, options, {
+      expected: 'enabled',
+      read: async () => (await domConcept.actions._queryElement(selector)).disabled ? 'disabled' : 'enabled',
+      check: (actual) => actual === 'enabled'
+    });
+  },
+
+  async toBeChecked(selector, options = {}) {
+    return pollElement(this, 'toBeChecked', selector, options, {
+      expected: 'checked',
+      read: async () => (await domConcept.actions._queryElement(selector)).checked ? 'checked' : 'unchecked',
+      check: (actual) => actual === 'checked'
+    });
+  },
+
+  async toBeHidden(selector, options = {}) {
+    return pollElement(this, 'toBeHidden', selector, options, {
+      expected: 'hidden',
+      read: async () => (await domConcept.actions.isVisible(selector)) ? 'visible' : 'hidden',
+      check: (actual) => actual === 'hidden'
+    });
+  },
+
+  toBeTruthy(actual) {
+    return { pass: Boolean(actual), expected: 'truthy value' };
+  },
+
+  toBeFalsy(actual) {
+    return { pass: !Boolean(actual), expected: 'falsy value' };
+  }
+};
+
+/**
+ * Shared result for numeric comparison matchers
+ */
+function compareNumbers(matcher, operator, actual, expected, pass) {
+  if (typeof actual !== 'number' && typeof actual !== 'bigint') {
+    throw usageError(matcher, 'number', actual);
+  }
+  return {
+    pass,
+    expected: `${operator} ${expected}`,
+    diff: `Expected: ${operator} ${expected}\nActual:   ${actual}`
+  };
+}
+
+/**
+ * Poll an element until the matcher's condition holds (or stops holding for
+ * .not), using waitConcept so polling shows up in the trace like other waits
+ * @param {Object} context - Matcher context { isNot }
+ * @param {string} matcher - Matcher name
+ * @param {string|Object} selector - Selector or locator
+ * @param {Object} options - { timeout? }
+ * @param {Object} spec - { expected, read, check }
+ * @returns {Promise<Object>} Matcher result
+ */
+async function pollElement(context, matcher, selector, options, spec) {
+  if (!isSelector(selector)) {
+    throw usageError(matcher, 'selector or locator', selector);
+  }
+
+  const timeout = options.timeout ?? assertionConcept.state.timeout;
+  const NOT_FOUND = 'element not found';
+  let observed = NOT_FOUND;
+  let pass = context.isNot; // Fails either way if the page never answers
+
+  try {
+    await waitConcept.actions.waitForCondition(async () => {
+      try {
+        observed = await spec.read();
+      } catch (err) {
+        if (!(err instanceof ElementNotFoundError)) throw err;
+        observed = NOT_FOUND;
+      }
+      pass = observed !== NOT_FOUND && spec.check(observed);
+      return pass !== context.isNot;
+    }, { timeout });
+  } catch (err) {
+    if (!(err instanceof TimeoutError)) throw err;
+  }
+
+  const recentTrace = traceConcept.actions.getRecentTrace(10);
+  const lastObserved = observed === NOT_FOUND ? observed : formatValue(observed);
+
+  return {
+    pass,
+    expected: spec.expected,
+    actual: lastObserved,
+    selector,
+    retried: true,
+    recentTrace,
+    diff: [
+      `Expected: ${context.isNot ? 'not ' : ''}${formatValue(spec.expected)}`,
+      `Last observed: ${lastObserved} (after ${timeout}ms)`,
+      '',
+      formatTraceForError(recentTrace)
+    ].join('\n')
+  };
+}
+
+/**
+ * Split a trailing options object from matcher arguments
+ * @param {Array} args - [value?, options?]
+ * @returns {{value: *, options: Object}}
+ */
+function splitOptions(args) {
+  const last = args[args.length - 1];
+  if (args.length > 0 && last !== null && typeof last === 'object' && !(last instanceof RegExp)) {
+    return { value: args.length > 1 ? args[0] : undefined, options: last };
+  }
+  return { value: args[0], options: {} };
+}
+
+/**
+ * AssertionError for a matcher called on the wrong kind of value
+ */
+function usageError(matcher, expected, actual) {
+  return new AssertionError({
+    expected,
+    actual: typeof actual,
+    matcher,
+    diff: `${matcher}() requires a ${expected}`
+  });
+}
+
+/**
+ * Whether a value can be passed to DOM actions (selector string or locator)
+ */
+function isSelector(value) {
+  return typeof value === 'string' || isLocator(value);
+}
+
 // Pure functions for assertion concept
 
 /**
@@ -175,13 +641,29 @@ export function contains(haystack, needle) {
 
 /**
  * Generate diff string for failed assertion
+ * Objects and arrays list each differing path.
  * @param {*} expected - Expected value
  * @param {*} actual - Actual value
  * @returns {string}
  */
 export function generateDiff(expected, actual) {
-  const expectedStr = String(expected);
-  const actualStr = String(actual);
+  if (isObjectLike(expected) && isObjectLike(actual)) {
+    const differences = findDifferences(expected, actual);
+
+    if (differences.length === 0) {
+      return 'Values are structurally equal but not the same instance';
+    }
+
+    return [
+      `Expected: ${formatValue(expected)}`,
+      `Actual:   ${formatValue(actual)}`,
+      'Differences:',
+      ...differences.map(d => `  ${d.path || '(root)'}: expected ${formatValue(d.expected)}, got ${formatValue(d.actual)}`)
+    ].join('\n');
+  }
+
+  const expectedStr = isObjectLike(expected) ? formatValue(expected) : String(expected);
+  const actualStr = isObjectLike(actual) ? formatValue(actual) : String(actual);
 
   if (expectedStr === actualStr) {
     return 'Values are strictly different but stringify to the same value';
@@ -189,3 +671,226 @@ export function generateDiff(expected, actual) {
 
   return `Expected: ${expectedStr}\nActual:   ${actualStr}`;
 }
+
+/**
+ * Match text against a string or RegExp
+ * @param {string} actual - Actual text
+ * @param {string|RegExp} expected - Expected text or pattern
+ * @param {boolean} exact - Whole-string match for strings (substring otherwise)
+ * @returns {boolean}
+ */
+export function matchesText(actual, expected, exact = false) {
+  if (expected instanceof RegExp) {
+    return actual.search(expected) !== -1;
+  }
+  return exact ? actual === String(expected) : actual.includes(String(expected));
+}
+
+/**
+ * Diff text for a failed negated assertion
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @returns {string}
+ */
+export function formatNegatedDiff(expected, actual) {
+  return `Expected: not ${formatValue(expected)}\nActual:   ${formatValue(actual)}`;
+}
+
+/**
+ * Structural equality, as used by toEqual
+ * Properties set to undefined are treated as missing.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+export function deepEquals(a, b) {
+  return findDifferences(a, b).length === 0;
+}
+
+/**
+ * List the paths at which two values differ structurally
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @param {string} path - Path of the values being compared
+ * @returns {Array<{path: string, expected: *, actual: *}>}
+ */
+export function findDifferences(expected, actual, path = '') {
+  if (Object.is(expected, actual)) {
+    return [];
+  }
+
+  const type = typeOf(expected);
+  const mismatch = [{ path, expected, actual }];
+
+  if (type !== typeOf(actual)) {
+    return mismatch;
+  }
+
+  switch (type) {
+    case 'date':
+      return expected.getTime() === actual.getTime() ? [] : mismatch;
+
+    case 'regexp':
+      return String(expected) === String(actual) ? [] : mismatch;
+
+    case 'array': {
+      const differences = [];
+      const length = Math.max(expected.length, actual.length);
+      for (let i = 0; i < length; i++) {
+        differences.push(...findDifferences(expected[i], actual[i], `${path}[${i}]`));
+      }
+      return differences;
+    }
+
+    case 'set': {
+      if (expected.size !== actual.size) return mismatch;
+      const remaining = [...actual];
+      for (const item of expected) {
+        const index = remaining.findIndex(candidate => deepEquals(item, candidate));
+        if (index === -1) return mismatch;
+        remaining.splice(index, 1);
+      }
+      return [];
+    }
+
+    case 'map': {
+      const differences = [];
+      const keys = new Set([...expected.keys(), ...actual.keys()]);
+      for (const key of keys) {
+        differences.push(...findDifferences(expected.get(key), actual.get(key), `${path}.get(${formatValue(key)})`));
+      }
+      return differences;
+    }
+
+    case 'object': {
+      const differences = [];
+      const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+      for (const key of keys) {
+        const childPath = path ? `${path}.${key}` : key;
+        differences.push(...findDifferences(expected[key], actual[key], childPath));
+      }
+      return differences;
+    }
+
+    default:
+      return mismatch;
+  }
+}
+
+/**
+ * Readable one-line representation of a value for failure output
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+export function formatValue(value) {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'symbol') return String(value);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Map) return `Map(${formatValue([...value.entries()])})`;
+  if (value instanceof Set) return `Set(${formatValue([...value])})`;
+
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (err) {
+    return String(value); // Circular structure
+  }
+}
+
+/**
+ * Resolve a property path such as "user.roles[0]" or ['user', 'roles', 0]
+ * @param {*} object - Value to read from
+ * @param {string|Array} path - Property path
+ * @returns {{found: boolean, value: *, resolvedPath: string}}
+ */
+export function getProperty(object, path) {
+  const keys = Array.isArray(path)
+    ? path.map(String)
+    : String(path).replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+  const resolvedPath = keys.join('.');
+  let current = object;
+
+  for (const key of keys) {
+    if (current === null || current === undefined || !(key in Object(current))) {
+      return { found: false, value: undefined, resolvedPath };
+    }
+    current = current[key];
+  }
+
+  return { found: true, value: current, resolvedPath };
+}
+
+/**
+ * Check a thrown value against a toThrow() expectation
+ * @param {*} thrown - Thrown value
+ * @param {string|RegExp|Function|Error} [expected] - Message substring, pattern, error class or error
+ * @returns {boolean}
+ */
+export function matchesError(thrown, expected) {
+  if (expected === undefined) return true;
+
+  const message = thrown?.message ?? String(thrown);
+
+  if (typeof expected === 'string') return message.includes(expected);
+  if (expected instanceof RegExp) return message.search(expected) !== -1;
+  if (expected instanceof Error) return message === expected.message;
+  if (typeof expected === 'function') return thrown instanceof expected;
+  return false;
+}
+
+/**
+ * Describe a toThrow() expectation for failure output
+ * @param {*} expected - toThrow() argument
+ * @returns {string}
+ */
+export function describeErrorMatcher(expected) {
+  if (expected === undefined) return '(any)';
+  if (typeof expected === 'string') return `containing ${formatValue(expected)}`;
+  if (expected instanceof RegExp) return `matching ${expected}`;
+  if (expected instanceof Error) return `with message ${formatValue(expected.message)}`;
+  if (typeof expected === 'function') return `of type ${expected.name || 'anonymous'}`;
+  return formatValue(expected);
+}
+
+/**
+ * Structural type used for deep comparison
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regexp';
+  if (value instanceof Map) return 'map';
+  if (value instanceof Set) return 'set';
+  return typeof value;
+}
+
+/**
+ * @param {*} value - Any value
+ * @returns {boolean} True for non-null objects (including arrays)
+ */
+function isObjectLike(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+/**
+ * Format screenshot comparison result for failure output
+ * @param {Object} comparison - Result of compareWithBaseline
+ * @returns {string}
+ */
+export function formatScreenshotDiff(comparison) {
+  const lines = [comparison.reason];
+  const { paths } = comparison;
+
+  if (paths.baseline) lines.push(`Baseline: ${paths.baseline}`);
+  if (paths.actual) lines.push(`Actual:   ${paths.actual}`);
+  if (paths.diff) lines.push(`Diff:     ${paths.diff}`);
+
+  return lines.join('\n');
+}
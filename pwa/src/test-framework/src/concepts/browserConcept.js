@@ -21,13 +21,15 @@ export const browserConcept = {
     messageId: 0,            // CDP message ID counter
     pendingMessages: new Map(), // Pending CDP responses
     sessions: new Map(),     // Target sessions (targetId -> sessionId)
+    targets: new Map(),      // Discovered targets (targetId -> targetInfo)
     defaultPageTarget: null, // Default page target and session {targetId, sessionId}
     isClosing: false,        // Flag to track intentional closure
     config: {
       executablePath: '',
       headless: true,
       devtools: false,
-      viewport: { width: 1280, height: 720 }
+      viewport: { width: 1280, height: 720 },
+      disableSiteIsolation: false
     }
   },
 
@@ -130,6 +132,9 @@ export const browserConcept = {
       // 8. Connect to CDP via WebSocket
       await self.actions.connectToCDP();
 
+      // Track target lifecycle so popups and new tabs are visible
+      await self.actions.sendCDPCommand('Target.setDiscoverTargets', { discover: true });
+
       // 9. Create browser instance handle
       self.state.browser = {
         wsEndpoint: self.state.wsEndpoint,
@@ -203,11 +208,17 @@ export const browserConcept = {
           }
         }
 
+        // Keep target registry in sync before re-emitting
+        if (message.method && message.method.startsWith('Target.')) {
+          self.actions._handleTargetEvent(message.method, message.params || {});
+        }
+
         // Handle CDP events (method field indicates event)
         if (message.method) {
           self.notify('cdpEvent', {
             method: message.method,
-            params: message.params
+            params: message.params,
+            sessionId: message.sessionId || null
           });
         }
       } catch (err) {
@@ -215,6 +226,45 @@ export const browserConcept = {
       }
     },
 
+    /**
+     * Update target registry from Target domain events
+     * @param {string} method - CDP event name
+     * @param {Object} params - Event parameters
+     */
+    _handleTargetEvent(method, params) {
+      const self = browserConcept;
+
+      switch (method) {
+        case 'Target.targetCreated':
+          self.state.targets.set(params.targetInfo.targetId, params.targetInfo);
+          self.notify('targetCreated', { targetInfo: params.targetInfo });
+          break;
+
+        case 'Target.targetInfoChanged':
+          self.state.targets.set(params.targetInfo.targetId, params.targetInfo);
+          self.notify('targetChanged', { targetInfo: params.targetInfo });
+          break;
+
+        case 'Target.targetDestroyed':
+          self.state.targets.delete(params.targetId);
+          self.state.sessions.delete(params.targetId);
+          if (self.state.defaultPageTarget?.targetId === params.targetId) {
+            self.state.defaultPageTarget = null;
+          }
+          self.notify('targetDestroyed', { targetId: params.targetId });
+          break;
+
+        case 'Target.detachedFromTarget':
+          if (params.targetId && self.state.sessions.get(params.targetId) === params.sessionId) {
+            self.state.sessions.delete(params.targetId);
+          }
+          break;
+
+        default:
+          break;
+      }
+    },
+
     /**
      * Send CDP command
      * @param {string} method - CDP method name
@@ -318,6 +368,22 @@ export const browserConcept = {
       // Attach to the target
       const sessionId = await self.actions.attachToTarget(pageTarget.targetId);
 
+      await self.actions.preparePageSession(sessionId);
+
+      return {
+        targetId: pageTarget.targetId,
+        sessionId
+      };
+    },
+
+    /**
+     * Enable page domains and apply viewport emulation for a page session
+     * @param {string} sessionId - Session attached to a page target
+     * @returns {Promise<void>}
+     */
+    async preparePageSession(sessionId) {
+      const self = browserConcept;
+
       // Enable necessary CDP domains for this session
       // These enables are sent with the sessionId to configure the target
       try {
@@ -342,11 +408,26 @@ export const browserConcept = {
       } catch (err) {
         // Domains may already be enabled, that's okay
       }
+    },
 
-      return {
-        targetId: pageTarget.targetId,
-        sessionId
-      };
+    /**
+     * Close a target (page, popup or tab)
+     * @param {string} targetId - Target to close
+     * @returns {Promise<void>}
+     */
+    async closeTarget(targetId) {
+      const self = browserConcept;
+
+      await self.actions.sendCDPCommand('Target.closeTarget', { targetId });
+      self.state.sessions.delete(targetId);
+    },
+
+    /**
+     * List discovered page targets
+     * @returns {Array} Target infos of type 'page'
+     */
+    getPageTargets() {
+      return Array.from(browserConcept.state.targets.values()).filter(t => t.type === 'page');
     },
 
     /**
@@ -414,6 +495,7 @@ export const browserConcept = {
         self.state.isClosing = false;
         self.state.pendingMessages.clear();
         self.state.sessions.clear();
+        self.state.targets.clear();
       }
     },
 
@@ -441,9 +523,13 @@ export const browserConcept = {
   /**
    * Subscribe to events
    * @param {Function} fn - Callback function (event, payload) => void
+   * @returns {Function} Unsubscribe function
    */
   subscribe(fn) {
     this._subscribers.push(fn);
+    return () => {
+      this._subscribers = this._subscribers.filter(sub => sub !== fn);
+    };
   }
 };
 
@@ -461,6 +547,13 @@ export function buildLaunchArgs(config) {
     '--disable-renderer-backgrounding'
   ];
 
+  // Opt-in: keeps cross-origin iframes in the page's renderer so selectors
+  // can reach them through per-frame execution contexts
+  if (config.disableSiteIsolation) {
+    args.push('--disable-site-isolation-trials');
+    args.push('--disable-features=IsolateOrigins,site-per-process');
+  }
+
   if (config.headless) {
     args.push('--headless');
   }
@@ -0,0 +1,252 @@
+/**
+ * Console Concept
+ * Captures browser console output, uncaught exceptions and unhandled
+ * promise rejections from every page.
+ *
+ * Pages get the Runtime domain in browserConcept.preparePageSession, so
+ * Runtime.consoleAPICalled / Runtime.exceptionThrown arrive as cdpEvents.
+ * Messages are tagged with their session and browser context, and each
+ * browser context keeps its own buffer, so a noisy page in one worker can't
+ * push another worker's messages out.
+ */
+
+import { browserConcept } from './browserConcept.js';
+import { workerConcept } from './workerConcept.js';
+
+// Longer URLs (e.g. data: pages) are cut in formatted output
+const MAX_URL_LENGTH = 100;
+
+export const consoleConcept = {
+  state: {
+    buffers: new Map(),      // browserContextId (null: unknown) -> messages, oldest first
+    nextId: 0,               // Message ID counter; never reset so ranges stay valid
+    bufferSize: 1000         // Max messages retained per browser context
+  },
+
+  actions: {
+    /**
+     * Capture console and exception events
+     * @param {Object} payload - { method, params, sessionId }
+     */
+    handleCDPEvent(payload) {
+      const self = consoleConcept;
+      const { method, params, sessionId } = payload;
+
+      if (method !== 'Runtime.consoleAPICalled' && method !== 'Runtime.exceptionThrown') {
+        return;
+      }
+
+      const message = createConsoleMessage(method, params, {
+        id: self.state.nextId++,
+        sessionId,
+        browserContextId: getBrowserContextId(sessionId)
+      });
+
+      if (!self.state.buffers.has(message.browserContextId)) {
+        self.state.buffers.set(message.browserContextId, []);
+      }
+      const buffer = self.state.buffers.get(message.browserContextId);
+      buffer.push(message);
+      if (buffer.length > self.state.bufferSize) {
+        buffer.shift();
+      }
+
+      self.notify('consoleMessage', message);
+    },
+
+    /**
+     * Get captured console messages
+     * @param {Object} filter - { type?, since?, sessionId?, browserContextId? }
+     *   type: message type or array of types ('log', 'error', 'warning', 'pageerror', 'unhandledrejection', ...)
+     *   since: only messages with id >= since (see getConsoleCursor)
+     * @returns {Array<Object>} { id, type, text, location, timestamp, sessionId, browserContextId }
+     */
+    getConsoleMessages(filter = {}) {
+      const { buffers } = consoleConcept.state;
+      const messages = filter.browserContextId
+        ? buffers.get(filter.browserContextId) || []
+        : Array.from(buffers.values()).flat().sort((a, b) => a.id - b.id);
+
+      return messages.filter(message => matchesConsoleFilter(message, filter));
+    },
+
+    /**
+     * ID the next captured message will get
+     * Pass as `since` to getConsoleMessages to read only later messages.
+     * @returns {number}
+     */
+    getConsoleCursor() {
+      return consoleConcept.state.nextId;
+    },
+
+    /**
+     * Clear captured messages
+     * In a parallel worker only the messages of the worker's own browser
+     * context are cleared; tests running in other workers keep theirs.
+     */
+    clearConsoleMessages() {
+      const { buffers } = consoleConcept.state;
+      const binding = workerConcept.actions.getBinding();
+
+      if (binding?.sessionId) {
+        buffers.delete(getBrowserContextId(binding.sessionId));
+      } else {
+        buffers.clear();
+      }
+    },
+
+    /**
+     * Forget a destroyed context's messages
+     * @param {string} browserContextId - Browser context
+     */
+    forgetContext(browserContextId) {
+      consoleConcept.state.buffers.delete(browserContextId);
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+/**
+ * Browser context of the page a session is attached to
+ * @param {string|null} sessionId - CDP session
+ * @returns {string|null}
+ */
+function getBrowserContextId(sessionId) {
+  if (!sessionId) return null;
+
+  for (const [targetId, targetSession] of browserConcept.state.sessions) {
+    if (targetSession === sessionId) {
+      return browserConcept.state.targets.get(targetId)?.browserContextId || null;
+    }
+  }
+  return null;
+}
+
+// Pure functions for console concept
+
+/**
+ * Build a console message from a Runtime event
+ * @param {string} method - 'Runtime.consoleAPICalled' | 'Runtime.exceptionThrown'
+ * @param {Object} params - Event params
+ * @param {Object} meta - { id, sessionId, browserContextId }
+ * @returns {Object} { id, type, text, location, timestamp, sessionId, browserContextId }
+ */
+export function createConsoleMessage(method, params, meta = {}) {
+  let type;
+  let text;
+  let location;
+
+  if (method === 'Runtime.exceptionThrown') {
+    const details = params.exceptionDetails || {};
+    const description = details.exception?.description || formatRemoteObject(details.exception);
+
+    // Rejections report "Uncaught (in promise)"; exceptions report "Uncaught"
+    type = /\(in promise\)/.test(details.text || '') ? 'unhandledrejection' : 'pageerror';
+    text = description && description !== 'undefined' ? description : (details.text || 'Uncaught exception');
+    location = details.url
+      ? { url: details.url, lineNumber: details.lineNumber, columnNumber: details.columnNumber }
+      : getStackLocation(details.stackTrace);
+  } else {
+    type = params.type;
+    text = formatConsoleArgs(params.args || []);
+    location = getStackLocation(params.stackTrace);
+  }
+
+  return {
+    id: meta.id,
+    type,
+    text,
+    location,
+    timestamp: Date.now(),
+    sessionId: meta.sessionId || null,
+    browserContextId: meta.browserContextId || null
+  };
+}
+
+/**
+ * Join console arguments the way DevTools prints them
+ * @param {Array<Object>} args - CDP RemoteObjects
+ * @returns {string}
+ */
+export function formatConsoleArgs(args) {
+  return args.map(formatRemoteObject).join(' ');
+}
+
+/**
+ * Printable form of a CDP RemoteObject
+ * @param {Object} remoteObject - CDP RemoteObject
+ * @returns {string}
+ */
+export function formatRemoteObject(remoteObject) {
+  if (!remoteObject) return 'undefined';
+  if (remoteObject.unserializableValue !== undefined) return remoteObject.unserializableValue;
+  if (remoteObject.type === 'undefined') return 'undefined';
+  if (remoteObject.type === 'string') return remoteObject.value;
+  if ('value' in remoteObject && remoteObject.type !== 'object') return String(remoteObject.value);
+  if (remoteObject.subtype === 'null') return 'null';
+  if ('value' in remoteObject) return JSON.stringify(remoteObject.value);
+  return remoteObject.description || remoteObject.className || remoteObject.type;
+}
+
+/**
+ * Whether a message counts as an error
+ * @param {Object} message - Console message
+ * @returns {boolean}
+ */
+export function isConsoleError(message) {
+  return message.type === 'error' ||
+    message.type === 'assert' ||
+    message.type === 'pageerror' ||
+    message.type === 'unhandledrejection';
+}
+
+/**
+ * Check a message against a getConsoleMessages filter
+ * @param {Object} message - Console message
+ * @param {Object} filter - { type?, since?, sessionId?, browserContextId? }
+ * @returns {boolean}
+ */
+export function matchesConsoleFilter(message, filter) {
+  if (filter.type) {
+    const types = Array.isArray(filter.type) ? filter.type : [filter.type];
+    if (!types.includes(message.type)) return false;
+  }
+  if (filter.since !== undefined && message.id < filter.since) return false;
+  if (filter.sessionId && message.sessionId !== filter.sessionId) return false;
+  if (filter.browserContextId && message.browserContextId !== filter.browserContextId) return false;
+  return true;
+}
+
+/**
+ * Format messages as log lines
+ * @param {Array<Object>} messages - Console messages
+ * @returns {string} One line per message: "[type] text (url:line)"
+ */
+export function formatConsoleMessages(messages) {
+  return messages.map(message => {
+    const url = message.location?.url || '';
+    const shortUrl = url.length > MAX_URL_LENGTH ? `${url.slice(0, MAX_URL_LENGTH)}…` : url;
+    const where = url ? ` (${shortUrl}:${(message.location.lineNumber ?? 0) + 1})` : '';
+    return `[${message.type}] ${message.text}${where}`;
+  }).join('\n');
+}
+
+/**
+ * Top frame of a CDP stack trace
+ * @param {Object} stackTrace - CDP StackTrace
+ * @returns {Object|null} { url, lineNumber, columnNumber }
+ */
+function getStackLocation(stackTrace) {
+  const frame = stackTrace?.callFrames?.[0];
+  if (!frame) return null;
+  return { url: frame.url, lineNumber: frame.lineNumber, columnNumber: frame.columnNumber };
+}
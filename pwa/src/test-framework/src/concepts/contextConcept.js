@@ -6,6 +6,9 @@
  */
 
 import { browserConcept } from './browserConcept.js';
+import { workerConcept } from './workerConcept.js';
+import { emulationConcept, resolveEmulation } from './emulationConcept.js';
+import { storageConcept } from './storageConcept.js';
 
 export const contextConcept = {
   state: {
@@ -16,11 +19,15 @@ export const contextConcept = {
   actions: {
     /**
      * Create isolated browser context via CDP
-     * @param {Object} options - Context options
+     * @param {Object} options - Context options { proxyServer?, proxyBypassList?, storageState?, ...emulation }
+     *   Emulation options (device, viewport, colorScheme, timezone, locale, geolocation, ...)
+     *   apply to every page of the context; see emulationConcept.emulate
+     *   storageState: state object or path from saveStorageState, restored before the context is used
      * @returns {Promise<string>} Context ID (internal UUID)
      */
     async createContext(options = {}) {
       const self = contextConcept;
+      const emulation = resolveEmulation(options);
 
       // 1. Generate unique context ID
       const contextId = generateContextId();
@@ -44,8 +51,17 @@ export const contextConcept = {
 
         const targetId = targetResult.targetId;
 
-        // 4. Attach to the target to get session
+        // 4. Attach to the target to get session, then enable and emulate the page
         const sessionId = await browserConcept.actions.attachToTarget(targetId);
+        await browserConcept.actions.preparePageSession(sessionId);
+
+        if (Object.keys(emulation).length > 0) {
+          await emulationConcept.actions.setContextEmulation(browserContextId, emulation, [sessionId]);
+        }
+
+        if (options.storageState) {
+          await storageConcept.actions.restoreStorageState(options.storageState, { browserContextId, sessionId });
+        }
 
         // 5. Store context info in state
         self.state.contexts.set(contextId, {
@@ -152,19 +168,20 @@ export const contextConcept = {
     },
 
     /**
-     * Get active context info
+     * Get active context info (the worker's own context when running in parallel)
      * @returns {Object|null} Active context data
      */
     getActiveContext() {
       const self = contextConcept;
+      const contextId = workerConcept.actions.getBinding()?.contextId || self.state.activeContext;
 
-      if (!self.state.activeContext) {
+      if (!contextId || !self.state.contexts.has(contextId)) {
         return null;
       }
 
       return {
-        contextId: self.state.activeContext,
-        ...self.state.contexts.get(self.state.activeContext)
+        contextId,
+        ...self.state.contexts.get(contextId)
       };
     },
 
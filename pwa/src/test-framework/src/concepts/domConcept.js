@@ -6,23 +6,80 @@
  * FR-11: Element Inspection
  */
 
+import { readFile, stat } from 'fs/promises';
+import { basename, extname, resolve as resolvePath } from 'path';
 import { ElementNotFoundError, ElementNotInteractableError, SelectorError } from '../errors/index.js';
 import { browserConcept } from './browserConcept.js';
 import { navigationConcept } from './navigationConcept.js';
+import { accessibilityConcept, isLocator } from './accessibilityConcept.js';
+
+const MOUSE_BUTTONS = ['left', 'right', 'middle'];
+
+// How long to wait for a native drag to start after the last mouse move
+const DRAG_START_GRACE = 50;
+
+// MIME types for uploaded and downloaded files, by extension
+const MIME_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.jsonld': 'application/ld+json',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+// CDP modifier bits
+const MODIFIER_BITS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+// US keyboard layout: key -> { code, keyCode, text?, location?, shiftKey? }
+// shiftKey is the character the key produces with Shift held.
+const KEY_DEFINITIONS = buildKeyDefinitions();
+
+// Alternative names accepted by press()/hotkey()
+const KEY_ALIASES = {
+  Space: ' ',
+  Esc: 'Escape',
+  Return: 'Enter',
+  Ctrl: 'Control',
+  Cmd: 'Meta',
+  Command: 'Meta',
+  Option: 'Alt',
+  Del: 'Delete',
+  Up: 'ArrowUp',
+  Down: 'ArrowDown',
+  Left: 'ArrowLeft',
+  Right: 'ArrowRight',
+  '\n': 'Enter',
+  '\r': 'Enter',
+  '\t': 'Tab'
+};
 
 export const domConcept = {
   state: {
     lastInteraction: null,   // Last action performed
-    elementSnapshots: []     // Recent element states (max 10)
+    elementSnapshots: [],    // Recent element states (max 10)
+    frameContexts: new Map(), // "sessionId:frameId" -> execution context for cross-origin iframes
+    mouse: { x: 0, y: 0 }     // Last pointer position
   },
 
   actions: {
     /**
-     * Get session ID for CDP commands
+     * Get session ID of the active page for CDP commands
      * @returns {string} Session ID
      */
     _getSessionId() {
-      const sessionId = navigationConcept.state.sessionId;
+      const sessionId = navigationConcept.actions.getActivePage().sessionId;
       if (!sessionId) {
         throw new Error('No active page session. Navigate to a page first.');
       }
@@ -30,194 +87,767 @@ export const domConcept = {
     },
 
     /**
-     * Query element using Runtime.evaluate
-     * @param {string} selector - CSS selector
-     * @returns {Promise<Object>} Element data
+     * Resolve a selector and run a function on the matched element in the page
+     * Follows ">>" chains into open shadow roots and iframes. Cross-origin
+     * iframes are entered through a per-frame execution context. Locators
+     * (getByRole etc.) are resolved through the accessibility tree instead.
+     * @param {string|Object} selector - Selector (see parseSelector) or locator
+     * @param {Function|null} fn - Page function (element, ...args) => value; receives all matches when mode is 'all'
+     * @param {Array} args - JSON-serializable arguments for fn
+     * @param {string} mode - 'first' | 'all' | 'handle' (value is the element's remote object ID; release it with Runtime.releaseObject)
+     * @returns {Promise<{found: boolean, value: *, offset: {x: number, y: number}}>} offset is the frame's position in the top-level viewport
      */
-    async _queryElement(selector) {
+    async _evaluateOnElement(selector, fn, args = [], mode = 'first') {
       const self = domConcept;
-      validateSelector(selector);
+
+      if (isLocator(selector)) {
+        return self.actions._evaluateOnLocator(selector, fn, args, mode);
+      }
+
+      let segments = parseSelector(selector);
 
       const sessionId = self.actions._getSessionId();
+      const offset = { x: 0, y: 0 };
+      let frameContext;
+
+      while (true) {
+        // Handles are taken once the element is known to be in this frame
+        const result = await self.actions._evaluateInFrame(
+          mode === 'handle'
+            ? buildSelectorExpression(segments, () => true, [], 'first')
+            : buildSelectorExpression(segments, fn, args, mode),
+          { frameContext, sessionId, returnByValue: true }
+        );
+
+        if (result.exceptionDetails) {
+          throw new SelectorError({
+            selector,
+            reason: result.exceptionDetails.exception?.description || 'Invalid selector'
+          });
+        }
 
-      // Use Runtime.evaluate to query element and get its properties
-      const expression = `
-        (function() {
-          const element = document.querySelector(${JSON.stringify(selector)});
-          if (!element) return null;
-
-          const rect = element.getBoundingClientRect();
-          const styles = window.getComputedStyle(element);
-
-          return {
-            exists: true,
-            visible: rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && styles.display !== 'none',
-            x: rect.x + rect.width / 2,
-            y: rect.y + rect.height / 2,
-            width: rect.width,
-            height: rect.height,
-            text: element.textContent,
-            value: element.value,
-            tagName: element.tagName,
-            disabled: element.disabled || false,
-            opacity: parseFloat(styles.opacity),
-            attributes: Array.from(element.attributes).reduce((acc, attr) => {
-              acc[attr.name] = attr.value;
-              return acc;
-            }, {})
-          };
-        })()
-      `;
-
-      const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
-        expression,
-        returnByValue: true
-      }, sessionId);
+        const outcome = result.result.value;
+
+        // Cross-origin iframe: continue with the remaining segments inside its frame
+        if (outcome.status === 'frame') {
+          const owner = await self.actions._evaluateInFrame(
+            buildSelectorExpression(segments.slice(0, outcome.consumed), null, [], 'handle'),
+            { frameContext, sessionId, returnByValue: false }
+          );
+          const { node } = await browserConcept.actions.sendCDPCommand('DOM.describeNode', {
+            objectId: owner.result.objectId
+          }, sessionId);
+          await browserConcept.actions.sendCDPCommand('Runtime.releaseObject', {
+            objectId: owner.result.objectId
+          }, sessionId);
+
+          frameContext = await self.actions._getFrameContext(node.frameId, sessionId, selector);
+          offset.x += outcome.offset.x;
+          offset.y += outcome.offset.y;
+          segments = segments.slice(outcome.consumed);
+          continue;
+        }
+
+        if (outcome.status === 'found') {
+          offset.x += outcome.offset.x;
+          offset.y += outcome.offset.y;
+
+          if (mode === 'handle') {
+            const handle = await self.actions._evaluateInFrame(
+              buildSelectorExpression(segments, null, [], 'handle'),
+              { frameContext, sessionId, returnByValue: false }
+            );
+            const objectId = handle.result?.objectId;
+            return { found: Boolean(objectId), value: objectId || null, offset };
+          }
+
+          return { found: true, value: outcome.value, offset };
+        }
+
+        return { found: false, value: null, offset };
+      }
+    },
+
+    /**
+     * Resolve a locator and run a function on the matched element in the page
+     * Text nodes from the accessibility tree are mapped to their parent element.
+     * @param {Object} locator - Locator from getByRole/getByLabel/getByPlaceholder/getByText
+     * @param {Function} fn - Page function (element, ...args) => value; receives all matches when mode is 'all'
+     * @param {Array} args - JSON-serializable arguments for fn
+     * @param {string} mode - 'first' | 'all' | 'handle'
+     * @returns {Promise<{found: boolean, value: *, offset: {x: number, y: number}}>}
+     */
+    async _evaluateOnLocator(locator, fn, args = [], mode = 'first') {
+      const self = domConcept;
+      const sessionId = self.actions._getSessionId();
+      const offset = { x: 0, y: 0 };
+
+      const backendNodeIds = await accessibilityConcept.actions.resolve(locator, sessionId);
+      if (backendNodeIds.length === 0) {
+        return { found: false, value: null, offset };
+      }
+
+      if (mode === 'handle') {
+        const { object } = await browserConcept.actions.sendCDPCommand('DOM.resolveNode', {
+          backendNodeId: backendNodeIds[0]
+        }, sessionId);
+        return { found: true, value: object.objectId, offset };
+      }
+
+      const ids = mode === 'all' ? backendNodeIds : backendNodeIds.slice(0, 1);
+      const objectIds = [];
+
+      try {
+        for (const backendNodeId of ids) {
+          const { object } = await browserConcept.actions.sendCDPCommand('DOM.resolveNode', { backendNodeId }, sessionId);
+          objectIds.push(object.objectId);
+        }
+
+        const result = await browserConcept.actions.sendCDPCommand('Runtime.callFunctionOn', {
+          objectId: objectIds[0],
+          functionDeclaration: buildLocatorFunction(fn, mode),
+          arguments: [
+            ...objectIds.map(objectId => ({ objectId })),
+            { value: args }
+          ],
+          returnByValue: true,
+          awaitPromise: true
+        }, sessionId);
+
+        if (result.exceptionDetails) {
+          throw new SelectorError({
+            selector: locator,
+            reason: result.exceptionDetails.exception?.description || 'Evaluation failed'
+          });
+        }
+
+        return { found: true, value: result.result.value, offset };
+      } finally {
+        for (const objectId of objectIds) {
+          await browserConcept.actions.sendCDPCommand('Runtime.releaseObject', { objectId }, sessionId).catch(() => {
+            // Page may have navigated
+          });
+        }
+      }
+    },
+
+    /**
+     * Evaluate an expression in the page or in a frame's execution context
+     * A frame context goes stale when the frame navigates; it is recreated once.
+     * @param {string} expression - Expression to evaluate
+     * @param {Object} options - { frameContext?, sessionId, returnByValue }
+     * @returns {Promise<Object>} Runtime.evaluate result
+     */
+    async _evaluateInFrame(expression, { frameContext, sessionId, returnByValue }) {
+      const self = domConcept;
+      const params = { expression, returnByValue };
+
+      if (!frameContext) {
+        return browserConcept.actions.sendCDPCommand('Runtime.evaluate', params, sessionId);
+      }
+
+      try {
+        return await browserConcept.actions.sendCDPCommand('Runtime.evaluate', { ...params, contextId: frameContext.id }, sessionId);
+      } catch (err) {
+        self.state.frameContexts.delete(frameContext.key);
+        const fresh = await self.actions._getFrameContext(frameContext.frameId, sessionId);
+        return browserConcept.actions.sendCDPCommand('Runtime.evaluate', { ...params, contextId: fresh.id }, sessionId);
+      }
+    },
+
+    /**
+     * Get (or create) an execution context for a frame
+     * @param {string} frameId - Frame ID from DOM.describeNode
+     * @param {string} sessionId - Page session
+     * @param {string} [selector] - Selector being resolved, for errors
+     * @returns {Promise<Object>} { id, key, frameId }
+     */
+    async _getFrameContext(frameId, sessionId, selector) {
+      const self = domConcept;
+      const key = `${sessionId}:${frameId}`;
+
+      if (self.state.frameContexts.has(key)) {
+        return self.state.frameContexts.get(key);
+      }
+
+      // Out-of-process iframes are targets of their own, not reachable from the page's session
+      if (browserConcept.state.targets.get(frameId)?.type === 'iframe') {
+        throw new ElementNotFoundError({
+          selector,
+          action: 'enter iframe',
+          suggestion: 'The cross-origin iframe runs in its own process. Launch with { disableSiteIsolation: true } to query inside it.'
+        });
+      }
 
-      if (result.exceptionDetails) {
-        throw new SelectorError({
+      const { frameTree } = await browserConcept.actions.sendCDPCommand('Page.getFrameTree', {}, sessionId);
+      if (!frameId || !findFrame(frameTree, frameId)) {
+        throw new ElementNotFoundError({
           selector,
-          reason: result.exceptionDetails.exception?.description || 'Invalid selector'
+          action: 'enter iframe',
+          suggestion: 'The iframe has no document yet, or runs out of process. Wait for it to load before querying inside it.'
         });
       }
 
-      const elementData = result.result.value;
+      const { executionContextId } = await browserConcept.actions.sendCDPCommand('Page.createIsolatedWorld', {
+        frameId,
+        worldName: 'ui-test-framework'
+      }, sessionId);
+
+      const context = { id: executionContextId, key, frameId };
+      self.state.frameContexts.set(key, context);
+      return context;
+    },
+
+    /**
+     * Query element data for a selector
+     * @param {string} selector - Selector
+     * @returns {Promise<Object>} Element data, with x/y in top-level viewport coordinates
+     */
+    async _queryElement(selector) {
+      const self = domConcept;
+
+      const { found, value: elementData, offset } = await self.actions._evaluateOnElement(selector, readElement);
 
-      if (!elementData) {
+      if (!found) {
         throw new ElementNotFoundError({
           selector,
-          context: 'queryElement'
+          action: 'queryElement'
         });
       }
 
+      elementData.x += offset.x;
+      elementData.y += offset.y;
+
       return elementData;
     },
 
     /**
-     * Click element at center
-     * @param {string} selector - CSS selector
-     * @returns {Promise<void>}
+     * Query an element and verify it can receive input
+     * @param {string|Object} selector - Selector or locator
+     * @param {string} action - Action name for errors
+     * @param {Object} options - { allowDisabled? } (hover works on disabled elements)
+     * @returns {Promise<Object>} Element data
      */
-    async click(selector) {
+    async _queryInteractable(selector, action, options = {}) {
       const self = domConcept;
 
-      // 1. Validate selector
       validateSelector(selector);
-
-      // 2. Query element via CDP
       const elementData = await self.actions._queryElement(selector);
 
-      // 3. Verify element is interactable
-      if (!isElementInteractable(elementData)) {
+      const interactable = options.allowDisabled ? elementData.visible : isElementInteractable(elementData);
+      if (!interactable) {
         throw new ElementNotInteractableError({
           selector,
+          action,
           reason: !elementData.visible ? 'Element is not visible' : 'Element is disabled',
           state: elementData
         });
       }
 
+      return elementData;
+    },
+
+    /**
+     * Dispatch a mouse event and remember the pointer position
+     * @param {string} type - 'mouseMoved' | 'mousePressed' | 'mouseReleased'
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     * @param {Object} options - { button?, clickCount?, modifiers? }
+     * @returns {Promise<void>}
+     */
+    async _dispatchMouse(type, x, y, options = {}) {
+      const self = domConcept;
+
+      await browserConcept.actions.sendCDPCommand('Input.dispatchMouseEvent', {
+        type,
+        x,
+        y,
+        button: options.button || (type === 'mouseMoved' ? 'none' : 'left'),
+        clickCount: options.clickCount ?? (type === 'mouseMoved' ? 0 : 1),
+        modifiers: modifierMask(options.modifiers || [])
+      }, self.actions._getSessionId());
+
+      self.state.mouse = { x, y };
+    },
+
+    /**
+     * Move to a point and click it; clickCount 2 sends the two clicks of a double-click
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     * @param {Object} options - { button?, clickCount?, modifiers? }
+     * @returns {Promise<void>}
+     */
+    async _clickAt(x, y, options = {}) {
+      const self = domConcept;
+      const button = options.button || 'left';
+
+      if (!MOUSE_BUTTONS.includes(button)) {
+        throw new Error(`Unknown mouse button "${button}". Use one of: ${MOUSE_BUTTONS.join(', ')}`);
+      }
+
+      await self.actions._dispatchMouse('mouseMoved', x, y, { modifiers: options.modifiers });
+
+      for (let clickCount = 1; clickCount <= (options.clickCount || 1); clickCount++) {
+        await self.actions._dispatchMouse('mousePressed', x, y, { ...options, button, clickCount });
+        await self.actions._dispatchMouse('mouseReleased', x, y, { ...options, button, clickCount });
+      }
+    },
+
+    /**
+     * Click element at center and log the interaction
+     * @param {string|Object} selector - Selector or locator
+     * @param {string} action - Logged action name
+     * @param {Object} options - { button?, clickCount?, modifiers? }
+     * @returns {Promise<void>}
+     */
+    async _click(selector, action, options = {}) {
+      const self = domConcept;
+
+      const elementData = await self.actions._queryInteractable(selector, action);
+      await self.actions._clickAt(elementData.x, elementData.y, options);
+
+      self.state.lastInteraction = {
+        action,
+        selector,
+        timestamp: Date.now()
+      };
+
+      self.actions._addSnapshot(snapshotElement(elementData));
+
+      self.notify('elementInteracted', {
+        action,
+        selector,
+        element: snapshotElement(elementData)
+      });
+    },
+
+    /**
+     * Click element at center
+     * @param {string} selector - CSS selector
+     * @param {Object} options - { button?: 'left'|'right'|'middle', clickCount?, modifiers?: string[] }
+     * @returns {Promise<void>}
+     */
+    async click(selector, options = {}) {
+      return domConcept.actions._click(selector, 'click', options);
+    },
+
+    /**
+     * Double-click element at center
+     * @param {string} selector - CSS selector
+     * @param {Object} options - { modifiers?: string[] }
+     * @returns {Promise<void>}
+     */
+    async dblclick(selector, options = {}) {
+      return domConcept.actions._click(selector, 'dblclick', { ...options, clickCount: 2 });
+    },
+
+    /**
+     * Right-click element at center (opens its context menu)
+     * @param {string} selector - CSS selector
+     * @param {Object} options - { modifiers?: string[] }
+     * @returns {Promise<void>}
+     */
+    async rightClick(selector, options = {}) {
+      return domConcept.actions._click(selector, 'rightClick', { ...options, button: 'right' });
+    },
+
+    /**
+     * Move the mouse over element center
+     * @param {string} selector - CSS selector
+     * @returns {Promise<void>}
+     */
+    async hover(selector) {
+      const self = domConcept;
+
+      const elementData = await self.actions._queryInteractable(selector, 'hover', { allowDisabled: true });
+      await self.actions._dispatchMouse('mouseMoved', elementData.x, elementData.y);
+
+      self.state.lastInteraction = {
+        action: 'hover',
+        selector,
+        timestamp: Date.now()
+      };
+
+      self.notify('elementInteracted', {
+        action: 'hover',
+        selector,
+        element: snapshotElement(elementData)
+      });
+    },
+
+    /**
+     * Drag one element onto another
+     * Works for pointer-driven drags (mouse events) and native HTML5
+     * drag-and-drop: a native drag started by the mouse is intercepted and
+     * completed with Input.dispatchDragEvent.
+     * @param {string} source - Selector of the element to drag
+     * @param {string} target - Selector of the drop target
+     * @param {Object} options - { steps? } intermediate mouse moves (default: 5)
+     * @returns {Promise<void>}
+     */
+    async dragAndDrop(source, target, options = {}) {
+      const self = domConcept;
+      const steps = Math.max(1, options.steps || 5);
+
+      const from = await self.actions._queryInteractable(source, 'dragAndDrop');
+      const to = await self.actions._queryElement(target);
       const sessionId = self.actions._getSessionId();
 
-      // 4. Send click event using Input.dispatchMouseEvent
-      const clickActions = [
-        { type: 'mousePressed', x: elementData.x, y: elementData.y, button: 'left', clickCount: 1 },
-        { type: 'mouseReleased', x: elementData.x, y: elementData.y, button: 'left', clickCount: 1 }
-      ];
+      let dragData = null;
+      const unsubscribe = browserConcept.subscribe((event, payload) => {
+        if (event === 'cdpEvent' && payload.method === 'Input.dragIntercepted' && payload.sessionId === sessionId) {
+          dragData = payload.params.data;
+        }
+      });
+
+      try {
+        await browserConcept.actions.sendCDPCommand('Input.setInterceptDrags', { enabled: true }, sessionId);
+
+        await self.actions._dispatchMouse('mouseMoved', from.x, from.y);
+        await self.actions._dispatchMouse('mousePressed', from.x, from.y);
+
+        for (const point of interpolatePoints(from, to, steps)) {
+          await self.actions._dispatchMouse('mouseMoved', point.x, point.y, { button: 'left' });
+        }
+
+        // The drag-start event can arrive just after the move that caused it
+        if (!dragData) {
+          await new Promise(resolve => setTimeout(resolve, DRAG_START_GRACE));
+        }
+
+        if (dragData) {
+          for (const type of ['dragEnter', 'dragOver', 'drop']) {
+            await browserConcept.actions.sendCDPCommand('Input.dispatchDragEvent', {
+              type,
+              x: to.x,
+              y: to.y,
+              data: dragData
+            }, sessionId);
+          }
+        }
+
+        await self.actions._dispatchMouse('mouseReleased', to.x, to.y);
+      } finally {
+        unsubscribe();
+        await browserConcept.actions.sendCDPCommand('Input.setInterceptDrags', { enabled: false }, sessionId).catch(() => {
+          // Page may have navigated away on drop
+        });
+      }
+
+      self.state.lastInteraction = {
+        action: 'dragAndDrop',
+        selector: source,
+        target,
+        timestamp: Date.now()
+      };
+
+      self.notify('elementInteracted', {
+        action: 'dragAndDrop',
+        selector: source,
+        target,
+        native: Boolean(dragData),
+        element: snapshotElement(from)
+      });
+    },
+
+    /**
+     * Scroll element into the center of its scroll containers
+     * @param {string} selector - CSS selector
+     * @returns {Promise<void>}
+     */
+    async scrollIntoView(selector) {
+      const self = domConcept;
+
+      const { found } = await self.actions._evaluateOnElement(selector, (element) => {
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+        return true;
+      });
+
+      if (!found) {
+        throw new ElementNotFoundError({
+          selector,
+          action: 'scrollIntoView'
+        });
+      }
+
+      self.state.lastInteraction = {
+        action: 'scrollIntoView',
+        selector,
+        timestamp: Date.now()
+      };
+
+      self.notify('elementInteracted', {
+        action: 'scrollIntoView',
+        selector
+      });
+    },
+
+    /**
+     * Send keyDown or keyUp for a key
+     * @param {string} type - 'keyDown' | 'keyUp'
+     * @param {string} key - Key name or character (see getKeyDefinition)
+     * @param {string[]} modifiers - Modifier keys held
+     * @returns {Promise<void>}
+     */
+    async _dispatchKey(type, key, modifiers = []) {
+      const self = domConcept;
+
+      await browserConcept.actions.sendCDPCommand(
+        'Input.dispatchKeyEvent',
+        buildKeyEvent(type, key, modifiers),
+        self.actions._getSessionId()
+      );
+    },
+
+    /**
+     * Focus element without clicking it
+     * @param {string} selector - Selector or locator
+     * @param {string} action - Action name for errors
+     * @returns {Promise<void>}
+     */
+    async _focus(selector, action) {
+      const self = domConcept;
+
+      validateSelector(selector);
+      const { found } = await self.actions._evaluateOnElement(selector, (element) => {
+        element.focus();
+        return true;
+      });
+
+      if (!found) {
+        throw new ElementNotFoundError({ selector, action });
+      }
+    },
+
+    /**
+     * Press a key combination, e.g. 'Control+A' or 'Shift+Tab'
+     * Modifiers are held down in order, the key is pressed, and the
+     * modifiers are released in reverse order.
+     * @param {string} combo - Keys joined with "+"
+     * @param {Object} options - { selector? } focus this element first, { delay? } ms between down and up
+     * @returns {Promise<void>}
+     */
+    async hotkey(combo, options = {}) {
+      return domConcept.actions._pressCombo(combo, 'hotkey', options);
+    },
+
+    /**
+     * Press a single key, e.g. 'Enter', 'Tab', 'ArrowDown' or 'a'
+     * @param {string} key - Key name or character (see getKeyDefinition)
+     * @param {Object} options - { selector? } focus this element first, { delay? } ms between down and up
+     * @returns {Promise<void>}
+     */
+    async press(key, options = {}) {
+      // Resolve up front so "+" is the plus key rather than a combination
+      getKeyDefinition(key);
+      return domConcept.actions._pressCombo(key, 'press', options, { modifiers: [], key });
+    },
+
+    /**
+     * Press a parsed key combination and log it
+     * @param {string} combo - Combination as written
+     * @param {string} action - Logged action name
+     * @param {Object} options - { selector?, delay? }
+     * @param {Object} parsed - { modifiers, key } (parsed from combo when omitted)
+     * @returns {Promise<void>}
+     */
+    async _pressCombo(combo, action, options = {}, parsed = parseHotkey(combo)) {
+      const self = domConcept;
+      const { modifiers, key } = parsed;
+
+      if (options.selector !== undefined) {
+        await self.actions._focus(options.selector, action);
+      }
+
+      const held = [];
+      for (const modifier of modifiers) {
+        held.push(modifier);
+        await self.actions._dispatchKey('keyDown', modifier, held);
+      }
+
+      await self.actions._dispatchKey('keyDown', key, held);
+      if (options.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+      }
+      await self.actions._dispatchKey('keyUp', key, held);
+
+      for (const modifier of [...modifiers].reverse()) {
+        held.pop();
+        await self.actions._dispatchKey('keyUp', modifier, held);
+      }
+
+      self.state.lastInteraction = {
+        action,
+        selector: options.selector,
+        key: combo,
+        timestamp: Date.now()
+      };
+
+      self.notify('elementInteracted', {
+        action,
+        selector: options.selector,
+        key: combo
+      });
+    },
+
+    /**
+     * Type text into element
+     * Each character is sent as a real key press; "\n" presses Enter and
+     * "\t" presses Tab.
+     * @param {string} selector - CSS selector
+     * @param {string} text - Text to type
+     * @param {Object} options - Typing options
+     * @returns {Promise<void>}
+     */
+    async type(selector, text, options = {}) {
+      const self = domConcept;
+      const delay = options.delay || 0;
+
+      // 1. Query and validate element
+      const elementData = await self.actions._queryInteractable(selector, 'type');
+
+      // 2. Click element to focus it first
+      await self.actions._clickAt(elementData.x, elementData.y);
+
+      // 3. Type each character
+      for (const char of text) {
+        await self.actions._dispatchKey('keyDown', char);
+        await self.actions._dispatchKey('keyUp', char);
+
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+
+      // 4. Update state and emit event
+      self.state.lastInteraction = {
+        action: 'type',
+        selector,
+        text,
+        timestamp: Date.now()
+      };
+
+      self.actions._addSnapshot(snapshotElement(elementData));
+
+      self.notify('elementInteracted', {
+        action: 'type',
+        selector,
+        text,
+        element: snapshotElement(elementData)
+      });
+    },
+
+    /**
+     * Set the files of an <input type="file">, as if chosen in the file dialog
+     * The input fires "input" and "change". Hidden inputs work, since pages
+     * usually hide the input behind a styled <label>.
+     * @param {string} selector - CSS selector of the file input
+     * @param {string|string[]} paths - File path(s), relative to the working directory; [] clears the selection
+     * @returns {Promise<void>}
+     */
+    async setInputFiles(selector, paths) {
+      const self = domConcept;
+      const files = await resolveFilePaths(paths);
+
+      validateSelector(selector);
+      const { found, value: input } = await self.actions._evaluateOnElement(selector, (element) => ({
+        isFileInput: element.tagName === 'INPUT' && element.type === 'file',
+        multiple: element.multiple,
+        disabled: element.disabled
+      }));
+
+      if (!found) {
+        throw new ElementNotFoundError({
+          selector,
+          action: 'setInputFiles'
+        });
+      }
+
+      const reason = !input.isFileInput ? 'Element is not an <input type="file">'
+        : input.disabled ? 'Element is disabled'
+          : files.length > 1 && !input.multiple ? 'Input does not accept multiple files'
+            : null;
+      if (reason) {
+        throw new ElementNotInteractableError({
+          selector,
+          action: 'setInputFiles',
+          reason
+        });
+      }
+
+      const sessionId = self.actions._getSessionId();
+      const { value: objectId } = await self.actions._evaluateOnElement(selector, null, [], 'handle');
 
-      for (const action of clickActions) {
-        await browserConcept.actions.sendCDPCommand('Input.dispatchMouseEvent', action, sessionId);
+      try {
+        await browserConcept.actions.sendCDPCommand('DOM.setFileInputFiles', { files, objectId }, sessionId);
+      } finally {
+        await browserConcept.actions.sendCDPCommand('Runtime.releaseObject', { objectId }, sessionId).catch(() => {
+          // Page may have navigated on change
+        });
       }
 
-      // 5. Update state and emit event
       self.state.lastInteraction = {
-        action: 'click',
+        action: 'setInputFiles',
         selector,
+        files,
         timestamp: Date.now()
       };
 
-      self.actions._addSnapshot(snapshotElement(elementData));
-
       self.notify('elementInteracted', {
-        action: 'click',
+        action: 'setInputFiles',
         selector,
-        element: snapshotElement(elementData)
+        files: files.map(file => basename(file))
       });
     },
 
     /**
-     * Type text into element
-     * @param {string} selector - CSS selector
-     * @param {string} text - Text to type
-     * @param {Object} options - Typing options
-     * @returns {Promise<void>}
+     * Drop files onto an element, as if dragged in from the desktop
+     * Dispatches dragenter, dragover and drop carrying a DataTransfer with
+     * the files, for drop zones that don't use a file input.
+     * @param {string} selector - CSS selector of the drop zone
+     * @param {string|string[]} paths - File path(s), relative to the working directory
+     * @returns {Promise<{accepted: boolean}>} accepted is true when the page called preventDefault() on drop
      */
-    async type(selector, text, options = {}) {
+    async dropFiles(selector, paths) {
       const self = domConcept;
-      const delay = options.delay || 0;
-
-      // 1. Query and validate element
-      const elementData = await self.actions._queryElement(selector);
-
-      if (!isElementInteractable(elementData)) {
-        throw new ElementNotInteractableError({
-          selector,
-          reason: !elementData.visible ? 'Element is not visible' : 'Element is disabled',
-          state: elementData
+      const filePaths = await resolveFilePaths(paths);
+
+      const files = [];
+      for (const filePath of filePaths) {
+        const [content, info] = await Promise.all([readFile(filePath), stat(filePath)]);
+        files.push({
+          name: basename(filePath),
+          type: getMimeType(filePath),
+          lastModified: info.mtimeMs,
+          base64: content.toString('base64')
         });
       }
 
-      const sessionId = self.actions._getSessionId();
-
-      // 2. Click element to focus it first
-      await browserConcept.actions.sendCDPCommand('Input.dispatchMouseEvent', {
-        type: 'mousePressed',
-        x: elementData.x,
-        y: elementData.y,
-        button: 'left',
-        clickCount: 1
-      }, sessionId);
-
-      await browserConcept.actions.sendCDPCommand('Input.dispatchMouseEvent', {
-        type: 'mouseReleased',
-        x: elementData.x,
-        y: elementData.y,
-        button: 'left',
-        clickCount: 1
-      }, sessionId);
-
-      // 3. Type each character
-      for (const char of text) {
-        await browserConcept.actions.sendCDPCommand('Input.dispatchKeyEvent', {
-          type: 'keyDown',
-          text: char
-        }, sessionId);
-
-        await browserConcept.actions.sendCDPCommand('Input.dispatchKeyEvent', {
-          type: 'keyUp',
-          text: char
-        }, sessionId);
+      validateSelector(selector);
+      const { found, value: accepted } = await self.actions._evaluateOnElement(selector, dispatchFileDrop, [files]);
 
-        if (delay > 0) {
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
+      if (!found) {
+        throw new ElementNotFoundError({
+          selector,
+          action: 'dropFiles'
+        });
       }
 
-      // 4. Update state and emit event
       self.state.lastInteraction = {
-        action: 'type',
+        action: 'dropFiles',
         selector,
-        text,
+        files: filePaths,
         timestamp: Date.now()
       };
 
-      self.actions._addSnapshot(snapshotElement(elementData));
-
       self.notify('elementInteracted', {
-        action: 'type',
+        action: 'dropFiles',
         selector,
-        text,
-        element: snapshotElement(elementData)
+        files: files.map(file => file.name),
+        accepted
       });
+
+      return { accepted };
     },
 
     /**
@@ -228,30 +858,17 @@ export const domConcept = {
      */
     async select(selector, value) {
       const self = domConcept;
-      const sessionId = self.actions._getSessionId();
-
-      // Use Runtime.evaluate to select the option
-      const expression = `
-        (function() {
-          const select = document.querySelector(${JSON.stringify(selector)});
-          if (!select) throw new Error('Select element not found');
-
-          select.value = ${JSON.stringify(value)};
-          select.dispatchEvent(new Event('change', { bubbles: true }));
-
-          return { success: true, value: select.value };
-        })()
-      `;
 
-      const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
-        expression,
-        returnByValue: true
-      }, sessionId);
+      const { found } = await self.actions._evaluateOnElement(selector, (select, value) => {
+        select.value = value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        return select.value;
+      }, [value]);
 
-      if (result.exceptionDetails) {
+      if (!found) {
         throw new ElementNotFoundError({
           selector,
-          context: 'select'
+          action: 'select'
         });
       }
 
@@ -276,31 +893,13 @@ export const domConcept = {
      */
     async check(selector) {
       const self = domConcept;
-      const sessionId = self.actions._getSessionId();
-
-      const expression = `
-        (function() {
-          const element = document.querySelector(${JSON.stringify(selector)});
-          if (!element) throw new Error('Element not found');
-
-          if (!element.checked) {
-            element.checked = true;
-            element.dispatchEvent(new Event('change', { bubbles: true }));
-          }
-
-          return { checked: element.checked };
-        })()
-      `;
 
-      const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
-        expression,
-        returnByValue: true
-      }, sessionId);
+      const { found } = await self.actions._evaluateOnElement(selector, setChecked, [true]);
 
-      if (result.exceptionDetails) {
+      if (!found) {
         throw new ElementNotFoundError({
           selector,
-          context: 'check'
+          action: 'check'
         });
       }
 
@@ -323,31 +922,13 @@ export const domConcept = {
      */
     async uncheck(selector) {
       const self = domConcept;
-      const sessionId = self.actions._getSessionId();
-
-      const expression = `
-        (function() {
-          const element = document.querySelector(${JSON.stringify(selector)});
-          if (!element) throw new Error('Element not found');
-
-          if (element.checked) {
-            element.checked = false;
-            element.dispatchEvent(new Event('change', { bubbles: true }));
-          }
-
-          return { checked: element.checked };
-        })()
-      `;
 
-      const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
-        expression,
-        returnByValue: true
-      }, sessionId);
+      const { found } = await self.actions._evaluateOnElement(selector, setChecked, [false]);
 
-      if (result.exceptionDetails) {
+      if (!found) {
         throw new ElementNotFoundError({
           selector,
-          context: 'uncheck'
+          action: 'uncheck'
         });
       }
 
@@ -407,24 +988,18 @@ export const domConcept = {
      * @returns {Promise<boolean>}
      */
     async exists(selector) {
-      const self = domConcept;
-      validateSelector(selector);
-
-      const sessionId = self.actions._getSessionId();
-
-      const expression = `
-        (function() {
-          const element = document.querySelector(${JSON.stringify(selector)});
-          return element !== null;
-        })()
-      `;
-
-      const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
-        expression,
-        returnByValue: true
-      }, sessionId);
+      const { found } = await domConcept.actions._evaluateOnElement(selector, () => true);
+      return found;
+    },
 
-      return result.result.value === true;
+    /**
+     * Count elements matching selector
+     * @param {string} selector - CSS selector
+     * @returns {Promise<number>}
+     */
+    async count(selector) {
+      const { found, value } = await domConcept.actions._evaluateOnElement(selector, elements => elements.length, [], 'all');
+      return found ? value : 0;
     },
 
     /**
@@ -464,6 +1039,34 @@ export const domConcept = {
  * @throws {SelectorError} If selector is invalid
  */
 export function validateSelector(selector) {
+  // Locators are validated when created
+  if (isLocator(selector)) {
+    return;
+  }
+
+  // Basic validation - browser will do full validation of CSS parts
+  parseSelector(selector);
+}
+
+/**
+ * Parse a selector into chained segments
+ *
+ * Segments are joined with ">>" (or ">>>"); each is resolved inside the
+ * element matched by the previous one, including its open shadow root or,
+ * for an iframe, its document. CSS segments pierce open shadow roots.
+ *
+ *   css=.item / .item       CSS selector
+ *   text=Save               Element whose text contains "Save" (case-insensitive)
+ *   text="Save"             Element whose text is exactly "Save"
+ *   text=/^save$/i          Element whose text matches the pattern
+ *   role=button[name=Save]  Element with the ARIA role (explicit or implicit) and accessible name
+ *   data-testid=upload      Element with data-testid="upload"
+ *
+ * @param {string} selector - Selector
+ * @returns {Array<Object>} Segments { engine: 'css'|'text'|'role', selector?, pattern?, role?, name? }
+ * @throws {SelectorError} If selector is invalid
+ */
+export function parseSelector(selector) {
   if (typeof selector !== 'string' || selector.trim() === '') {
     throw new SelectorError({
       selector,
@@ -471,14 +1074,576 @@ export function validateSelector(selector) {
     });
   }
 
-  // Basic validation - browser will do full validation
-  if (selector.includes('>>') || selector.includes('>>>')) {
-    throw new SelectorError({
-      selector,
-      reason: 'Shadow DOM piercing selectors not supported in v1.0',
-      suggestion: 'Use standard CSS selectors only'
-    });
+  return splitSelectorChain(selector).map(part => {
+    if (part === '') {
+      throw new SelectorError({
+        selector,
+        reason: 'Empty segment in ">>" chain'
+      });
+    }
+
+    const prefixed = /^(css|text|role|data-testid)=([\s\S]*)$/.exec(part);
+    if (!prefixed) {
+      return { engine: 'css', selector: part };
+    }
+
+    const [, engine, body] = prefixed;
+    if (body.trim() === '') {
+      throw new SelectorError({
+        selector,
+        reason: `Missing value after "${engine}="`
+      });
+    }
+
+    switch (engine) {
+      case 'css':
+        return { engine: 'css', selector: body };
+
+      case 'data-testid':
+        return { engine: 'css', selector: `[data-testid=${JSON.stringify(unquote(body.trim()))}]` };
+
+      case 'text':
+        return { engine: 'text', pattern: parseTextPattern(body) };
+
+      case 'role': {
+        const role = /^([a-zA-Z-]+)(?:\[name=([\s\S]+)\])?$/.exec(body.trim());
+        if (!role) {
+          throw new SelectorError({
+            selector,
+            reason: `Invalid role selector "${body}"`,
+            suggestion: 'Use role=button or role=button[name="Save"]'
+          });
+        }
+        return {
+          engine: 'role',
+          role: role[1].toLowerCase(),
+          name: role[2] ? parseTextPattern(role[2]) : null
+        };
+      }
+    }
+  });
+}
+
+/**
+ * Split a selector on ">>" / ">>>" outside quotes
+ * @param {string} selector - Selector
+ * @returns {string[]} Trimmed parts
+ */
+export function splitSelectorChain(selector) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (quote) {
+      if (char === '\\') {
+        current += char + (selector[++i] ?? '');
+        continue;
+      }
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '>' && selector[i + 1] === '>') {
+      parts.push(current.trim());
+      current = '';
+      i += selector[i + 2] === '>' ? 2 : 1;
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse the value of text= or a role name into a match pattern
+ * @param {string} value - Text, "quoted text" or /pattern/flags
+ * @returns {Object} { text, exact } or { regex, flags }
+ */
+export function parseTextPattern(value) {
+  const trimmed = value.trim();
+  const regex = /^\/([\s\S]+)\/([a-z]*)$/.exec(trimmed);
+
+  if (regex) {
+    return { regex: regex[1], flags: regex[2] };
+  }
+  if (/^(["']).*\1$/s.test(trimmed)) {
+    return { text: unquote(trimmed), exact: true };
+  }
+  return { text: trimmed, exact: false };
+}
+
+/**
+ * Strip matching surrounding quotes
+ * @param {string} value - Possibly quoted value
+ * @returns {string}
+ */
+function unquote(value) {
+  return /^(["']).*\1$/s.test(value) ? value.slice(1, -1) : value;
+}
+
+/**
+ * Build the page expression that resolves segments and runs fn on the match
+ * @param {Array<Object>} segments - Parsed selector segments
+ * @param {Function|null} fn - Page function to run on the match
+ * @param {Array} args - Arguments for fn
+ * @param {string} mode - 'first' | 'all' | 'handle' (return the element itself)
+ * @returns {string} Expression for Runtime.evaluate
+ */
+export function buildSelectorExpression(segments, fn, args, mode) {
+  return `(${pageSelectorEngine.toString()})(${JSON.stringify(segments)}, ${fn ? fn.toString() : 'null'}, ${JSON.stringify(args)}, ${JSON.stringify(mode)})`;
+}
+
+/**
+ * Build the function declaration that runs fn on locator-resolved nodes
+ * Called with the resolved nodes followed by fn's argument list.
+ * @param {Function} fn - Page function to run on the match
+ * @param {string} mode - 'first' | 'all'
+ * @returns {string} Function declaration for Runtime.callFunctionOn
+ */
+export function buildLocatorFunction(fn, mode) {
+  return `function(...params) {
+    const args = params.pop();
+    const elements = params.map(node => node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    return (${fn.toString()})(${mode === 'all' ? 'elements' : 'elements[0]'}, ...args);
+  }`;
+}
+
+/**
+ * Look up a key on the US keyboard layout
+ * Accepts key names ("Enter", "ArrowLeft", "F5", "Control"), aliases
+ * ("Esc", "Ctrl", "Cmd", "Space") and single characters. Characters off
+ * the layout (e.g. "é") are sent as text only.
+ * @param {string} key - Key name or character
+ * @returns {Object} { key, code, keyCode, text?, location?, shiftKey? }
+ * @throws {Error} On an unknown key name
+ */
+export function getKeyDefinition(key) {
+  const name = KEY_ALIASES[key] ?? key;
+  const definition = KEY_DEFINITIONS[name];
+
+  if (definition) {
+    return { key: name, ...definition };
+  }
+  if (typeof key === 'string' && [...key].length === 1) {
+    return { key, code: '', keyCode: 0, text: key };
+  }
+
+  throw new Error(`Unknown key "${key}". Use a key name such as Enter, Tab, ArrowDown, Escape or F1, or a single character.`);
+}
+
+/**
+ * Split a key combination into modifiers and key
+ * @param {string} combo - e.g. 'Control+Shift+K', 'Meta+=' or 'Control++'
+ * @returns {{modifiers: string[], key: string}}
+ * @throws {Error} If a modifier isn't a modifier key or the key is missing
+ */
+export function parseHotkey(combo) {
+  if (typeof combo !== 'string' || combo === '') {
+    throw new Error('Hotkey must be a non-empty string, e.g. "Control+A"');
+  }
+
+  // A trailing "++" means the plus key itself
+  const parts = combo.endsWith('++')
+    ? [...combo.slice(0, -2).split('+'), '+']
+    : combo.split('+');
+
+  if (parts.some(part => part === '')) {
+    throw new Error(`Invalid hotkey "${combo}": empty key between "+" separators`);
+  }
+
+  const key = parts.pop();
+  const modifiers = parts.map(part => getKeyDefinition(part).key);
+
+  const invalid = modifiers.filter(modifier => !(modifier in MODIFIER_BITS));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid hotkey "${combo}": ${invalid.join(', ')} is not a modifier (Alt, Control, Meta, Shift)`);
+  }
+
+  getKeyDefinition(key);
+  return { modifiers, key };
+}
+
+/**
+ * CDP modifier bitmask for held modifier keys
+ * @param {string[]} modifiers - e.g. ['Control', 'Shift']
+ * @returns {number}
+ */
+export function modifierMask(modifiers) {
+  return modifiers.reduce((mask, modifier) => mask | (MODIFIER_BITS[modifier] || 0), 0);
+}
+
+/**
+ * Build Input.dispatchKeyEvent params for a key
+ * Shift selects the shifted character; with Control, Alt or Meta held no
+ * text is inserted, so shortcuts reach the page as key events only.
+ * @param {string} type - 'keyDown' | 'keyUp'
+ * @param {string} key - Key name or character
+ * @param {string[]} modifiers - Modifier keys held
+ * @returns {Object} CDP params
+ */
+export function buildKeyEvent(type, key, modifiers = []) {
+  const definition = getKeyDefinition(key);
+  const shifted = modifiers.includes('Shift') && definition.shiftKey;
+  const command = modifiers.some(modifier => modifier !== 'Shift');
+
+  const keyName = shifted ? definition.shiftKey : definition.key;
+  const text = command ? undefined : (shifted ? definition.shiftKey : definition.text);
+
+  const params = {
+    type: type === 'keyUp' ? 'keyUp' : (text ? 'keyDown' : 'rawKeyDown'),
+    key: keyName,
+    code: definition.code,
+    windowsVirtualKeyCode: definition.keyCode,
+    nativeVirtualKeyCode: definition.keyCode,
+    modifiers: modifierMask(modifiers),
+    location: definition.location || 0
+  };
+
+  if (type !== 'keyUp' && text) {
+    params.text = text;
+    params.unmodifiedText = text;
+  }
+
+  return params;
+}
+
+/**
+ * Points from one position to another, excluding the start
+ * @param {{x: number, y: number}} from - Start
+ * @param {{x: number, y: number}} to - End
+ * @param {number} steps - Number of points
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function interpolatePoints(from, to, steps) {
+  return Array.from({ length: steps }, (_, i) => ({
+    x: from.x + (to.x - from.x) * (i + 1) / steps,
+    y: from.y + (to.y - from.y) * (i + 1) / steps
+  }));
+}
+
+/**
+ * MIME type for a file, from its extension
+ * @param {string} filePath - File path
+ * @returns {string} MIME type (application/octet-stream when unknown)
+ */
+export function getMimeType(filePath) {
+  return MIME_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Resolve file paths and check they exist
+ * @param {string|string[]} paths - File path(s)
+ * @returns {Promise<string[]>} Absolute paths
+ * @throws {Error} If a path is missing or not a file
+ */
+async function resolveFilePaths(paths) {
+  const list = Array.isArray(paths) ? paths : [paths];
+  const resolved = [];
+
+  for (const path of list) {
+    const absolute = resolvePath(path);
+    const info = await stat(absolute).catch(() => null);
+    if (!info || !info.isFile()) {
+      throw new Error(`File not found: ${absolute}`);
+    }
+    resolved.push(absolute);
+  }
+
+  return resolved;
+}
+
+/**
+ * Build the US keyboard layout table
+ * @returns {Object} key -> definition
+ */
+function buildKeyDefinitions() {
+  const keys = {
+    Backspace: { code: 'Backspace', keyCode: 8 },
+    Tab: { code: 'Tab', keyCode: 9 },
+    Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+    Shift: { code: 'ShiftLeft', keyCode: 16, location: 1 },
+    Control: { code: 'ControlLeft', keyCode: 17, location: 1 },
+    Alt: { code: 'AltLeft', keyCode: 18, location: 1 },
+    Meta: { code: 'MetaLeft', keyCode: 91, location: 1 },
+    Pause: { code: 'Pause', keyCode: 19 },
+    CapsLock: { code: 'CapsLock', keyCode: 20 },
+    Escape: { code: 'Escape', keyCode: 27 },
+    ' ': { code: 'Space', keyCode: 32, text: ' ' },
+    PageUp: { code: 'PageUp', keyCode: 33 },
+    PageDown: { code: 'PageDown', keyCode: 34 },
+    End: { code: 'End', keyCode: 35 },
+    Home: { code: 'Home', keyCode: 36 },
+    ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+    ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+    ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+    ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+    Insert: { code: 'Insert', keyCode: 45 },
+    Delete: { code: 'Delete', keyCode: 46 },
+    ContextMenu: { code: 'ContextMenu', keyCode: 93 }
+  };
+
+  for (let i = 1; i <= 12; i++) {
+    keys[`F${i}`] = { code: `F${i}`, keyCode: 111 + i };
+  }
+
+  for (const letter of 'abcdefghijklmnopqrstuvwxyz') {
+    const upper = letter.toUpperCase();
+    const definition = { code: `Key${upper}`, keyCode: upper.charCodeAt(0) };
+    keys[letter] = { ...definition, text: letter, shiftKey: upper };
+    keys[upper] = { ...definition, text: upper };
+  }
+
+  // Character, shifted character, code, keyCode
+  const symbols = [
+    ['0', ')', 'Digit0', 48], ['1', '!', 'Digit1', 49], ['2', '@', 'Digit2', 50],
+    ['3', '#', 'Digit3', 51], ['4', '$', 'Digit4', 52], ['5', '%', 'Digit5', 53],
+    ['6', '^', 'Digit6', 54], ['7', '&', 'Digit7', 55], ['8', '*', 'Digit8', 56],
+    ['9', '(', 'Digit9', 57], [';', ':', 'Semicolon', 186], ['=', '+', 'Equal', 187],
+    [',', '<', 'Comma', 188], ['-', '_', 'Minus', 189], ['.', '>', 'Period', 190],
+    ['/', '?', 'Slash', 191], ['`', '~', 'Backquote', 192], ['[', '{', 'BracketLeft', 219],
+    ['\\', '|', 'Backslash', 220], [']', '}', 'BracketRight', 221], ["'", '"', 'Quote', 222]
+  ];
+
+  for (const [char, shifted, code, keyCode] of symbols) {
+    keys[char] = { code, keyCode, text: char, shiftKey: shifted };
+    keys[shifted] = { code, keyCode, text: shifted };
+  }
+
+  return keys;
+}
+
+/**
+ * Find a frame in a Page.getFrameTree result
+ * @param {Object} frameTree - { frame, childFrames? }
+ * @param {string} frameId - Frame ID
+ * @returns {Object|null} Frame
+ */
+export function findFrame(frameTree, frameId) {
+  if (frameTree.frame.id === frameId) {
+    return frameTree.frame;
+  }
+  for (const child of frameTree.childFrames || []) {
+    const frame = findFrame(child, frameId);
+    if (frame) return frame;
+  }
+  return null;
+}
+
+// Page functions: serialized into Runtime.evaluate, so they must not
+// reference anything outside their own bodies.
+
+/**
+ * Selector engine run inside the page
+ * Returns { status: 'found', value, offset }, { status: 'notFound' }, or
+ * { status: 'frame', consumed, offset } when the chain continues into a
+ * cross-origin iframe that must be entered through its own context.
+ */
+function pageSelectorEngine(segments, fn, args, mode) {
+  const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE']);
+  const TEXT_NAMED = new Set(['button', 'link', 'heading', 'listitem', 'option', 'cell', 'columnheader', 'tab', 'menuitem', 'checkbox', 'radio']);
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+  const matchesPattern = (value, pattern) => {
+    if (pattern.regex) return new RegExp(pattern.regex, pattern.flags).test(value);
+    if (pattern.exact) return value === pattern.text;
+    return value.toLowerCase().includes(pattern.text.toLowerCase());
+  };
+
+  // querySelectorAll that also searches open shadow roots
+  const queryAll = (scope, css) => {
+    const results = [];
+    const visit = (root) => {
+      results.push(...root.querySelectorAll(css));
+      if (root.shadowRoot) visit(root.shadowRoot);
+      for (const element of root.querySelectorAll('*')) {
+        if (element.shadowRoot) visit(element.shadowRoot);
+      }
+    };
+    visit(scope);
+    return results;
+  };
+
+  const implicitRole = (element) => {
+    const tag = element.tagName.toLowerCase();
+    const type = (element.getAttribute('type') || '').toLowerCase();
+
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    switch (tag) {
+      case 'button': return 'button';
+      case 'a':
+      case 'area': return element.hasAttribute('href') ? 'link' : null;
+      case 'input':
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox' || type === 'radio') return type;
+        if (type === 'range') return 'slider';
+        if (type === 'search') return 'searchbox';
+        return type === 'hidden' ? null : 'textbox';
+      case 'textarea': return 'textbox';
+      case 'select': return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'option': return 'option';
+      case 'img': return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'ul':
+      case 'ol': return 'list';
+      case 'li': return 'listitem';
+      case 'nav': return 'navigation';
+      case 'main': return 'main';
+      case 'dialog': return 'dialog';
+      case 'table': return 'table';
+      case 'tr': return 'row';
+      case 'td': return 'cell';
+      case 'th': return 'columnheader';
+      case 'form': return 'form';
+      case 'progress': return 'progressbar';
+      default: return null;
+    }
+  };
+
+  const roleOf = (element) => (element.getAttribute('role') || '').trim().split(/\s+/)[0] || implicitRole(element);
+
+  const nameOf = (element) => {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = element.getRootNode();
+      return normalize(labelledBy.split(/\s+/).map(id => root.getElementById?.(id)?.textContent || '').join(' '));
+    }
+    const label = element.getAttribute('aria-label');
+    if (label) return normalize(label);
+    if (element.labels && element.labels.length > 0) {
+      return normalize(Array.from(element.labels).map(l => l.textContent).join(' '));
+    }
+    if (element.tagName === 'IMG' || element.tagName === 'AREA' || (element.tagName === 'INPUT' && element.type === 'image')) {
+      return normalize(element.getAttribute('alt'));
+    }
+    if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+      return normalize(element.value);
+    }
+    const text = TEXT_NAMED.has(roleOf(element)) ? normalize(element.textContent) : '';
+    return text || normalize(element.getAttribute('title') || element.getAttribute('placeholder'));
+  };
+
+  const find = (scope, segment) => {
+    if (segment.engine === 'css') {
+      return queryAll(scope, segment.selector);
+    }
+
+    const candidates = queryAll(scope, '*').filter(element => !SKIP.has(element.tagName));
+
+    if (segment.engine === 'text') {
+      const matches = candidates.filter(element => matchesPattern(normalize(element.textContent), segment.pattern));
+      // Prefer the innermost element containing the text
+      return matches.filter(element => !matches.some(other => other !== element && element.contains(other)));
+    }
+
+    return candidates.filter(element =>
+      roleOf(element) === segment.role && (!segment.name || matchesPattern(nameOf(element), segment.name))
+    );
+  };
+
+  let scope = document;
+  let offset = { x: 0, y: 0 };
+
+  for (let i = 0; i < segments.length; i++) {
+    const matches = find(scope, segments[i]);
+
+    if (matches.length === 0) {
+      return mode === 'handle' ? null : { status: 'notFound' };
+    }
+
+    if (i === segments.length - 1) {
+      if (mode === 'handle') return matches[0];
+      const value = mode === 'all' ? fn(matches, ...args) : fn(matches[0], ...args);
+      return { status: 'found', value, offset };
+    }
+
+    const element = matches[0];
+
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      const rect = element.getBoundingClientRect();
+      const styles = window.getComputedStyle(element);
+      const frameOffset = {
+        x: offset.x + rect.left + element.clientLeft + (parseFloat(styles.paddingLeft) || 0),
+        y: offset.y + rect.top + element.clientTop + (parseFloat(styles.paddingTop) || 0)
+      };
+
+      if (!element.contentDocument) {
+        return { status: 'frame', consumed: i + 1, offset: frameOffset };
+      }
+
+      scope = element.contentDocument;
+      offset = frameOffset;
+    } else {
+      scope = element;
+    }
+  }
+}
+
+/**
+ * Read element state used by interactions, queries and matchers
+ */
+function readElement(element) {
+  const rect = element.getBoundingClientRect();
+  const styles = window.getComputedStyle(element);
+
+  return {
+    exists: true,
+    visible: rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && styles.display !== 'none',
+    x: rect.x + rect.width / 2,
+    y: rect.y + rect.height / 2,
+    width: rect.width,
+    height: rect.height,
+    text: element.textContent,
+    value: element.value,
+    tagName: element.tagName,
+    disabled: element.disabled || false,
+    checked: element.checked || false,
+    opacity: parseFloat(styles.opacity),
+    attributes: Array.from(element.attributes).reduce((acc, attr) => {
+      acc[attr.name] = attr.value;
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Dispatch a file drop on an element
+ */
+function dispatchFileDrop(element, files) {
+  const dataTransfer = new DataTransfer();
+  for (const file of files) {
+    const bytes = Uint8Array.from(atob(file.base64), char => char.charCodeAt(0));
+    dataTransfer.items.add(new File([bytes], file.name, { type: file.type, lastModified: file.lastModified }));
+  }
+
+  const rect = element.getBoundingClientRect();
+  const init = {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    clientX: rect.x + rect.width / 2,
+    clientY: rect.y + rect.height / 2,
+    dataTransfer
+  };
+
+  element.dispatchEvent(new DragEvent('dragenter', init));
+  element.dispatchEvent(new DragEvent('dragover', init));
+  return !element.dispatchEvent(new DragEvent('drop', init));
+}
+
+/**
+ * Set a checkbox or radio, firing change when the state flips
+ */
+function setChecked(element, checked) {
+  if (element.checked !== checked) {
+    element.checked = checked;
+    element.dispatchEvent(new Event('change', { bubbles: true }));
   }
+  return element.checked;
 }
 
 /**
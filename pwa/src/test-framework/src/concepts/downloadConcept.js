@@ -0,0 +1,260 @@
+/**
+ * Download Concept
+ * Captures files the page downloads so tests can inspect them.
+ *
+ * Downloads are saved under <outputDir>/downloads, named by their CDP guid, using
+ * Browser.setDownloadBehavior. Progress comes from the downloadWillBegin /
+ * downloadProgress events.
+ */
+
+import { mkdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { TimeoutError } from '../errors/index.js';
+import { browserConcept } from './browserConcept.js';
+import { contextConcept } from './contextConcept.js';
+import { reportConcept } from './reportConcept.js';
+import { getMimeType } from './domConcept.js';
+
+export const downloadConcept = {
+  state: {
+    downloadDir: null,       // Defaults to <report outputDir>/downloads
+    enabled: false,
+    downloads: new Map(),    // guid -> download
+    waiters: [],             // Pending waitForDownload calls { download, resolve, reject }
+    unsubscribeCDP: null     // CDP event subscription
+  },
+
+  actions: {
+    /**
+     * Save downloads to disk and start tracking them
+     * Applies to the default browser context and every isolated test context.
+     * @param {Object} options - { downloadDir? }
+     * @returns {Promise<void>}
+     */
+    async enable(options = {}) {
+      const self = downloadConcept;
+
+      if (options.downloadDir) {
+        self.state.downloadDir = options.downloadDir;
+      }
+      await mkdir(getDownloadDir(), { recursive: true });
+
+      if (!self.state.unsubscribeCDP) {
+        self.state.unsubscribeCDP = browserConcept.subscribe((event, payload) => {
+          if (event === 'cdpEvent') {
+            self.actions.handleCDPEvent(payload);
+          } else if (event === 'browserClosed') {
+            self.actions.reset();
+          }
+        });
+      }
+
+      self.state.enabled = true;
+
+      await self.actions.applyToContext();
+      for (const context of contextConcept.state.contexts.values()) {
+        await self.actions.applyToContext(context.browserContextId);
+      }
+    },
+
+    /**
+     * Set the download behavior of a browser context
+     * @param {string} [browserContextId] - Context (default context when omitted)
+     * @returns {Promise<void>}
+     */
+    async applyToContext(browserContextId) {
+      const self = downloadConcept;
+
+      if (!self.state.enabled) return;
+
+      await browserConcept.actions.sendCDPCommand('Browser.setDownloadBehavior', {
+        behavior: 'allowAndName',
+        downloadPath: getDownloadDir(),
+        eventsEnabled: true,
+        ...(browserContextId ? { browserContextId } : {})
+      });
+    },
+
+    /**
+     * Wait for the next download to finish
+     * Start waiting before the action that triggers the download.
+     * @param {Object} options - { timeout? } ms until the download completes (default: 30000)
+     * @returns {Promise<Object>} { guid, url, suggestedFilename, guessedMimeType, path, size }
+     * @throws {TimeoutError} If no download completes in time
+     * @throws {Error} If the download is canceled
+     */
+    async waitForDownload(options = {}) {
+      const self = downloadConcept;
+      const timeout = options.timeout ?? 30000;
+
+      if (!self.state.enabled) {
+        await self.actions.enable();
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = { download: null };
+
+        const timer = setTimeout(() => {
+          settle();
+          reject(new TimeoutError({
+            selector: waiter.download ? waiter.download.suggestedFilename : 'download',
+            timeout,
+            action: 'waitForDownload'
+          }));
+        }, timeout);
+
+        const settle = () => {
+          clearTimeout(timer);
+          self.state.waiters = self.state.waiters.filter(w => w !== waiter);
+        };
+
+        waiter.resolve = (download) => {
+          settle();
+          resolve(download);
+        };
+        waiter.reject = (err) => {
+          settle();
+          reject(err);
+        };
+
+        self.state.waiters.push(waiter);
+      });
+    },
+
+    /**
+     * Track download events
+     * @param {Object} payload - { method, params, sessionId }
+     */
+    handleCDPEvent(payload) {
+      const self = downloadConcept;
+      const { method, params } = payload;
+
+      // Browser.* events come from setDownloadBehavior; Page.* from pages with the Page domain on
+      if (method === 'Browser.downloadWillBegin' || method === 'Page.downloadWillBegin') {
+        if (self.state.downloads.has(params.guid)) return;
+
+        const download = createDownloadEntry(params, getDownloadDir());
+        self.state.downloads.set(download.guid, download);
+
+        // The first waiter without a download claims this one
+        const waiter = self.state.waiters.find(w => !w.download);
+        if (waiter) {
+          waiter.download = download;
+        }
+
+        self.notify('downloadStarted', {
+          url: download.url,
+          suggestedFilename: download.suggestedFilename
+        });
+        return;
+      }
+
+      if (method === 'Browser.downloadProgress' || method === 'Page.downloadProgress') {
+        const download = self.state.downloads.get(params.guid);
+        if (!download || download.state !== 'inProgress') return;
+
+        download.size = params.receivedBytes;
+        download.state = params.state;
+
+        if (params.state === 'inProgress') return;
+
+        download.duration = Date.now() - download.startTime;
+        const waiters = self.state.waiters.filter(w => w.download === download);
+
+        if (params.state === 'completed') {
+          waiters.forEach(w => w.resolve(toDownloadResult(download)));
+          self.notify('downloadCompleted', toDownloadResult(download));
+        } else {
+          waiters.forEach(w => w.reject(new Error(`Download canceled: ${download.suggestedFilename} (${download.url})`)));
+          self.notify('downloadCanceled', toDownloadResult(download));
+        }
+      }
+    },
+
+    /**
+     * Get tracked downloads
+     * @returns {Array<Object>} Downloads in start order { ..., state }
+     */
+    getDownloads() {
+      return Array.from(downloadConcept.state.downloads.values()).map(download => ({
+        ...toDownloadResult(download),
+        state: download.state
+      }));
+    },
+
+    /**
+     * Forget downloads and pending waits (browser closed)
+     */
+    reset() {
+      const self = downloadConcept;
+
+      self.state.waiters.forEach(w => w.reject(new Error('Browser closed while waiting for download')));
+      self.state.waiters = [];
+      self.state.downloads.clear();
+      self.state.enabled = false;
+
+      if (self.state.unsubscribeCDP) {
+        self.state.unsubscribeCDP();
+        self.state.unsubscribeCDP = null;
+      }
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+/**
+ * Absolute download directory
+ * @returns {string}
+ */
+function getDownloadDir() {
+  return resolve(downloadConcept.state.downloadDir || join(reportConcept.state.outputDir, 'downloads'));
+}
+
+// Pure functions for download concept
+
+/**
+ * Create a download entry from a downloadWillBegin event
+ * @param {Object} params - Event params { guid, url, suggestedFilename }
+ * @param {string} downloadDir - Download directory
+ * @returns {Object} Download entry
+ */
+export function createDownloadEntry(params, downloadDir) {
+  return {
+    guid: params.guid,
+    url: params.url,
+    suggestedFilename: params.suggestedFilename,
+    // Download events carry no Content-Type, so the type is only a guess
+    guessedMimeType: getMimeType(params.suggestedFilename || ''),
+    path: join(resolve(downloadDir), params.guid),
+    size: 0,
+    state: 'inProgress',
+    startTime: Date.now(),
+    duration: 0
+  };
+}
+
+/**
+ * Public view of a download entry
+ * @param {Object} download - Download entry
+ * @returns {Object} { guid, url, suggestedFilename, guessedMimeType, path, size, duration }
+ */
+export function toDownloadResult(download) {
+  return {
+    guid: download.guid,
+    url: download.url,
+    suggestedFilename: download.suggestedFilename,
+    guessedMimeType: download.guessedMimeType,
+    path: download.path,
+    size: download.size,
+    duration: download.duration
+  };
+}
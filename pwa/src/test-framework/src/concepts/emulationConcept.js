@@ -0,0 +1,435 @@
+/**
+ * Emulation Concept
+ * Emulates devices (viewport, pixel ratio, touch, user agent), media
+ * features, timezone, locale and geolocation.
+ *
+ * Settings belong to a browser context: every page of the context gets them,
+ * including popups attached later (pageAttached). Runtime changes apply to
+ * the active page's context. Emulation is per CDP session, so all commands
+ * for a page are sent together and arrive before any later page command.
+ */
+
+import { browserConcept } from './browserConcept.js';
+import { navigationConcept } from './navigationConcept.js';
+
+// Named device profiles for emulateDevice() and { device } options
+export const DEVICES = {
+  'iPhone SE': {
+    viewport: { width: 375, height: 667 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1'
+  },
+  'iPhone 13': {
+    viewport: { width: 390, height: 844 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1'
+  },
+  'Pixel 7': {
+    viewport: { width: 412, height: 915 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+  },
+  'iPad Mini': {
+    viewport: { width: 768, height: 1024 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1'
+  },
+  'Galaxy Tab S4': {
+    viewport: { width: 712, height: 1138 },
+    deviceScaleFactor: 2.25,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 8.1.0; SM-T837A) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  },
+  'Desktop': {
+    viewport: { width: 1280, height: 720 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  }
+};
+
+const EMULATION_KEYS = [
+  'device', 'viewport', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'userAgent',
+  'colorScheme', 'reducedMotion', 'print', 'timezone', 'locale', 'geolocation'
+];
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION = ['reduce', 'no-preference'];
+
+// Touch points reported by emulated touch screens
+const MAX_TOUCH_POINTS = 5;
+
+export const emulationConcept = {
+  state: {
+    contexts: new Map(),     // browserContextId -> settings
+    userAgent: null          // Browser's own user agent, restored when an override is dropped
+  },
+
+  actions: {
+    /**
+     * Emulate a device or environment on the active page's context
+     * Merges with the context's current settings.
+     * @param {Object} options - { device?, viewport?, deviceScaleFactor?, isMobile?, hasTouch?,
+     *   userAgent?, colorScheme?, reducedMotion?, print?, timezone?, locale?, geolocation? }
+     * @returns {Promise<Object>} The context's settings
+     */
+    async emulate(options) {
+      const self = emulationConcept;
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+      const browserContextId = getBrowserContextId(targetId);
+      const settings = { ...self.state.contexts.get(browserContextId), ...resolveEmulation(options) };
+
+      await self.actions.setContextEmulation(browserContextId, settings);
+      return settings;
+    },
+
+    /**
+     * Resize the active page's viewport
+     * @param {Object} viewport - { width, height }
+     * @returns {Promise<Object>}
+     */
+    async setViewport(viewport) {
+      return emulationConcept.actions.emulate({ viewport });
+    },
+
+    /**
+     * Emulate a named device profile (see DEVICES) or a custom profile
+     * @param {string|Object} device - Profile name, or { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent }
+     * @returns {Promise<Object>}
+     */
+    async emulateDevice(device) {
+      return emulationConcept.actions.emulate(
+        typeof device === 'string' ? { device } : pickEmulationOptions(device)
+      );
+    },
+
+    /**
+     * Emulate CSS media features
+     * @param {Object} media - { colorScheme?, reducedMotion?, print? }
+     *   colorScheme: 'light' | 'dark' | 'no-preference'; reducedMotion: 'reduce' | 'no-preference';
+     *   print: emulate print media. null clears a feature.
+     * @returns {Promise<Object>}
+     */
+    async emulateMedia(media) {
+      return emulationConcept.actions.emulate(media);
+    },
+
+    /**
+     * Override the timezone
+     * @param {string|null} timezone - IANA timezone ID (e.g. 'Europe/Berlin'), null to clear
+     * @returns {Promise<Object>}
+     */
+    async setTimezone(timezone) {
+      return emulationConcept.actions.emulate({ timezone });
+    },
+
+    /**
+     * Override the locale (Intl formatting, navigator.language and Accept-Language)
+     * @param {string|null} locale - BCP 47 locale (e.g. 'de-DE'), null to clear
+     * @returns {Promise<Object>}
+     */
+    async setLocale(locale) {
+      return emulationConcept.actions.emulate({ locale });
+    },
+
+    /**
+     * Override the geolocation and grant the geolocation permission
+     * @param {Object|null} geolocation - { latitude, longitude, accuracy? }, null to clear
+     * @returns {Promise<Object>}
+     */
+    async setGeolocation(geolocation) {
+      return emulationConcept.actions.emulate({ geolocation });
+    },
+
+    /**
+     * Drop all emulation from the active page's context
+     * Pages go back to the launch viewport and the browser's own settings.
+     * @returns {Promise<void>}
+     */
+    async clearEmulation() {
+      const self = emulationConcept;
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+
+      await self.actions.setContextEmulation(getBrowserContextId(targetId), {});
+    },
+
+    /**
+     * Store a context's settings and apply them to its pages
+     * @param {string} browserContextId - Browser context
+     * @param {Object} settings - Resolved settings (see resolveEmulation)
+     * @param {Array<string>} [sessionIds] - Pages to apply to; defaults to the context's attached pages
+     * @returns {Promise<void>}
+     */
+    async setContextEmulation(browserContextId, settings, sessionIds = getContextSessions(browserContextId)) {
+      const self = emulationConcept;
+      const hadGeolocation = Boolean(self.state.contexts.get(browserContextId)?.geolocation);
+      const contextParams = browserContextId !== 'default' ? { browserContextId } : {};
+
+      if (Object.keys(settings).length > 0) {
+        self.state.contexts.set(browserContextId, settings);
+      } else {
+        self.state.contexts.delete(browserContextId);
+      }
+
+      await self.actions._ensureUserAgent();
+
+      await Promise.all(sessionIds.map(sessionId =>
+        self.actions.applyToSession(sessionId, settings)
+      ));
+
+      if (settings.geolocation) {
+        await browserConcept.actions.sendCDPCommand('Browser.grantPermissions', {
+          permissions: ['geolocation'],
+          ...contextParams
+        });
+      } else if (hadGeolocation) {
+        await browserConcept.actions.sendCDPCommand('Browser.resetPermissions', contextParams);
+      }
+    },
+
+    /**
+     * Apply a context's settings to a newly attached page of it
+     * @param {Object} payload - { targetId, sessionId }
+     * @returns {Promise<void>}
+     */
+    async applyToTarget(payload) {
+      const self = emulationConcept;
+      const settings = self.state.contexts.get(getBrowserContextId(payload.targetId));
+
+      if (settings) {
+        await self.actions.applyToSession(payload.sessionId, settings);
+      }
+    },
+
+    /**
+     * Send the emulation commands for settings to one page session
+     * Commands are sent together so they reach the page before later commands.
+     * @param {string} sessionId - Page session
+     * @param {Object} settings - Resolved settings
+     * @returns {Promise<void>}
+     */
+    async applyToSession(sessionId, settings) {
+      const self = emulationConcept;
+      const commands = buildEmulationCommands(settings, {
+        viewport: browserConcept.state.config.viewport,
+        userAgent: self.state.userAgent
+      });
+
+      await Promise.all(commands.map(([method, params]) =>
+        browserConcept.actions.sendCDPCommand(method, params, sessionId)
+      ));
+    },
+
+    /**
+     * Forget a destroyed context's settings
+     * @param {string} browserContextId - Browser context
+     */
+    forgetContext(browserContextId) {
+      emulationConcept.state.contexts.delete(browserContextId);
+    },
+
+    /**
+     * Clear emulation state after the browser closes
+     */
+    reset() {
+      emulationConcept.state.contexts.clear();
+      emulationConcept.state.userAgent = null;
+    },
+
+    /**
+     * Look up the browser's own user agent once
+     * @returns {Promise<void>}
+     */
+    async _ensureUserAgent() {
+      const self = emulationConcept;
+
+      if (!self.state.userAgent) {
+        const { userAgent } = await browserConcept.actions.sendCDPCommand('Browser.getVersion');
+        self.state.userAgent = userAgent;
+      }
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+/**
+ * Browser context of a page target
+ * @param {string} targetId - Page target
+ * @returns {string} Browser context ID, 'default' if unknown
+ */
+function getBrowserContextId(targetId) {
+  return browserConcept.state.targets.get(targetId)?.browserContextId || 'default';
+}
+
+/**
+ * Attached page sessions of a browser context
+ * Other attached targets (service workers) have no Emulation domain.
+ * @param {string} browserContextId - Browser context
+ * @returns {Array<string>} Session IDs
+ */
+function getContextSessions(browserContextId) {
+  return Array.from(browserConcept.state.sessions.entries())
+    .filter(([targetId]) => (browserConcept.state.targets.get(targetId)?.type || 'page') === 'page')
+    .filter(([targetId]) => getBrowserContextId(targetId) === browserContextId)
+    .map(([, sessionId]) => sessionId);
+}
+
+// Pure functions for emulation concept
+
+/**
+ * The emulation options out of a larger options object (e.g. createContext options)
+ * @param {Object} options - Options
+ * @returns {Object} Only the emulation keys that are set
+ */
+export function pickEmulationOptions(options = {}) {
+  const picked = {};
+  for (const key of EMULATION_KEYS) {
+    if (options[key] !== undefined) {
+      picked[key] = options[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Validate emulation options and expand a device name into its profile
+ * Explicit options win over the device profile; null clears a setting.
+ * @param {Object} options - Emulation options (other keys are ignored)
+ * @returns {Object} Settings without `device`
+ * @throws {Error} If a device is unknown or a value is invalid
+ */
+export function resolveEmulation(options = {}) {
+  const { device, ...rest } = pickEmulationOptions(options);
+  let settings = {};
+
+  if (device) {
+    const profile = typeof device === 'string' ? DEVICES[device] : device;
+    if (!profile) {
+      throw new Error(`Unknown device: "${device}". Available devices: ${Object.keys(DEVICES).join(', ')}`);
+    }
+    settings = pickEmulationOptions(profile);
+  }
+
+  settings = { ...settings, ...rest };
+
+  if (settings.viewport != null) {
+    const { width, height } = settings.viewport;
+    if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+      throw new Error(`Invalid viewport: ${JSON.stringify(settings.viewport)}. Width and height must be positive integers`);
+    }
+  }
+  if (settings.deviceScaleFactor != null && !(settings.deviceScaleFactor > 0)) {
+    throw new Error(`Invalid deviceScaleFactor: ${settings.deviceScaleFactor}`);
+  }
+  if (settings.colorScheme != null && !COLOR_SCHEMES.includes(settings.colorScheme)) {
+    throw new Error(`Invalid colorScheme: "${settings.colorScheme}". Must be one of: ${COLOR_SCHEMES.join(', ')}`);
+  }
+  if (settings.reducedMotion != null && !REDUCED_MOTION.includes(settings.reducedMotion)) {
+    throw new Error(`Invalid reducedMotion: "${settings.reducedMotion}". Must be one of: ${REDUCED_MOTION.join(', ')}`);
+  }
+  if (settings.timezone != null) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+    } catch {
+      throw new Error(`Invalid timezone: "${settings.timezone}"`);
+    }
+  }
+  if (settings.locale != null) {
+    try {
+      Intl.getCanonicalLocales(settings.locale);
+    } catch {
+      throw new Error(`Invalid locale: "${settings.locale}"`);
+    }
+  }
+  if (settings.geolocation != null) {
+    const { latitude, longitude, accuracy = 0 } = settings.geolocation;
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180) || !(accuracy >= 0)) {
+      throw new Error(`Invalid geolocation: ${JSON.stringify(settings.geolocation)}`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * CDP commands that put a page in the emulated state
+ * Every setting is sent, unset ones as their defaults, so re-applying
+ * settings also undoes earlier overrides.
+ * @param {Object} settings - Resolved settings
+ * @param {Object} defaults - { viewport, userAgent } of the launched browser
+ * @returns {Array<[string, Object]>} [method, params] pairs, in send order
+ */
+export function buildEmulationCommands(settings, defaults = {}) {
+  const viewport = settings.viewport || defaults.viewport;
+  const commands = [];
+
+  if (viewport) {
+    commands.push(['Emulation.setDeviceMetricsOverride', {
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: settings.deviceScaleFactor || 0, // 0 = use default scale factor
+      mobile: settings.isMobile === true,
+      screenWidth: viewport.width,
+      screenHeight: viewport.height
+    }]);
+  } else {
+    // No launch viewport either: drop a device's size, DPR and mobile flag
+    commands.push(['Emulation.clearDeviceMetricsOverride', {}]);
+  }
+
+  commands.push(['Emulation.setTouchEmulationEnabled', settings.hasTouch
+    ? { enabled: true, maxTouchPoints: MAX_TOUCH_POINTS }
+    : { enabled: false }]);
+
+  const userAgent = settings.userAgent || defaults.userAgent;
+  if (userAgent) {
+    commands.push(['Emulation.setUserAgentOverride', {
+      userAgent,
+      ...(settings.locale && { acceptLanguage: settings.locale })
+    }]);
+  }
+
+  commands.push(['Emulation.setEmulatedMedia', {
+    media: settings.print ? 'print' : '',
+    features: [
+      { name: 'prefers-color-scheme', value: settings.colorScheme || '' },
+      { name: 'prefers-reduced-motion', value: settings.reducedMotion || '' }
+    ]
+  }]);
+
+  commands.push(['Emulation.setTimezoneOverride', { timezoneId: settings.timezone || '' }]);
+
+  // A locale override can't replace another one; clear it first
+  commands.push(['Emulation.setLocaleOverride', {}]);
+  if (settings.locale) {
+    commands.push(['Emulation.setLocaleOverride', { locale: settings.locale }]);
+  }
+
+  commands.push(settings.geolocation
+    ? ['Emulation.setGeolocationOverride', {
+      latitude: settings.geolocation.latitude,
+      longitude: settings.geolocation.longitude,
+      accuracy: settings.geolocation.accuracy ?? 0
+    }]
+    : ['Emulation.clearGeolocationOverride', {}]);
+
+  return commands;
+}
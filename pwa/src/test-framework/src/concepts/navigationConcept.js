@@ -5,10 +5,13 @@
  * FR-2: Navigation & Tab Management
  */
 
-import { NavigationError } from '../errors/index.js';
+import { NavigationError, TimeoutError } from '../errors/index.js';
 import { browserConcept } from './browserConcept.js';
+import { workerConcept } from './workerConcept.js';
 
 export const navigationConcept = {
+  // Active page fields (currentUrl .. isNavigating) are per worker when tests
+  // run in parallel; read and write them through getActivePage()
   state: {
     currentUrl: '',
     loadState: '',           // 'load' | 'domcontentloaded' | 'networkidle'
@@ -16,7 +19,8 @@ export const navigationConcept = {
     targetId: null,          // CDP target ID for the page
     sessionId: null,         // CDP session ID for the page
     isNavigating: false,     // Navigation in progress flag
-    navigationPromises: new Map() // Pending navigation promises
+    navigationPromises: new Map(), // Pending navigation promises
+    pages: new Map()         // Attached pages (targetId -> { targetId, sessionId, openerId })
   },
 
   actions: {
@@ -34,13 +38,10 @@ export const navigationConcept = {
       parseLoadState(loadState);
 
       // 2. Ensure we have a target (page) and session
-      if (!self.state.sessionId) {
-        const pageTarget = await browserConcept.actions.getPageTarget();
-        self.state.targetId = pageTarget.targetId;
-        self.state.sessionId = pageTarget.sessionId;
-      }
+      await self.actions.ensureActivePage();
+      const page = self.actions.getActivePage();
 
-      self.state.isNavigating = true;
+      page.isNavigating = true;
       const startTime = Date.now();
 
       try {
@@ -49,7 +50,7 @@ export const navigationConcept = {
 
         // 4. Enable Page domain (using session)
         try {
-          await browserConcept.actions.sendCDPCommand('Page.enable', {}, self.state.sessionId);
+          await browserConcept.actions.sendCDPCommand('Page.enable', {}, page.sessionId);
         } catch (err) {
           // May already be enabled, continue
         }
@@ -58,7 +59,7 @@ export const navigationConcept = {
         const navigationPromise = self.actions.waitForNavigationComplete(loadState);
 
         // 6. Send CDP Page.navigate command (using session)
-        const result = await browserConcept.actions.sendCDPCommand('Page.navigate', { url }, self.state.sessionId);
+        const result = await browserConcept.actions.sendCDPCommand('Page.navigate', { url }, page.sessionId);
 
         if (result.errorText) {
           throw new NavigationError({
@@ -75,9 +76,9 @@ export const navigationConcept = {
         const timing = await self.actions.getPerformanceTiming();
 
         // 9. Update state
-        self.state.currentUrl = url;
-        self.state.loadState = loadState;
-        self.state.timingMetrics = timing;
+        page.currentUrl = url;
+        page.loadState = loadState;
+        page.timingMetrics = timing;
 
         const duration = Date.now() - startTime;
 
@@ -105,7 +106,7 @@ export const navigationConcept = {
         });
 
       } finally {
-        self.state.isNavigating = false;
+        page.isNavigating = false;
       }
     },
 
@@ -116,6 +117,7 @@ export const navigationConcept = {
      */
     async waitForNavigationComplete(loadState) {
       const self = navigationConcept;
+      const { sessionId } = self.actions.getActivePage();
 
       return new Promise((resolve, reject) => {
         let loadEventFired = false;
@@ -131,13 +133,16 @@ export const navigationConcept = {
         const cleanup = () => {
           clearTimeout(timeout);
           if (networkIdleTimeout) clearTimeout(networkIdleTimeout);
-          // Unsubscribe would happen here in a real implementation
+          unsubscribe();
         };
 
         // Subscribe to CDP events
         const unsubscribe = browserConcept.subscribe((event, payload) => {
           if (event !== 'cdpEvent') return;
 
+          // Ignore events from other pages (popups, background tabs)
+          if (payload.sessionId && payload.sessionId !== sessionId) return;
+
           const { method } = payload;
 
           // Handle different load states
@@ -181,7 +186,7 @@ export const navigationConcept = {
 
         // Enable Network domain for networkidle
         if (loadState === 'networkidle') {
-          browserConcept.actions.sendCDPCommand('Network.enable', {}, self.state.sessionId).catch(reject);
+          browserConcept.actions.sendCDPCommand('Network.enable', {}, sessionId).catch(reject);
         }
       });
     },
@@ -197,7 +202,7 @@ export const navigationConcept = {
         const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
           expression: 'JSON.stringify(window.performance.timing)',
           returnByValue: true
-        }, self.state.sessionId);
+        }, self.actions.getActivePage().sessionId);
 
         if (result.result && result.result.value) {
           const perfData = JSON.parse(result.result.value);
@@ -211,12 +216,249 @@ export const navigationConcept = {
       }
     },
 
+    /**
+     * Ensure an active page exists, attaching to the default page if needed
+     * @returns {Promise<{targetId: string, sessionId: string}>} Active page
+     */
+    async ensureActivePage() {
+      const self = navigationConcept;
+      const page = self.actions.getActivePage();
+
+      if (!page.sessionId) {
+        const pageTarget = await browserConcept.actions.getPageTarget();
+        self.actions._registerPage(pageTarget.targetId, pageTarget.sessionId, null);
+        page.targetId = pageTarget.targetId;
+        page.sessionId = pageTarget.sessionId;
+      }
+
+      return {
+        targetId: page.targetId,
+        sessionId: page.sessionId
+      };
+    },
+
+    /**
+     * Get the active page state: the worker's own page when running in
+     * parallel, the shared concept state otherwise
+     * @returns {Object} { targetId, sessionId, currentUrl, loadState, timingMetrics, isNavigating }
+     */
+    getActivePage() {
+      return workerConcept.actions.getBinding() || navigationConcept.state;
+    },
+
+    /**
+     * List open pages (tabs and popups)
+     * @returns {Array} Page info with active flag
+     */
+    listPages() {
+      const self = navigationConcept;
+      const { targetId } = self.actions.getActivePage();
+
+      return browserConcept.actions.getPageTargets().map(target => ({
+        targetId: target.targetId,
+        url: target.url,
+        title: target.title,
+        openerId: target.openerId || null,
+        attached: self.state.pages.has(target.targetId),
+        isActive: target.targetId === targetId
+      }));
+    },
+
+    /**
+     * Make a page the target of DOM, wait and navigation actions
+     * @param {string|number} page - Target ID or index into listPages()
+     * @returns {Promise<Object>} Activated page info
+     */
+    async switchToPage(page) {
+      const self = navigationConcept;
+      const pages = self.actions.listPages();
+      const target = resolvePage(pages, page);
+
+      if (!target) {
+        throw new Error(`Page ${page} does not exist`);
+      }
+
+      const sessionId = await self.actions._attachPage(target.targetId, target.openerId);
+      const activePage = self.actions.getActivePage();
+      const previousTargetId = activePage.targetId;
+
+      await browserConcept.actions.sendCDPCommand('Target.activateTarget', {
+        targetId: target.targetId
+      });
+
+      activePage.targetId = target.targetId;
+      activePage.sessionId = sessionId;
+      activePage.currentUrl = target.url;
+
+      self.notify('pageSwitched', {
+        from: previousTargetId,
+        to: target.targetId,
+        url: target.url
+      });
+
+      return { ...target, sessionId, isActive: true };
+    },
+
+    /**
+     * Wait for a popup or new tab to open
+     * Call before the action that opens it, then await the returned promise.
+     * @param {Object} options - Wait options { timeout, opener? }
+     * @returns {Promise<Object>} Popup page info { targetId, sessionId, url, openerId }
+     */
+    waitForPopup(options = {}) {
+      const self = navigationConcept;
+      const timeout = options.timeout || 5000;
+      const activePage = self.actions.getActivePage();
+      const openerId = options.opener || activePage.targetId;
+      const startTime = Date.now();
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          unsubscribe();
+          reject(new TimeoutError({
+            selector: 'popup',
+            action: 'waitForPopup',
+            timeout,
+            pageUrl: activePage.currentUrl
+          }));
+        }, timeout);
+
+        const unsubscribe = browserConcept.subscribe((event, payload) => {
+          if (event !== 'targetCreated') return;
+
+          const { targetInfo } = payload;
+          if (!isPopupTarget(targetInfo, openerId)) return;
+
+          clearTimeout(timer);
+          unsubscribe();
+
+          self.actions._attachPage(targetInfo.targetId, targetInfo.openerId)
+            .then(sessionId => {
+              const popup = {
+                targetId: targetInfo.targetId,
+                sessionId,
+                url: targetInfo.url,
+                openerId: targetInfo.openerId || null
+              };
+
+              self.notify('popupOpened', {
+                ...popup,
+                duration: Date.now() - startTime
+              });
+
+              resolve(popup);
+            })
+            .catch(reject);
+        });
+      });
+    },
+
+    /**
+     * Close a page; the active page falls back to its opener or another open page
+     * @param {string} [targetId] - Page to close (defaults to active page)
+     * @returns {Promise<void>}
+     */
+    async closePage(targetId = navigationConcept.actions.getActivePage().targetId) {
+      const self = navigationConcept;
+
+      if (!targetId) {
+        throw new Error('No page to close');
+      }
+
+      await browserConcept.actions.closeTarget(targetId);
+      await self.actions.handlePageClosed(targetId);
+    },
+
+    /**
+     * Forget a closed page and re-point the active page if needed
+     * @param {string} targetId - Closed page target ID
+     * @returns {Promise<void>}
+     */
+    async handlePageClosed(targetId) {
+      const self = navigationConcept;
+      const page = self.state.pages.get(targetId);
+      const activePage = self.actions.getActivePage();
+
+      self.state.pages.delete(targetId);
+
+      if (activePage.targetId === targetId) {
+        activePage.targetId = null;
+        activePage.sessionId = null;
+        activePage.currentUrl = '';
+
+        const remaining = self.actions.listPages().filter(p => p.targetId !== targetId);
+        const fallback = remaining.find(p => p.targetId === page?.openerId) || remaining[0];
+
+        if (fallback) {
+          await self.actions.switchToPage(fallback.targetId);
+        }
+      } else if (!page) {
+        return;
+      }
+
+      self.notify('pageClosed', {
+        targetId,
+        activePage: activePage.targetId
+      });
+    },
+
+    /**
+     * Attach to a page target and register it
+     * @param {string} targetId - Page target ID
+     * @param {string|null} openerId - Opener target ID
+     * @returns {Promise<string>} Session ID
+     */
+    async _attachPage(targetId, openerId) {
+      const self = navigationConcept;
+
+      if (self.state.pages.has(targetId)) {
+        return self.state.pages.get(targetId).sessionId;
+      }
+
+      const sessionId = await browserConcept.actions.attachToTarget(targetId);
+      await browserConcept.actions.preparePageSession(sessionId);
+      self.actions._registerPage(targetId, sessionId, openerId);
+
+      self.notify('pageAttached', { targetId, sessionId });
+
+      return sessionId;
+    },
+
+    /**
+     * Record an attached page
+     * @param {string} targetId - Page target ID
+     * @param {string} sessionId - Session ID
+     * @param {string|null} openerId - Opener target ID
+     */
+    _registerPage(targetId, sessionId, openerId) {
+      navigationConcept.state.pages.set(targetId, {
+        targetId,
+        sessionId,
+        openerId: openerId || null
+      });
+    },
+
+    /**
+     * Clear page state after the browser closes
+     */
+    reset() {
+      const self = navigationConcept;
+
+      self.state.currentUrl = '';
+      self.state.loadState = '';
+      self.state.timingMetrics = {};
+      self.state.targetId = null;
+      self.state.sessionId = null;
+      self.state.isNavigating = false;
+      self.state.pages.clear();
+    },
+
     /**
      * Get current page URL
      * @returns {string} Current URL
      */
     getCurrentUrl() {
-      return navigationConcept.state.currentUrl;
+      return navigationConcept.actions.getActivePage().currentUrl;
     },
 
     /**
@@ -224,7 +466,7 @@ export const navigationConcept = {
      * @returns {Object} Performance timing data
      */
     getTimingMetrics() {
-      return { ...navigationConcept.state.timingMetrics };
+      return { ...navigationConcept.actions.getActivePage().timingMetrics };
     }
   },
 
@@ -281,3 +523,28 @@ export function calculateTimingMetrics(perfData) {
     load: loadEventEnd
   };
 }
+
+/**
+ * Resolve a page reference against the page list
+ * @param {Array} pages - Pages from listPages()
+ * @param {string|number} page - Target ID or index
+ * @returns {Object|undefined} Matching page
+ */
+export function resolvePage(pages, page) {
+  if (typeof page === 'number') {
+    return pages[page];
+  }
+  return pages.find(p => p.targetId === page);
+}
+
+/**
+ * Check whether a newly created target is a popup of the given opener
+ * @param {Object} targetInfo - CDP TargetInfo
+ * @param {string|null} openerId - Expected opener target ID
+ * @returns {boolean}
+ */
+export function isPopupTarget(targetInfo, openerId) {
+  if (!targetInfo || targetInfo.type !== 'page') return false;
+  if (!openerId) return true;
+  return targetInfo.openerId === openerId;
+}
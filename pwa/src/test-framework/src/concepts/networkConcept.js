@@ -0,0 +1,710 @@
+/**
+ * Network Concept
+ * Manages request interception, mocking, request/response logging and
+ * network conditions (offline, throttling).
+ *
+ * Interception uses the CDP Fetch domain; logging and conditions use the
+ * Network domain. Conditions are kept per browser context and applied to its
+ * pages and service workers, so a PWA's worker goes offline with its page.
+ */
+
+import { browserConcept } from './browserConcept.js';
+import { navigationConcept } from './navigationConcept.js';
+
+export const networkConcept = {
+  state: {
+    routes: [],              // { id, pattern, handler }
+    routeIdCounter: 0,
+    requests: new Map(),     // Network requestId -> request log entry
+    requestLog: [],          // Completed request log entries
+    maxLogSize: 500,         // Keep last 500 completed requests
+    mockedRequests: new Set(), // Network requestIds answered by a route
+    enabledSessions: new Map(), // sessionId -> { fetch: boolean }
+    conditions: new Map(),   // browserContextId -> { offline, latency, downloadThroughput, uploadThroughput }
+    unsubscribeCDP: null     // CDP event subscription
+  },
+
+  actions: {
+    /**
+     * Intercept requests matching a URL pattern
+     * @param {string|RegExp|Function} urlPattern - Glob ('**' / '*'), RegExp or predicate(url)
+     * @param {Function} handler - async (route, request) => void; call route.fulfill/abort/continue
+     * @returns {Promise<number>} Route ID
+     */
+    async route(urlPattern, handler) {
+      const self = networkConcept;
+
+      validateUrlPattern(urlPattern);
+      if (typeof handler !== 'function') {
+        throw new Error('Route handler must be a function');
+      }
+
+      const id = ++self.state.routeIdCounter;
+      self.state.routes.push({ id, pattern: urlPattern, handler });
+
+      await self.actions.enable();
+
+      self.notify('routeAdded', { id, pattern: String(urlPattern) });
+
+      return id;
+    },
+
+    /**
+     * Remove routes by pattern or route ID (all routes if omitted)
+     * @param {string|RegExp|Function|number} [urlPattern] - Pattern or route ID
+     * @returns {Promise<void>}
+     */
+    async unroute(urlPattern) {
+      const self = networkConcept;
+
+      self.state.routes = urlPattern === undefined
+        ? []
+        : self.state.routes.filter(r => r.id !== urlPattern && r.pattern !== urlPattern);
+
+      if (self.state.routes.length === 0) {
+        for (const [sessionId, session] of self.state.enabledSessions) {
+          if (session.fetch) {
+            try {
+              await browserConcept.actions.sendCDPCommand('Fetch.disable', {}, sessionId);
+            } catch (err) {
+              // Page may already be closed
+            }
+            session.fetch = false;
+          }
+        }
+      }
+    },
+
+    /**
+     * Enable request logging (and interception when routes exist) on a page session
+     * @param {string} [sessionId] - Page session (defaults to the active page)
+     * @returns {Promise<void>}
+     */
+    async enable(sessionId) {
+      const self = networkConcept;
+
+      if (!sessionId) {
+        sessionId = (await navigationConcept.actions.ensureActivePage()).sessionId;
+      }
+
+      if (!self.state.unsubscribeCDP) {
+        self.state.unsubscribeCDP = browserConcept.subscribe((event, payload) => {
+          if (event === 'cdpEvent') {
+            self.actions.handleCDPEvent(payload);
+          } else if (event === 'browserClosed') {
+            self.actions.reset();
+          }
+        });
+      }
+
+      let session = self.state.enabledSessions.get(sessionId);
+      if (!session) {
+        await browserConcept.actions.sendCDPCommand('Network.enable', {}, sessionId);
+        session = { fetch: false };
+        self.state.enabledSessions.set(sessionId, session);
+      }
+
+      if (self.state.routes.length > 0 && !session.fetch) {
+        // Intercept everything; routes are matched here so glob/RegExp/predicate all work
+        await browserConcept.actions.sendCDPCommand('Fetch.enable', {
+          patterns: [{ urlPattern: '*', requestStage: 'Request' }]
+        }, sessionId);
+        session.fetch = true;
+      }
+    },
+
+    /**
+     * Dispatch CDP events to interception and logging
+     * @param {Object} payload - { method, params, sessionId }
+     */
+    handleCDPEvent(payload) {
+      const self = networkConcept;
+      const { method, params, sessionId } = payload;
+
+      if (!sessionId || !self.state.enabledSessions.has(sessionId)) return;
+
+      switch (method) {
+        case 'Fetch.requestPaused':
+          self.actions._handleRequestPaused(params, sessionId).catch(err => {
+            self.notify('routeFailed', { url: params.request.url, error: err });
+          });
+          break;
+
+        case 'Network.requestWillBeSent':
+          self.state.requests.set(params.requestId, createRequestEntry(params));
+          break;
+
+        case 'Network.responseReceived': {
+          const entry = self.state.requests.get(params.requestId);
+          if (entry) {
+            entry.status = params.response.status;
+            entry.statusText = params.response.statusText;
+            entry.mimeType = params.response.mimeType;
+            entry.responseHeaders = params.response.headers;
+            entry.fromServiceWorker = params.response.fromServiceWorker || false;
+          }
+          break;
+        }
+
+        case 'Network.loadingFinished':
+          self.actions._completeRequest(params.requestId, { encodedDataLength: params.encodedDataLength });
+          break;
+
+        case 'Network.loadingFailed':
+          self.actions._completeRequest(params.requestId, {
+            failed: true,
+            errorText: params.errorText
+          });
+          break;
+
+        default:
+          break;
+      }
+    },
+
+    /**
+     * Route a paused request to the first matching handler (latest route wins)
+     * @param {Object} params - Fetch.requestPaused params
+     * @param {string} sessionId - Page session
+     * @returns {Promise<void>}
+     */
+    async _handleRequestPaused(params, sessionId) {
+      const self = networkConcept;
+      const { requestId, request } = params;
+      const match = findRoute(self.state.routes, request.url);
+
+      if (!match) {
+        await self.actions.continueRequest(requestId, {}, sessionId);
+        return;
+      }
+
+      let handled = false;
+      const markHandled = (action) => {
+        if (handled) {
+          throw new Error(`Request ${request.url} already handled`);
+        }
+        handled = true;
+        self.notify('requestRouted', {
+          routeId: match.id,
+          action,
+          url: request.url,
+          method: request.method
+        });
+      };
+
+      const requestInfo = {
+        url: request.url,
+        method: request.method,
+        headers: request.headers,
+        postData: request.postData,
+        resourceType: params.resourceType
+      };
+
+      const route = {
+        request: requestInfo,
+        fulfill: async (response = {}) => {
+          markHandled('fulfill');
+          if (params.networkId) {
+            self.state.mockedRequests.add(params.networkId);
+          }
+          await self.actions.fulfillRequest(requestId, response, sessionId);
+        },
+        abort: async (errorReason = 'Failed') => {
+          markHandled('abort');
+          await self.actions.abortRequest(requestId, errorReason, sessionId);
+        },
+        continue: async (overrides = {}) => {
+          markHandled('continue');
+          await self.actions.continueRequest(requestId, overrides, sessionId);
+        }
+      };
+
+      try {
+        await match.handler(route, requestInfo);
+      } finally {
+        // Never leave a request paused
+        if (!handled) {
+          handled = true;
+          await self.actions.continueRequest(requestId, {}, sessionId);
+        }
+      }
+    },
+
+    /**
+     * Respond to a paused request with a mock response
+     * @param {string} requestId - Fetch request ID
+     * @param {Object} response - { status?, headers?, body?, json?, contentType? }
+     * @param {string} sessionId - Page session
+     * @returns {Promise<void>}
+     */
+    async fulfillRequest(requestId, response, sessionId) {
+      await browserConcept.actions.sendCDPCommand(
+        'Fetch.fulfillRequest',
+        buildFulfillParams(requestId, response),
+        sessionId
+      );
+    },
+
+    /**
+     * Fail a paused request
+     * @param {string} requestId - Fetch request ID
+     * @param {string} errorReason - CDP Network.ErrorReason (e.g. 'Failed', 'InternetDisconnected')
+     * @param {string} sessionId - Page session
+     * @returns {Promise<void>}
+     */
+    async abortRequest(requestId, errorReason, sessionId) {
+      validateErrorReason(errorReason);
+
+      await browserConcept.actions.sendCDPCommand('Fetch.failRequest', {
+        requestId,
+        errorReason
+      }, sessionId);
+    },
+
+    /**
+     * Continue a paused request, optionally modifying it
+     * @param {string} requestId - Fetch request ID
+     * @param {Object} overrides - { url?, method?, headers?, postData? }
+     * @param {string} sessionId - Page session
+     * @returns {Promise<void>}
+     */
+    async continueRequest(requestId, overrides, sessionId) {
+      await browserConcept.actions.sendCDPCommand(
+        'Fetch.continueRequest',
+        buildContinueParams(requestId, overrides),
+        sessionId
+      );
+    },
+
+    /**
+     * Move a finished request into the log
+     * @param {string} requestId - Network request ID
+     * @param {Object} outcome - Completion details
+     */
+    _completeRequest(requestId, outcome) {
+      const self = networkConcept;
+      const entry = self.state.requests.get(requestId);
+      if (!entry) return;
+
+      self.state.requests.delete(requestId);
+
+      Object.assign(entry, outcome, {
+        mocked: self.state.mockedRequests.delete(requestId),
+        duration: Date.now() - entry.startTime
+      });
+
+      self.state.requestLog.push(entry);
+      if (self.state.requestLog.length > self.state.maxLogSize) {
+        self.state.requestLog.shift();
+      }
+
+      self.notify('requestFinished', entry);
+    },
+
+    /**
+     * Get recorded requests
+     * @param {Object} filter - { url?: string|RegExp|Function, method?: string }
+     * @returns {Array} Request log entries
+     */
+    getRequests(filter = {}) {
+      return networkConcept.state.requestLog.filter(entry => {
+        if (filter.method && entry.method !== filter.method.toUpperCase()) return false;
+        if (filter.url && !matchUrlPattern(entry.url, filter.url)) return false;
+        return true;
+      });
+    },
+
+    /**
+     * Clear recorded requests
+     */
+    clearRequests() {
+      networkConcept.state.requests.clear();
+      networkConcept.state.requestLog = [];
+    },
+
+    /**
+     * Take the active page's context offline, or back online
+     * Service workers of the context go offline too.
+     * @param {boolean} offline - true to disconnect (default: true)
+     * @returns {Promise<void>}
+     */
+    async setOffline(offline = true) {
+      const self = networkConcept;
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+      const browserContextId = getBrowserContextId(targetId);
+
+      await self.actions.setNetworkConditions(browserContextId, {
+        ...self.state.conditions.get(browserContextId),
+        offline: Boolean(offline)
+      });
+    },
+
+    /**
+     * Throttle the active page's context
+     * @param {string|Object|null} conditions - Preset name ('3g', 'slow-4g', 'fast-4g'),
+     *   { latency?, downloadThroughput?, uploadThroughput? } (ms, bytes/s) or null to stop throttling
+     * @returns {Promise<void>}
+     */
+    async throttle(conditions) {
+      const self = networkConcept;
+      const throttling = resolveNetworkConditions(conditions);
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+      const browserContextId = getBrowserContextId(targetId);
+
+      await self.actions.setNetworkConditions(browserContextId, {
+        offline: self.state.conditions.get(browserContextId)?.offline || false,
+        ...throttling
+      });
+    },
+
+    /**
+     * Put the active page's context back online without throttling
+     * @returns {Promise<void>}
+     */
+    async clearNetworkConditions() {
+      const self = networkConcept;
+      const browserContextId = getBrowserContextId(navigationConcept.actions.getActivePage().targetId);
+
+      if (!self.state.conditions.has(browserContextId)) return;
+
+      await self.actions.setNetworkConditions(browserContextId, {});
+      self.state.conditions.delete(browserContextId);
+    },
+
+    /**
+     * Replace a context's network conditions and apply them to its pages and service workers
+     * @param {string} browserContextId - Browser context ('default' for the default context)
+     * @param {Object} conditions - { offline?, latency?, downloadThroughput?, uploadThroughput? }
+     * @returns {Promise<void>}
+     */
+    async setNetworkConditions(browserContextId, conditions) {
+      const self = networkConcept;
+
+      self.state.conditions.set(browserContextId, conditions);
+
+      const targets = Array.from(browserConcept.state.targets.values()).filter(targetInfo =>
+        CONDITION_TARGET_TYPES.includes(targetInfo.type) &&
+        (targetInfo.browserContextId || 'default') === browserContextId
+      );
+
+      for (const targetInfo of targets) {
+        // Pages are attached by navigation; service workers are attached here
+        if (targetInfo.type === 'page' && !browserConcept.state.sessions.has(targetInfo.targetId)) continue;
+
+        try {
+          await self.actions.applyConditionsToTarget({ targetId: targetInfo.targetId });
+        } catch (err) {
+          // Idle service workers stop at any time; the next one gets the conditions on start
+          if (targetInfo.type === 'page') throw err;
+        }
+      }
+
+      self.notify('networkConditionsChanged', { browserContextId, ...conditions });
+    },
+
+    /**
+     * Apply a context's network conditions to one of its targets
+     * Called for newly attached pages and newly started service workers.
+     * @param {Object} payload - { targetId, sessionId? } (attaches when sessionId is omitted)
+     * @returns {Promise<void>}
+     */
+    async applyConditionsToTarget(payload) {
+      const self = networkConcept;
+      const conditions = self.state.conditions.get(getBrowserContextId(payload.targetId));
+
+      if (!conditions) return;
+
+      const sessionId = payload.sessionId || await browserConcept.actions.attachToTarget(payload.targetId);
+      await self.actions.enable(sessionId);
+      await browserConcept.actions.sendCDPCommand(
+        'Network.emulateNetworkConditions',
+        buildNetworkConditionsParams(conditions),
+        sessionId
+      );
+    },
+
+    /**
+     * Forget a destroyed context's network conditions
+     * @param {string} browserContextId - Browser context
+     */
+    forgetContext(browserContextId) {
+      networkConcept.state.conditions.delete(browserContextId);
+    },
+
+    /**
+     * Drop routes, sessions, conditions and logs (browser closed)
+     */
+    reset() {
+      const self = networkConcept;
+
+      self.state.routes = [];
+      self.state.conditions.clear();
+      self.state.enabledSessions.clear();
+      self.state.mockedRequests.clear();
+      self.actions.clearRequests();
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+/**
+ * Browser context of a target
+ * @param {string} targetId - Target
+ * @returns {string} Context ID, 'default' for the default context
+ */
+function getBrowserContextId(targetId) {
+  return browserConcept.state.targets.get(targetId)?.browserContextId || 'default';
+}
+
+// Pure functions for network concept
+
+// Targets with their own network stack
+const CONDITION_TARGET_TYPES = ['page', 'service_worker'];
+
+/**
+ * Throttling presets, matching Chrome DevTools
+ * latency in ms, throughput in bytes/s
+ */
+export const NETWORK_PRESETS = {
+  '3g': { latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  'slow-4g': { latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  'fast-4g': { latency: 165, downloadThroughput: 1012500, uploadThroughput: 168750 }
+};
+
+const ERROR_REASONS = [
+  'Failed',
+  'Aborted',
+  'TimedOut',
+  'AccessDenied',
+  'ConnectionClosed',
+  'ConnectionReset',
+  'ConnectionRefused',
+  'ConnectionAborted',
+  'ConnectionFailed',
+  'NameNotResolved',
+  'InternetDisconnected',
+  'AddressUnreachable',
+  'BlockedByClient',
+  'BlockedByResponse'
+];
+
+/**
+ * Validate a route URL pattern
+ * @param {*} pattern - Pattern to validate
+ * @throws {Error} If pattern is not a string, RegExp or function
+ */
+export function validateUrlPattern(pattern) {
+  const valid = (typeof pattern === 'string' && pattern.length > 0) ||
+    pattern instanceof RegExp ||
+    typeof pattern === 'function';
+
+  if (!valid) {
+    throw new Error('URL pattern must be a non-empty glob string, RegExp or function');
+  }
+}
+
+/**
+ * Validate a Fetch.failRequest error reason
+ * @param {string} reason - Error reason
+ * @throws {Error} If reason is not a CDP Network.ErrorReason
+ */
+export function validateErrorReason(reason) {
+  if (!ERROR_REASONS.includes(reason)) {
+    throw new Error(`Invalid abort reason: ${reason}. Must be one of: ${ERROR_REASONS.join(', ')}`);
+  }
+}
+
+/**
+ * Convert a URL glob to a RegExp
+ * '**' matches any characters, '*' matches any characters except '/'
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a URL matches a route pattern
+ * @param {string} url - Request URL
+ * @param {string|RegExp|Function} pattern - Route pattern
+ * @returns {boolean}
+ */
+export function matchUrlPattern(url, pattern) {
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(url);
+  }
+  if (typeof pattern === 'function') {
+    return Boolean(pattern(url));
+  }
+  return globToRegExp(pattern).test(url);
+}
+
+/**
+ * Find the route for a URL; later routes take precedence
+ * @param {Array} routes - Registered routes
+ * @param {string} url - Request URL
+ * @returns {Object|undefined} Matching route
+ */
+export function findRoute(routes, url) {
+  for (let i = routes.length - 1; i >= 0; i--) {
+    if (matchUrlPattern(url, routes[i].pattern)) {
+      return routes[i];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Convert a header object to CDP HeaderEntry array
+ * @param {Object} headers - { name: value }
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function headersToArray(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Build Fetch.fulfillRequest params from a mock response
+ * @param {string} requestId - Fetch request ID
+ * @param {Object} response - { status?, headers?, body?, json?, contentType? }
+ * @returns {Object} CDP params
+ */
+export function buildFulfillParams(requestId, response = {}) {
+  const headers = { ...(response.headers || {}) };
+  let body = response.body;
+
+  if (response.json !== undefined) {
+    body = JSON.stringify(response.json);
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+  }
+
+  if (response.contentType) {
+    headers['Content-Type'] = response.contentType;
+  }
+
+  const params = {
+    requestId,
+    responseCode: response.status || 200,
+    responseHeaders: headersToArray(headers)
+  };
+
+  if (body !== undefined) {
+    params.body = Buffer.from(body).toString('base64');
+  }
+
+  return params;
+}
+
+/**
+ * Build Fetch.continueRequest params from overrides
+ * @param {string} requestId - Fetch request ID
+ * @param {Object} overrides - { url?, method?, headers?, postData? }
+ * @returns {Object} CDP params
+ */
+export function buildContinueParams(requestId, overrides = {}) {
+  const params = { requestId };
+
+  if (overrides.url) params.url = overrides.url;
+  if (overrides.method) params.method = overrides.method;
+  if (overrides.headers) params.headers = headersToArray(overrides.headers);
+  if (overrides.postData !== undefined) {
+    params.postData = Buffer.from(overrides.postData).toString('base64');
+  }
+
+  return params;
+}
+
+/**
+ * Create a request log entry from Network.requestWillBeSent
+ * @param {Object} params - Event params
+ * @returns {Object} Request log entry
+ */
+export function createRequestEntry(params) {
+  return {
+    requestId: params.requestId,
+    url: params.request.url,
+    method: params.request.method,
+    resourceType: params.type,
+    requestHeaders: params.request.headers,
+    startTime: Date.now(),
+    status: null,
+    failed: false,
+    mocked: false
+  };
+}
+
+/**
+ * Resolve throttle() input to latency and throughput
+ * @param {string|Object|null} conditions - Preset name, custom conditions or null
+ * @returns {Object} { latency, downloadThroughput, uploadThroughput }; -1 throughput means unlimited
+ * @throws {Error} If the preset is unknown or a value is not a non-negative number
+ */
+export function resolveNetworkConditions(conditions) {
+  if (conditions === null || conditions === undefined) {
+    return { latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+  }
+
+  if (typeof conditions === 'string') {
+    const preset = NETWORK_PRESETS[conditions];
+    if (!preset) {
+      throw new Error(`Unknown network preset: ${conditions}. Must be one of: ${Object.keys(NETWORK_PRESETS).join(', ')}`);
+    }
+    return { ...preset };
+  }
+
+  if (typeof conditions !== 'object') {
+    throw new Error('Network conditions must be a preset name, an object or null');
+  }
+
+  const resolved = { latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+  for (const key of Object.keys(resolved)) {
+    if (conditions[key] === undefined) continue;
+    if (typeof conditions[key] !== 'number' || !(conditions[key] >= 0)) {
+      throw new Error(`Network condition ${key} must be a non-negative number`);
+    }
+    resolved[key] = conditions[key];
+  }
+  return resolved;
+}
+
+/**
+ * Network.emulateNetworkConditions params for stored conditions
+ * @param {Object} conditions - { offline?, latency?, downloadThroughput?, uploadThroughput? }
+ * @returns {Object} CDP params
+ */
+export function buildNetworkConditionsParams(conditions = {}) {
+  return {
+    offline: conditions.offline || false,
+    latency: conditions.latency ?? 0,
+    downloadThroughput: conditions.downloadThroughput ?? -1,
+    uploadThroughput: conditions.uploadThroughput ?? -1
+  };
+}
@@ -1,44 +1,127 @@
 /**
  * Report Concept
- * Generates test reports in console and JSON formats.
+ * Generates test reports through pluggable reporters.
+ *
+ * A reporter is an object with optional hooks, each given the payload and a
+ * context { outputDir, writeFile(name, content) }:
+ *   onRunStart({ suiteCount, isolate, workers })
+ *   onTestEnd(result)       - once per finished, skipped or todo test
+ *   onRunEnd({ stats, tests })
+ * Built-in reporters: console, json, junit, tap, html.
  *
  * FR-50: Test Reports
  */
 
-import { writeFile, mkdir } from 'fs/promises';
-import { join, dirname } from 'path';
+import { writeFile, mkdir, readFile } from 'fs/promises';
+import { join, dirname, relative } from 'path';
+import { formatConsoleMessages } from './consoleConcept.js';
+
+// Console lines printed per failed test; the JSON report keeps all of them
+const MAX_CONSOLE_LINES = 10;
+
+// Built-in reporters by name; options come from a [name, options] spec
+const BUILTIN_REPORTERS = {
+  console: () => ({
+    name: 'console',
+    onRunEnd: (results) => console.log(formatConsoleOutput(results))
+  }),
+  json: (options) => ({
+    name: 'json',
+    onRunEnd: (results, context) =>
+      context.writeFile(options.outputFile || 'results.json', JSON.stringify(buildJSONReport(results), null, 2))
+  }),
+  junit: (options) => ({
+    name: 'junit',
+    onRunEnd: (results, context) =>
+      context.writeFile(options.outputFile || 'junit.xml', formatJUnitXML(results, options))
+  }),
+  tap: (options) => ({
+    name: 'tap',
+    onRunEnd: (results, context) =>
+      context.writeFile(options.outputFile || 'results.tap', formatTAP(results))
+  }),
+  html: (options) => ({
+    name: 'html',
+    onRunEnd: async (results, context) => {
+      const report = await embedReportAssets(buildJSONReport(results), context.outputDir);
+      await context.writeFile(options.outputFile || 'report.html', buildHTMLReport(report, options));
+    }
+  })
+};
 
 export const reportConcept = {
   state: {
     outputDir: './test-results',
-    consoleEnabled: true,
-    jsonEnabled: true
+    reporters: ['console', 'json'], // Reporter specs (see setReporters)
+    active: null,            // Reporters of the run in progress
+    queue: Promise.resolve() // Reporter hooks run one after another, in event order
   },
 
   actions: {
+    /**
+     * Choose the reporters for the next runs
+     * @param {Array<string|Array|Object>} reporters - Built-in name ('console', 'json',
+     *   'junit', 'tap', 'html'), [name, options] (e.g. ['junit', { outputFile: 'ci/junit.xml' }]),
+     *   or a custom reporter object
+     * @throws {Error} If a reporter name is unknown or a reporter has no hooks
+     */
+    setReporters(reporters) {
+      resolveReporters(reporters);
+      reportConcept.state.reporters = reporters;
+    },
+
+    /**
+     * Start reporting a run
+     * @param {Object} info - { suiteCount, isolate, workers }
+     */
+    runStarted(info) {
+      const self = reportConcept;
+
+      self.state.active = resolveReporters(self.state.reporters);
+      self.actions._dispatch('onRunStart', info);
+    },
+
+    /**
+     * Report a finished, skipped or todo test
+     * @param {Object} result - Test result
+     */
+    testEnded(result) {
+      const self = reportConcept;
+
+      if (self.state.active) {
+        self.actions._dispatch('onTestEnd', result);
+      }
+    },
+
     /**
      * Generate test report
+     * Ends the run for every reporter; outside a run the configured reporters are used.
      * @param {Object} results - Test results with stats
      * @returns {Promise<void>}
      */
     async generateReport(results) {
       const self = reportConcept;
+      const reporters = self.state.active || resolveReporters(self.state.reporters);
 
-      if (self.state.consoleEnabled) {
-        const output = formatConsoleOutput(results);
-        console.log(output);
-      }
+      self.state.active = reporters;
+      self.actions._dispatch('onRunEnd', results);
+      self.state.active = null;
 
-      if (self.state.jsonEnabled) {
-        const jsonReport = buildJSONReport(results);
-        await self.actions.writeResultsFile(jsonReport);
-      }
+      await self.state.queue;
 
       self.notify('reportGenerated', {
-        format: self.state.jsonEnabled ? 'json' : 'console'
+        reporters: reporters.map(reporter => reporter.name)
       });
     },
 
+    /**
+     * Wait for the reporter hooks dispatched so far
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await reportConcept.state.queue;
+    },
+
     /**
      * Print summary to console
      * @param {Object} results - Test results
@@ -54,8 +137,18 @@ export const reportConcept = {
      * @returns {Promise<void>}
      */
     async writeResultsFile(data) {
+      await reportConcept.actions.writeOutputFile('results.json', JSON.stringify(data, null, 2));
+    },
+
+    /**
+     * Write a file into the output directory, creating directories as needed
+     * @param {string} name - Path relative to outputDir
+     * @param {string} content - File content
+     * @returns {Promise<string>} Written path
+     */
+    async writeOutputFile(name, content) {
       const self = reportConcept;
-      const filePath = join(self.state.outputDir, 'results.json');
+      const filePath = join(self.state.outputDir, name);
 
       // Ensure output directory exists
       try {
@@ -67,7 +160,31 @@ export const reportConcept = {
         }
       }
 
-      await writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+      await writeFile(filePath, content, 'utf-8');
+      return filePath;
+    },
+
+    /**
+     * Queue a hook call on every active reporter
+     * A failing reporter is logged and doesn't stop the others.
+     * @param {string} hook - 'onRunStart' | 'onTestEnd' | 'onRunEnd'
+     * @param {Object} payload - Hook argument
+     */
+    _dispatch(hook, payload) {
+      const self = reportConcept;
+      const reporters = self.state.active.filter(reporter => typeof reporter[hook] === 'function');
+      const context = {
+        outputDir: self.state.outputDir,
+        writeFile: (name, content) => self.actions.writeOutputFile(name, content)
+      };
+
+      self.state.queue = self.state.queue.then(() => Promise.all(reporters.map(reporter =>
+        Promise.resolve()
+          .then(() => reporter[hook](payload, context))
+          .catch(err => {
+            console.error(`Reporter "${reporter.name}" failed in ${hook}:`, err);
+          })
+      )));
     }
   },
 
@@ -82,6 +199,34 @@ export const reportConcept = {
   }
 };
 
+/**
+ * Inline failure screenshots and link traces and videos relative to the report
+ * @param {Object} report - From buildJSONReport()
+ * @param {string} outputDir - Directory the HTML report is written to
+ * @returns {Promise<Object>} Report with screenshotData, traceLink and videoLink per test
+ */
+async function embedReportAssets(report, outputDir) {
+  const tests = await Promise.all(report.tests.map(async (test) => {
+    let screenshotData = null;
+    if (test.screenshot) {
+      try {
+        screenshotData = `data:image/png;base64,${(await readFile(test.screenshot)).toString('base64')}`;
+      } catch (err) {
+        // Screenshot was removed; the report keeps its path
+      }
+    }
+
+    return {
+      ...test,
+      screenshotData,
+      traceLink: test.trace ? relative(outputDir, test.trace.viewer).split('\\').join('/') : null,
+      videoLink: test.video ? relative(outputDir, test.video).split('\\').join('/') : null
+    };
+  }));
+
+  return { ...report, tests };
+}
+
 // Pure functions for report concept
 
 /**
@@ -97,14 +242,40 @@ export function formatConsoleOutput(results) {
 
   if (results.tests) {
     for (const test of results.tests) {
-      const status = test.status === 'passed' ? '✓' : '✗';
-      const color = test.status === 'passed' ? '\x1b[32m' : '\x1b[31m';
+      const { symbol: status, color } = formatStatus(test.status);
       const reset = '\x1b[0m';
-      lines.push(`${color}${status}${reset} ${test.suite} > ${test.name} (${test.duration}ms)`);
+      const timing = test.status === 'skipped' || test.status === 'todo'
+        ? test.status
+        : `${test.duration}ms`;
+      const flaky = test.flaky ? ` [flaky, passed on attempt ${test.attempts.length}]` : '';
+      lines.push(`${color}${status}${reset} ${test.suite} > ${test.name} (${timing})${flaky}`);
 
       if (test.error) {
         lines.push(`  Error: ${test.error.message}`);
       }
+
+      if (test.screenshot) {
+        lines.push(`  Screenshot: ${test.screenshot}`);
+      }
+
+      if (test.trace) {
+        lines.push(`  Trace: ${test.trace.viewer}`);
+      }
+
+      if (test.video) {
+        lines.push(`  Video: ${formatVideo(test)}`);
+      }
+
+      if (test.violations?.length) {
+        lines.push(`  Accessibility: ${test.violations.length} violation(s)`);
+      }
+
+      if (test.console?.length) {
+        const shown = test.console.slice(-MAX_CONSOLE_LINES);
+        const omitted = test.console.length - shown.length;
+        lines.push(`  Console: ${test.console.length} message(s)${omitted ? `, last ${shown.length} shown` : ''}`);
+        formatConsoleMessages(shown).split('\n').forEach(line => lines.push(`    ${line}`));
+      }
     }
   }
 
@@ -112,6 +283,15 @@ export function formatConsoleOutput(results) {
   lines.push(`Total: ${results.stats.total}`);
   lines.push(`Passed: ${results.stats.passed}`);
   lines.push(`Failed: ${results.stats.failed}`);
+  if (results.stats.skipped) {
+    lines.push(`Skipped: ${results.stats.skipped}`);
+  }
+  if (results.stats.todo) {
+    lines.push(`Todo: ${results.stats.todo}`);
+  }
+  if (results.stats.flaky) {
+    lines.push(`Flaky: ${results.stats.flaky}`);
+  }
   lines.push(`Duration: ${results.stats.duration}ms`);
   lines.push('='.repeat(60) + '\n');
 
@@ -129,6 +309,9 @@ export function buildJSONReport(results) {
       total: results.stats.total,
       passed: results.stats.passed,
       failed: results.stats.failed,
+      skipped: results.stats.skipped || 0,
+      todo: results.stats.todo || 0,
+      flaky: results.stats.flaky || 0,
       duration: results.stats.duration,
       timestamp: Date.now()
     },
@@ -136,13 +319,413 @@ export function buildJSONReport(results) {
       suite: test.suite,
       name: test.name,
       status: test.status,
+      tags: test.tags || [],
       duration: test.duration,
+      flaky: test.flaky || false,
+      attempts: (test.attempts || []).map(attempt => ({
+        attempt: attempt.attempt,
+        status: attempt.status,
+        duration: attempt.duration,
+        error: attempt.error ? attempt.error.message : null,
+        trace: attempt.trace || null,
+        video: attempt.video || null,
+        videoFrameStep: attempt.videoFrameStep || 1
+      })),
       error: test.error ? {
         type: test.error.errorType,
         message: test.error.message,
         stack: test.error.stack,
         context: test.error
-      } : null
+      } : null,
+      screenshot: test.screenshot || null,
+      trace: test.trace || null,
+      video: test.video || null,
+      videoFrameStep: test.videoFrameStep || 1,
+      violations: (test.violations || []).map(violation => ({
+        rule: violation.rule,
+        impact: violation.impact,
+        message: violation.message,
+        target: violation.target,
+        snippet: violation.snippet
+      })),
+      console: (test.console || []).map(message => ({
+        type: message.type,
+        text: message.text,
+        location: message.location,
+        timestamp: message.timestamp
+      }))
     }))
   };
 }
+
+/**
+ * Video path, noting when a long recording was thinned out
+ * @param {Object} test - Test result with video and videoFrameStep?
+ * @returns {string}
+ */
+export function formatVideo(test) {
+  return test.videoFrameStep > 1
+    ? `${test.video} (1 of every ${test.videoFrameStep} frames kept)`
+    : test.video;
+}
+
+/**
+ * Console symbol and color for a test status
+ * @param {string} status - 'passed' | 'failed' | 'skipped' | 'todo'
+ * @returns {{symbol: string, color: string}}
+ */
+export function formatStatus(status) {
+  switch (status) {
+    case 'passed':
+      return { symbol: '✓', color: '\x1b[32m' };
+    case 'skipped':
+      return { symbol: '-', color: '\x1b[33m' };
+    case 'todo':
+      return { symbol: '✎', color: '\x1b[36m' };
+    default:
+      return { symbol: '✗', color: '\x1b[31m' };
+  }
+}
+
+/**
+ * Turn reporter specs into reporter objects
+ * @param {Array<string|Array|Object>} specs - Names, [name, options] pairs or reporter objects
+ * @returns {Array<Object>} Reporters, each with a name
+ * @throws {Error} If a name is unknown or an object has no hooks
+ */
+export function resolveReporters(specs) {
+  if (!Array.isArray(specs)) {
+    throw new Error('Reporters must be an array');
+  }
+
+  return specs.map((spec, index) => {
+    const [name, options] = Array.isArray(spec) ? spec : [spec, {}];
+
+    if (typeof name === 'string') {
+      const create = BUILTIN_REPORTERS[name];
+      if (!create) {
+        throw new Error(`Unknown reporter: "${name}". Must be one of ${Object.keys(BUILTIN_REPORTERS).join(', ')}, or a reporter object`);
+      }
+      return create(options || {});
+    }
+
+    const hooks = ['onRunStart', 'onTestEnd', 'onRunEnd'];
+    if (!name || typeof name !== 'object' || !hooks.some(hook => typeof name[hook] === 'function')) {
+      throw new Error(`Invalid reporter at index ${index}: expected a reporter name or an object with ${hooks.join(', ')}`);
+    }
+    return { ...name, name: name.name || `reporter${index + 1}` };
+  });
+}
+
+/**
+ * Escape text for XML content and attributes
+ * Control characters that XML 1.0 forbids (e.g. ANSI color codes) are dropped.
+ * @param {*} value - Text
+ * @returns {string}
+ */
+export function escapeXML(value) {
+  return String(value ?? '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format results as JUnit XML, one <testsuite> per suite path
+ * Screenshot, trace, video and console output of a test go to its <system-out>.
+ * @param {Object} results - { stats, tests }
+ * @param {Object} options - { name? } Name of the <testsuites> element
+ * @returns {string} XML document
+ */
+export function formatJUnitXML(results, options = {}) {
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const suites = new Map();
+
+  for (const test of results.tests) {
+    if (!suites.has(test.suite)) {
+      suites.set(test.suite, []);
+    }
+    suites.get(test.suite).push(test);
+  }
+
+  const count = (tests, statuses) => tests.filter(test => statuses.includes(test.status)).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXML(options.name || 'UI Tests')}" tests="${results.tests.length}" ` +
+      `failures="${count(results.tests, ['failed'])}" skipped="${count(results.tests, ['skipped', 'todo'])}" ` +
+      `time="${seconds(results.stats.duration)}">`
+  ];
+
+  for (const [suite, tests] of suites) {
+    const duration = tests.reduce((sum, test) => sum + (test.duration || 0), 0);
+    lines.push(
+      `  <testsuite name="${escapeXML(suite)}" tests="${tests.length}" failures="${count(tests, ['failed'])}" ` +
+      `skipped="${count(tests, ['skipped', 'todo'])}" time="${seconds(duration)}">`
+    );
+
+    for (const test of tests) {
+      lines.push(`    <testcase name="${escapeXML(test.name)}" classname="${escapeXML(suite)}" time="${seconds(test.duration)}">`);
+
+      const properties = [
+        ...(test.tags || []).map(tag => ['tag', tag]),
+        ...(test.flaky ? [['flaky', `passed on attempt ${test.attempts.length}`]] : [])
+      ];
+      if (properties.length > 0) {
+        lines.push('      <properties>');
+        properties.forEach(([name, value]) => {
+          lines.push(`        <property name="${name}" value="${escapeXML(value)}"/>`);
+        });
+        lines.push('      </properties>');
+      }
+
+      if (test.status === 'failed') {
+        const error = test.error || {};
+        lines.push(
+          `      <failure message="${escapeXML(error.message)}" type="${escapeXML(error.errorType || 'Error')}">` +
+          `${escapeXML(error.stack || error.message)}</failure>`
+        );
+      } else if (test.status === 'skipped' || test.status === 'todo') {
+        lines.push(`      <skipped message="${test.status}"/>`);
+      }
+
+      const output = [
+        test.screenshot ? `Screenshot: ${test.screenshot}` : null,
+        test.trace ? `Trace: ${test.trace.viewer}` : null,
+        test.video ? `Video: ${formatVideo(test)}` : null,
+        test.console?.length ? formatConsoleMessages(test.console) : null
+      ].filter(Boolean);
+      if (output.length > 0) {
+        lines.push(`      <system-out>${escapeXML(output.join('\n'))}</system-out>`);
+      }
+
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format results as TAP version 13
+ * Failures carry a YAML block with the error; skipped and todo tests use directives.
+ * @param {Object} results - { stats, tests }
+ * @returns {string} TAP stream
+ */
+export function formatTAP(results) {
+  const lines = ['TAP version 13', `1..${results.tests.length}`];
+
+  results.tests.forEach((test, index) => {
+    // "#" starts a directive in TAP, so it is escaped in descriptions
+    const description = `${test.suite} > ${test.name}`.replace(/\\/g, '\\\\').replace(/#/g, '\\#');
+    const number = index + 1;
+
+    if (test.status === 'skipped') {
+      lines.push(`ok ${number} - ${description} # SKIP`);
+      return;
+    }
+    if (test.status === 'todo') {
+      lines.push(`not ok ${number} - ${description} # TODO`);
+      return;
+    }
+    if (test.status === 'passed') {
+      lines.push(`ok ${number} - ${description}`);
+      return;
+    }
+
+    const error = test.error || {};
+    lines.push(`not ok ${number} - ${description}`);
+    lines.push('  ---');
+    lines.push(`  message: ${JSON.stringify(error.message || 'Test failed')}`);
+    lines.push(`  severity: fail`);
+    lines.push(`  type: ${JSON.stringify(error.errorType || 'Error')}`);
+    lines.push(`  duration_ms: ${test.duration || 0}`);
+    if (test.screenshot) {
+      lines.push(`  screenshot: ${JSON.stringify(test.screenshot)}`);
+    }
+    if (test.trace) {
+      lines.push(`  trace: ${JSON.stringify(test.trace.viewer)}`);
+    }
+    if (test.video) {
+      lines.push(`  video: ${JSON.stringify(formatVideo(test))}`);
+    }
+    if (error.stack) {
+      lines.push('  stack: |-');
+      error.stack.split('\n').forEach(line => lines.push(`    ${line}`));
+    }
+    lines.push('  ...');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a single-file HTML report
+ * @param {Object} report - From buildJSONReport(), optionally with screenshotData, traceLink and videoLink per test
+ * @param {Object} options - { title? }
+ * @returns {string} HTML document
+ */
+export function buildHTMLReport(report, options = {}) {
+  // "<" is escaped so report text can't close the script element
+  const data = JSON.stringify(report).replace(/</g, '\\u003c');
+  const title = (options.title || 'Test Report').replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 16px 24px; font: 14px/1.45 system-ui, sans-serif; color: #1f2328; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  .stats span { margin-right: 16px; }
+  .toolbar { margin: 12px 0; display: flex; gap: 6px; flex-wrap: wrap; }
+  .toolbar button.active { font-weight: bold; }
+  .toolbar input { flex: 1; min-width: 200px; }
+  h2 { font-size: 15px; margin: 16px 0 4px; color: #656d76; }
+  details { border: 1px solid #d0d7de; border-radius: 6px; margin: 4px 0; }
+  summary { padding: 6px 10px; cursor: pointer; }
+  summary .duration { color: #656d76; float: right; }
+  .body { padding: 6px 10px 10px; border-top: 1px solid #d0d7de; }
+  .passed { color: #1a7f37; } .failed { color: #cf222e; } .skipped, .todo { color: #9a6700; }
+  .flaky { background: #fff8c5; border-radius: 8px; padding: 0 6px; font-size: 12px; }
+  pre { white-space: pre-wrap; word-break: break-word; background: #f6f8fa; padding: 8px; margin: 4px 0; }
+  img { max-width: 100%; border: 1px solid #d0d7de; }
+  h3 { font-size: 13px; margin: 10px 0 2px; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="stats" id="stats"></div>
+<div class="toolbar" id="toolbar"></div>
+<div id="tests"></div>
+<script type="application/json" id="report-data">${data}</script>
+<script>
+  var report = JSON.parse(document.getElementById('report-data').textContent);
+  var filters = ['all', 'failed', 'flaky', 'passed', 'skipped'];
+  var filter = report.summary.failed > 0 ? 'failed' : 'all';
+  var search = '';
+  var symbols = { passed: '✓', failed: '✗', skipped: '-', todo: '✎' };
+
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) { node[key] = props[key]; });
+    (children || []).forEach(function (child) {
+      if (child) node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  function section(title, content) {
+    return [el('h3', { textContent: title }), content];
+  }
+
+  function matches(test) {
+    var name = (test.suite + ' > ' + test.name).toLowerCase();
+    if (search && name.indexOf(search) === -1) return false;
+    if (filter === 'all') return true;
+    if (filter === 'flaky') return test.flaky;
+    if (filter === 'skipped') return test.status === 'skipped' || test.status === 'todo';
+    return test.status === filter;
+  }
+
+  function renderTest(test) {
+    var summary = el('summary', {}, [
+      el('span', { className: test.status, textContent: symbols[test.status] + ' ' }),
+      test.name + ' ',
+      test.flaky ? el('span', { className: 'flaky', textContent: 'flaky' }) : null,
+      (test.tags || []).length ? ' ' + test.tags.map(function (tag) { return '@' + tag; }).join(' ') : null,
+      el('span', { className: 'duration', textContent: test.duration + 'ms' })
+    ]);
+    var body = el('div', { className: 'body' });
+    var parts = [];
+    if (test.error) {
+      parts = parts.concat(section('Error', el('pre', { textContent: test.error.stack || test.error.message })));
+    }
+    if ((test.attempts || []).length > 1) {
+      parts = parts.concat(section('Attempts', el('pre', { textContent: test.attempts.map(function (attempt) {
+        return '#' + attempt.attempt + ' ' + attempt.status + ' (' + attempt.duration + 'ms)' + (attempt.error ? ': ' + attempt.error : '');
+      }).join('\\n') })));
+    }
+    if ((test.violations || []).length) {
+      parts = parts.concat(section('Accessibility', el('pre', { textContent: test.violations.map(function (v) {
+        return '[' + v.impact + '] ' + v.rule + ': ' + v.message + ' (' + v.target + ')';
+      }).join('\\n') })));
+    }
+    if ((test.console || []).length) {
+      parts = parts.concat(section('Console', el('pre', { textContent: test.console.map(function (m) {
+        return '[' + m.type + '] ' + m.text;
+      }).join('\\n') })));
+    }
+    if (test.traceLink) {
+      parts = parts.concat(section('Trace', el('a', { href: test.traceLink, textContent: test.traceLink })));
+    }
+    if (test.videoLink) {
+      parts = parts.concat(section('Video', el('a', { href: test.videoLink }, [
+        el('img', { src: test.videoLink, alt: 'Test recording' })
+      ])));
+      if (test.videoFrameStep > 1) {
+        parts.push(el('p', { textContent: '1 of every ' + test.videoFrameStep + ' frames kept' }));
+      }
+    }
+    if (test.screenshotData) {
+      parts = parts.concat(section('Screenshot', el('img', { src: test.screenshotData, alt: 'Failure screenshot' })));
+    } else if (test.screenshot) {
+      parts = parts.concat(section('Screenshot', el('code', { textContent: test.screenshot })));
+    }
+    if (parts.length === 0) parts.push(el('span', { textContent: 'No details' }));
+    parts.forEach(function (part) { body.appendChild(part); });
+
+    var details = el('details', {}, [summary, body]);
+    details.open = test.status === 'failed';
+    return details;
+  }
+
+  function render() {
+    var container = document.getElementById('tests');
+    container.textContent = '';
+    var suite = null;
+    var shown = report.tests.filter(matches);
+    if (shown.length === 0) container.appendChild(el('p', { textContent: 'No matching tests' }));
+    shown.forEach(function (test) {
+      if (test.suite !== suite) {
+        suite = test.suite;
+        container.appendChild(el('h2', { textContent: suite }));
+      }
+      container.appendChild(renderTest(test));
+    });
+    Array.prototype.forEach.call(document.querySelectorAll('#toolbar button'), function (button) {
+      button.className = button.dataset.filter === filter ? 'active' : '';
+    });
+  }
+
+  var s = report.summary;
+  [['Total', s.total], ['Passed', s.passed], ['Failed', s.failed], ['Flaky', s.flaky],
+    ['Skipped', s.skipped + s.todo], ['Duration', s.duration + 'ms'],
+    ['Date', new Date(s.timestamp).toLocaleString()]].forEach(function (stat) {
+    document.getElementById('stats').appendChild(el('span', {}, [stat[0] + ': ', el('b', { textContent: String(stat[1]) })]));
+  });
+
+  var toolbar = document.getElementById('toolbar');
+  filters.forEach(function (name) {
+    var button = el('button', { textContent: name });
+    button.dataset.filter = name;
+    button.onclick = function () { filter = name; render(); };
+    toolbar.appendChild(button);
+  });
+  var input = el('input', { type: 'search', placeholder: 'Filter by name' });
+  input.oninput = function () { search = input.value.toLowerCase(); render(); };
+  toolbar.appendChild(input);
+
+  render();
+</script>
+</body>
+</html>
+`;
+}
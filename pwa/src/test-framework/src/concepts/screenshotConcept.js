@@ -0,0 +1,505 @@
+/**
+ * Screenshot Concept
+ * Captures page and element screenshots and compares them against baselines.
+ *
+ * Screenshots use CDP Page.captureScreenshot. Baseline comparison decodes
+ * PNGs in Node so diffs are deterministic and independent of the page.
+ */
+
+import { writeFile, readFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { inflateSync, deflateSync } from 'zlib';
+import { ElementNotFoundError } from '../errors/index.js';
+import { browserConcept } from './browserConcept.js';
+import { domConcept, validateSelector } from './domConcept.js';
+import { reportConcept } from './reportConcept.js';
+
+// Trace snapshots: JPEG quality and the longest page HTML kept
+const SNAPSHOT_QUALITY = 50;
+const MAX_SNAPSHOT_HTML = 500000;
+
+export const screenshotConcept = {
+  state: {
+    baselineDir: './__screenshots__', // Stored baseline images
+    updateBaselines: false,  // Overwrite baselines instead of comparing
+    ci: Boolean(process.env.CI), // Missing baselines fail instead of being written
+    lastScreenshot: null     // { path, selector, fullPage, timestamp }
+  },
+
+  actions: {
+    /**
+     * Capture a PNG screenshot of the active page
+     * @param {Object} options - { selector?, fullPage?, path? }
+     * @returns {Promise<Buffer>} PNG data
+     */
+    async screenshot(options = {}) {
+      const self = screenshotConcept;
+      const sessionId = domConcept.actions._getSessionId();
+      const startTime = Date.now();
+
+      const params = { format: 'png' };
+
+      if (options.selector) {
+        params.clip = await self.actions._getElementClip(options.selector, sessionId);
+        params.captureBeyondViewport = true;
+      } else if (options.fullPage) {
+        const metrics = await browserConcept.actions.sendCDPCommand('Page.getLayoutMetrics', {}, sessionId);
+        const size = metrics.cssContentSize || metrics.contentSize;
+        params.clip = buildClip({ x: 0, y: 0, width: size.width, height: size.height });
+        params.captureBeyondViewport = true;
+      }
+
+      const result = await browserConcept.actions.sendCDPCommand('Page.captureScreenshot', params, sessionId);
+      const buffer = Buffer.from(result.data, 'base64');
+
+      if (options.path) {
+        await writeImage(options.path, buffer);
+      }
+
+      self.state.lastScreenshot = {
+        path: options.path || null,
+        selector: options.selector || null,
+        fullPage: Boolean(options.fullPage),
+        timestamp: Date.now()
+      };
+
+      self.notify('screenshotCaptured', {
+        ...self.state.lastScreenshot,
+        duration: Date.now() - startTime
+      });
+
+      return buffer;
+    },
+
+    /**
+     * Compare a PNG against the stored baseline
+     * Writes actual/expected/diff images into the report output directory on mismatch.
+     * @param {string} name - Baseline name
+     * @param {Buffer} actual - PNG data
+     * @param {Object} options - { threshold?, maxDiffPixels? }
+     * @returns {Promise<Object>} { passed, created, diffPixels, diffRatio, reason?, paths }
+     */
+    async compareWithBaseline(name, actual, options = {}) {
+      const self = screenshotConcept;
+      const fileName = toFileName(name);
+      const baselinePath = join(self.state.baselineDir, `${fileName}.png`);
+
+      let baseline = null;
+      try {
+        baseline = await readFile(baselinePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      if (!baseline || self.state.updateBaselines) {
+        if (!baseline && self.state.ci && !self.state.updateBaselines) {
+          return {
+            passed: false,
+            created: false,
+            reason: `Missing baseline ${baselinePath} (baselines are not written in CI)`,
+            paths: { baseline: baselinePath }
+          };
+        }
+
+        await writeImage(baselinePath, actual);
+        self.notify('baselineWritten', { name, path: baselinePath });
+
+        return { passed: true, created: true, diffPixels: 0, diffRatio: 0, paths: { baseline: baselinePath } };
+      }
+
+      const comparison = compareImages(decodePNG(baseline), decodePNG(actual), options);
+
+      if (comparison.passed) {
+        return { ...comparison, created: false, paths: { baseline: baselinePath } };
+      }
+
+      const outputDir = join(reportConcept.state.outputDir, 'screenshots');
+      const paths = {
+        baseline: baselinePath,
+        expected: join(outputDir, `${fileName}-expected.png`),
+        actual: join(outputDir, `${fileName}-actual.png`),
+        diff: comparison.diffImage ? join(outputDir, `${fileName}-diff.png`) : null
+      };
+
+      await writeImage(paths.expected, baseline);
+      await writeImage(paths.actual, actual);
+      if (comparison.diffImage) {
+        await writeImage(paths.diff, encodePNG(comparison.diffImage));
+      }
+
+      const { diffImage, ...summary } = comparison;
+      return { ...summary, created: false, paths };
+    },
+
+    /**
+     * Capture a failure screenshot for a test into the report output directory
+     * @param {string} suite - Suite name
+     * @param {string} test - Test name
+     * @returns {Promise<string|null>} Screenshot path, or null if no page is available
+     */
+    async captureFailure(suite, test) {
+      if (!browserConcept.state.browser) {
+        return null;
+      }
+
+      const path = join(
+        reportConcept.state.outputDir,
+        'screenshots',
+        `${toFileName(`${suite} ${test}`)}-failure.png`
+      );
+
+      await screenshotConcept.actions.screenshot({ path });
+      return path;
+    },
+
+    /**
+     * Capture the active page for a trace step: a JPEG of the viewport and its HTML
+     * Unlike screenshot(), nothing is written or logged to the trace.
+     * @returns {Promise<Object>} { screenshot, html, url } screenshot is a data URL
+     */
+    async captureSnapshot() {
+      const sessionId = domConcept.actions._getSessionId();
+
+      const [image, page] = await Promise.all([
+        browserConcept.actions.sendCDPCommand('Page.captureScreenshot', {
+          format: 'jpeg',
+          quality: SNAPSHOT_QUALITY
+        }, sessionId),
+        browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+          expression: `({ html: document.documentElement ? document.documentElement.outerHTML : '', url: location.href })`,
+          returnByValue: true
+        }, sessionId)
+      ]);
+
+      const { html, url } = page.result.value;
+
+      return {
+        screenshot: `data:image/jpeg;base64,${image.data}`,
+        html: html.length > MAX_SNAPSHOT_HTML ? html.slice(0, MAX_SNAPSHOT_HTML) : html,
+        url
+      };
+    },
+
+    /**
+     * Compute a page-coordinate clip for an element, scrolling it into view
+     * @param {string} selector - Selector
+     * @param {string} sessionId - Page session
+     * @returns {Promise<Object>} Clip rectangle
+     */
+    async _getElementClip(selector, sessionId) {
+      validateSelector(selector);
+
+      const { found, value: rect, offset } = await domConcept.actions._evaluateOnElement(selector, (element) => {
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+        const rect = element.getBoundingClientRect();
+        return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      });
+
+      if (!found) {
+        throw new ElementNotFoundError({ selector, action: 'screenshot' });
+      }
+
+      // Element rect is relative to the viewport; the clip is in page coordinates
+      const metrics = await browserConcept.actions.sendCDPCommand('Page.getLayoutMetrics', {}, sessionId);
+      const viewport = metrics.cssVisualViewport || metrics.visualViewport;
+
+      return buildClip({
+        x: rect.x + offset.x + viewport.pageX,
+        y: rect.y + offset.y + viewport.pageY,
+        width: rect.width,
+        height: rect.height
+      });
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+/**
+ * Write image data, creating parent directories
+ * @param {string} path - File path
+ * @param {Buffer} data - Image data
+ * @returns {Promise<void>}
+ */
+async function writeImage(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, data);
+}
+
+// Pure functions for screenshot concept
+
+export const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Build a CDP clip rectangle with whole-pixel bounds
+ * @param {Object} rect - { x, y, width, height }
+ * @returns {Object} Clip with scale 1
+ */
+export function buildClip(rect) {
+  const x = Math.floor(rect.x);
+  const y = Math.floor(rect.y);
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.ceil(rect.x + rect.width) - x),
+    height: Math.max(1, Math.ceil(rect.y + rect.height) - y),
+    scale: 1
+  };
+}
+
+/**
+ * Turn a baseline or test name into a safe file name
+ * @param {string} name - Name
+ * @returns {string} File name without extension
+ */
+export function toFileName(name) {
+  const safe = String(name)
+    .trim()
+    .replace(/[^a-zA-Z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!safe) {
+    throw new Error(`Invalid screenshot name: "${name}"`);
+  }
+  return safe;
+}
+
+/**
+ * CRC-32 used by PNG chunks
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced RGB/RGBA PNG into RGBA pixels
+ * @param {Buffer} buffer - PNG data
+ * @returns {{width: number, height: number, data: Buffer}} RGBA image
+ */
+export function decodePNG(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let offset = 8;
+  let header = null;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG is missing IHDR chunk');
+  }
+  if (header.bitDepth !== 8 || ![2, 6].includes(header.colorType) || header.interlace !== 0) {
+    throw new Error('Only 8-bit non-interlaced RGB/RGBA PNGs are supported');
+  }
+
+  const channels = header.colorType === 6 ? 4 : 3;
+  const stride = header.width * channels;
+  const raw = inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * header.height);
+
+  for (let y = 0; y < header.height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? out[i - channels] : 0;
+      const up = prev ? prev[i] : 0;
+      const upLeft = prev && i >= channels ? prev[i - channels] : 0;
+      out[i] = (line[i] + unfilterPredictor(filter, left, up, upLeft)) & 0xff;
+    }
+  }
+
+  const data = Buffer.alloc(header.width * header.height * 4);
+  for (let p = 0; p < header.width * header.height; p++) {
+    data[p * 4] = pixels[p * channels];
+    data[p * 4 + 1] = pixels[p * channels + 1];
+    data[p * 4 + 2] = pixels[p * channels + 2];
+    data[p * 4 + 3] = channels === 4 ? pixels[p * channels + 3] : 255;
+  }
+
+  return { width: header.width, height: header.height, data };
+}
+
+/**
+ * PNG filter predictor for one byte
+ * @param {number} filter - Filter type (0-4)
+ * @param {number} left - Byte to the left
+ * @param {number} up - Byte above
+ * @param {number} upLeft - Byte above-left
+ * @returns {number}
+ */
+function unfilterPredictor(filter, left, up, upLeft) {
+  switch (filter) {
+    case 0: return 0;
+    case 1: return left;
+    case 2: return up;
+    case 3: return (left + up) >> 1;
+    case 4: {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      if (pa <= pb && pa <= pc) return left;
+      return pb <= pc ? up : upLeft;
+    }
+    default:
+      throw new Error(`Invalid PNG filter type: ${filter}`);
+  }
+}
+
+/**
+ * Encode RGBA pixels as PNG
+ * @param {{width: number, height: number, data: Buffer}} image - RGBA image
+ * @returns {Buffer} PNG data
+ */
+export function encodePNG({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // RGBA
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+export function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Compare two RGBA images pixel by pixel
+ * A pixel differs when any channel differs by more than threshold * 255.
+ * Differing pixels are red in the diff image; matching pixels are faded grey.
+ * @param {Object} expected - RGBA image
+ * @param {Object} actual - RGBA image
+ * @param {Object} options - { threshold = 0.1, maxDiffPixels = 0 }
+ * @returns {Object} { passed, diffPixels, diffRatio, reason?, diffImage? }
+ */
+export function compareImages(expected, actual, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const maxDiffPixels = options.maxDiffPixels ?? 0;
+
+  if (expected.width !== actual.width || expected.height !== actual.height) {
+    return {
+      passed: false,
+      diffPixels: null,
+      diffRatio: null,
+      reason: `Size mismatch: expected ${expected.width}x${expected.height}, got ${actual.width}x${actual.height}`
+    };
+  }
+
+  const tolerance = threshold * 255;
+  const total = expected.width * expected.height;
+  const diff = Buffer.alloc(total * 4);
+  let diffPixels = 0;
+
+  for (let p = 0; p < total; p++) {
+    const i = p * 4;
+    let differs = false;
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(expected.data[i + c] - actual.data[i + c]) > tolerance) {
+        differs = true;
+        break;
+      }
+    }
+
+    if (differs) {
+      diffPixels++;
+      diff[i] = 255;
+      diff[i + 1] = 0;
+      diff[i + 2] = 0;
+    } else {
+      const grey = Math.round(
+        0.299 * expected.data[i] + 0.587 * expected.data[i + 1] + 0.114 * expected.data[i + 2]
+      );
+      const faded = 255 - Math.round((255 - grey) * 0.1);
+      diff[i] = faded;
+      diff[i + 1] = faded;
+      diff[i + 2] = faded;
+    }
+    diff[i + 3] = 255;
+  }
+
+  const passed = diffPixels <= maxDiffPixels;
+
+  return {
+    passed,
+    diffPixels,
+    diffRatio: diffPixels / total,
+    reason: passed ? undefined : `${diffPixels} pixels differ (${(diffPixels / total * 100).toFixed(2)}%)`,
+    diffImage: passed ? undefined : { width: expected.width, height: expected.height, data: diff }
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Service Worker Concept
+ * Inspects the active page's service worker and its caches, so PWA tests can
+ * check the app is installed for offline use before disconnecting.
+ *
+ * Registration state comes from navigator.serviceWorker in the page; cache
+ * contents come from the CDP CacheStorage domain for the page's origin.
+ */
+
+import { TimeoutError } from '../errors/index.js';
+import { browserConcept } from './browserConcept.js';
+import { navigationConcept } from './navigationConcept.js';
+import { evaluateInPage, getPageOrigin } from './storageConcept.js';
+
+// Entries fetched per CacheStorage.requestEntries call
+const CACHE_PAGE_SIZE = 100;
+
+export const serviceWorkerConcept = {
+  state: {
+    timeout: 10000          // Default waitForServiceWorker timeout
+  },
+
+  actions: {
+    /**
+     * Wait until the page has an active service worker
+     * @param {Object} options - { timeout?, controlled? } ms (default: state.timeout); controlled also
+     *   waits for the worker to control the page (clients.claim() or a reload)
+     * @returns {Promise<Object>} { scope, scriptURL, state, controlled }
+     * @throws {TimeoutError} If no worker activates in time
+     * @throws {Error} If the page can't register service workers (e.g. not a secure context)
+     */
+    async waitForServiceWorker(options = {}) {
+      const self = serviceWorkerConcept;
+      const timeout = options.timeout ?? self.state.timeout;
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+
+      let timer;
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new TimeoutError({
+            selector: 'serviceWorker',
+            timeout,
+            action: 'waitForServiceWorker',
+            pageUrl: navigationConcept.actions.getActivePage().currentUrl
+          }));
+        }, timeout);
+      });
+
+      try {
+        const worker = await Promise.race([
+          evaluateInPage(`(${pageWaitForServiceWorker.toString()})(${Boolean(options.controlled)})`, sessionId),
+          timedOut
+        ]);
+
+        self.notify('serviceWorkerReady', worker);
+        return worker;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    /**
+     * Cache names of the active page's origin
+     * @returns {Promise<Array<string>>}
+     */
+    async getCacheNames() {
+      const self = serviceWorkerConcept;
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+      const caches = await self.actions._requestCaches(sessionId);
+
+      return caches.map(cache => cache.cacheName);
+    },
+
+    /**
+     * URLs stored in the active page's caches
+     * @param {string} [cacheName] - One cache (all caches of the origin when omitted)
+     * @returns {Promise<Array<string>>} Request URLs, in cache order
+     * @throws {Error} If the named cache doesn't exist
+     */
+    async getCachedURLs(cacheName) {
+      const self = serviceWorkerConcept;
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+      let caches = await self.actions._requestCaches(sessionId);
+
+      if (cacheName !== undefined) {
+        caches = caches.filter(cache => cache.cacheName === cacheName);
+        if (caches.length === 0) {
+          throw new Error(`Cache not found: ${cacheName}`);
+        }
+      }
+
+      const urls = [];
+      for (const cache of caches) {
+        let skipCount = 0;
+        while (true) {
+          const { cacheDataEntries, returnCount } = await browserConcept.actions.sendCDPCommand(
+            'CacheStorage.requestEntries',
+            { cacheId: cache.cacheId, skipCount, pageSize: CACHE_PAGE_SIZE },
+            sessionId
+          );
+          urls.push(...cacheDataEntries.map(entry => entry.requestURL));
+          skipCount += cacheDataEntries.length;
+          if (cacheDataEntries.length === 0 || skipCount >= returnCount) break;
+        }
+      }
+      return urls;
+    },
+
+    /**
+     * CacheStorage caches of the page's origin
+     * @param {string} sessionId - Page session
+     * @returns {Promise<Array<Object>>} CDP Cache objects { cacheId, cacheName, ... }
+     */
+    async _requestCaches(sessionId) {
+      const securityOrigin = await getPageOrigin(sessionId, 'caches');
+      const { caches } = await browserConcept.actions.sendCDPCommand('CacheStorage.requestCacheNames', {
+        securityOrigin
+      }, sessionId);
+      return caches;
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+// Page functions: serialized into Runtime.evaluate, so they must not
+// reference anything outside their own body.
+
+/**
+ * Resolve with the active service worker once it is activated
+ * @param {boolean} controlled - Also wait for it to control the page
+ * @returns {Promise<Object>} { scope, scriptURL, state, controlled }
+ */
+async function pageWaitForServiceWorker(controlled) {
+  if (!('serviceWorker' in navigator)) {
+    throw new Error('Service workers are not available on this page (it must be https or localhost)');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const worker = registration.active;
+
+  if (worker.state !== 'activated') {
+    await new Promise(resolve => {
+      worker.addEventListener('statechange', function onChange() {
+        if (worker.state === 'activated') {
+          worker.removeEventListener('statechange', onChange);
+          resolve();
+        }
+      });
+    });
+  }
+
+  if (controlled && !navigator.serviceWorker.controller) {
+    await new Promise(resolve => {
+      navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true });
+    });
+  }
+
+  return {
+    scope: registration.scope,
+    scriptURL: worker.scriptURL,
+    state: worker.state,
+    controlled: Boolean(navigator.serviceWorker.controller)
+  };
+}
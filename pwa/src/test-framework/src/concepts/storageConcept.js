@@ -0,0 +1,612 @@
+/**
+ * Storage Concept
+ * Seeds and inspects browser storage: cookies, localStorage and IndexedDB.
+ *
+ * Cookies use the CDP Storage domain for the active page's browser context;
+ * localStorage and IndexedDB belong to the active page's origin. IndexedDB is
+ * read through the CDP IndexedDB domain and written from the page, since CDP
+ * can't add records.
+ *
+ * A storage state ({ cookies, origins }) captures all three so a logged-in or
+ * pre-populated app can be restored into a new context (createContext({ storageState })).
+ * Stored values must be JSON-serializable.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { TimeoutError } from '../errors/index.js';
+import { browserConcept } from './browserConcept.js';
+import { navigationConcept } from './navigationConcept.js';
+
+// Records fetched per IndexedDB.requestData call
+const IDB_PAGE_SIZE = 100;
+
+// Served in place of the real page while an origin's storage is restored
+const BLANK_PAGE = Buffer.from('<!DOCTYPE html><title></title>').toString('base64');
+
+export const storageConcept = {
+  state: {
+    restoreTimeout: 10000    // ms to load each origin while restoring a storage state
+  },
+
+  actions: {
+    /**
+     * Cookies of the active page's browser context
+     * @param {string|Array<string>} [urls] - Only cookies sent to these URLs
+     * @returns {Promise<Array<Object>>} CDP Network.Cookie objects
+     */
+    async getCookies(urls) {
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+      const { cookies } = await browserConcept.actions.sendCDPCommand(
+        'Storage.getCookies',
+        getContextParams(targetId)
+      );
+
+      return urls === undefined ? cookies : filterCookies(cookies, [].concat(urls));
+    },
+
+    /**
+     * Add cookies to the active page's browser context
+     * @param {Array<Object>} cookies - { name, value, url? | domain?, path?, expires?, httpOnly?, secure?, sameSite? }
+     * @returns {Promise<void>}
+     * @throws {Error} If a cookie has no name, value, url or domain
+     */
+    async setCookies(cookies) {
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+
+      await browserConcept.actions.sendCDPCommand('Storage.setCookies', {
+        cookies: normalizeCookies(cookies),
+        ...getContextParams(targetId)
+      });
+    },
+
+    /**
+     * Delete all cookies of the active page's browser context
+     * @returns {Promise<void>}
+     */
+    async clearCookies() {
+      const { targetId } = await navigationConcept.actions.ensureActivePage();
+
+      await browserConcept.actions.sendCDPCommand('Storage.clearCookies', getContextParams(targetId));
+    },
+
+    /**
+     * localStorage of the active page
+     * @returns {Promise<Object>} key -> value
+     */
+    async getLocalStorage() {
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+
+      return evaluateInPage(`(${pageGetLocalStorage.toString()})()`, sessionId);
+    },
+
+    /**
+     * Set localStorage items of the active page; other items are kept
+     * @param {Object} items - key -> value (values are stored as strings)
+     * @returns {Promise<void>}
+     */
+    async setLocalStorage(items) {
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+
+      if (!items || typeof items !== 'object' || Array.isArray(items)) {
+        throw new Error('localStorage items must be an object of key -> value');
+      }
+
+      await evaluateInPage(`(${pageSetLocalStorage.toString()})(${JSON.stringify(items)})`, sessionId);
+    },
+
+    /**
+     * Remove every localStorage item of the active page
+     * @returns {Promise<void>}
+     */
+    async clearLocalStorage() {
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+
+      await evaluateInPage('localStorage.clear()', sessionId);
+    },
+
+    /**
+     * Dump the IndexedDB databases of the active page's origin
+     * @param {string} [databaseName] - One database (all databases when omitted)
+     * @returns {Promise<Array<Object>>} [{ name, version, stores: [{ name, keyPath, autoIncrement, indexes, records: [{ key, value }] }] }]
+     * @throws {Error} If the named database doesn't exist
+     */
+    async dumpIndexedDB(databaseName) {
+      const self = storageConcept;
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+      const securityOrigin = await getPageOrigin(sessionId);
+
+      await browserConcept.actions.sendCDPCommand('IndexedDB.enable', {}, sessionId);
+      const { databaseNames } = await browserConcept.actions.sendCDPCommand('IndexedDB.requestDatabaseNames', {
+        securityOrigin
+      }, sessionId);
+
+      if (databaseName !== undefined && !databaseNames.includes(databaseName)) {
+        throw new Error(`IndexedDB database not found: ${databaseName}`);
+      }
+
+      const databases = [];
+      for (const name of databaseName !== undefined ? [databaseName] : databaseNames) {
+        const { databaseWithObjectStores } = await browserConcept.actions.sendCDPCommand('IndexedDB.requestDatabase', {
+          securityOrigin,
+          databaseName: name
+        }, sessionId);
+
+        const database = describeDatabase(databaseWithObjectStores);
+        for (const store of database.stores) {
+          store.records = await self.actions._readObjectStore(securityOrigin, name, store.name, sessionId);
+        }
+        databases.push(database);
+      }
+      return databases;
+    },
+
+    /**
+     * Replace IndexedDB databases of the active page's origin with dumped ones
+     * Databases with the same names are deleted first; others are kept.
+     * @param {Array<Object>} databases - From dumpIndexedDB()
+     * @returns {Promise<void>}
+     */
+    async restoreIndexedDB(databases) {
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+
+      validateDatabases(databases);
+      await evaluateInPage(`(${pageRestoreIndexedDB.toString()})(${JSON.stringify(databases)})`, sessionId);
+    },
+
+    /**
+     * Capture cookies, and localStorage and IndexedDB of the active page's origin
+     * @returns {Promise<Object>} { cookies, origins: [{ origin, localStorage, indexedDB }] }
+     */
+    async getStorageState() {
+      const self = storageConcept;
+      const { sessionId } = await navigationConcept.actions.ensureActivePage();
+      const origin = await evaluateInPage('location.origin', sessionId);
+      const state = { cookies: await self.actions.getCookies(), origins: [] };
+
+      // about:blank and data: URLs have no storage of their own
+      if (isWebOrigin(origin)) {
+        state.origins.push({
+          origin,
+          localStorage: await self.actions.getLocalStorage(),
+          indexedDB: await self.actions.dumpIndexedDB()
+        });
+      }
+      return state;
+    },
+
+    /**
+     * Write the storage state to a JSON file, for createContext({ storageState })
+     * @param {string} path - File to write
+     * @returns {Promise<Object>} The saved state
+     */
+    async saveStorageState(path) {
+      const self = storageConcept;
+      const state = await self.actions.getStorageState();
+
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, JSON.stringify(state, null, 2));
+
+      self.notify('storageStateSaved', {
+        path,
+        cookies: state.cookies.length,
+        origins: state.origins.map(o => o.origin)
+      });
+      return state;
+    },
+
+    /**
+     * Restore a storage state into a browser context through one of its pages
+     * The page visits each origin (served a blank page, without network) to
+     * write its storage, then returns to about:blank.
+     * @param {Object|string} storageState - State object or path to a saved state
+     * @param {Object} target - { browserContextId?, sessionId } page of the context
+     * @returns {Promise<void>}
+     */
+    async restoreStorageState(storageState, { browserContextId, sessionId }) {
+      const self = storageConcept;
+      const state = typeof storageState === 'string'
+        ? JSON.parse(await readFile(storageState, 'utf8'))
+        : storageState;
+
+      validateStorageState(state);
+
+      if (state.cookies.length > 0) {
+        await browserConcept.actions.sendCDPCommand('Storage.setCookies', {
+          cookies: normalizeCookies(state.cookies),
+          ...(browserContextId ? { browserContextId } : {})
+        });
+      }
+
+      if (state.origins.length === 0) return;
+
+      const unsubscribe = browserConcept.subscribe((event, payload) => {
+        if (event !== 'cdpEvent' || payload.method !== 'Fetch.requestPaused' || payload.sessionId !== sessionId) return;
+
+        browserConcept.actions.sendCDPCommand('Fetch.fulfillRequest', {
+          requestId: payload.params.requestId,
+          responseCode: 200,
+          responseHeaders: [{ name: 'Content-Type', value: 'text/html' }],
+          body: BLANK_PAGE
+        }, sessionId).catch(() => {
+          // Page navigated away before the response was sent
+        });
+      });
+
+      try {
+        await browserConcept.actions.sendCDPCommand('Fetch.enable', {
+          patterns: [{ urlPattern: '*', requestStage: 'Request' }]
+        }, sessionId);
+
+        for (const { origin, localStorage = {}, indexedDB = [] } of state.origins) {
+          await self.actions._loadBlankPage(`${origin}/`, sessionId);
+          await evaluateInPage(`(${pageSetLocalStorage.toString()})(${JSON.stringify(localStorage)})`, sessionId);
+          await evaluateInPage(`(${pageRestoreIndexedDB.toString()})(${JSON.stringify(indexedDB)})`, sessionId);
+        }
+      } finally {
+        unsubscribe();
+        await browserConcept.actions.sendCDPCommand('Fetch.disable', {}, sessionId);
+      }
+
+      await self.actions._loadBlankPage('about:blank', sessionId);
+
+      self.notify('storageStateRestored', {
+        browserContextId,
+        cookies: state.cookies.length,
+        origins: state.origins.map(o => o.origin)
+      });
+    },
+
+    /**
+     * Navigate a page and wait for its load event
+     * @param {string} url - URL to load
+     * @param {string} sessionId - Page session
+     * @returns {Promise<void>}
+     * @throws {TimeoutError} If the page doesn't load in time
+     */
+    async _loadBlankPage(url, sessionId) {
+      const self = storageConcept;
+      const timeout = self.state.restoreTimeout;
+      let unsubscribe;
+      let timer;
+
+      const loaded = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new TimeoutError({ selector: url, timeout, action: 'restoreStorageState' }));
+        }, timeout);
+
+        unsubscribe = browserConcept.subscribe((event, payload) => {
+          if (event === 'cdpEvent' && payload.method === 'Page.loadEventFired' && payload.sessionId === sessionId) {
+            resolve();
+          }
+        });
+      });
+
+      try {
+        await browserConcept.actions.sendCDPCommand('Page.navigate', { url }, sessionId);
+        await loaded;
+      } finally {
+        clearTimeout(timer);
+        unsubscribe();
+      }
+    },
+
+    /**
+     * Every record of an object store, read through the IndexedDB domain
+     * @param {string} securityOrigin - Origin
+     * @param {string} databaseName - Database
+     * @param {string} objectStoreName - Object store
+     * @param {string} sessionId - Page session
+     * @returns {Promise<Array<Object>>} [{ key, value }]
+     */
+    async _readObjectStore(securityOrigin, databaseName, objectStoreName, sessionId) {
+      const self = storageConcept;
+      const records = [];
+      let hasMore = true;
+
+      while (hasMore) {
+        const result = await browserConcept.actions.sendCDPCommand('IndexedDB.requestData', {
+          securityOrigin,
+          databaseName,
+          objectStoreName,
+          indexName: '',
+          skipCount: records.length,
+          pageSize: IDB_PAGE_SIZE
+        }, sessionId);
+
+        for (const entry of result.objectStoreDataEntries) {
+          records.push({
+            key: await self.actions._toValue(entry.primaryKey, sessionId),
+            value: await self.actions._toValue(entry.value, sessionId)
+          });
+        }
+        hasMore = result.hasMore && result.objectStoreDataEntries.length > 0;
+      }
+      return records;
+    },
+
+    /**
+     * JSON value of a CDP RemoteObject, releasing it
+     * @param {Object} remoteObject - Runtime.RemoteObject
+     * @param {string} sessionId - Page session
+     * @returns {Promise<*>}
+     */
+    async _toValue(remoteObject, sessionId) {
+      if (!remoteObject.objectId) {
+        return remoteObject.value;
+      }
+
+      const { result } = await browserConcept.actions.sendCDPCommand('Runtime.callFunctionOn', {
+        objectId: remoteObject.objectId,
+        functionDeclaration: 'function () { return this; }',
+        returnByValue: true
+      }, sessionId);
+      await browserConcept.actions.sendCDPCommand('Runtime.releaseObject', { objectId: remoteObject.objectId }, sessionId);
+
+      return result.value;
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+/**
+ * Storage.* params selecting a target's browser context
+ * @param {string} targetId - Page target
+ * @returns {Object} { browserContextId } or {} for the default context
+ */
+function getContextParams(targetId) {
+  const browserContextId = browserConcept.state.targets.get(targetId)?.browserContextId;
+  return browserContextId ? { browserContextId } : {};
+}
+
+/**
+ * Evaluate an expression in a page, awaiting promises
+ * @param {string} expression - JavaScript expression
+ * @param {string} sessionId - Page session
+ * @returns {Promise<*>} Returned value
+ * @throws {Error} With the page's error message if the expression throws
+ */
+export async function evaluateInPage(expression, sessionId) {
+  const { result, exceptionDetails } = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+    expression,
+    returnByValue: true,
+    awaitPromise: true
+  }, sessionId);
+
+  if (exceptionDetails) {
+    const description = exceptionDetails.exception?.description || exceptionDetails.text;
+    throw new Error(description.split('\n')[0].replace(/^Error: /, ''));
+  }
+  return result.value;
+}
+
+/**
+ * Web origin of a page, for the CDP storage and cache domains
+ * @param {string} sessionId - Page session
+ * @param {string} [kind] - What the origin is needed for, in the error message
+ * @returns {Promise<string>}
+ * @throws {Error} If the page has no web origin (about:blank, data: URLs)
+ */
+export async function getPageOrigin(sessionId, kind = 'storage') {
+  const origin = await evaluateInPage('location.origin', sessionId);
+
+  if (!isWebOrigin(origin)) {
+    throw new Error(`The active page has no origin with ${kind} (navigate to an http(s) page first)`);
+  }
+  return origin;
+}
+
+// Pure functions for storage concept
+
+/**
+ * Whether location.origin names a web origin with its own storage
+ * @param {string} origin - location.origin
+ * @returns {boolean}
+ */
+export function isWebOrigin(origin) {
+  return typeof origin === 'string' && /^https?:\/\//.test(origin);
+}
+
+/**
+ * Validate cookies for Storage.setCookies and drop read-only fields
+ * Cookies read with getCookies() can be passed back unchanged.
+ * @param {Array<Object>} cookies - Cookies
+ * @returns {Array<Object>} CDP CookieParam objects
+ * @throws {Error} If a cookie has no name, value, url or domain
+ */
+export function normalizeCookies(cookies) {
+  if (!Array.isArray(cookies)) {
+    throw new Error('Cookies must be an array');
+  }
+
+  return cookies.map(cookie => {
+    if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+      throw new Error('Each cookie needs a string name and value');
+    }
+    if (!cookie.url && !cookie.domain) {
+      throw new Error(`Cookie ${cookie.name} needs a url or a domain`);
+    }
+
+    const { size, session, priority, sourceScheme, sourcePort, partitionKeyOpaque, ...param } = cookie;
+    // Session cookies are reported with expires -1; setting that would expire them
+    if (session || param.expires === -1) {
+      delete param.expires;
+    }
+    return param;
+  });
+}
+
+/**
+ * Cookies a browser would send to any of the URLs
+ * @param {Array<Object>} cookies - CDP Network.Cookie objects
+ * @param {Array<string>} urls - URLs
+ * @returns {Array<Object>}
+ */
+export function filterCookies(cookies, urls) {
+  const parsed = urls.map(url => new URL(url));
+
+  return cookies.filter(cookie => parsed.some(url => {
+    const domain = cookie.domain.startsWith('.') ? cookie.domain.slice(1) : cookie.domain;
+    const domainMatches = url.hostname === domain ||
+      (cookie.domain.startsWith('.') && url.hostname.endsWith(`.${domain}`));
+    const path = cookie.path || '/';
+    const pathMatches = url.pathname === path ||
+      url.pathname.startsWith(path.endsWith('/') ? path : `${path}/`);
+
+    return domainMatches && pathMatches && (!cookie.secure || url.protocol === 'https:');
+  }));
+}
+
+/**
+ * Convert a CDP IndexedDB.KeyPath
+ * @param {Object} keyPath - { type: 'null' | 'string' | 'array', string?, array? }
+ * @returns {string|Array<string>|null}
+ */
+export function toKeyPath(keyPath) {
+  if (keyPath.type === 'string') return keyPath.string;
+  if (keyPath.type === 'array') return keyPath.array;
+  return null;
+}
+
+/**
+ * Schema of a CDP DatabaseWithObjectStores, without records
+ * @param {Object} database - IndexedDB.requestDatabase result
+ * @returns {Object} { name, version, stores: [{ name, keyPath, autoIncrement, indexes }] }
+ */
+export function describeDatabase(database) {
+  return {
+    name: database.name,
+    version: database.version,
+    stores: database.objectStores.map(store => ({
+      name: store.name,
+      keyPath: toKeyPath(store.keyPath),
+      autoIncrement: store.autoIncrement,
+      indexes: store.indexes.map(index => ({
+        name: index.name,
+        keyPath: toKeyPath(index.keyPath),
+        unique: index.unique,
+        multiEntry: index.multiEntry
+      })),
+      records: []
+    }))
+  };
+}
+
+/**
+ * Validate dumped IndexedDB databases
+ * @param {*} databases - Value to validate
+ * @throws {Error} If it isn't an array of { name, version, stores }
+ */
+export function validateDatabases(databases) {
+  if (!Array.isArray(databases)) {
+    throw new Error('IndexedDB databases must be an array (see dumpIndexedDB)');
+  }
+  for (const database of databases) {
+    if (!database || typeof database.name !== 'string' || !Array.isArray(database.stores)) {
+      throw new Error('Each IndexedDB database needs a name and a stores array');
+    }
+    if (!Number.isInteger(database.version) || database.version < 1) {
+      throw new Error(`IndexedDB database ${database.name} needs a positive integer version`);
+    }
+  }
+}
+
+/**
+ * Validate a storage state
+ * @param {*} state - Value to validate
+ * @throws {Error} If it isn't { cookies: [], origins: [{ origin, localStorage?, indexedDB? }] }
+ */
+export function validateStorageState(state) {
+  if (!state || !Array.isArray(state.cookies) || !Array.isArray(state.origins)) {
+    throw new Error('Storage state must be { cookies: [...], origins: [...] } (see saveStorageState)');
+  }
+  for (const entry of state.origins) {
+    if (!isWebOrigin(entry?.origin)) {
+      throw new Error(`Invalid storage state origin: ${entry?.origin}`);
+    }
+    validateDatabases(entry.indexedDB || []);
+  }
+}
+
+// Page functions: serialized into Runtime.evaluate, so they must not
+// reference anything outside their own body.
+
+/**
+ * Every localStorage item
+ */
+function pageGetLocalStorage() {
+  const items = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    items[key] = localStorage.getItem(key);
+  }
+  return items;
+}
+
+/**
+ * Set localStorage items
+ */
+function pageSetLocalStorage(items) {
+  for (const [key, value] of Object.entries(items)) {
+    localStorage.setItem(key, String(value));
+  }
+}
+
+/**
+ * Recreate databases with their stores, indexes and records
+ */
+async function pageRestoreIndexedDB(databases) {
+  const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB database is open in the page; close it on versionchange or reload first'));
+  });
+
+  for (const database of databases) {
+    await request(indexedDB.deleteDatabase(database.name));
+
+    const open = indexedDB.open(database.name, database.version);
+    open.onupgradeneeded = () => {
+      for (const store of database.stores) {
+        const objectStore = open.result.createObjectStore(store.name, {
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement
+        });
+        for (const index of store.indexes || []) {
+          objectStore.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+        }
+      }
+    };
+    const db = await request(open);
+
+    const storeNames = database.stores.map(store => store.name);
+    if (storeNames.length > 0) {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      for (const store of database.stores) {
+        const objectStore = transaction.objectStore(store.name);
+        for (const record of store.records || []) {
+          if (store.keyPath === null) {
+            objectStore.put(record.value, record.key);
+          } else {
+            objectStore.put(record.value);
+          }
+        }
+      }
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+    db.close();
+  }
+}
@@ -1,20 +1,36 @@
 /**
  * Test Runner Concept
- * Orchestrates test execution, lifecycle hooks, and test isolation.
+ * Orchestrates test execution, lifecycle hooks, fixtures and test isolation.
  *
  * FR-30: Test Structure
  * FR-31: Lifecycle Hooks
  * FR-32: Test Isolation
+ *
+ * Fixtures (test.extend) are set up lazily: only those a test destructures
+ * from its first argument, and their own dependencies, are created. Test
+ * fixtures live for one attempt; worker fixtures for one worker of a run.
  */
 
+import { TimeoutError, ConsoleError } from '../errors/index.js';
 import { contextConcept } from './contextConcept.js';
 import { browserConcept } from './browserConcept.js';
+import { screenshotConcept } from './screenshotConcept.js';
+import { consoleConcept, isConsoleError } from './consoleConcept.js';
+import { traceConcept, validateTraceMode } from './traceConcept.js';
+import { workerConcept, parseWorkerCount } from './workerConcept.js';
+import { emulationConcept, resolveEmulation } from './emulationConcept.js';
+import { networkConcept } from './networkConcept.js';
+import { navigationConcept } from './navigationConcept.js';
+import { videoConcept, validateVideoMode } from './videoConcept.js';
+
+const DEFAULT_TIMEOUT = 30000;
 
 export const testRunnerConcept = {
   state: {
     suites: [],              // Test suite registry
     currentSuite: null,
     currentTest: null,
+    currentAttempt: null,    // Attempt outcome collecting audit violations (sequential runs)
     globalHooks: {
       beforeAll: [],
       afterAll: [],
@@ -22,6 +38,7 @@ export const testRunnerConcept = {
       afterEach: []
     },
     results: [],
+    workerFixtures: new Map(), // workerId (0 when sequential) -> { instances, order }
     isRunning: false
   },
 
@@ -29,14 +46,115 @@ export const testRunnerConcept = {
     /**
      * Register test suite
      * @param {string} name - Suite name
-     * @param {Function} fn - Suite definition function
+     * @param {Object|Function} options - Suite options { tags?, timeout?, retries? }, or the definition function
+     * @param {Function} [fn] - Suite definition function
+     */
+    describe(name, options, fn) {
+      testRunnerConcept.actions._registerSuite(name, options, fn, 'run');
+    },
+
+    /**
+     * Register a focused suite; only focused suites and tests run
+     * @param {string} name - Suite name
+     * @param {Object|Function} options - Suite options, or the definition function
+     * @param {Function} [fn] - Suite definition function
+     */
+    describeOnly(name, options, fn) {
+      testRunnerConcept.actions._registerSuite(name, options, fn, 'only');
+    },
+
+    /**
+     * Register a suite whose tests are all skipped
+     * @param {string} name - Suite name
+     * @param {Object|Function} options - Suite options, or the definition function
+     * @param {Function} [fn] - Suite definition function
+     */
+    describeSkip(name, options, fn) {
+      testRunnerConcept.actions._registerSuite(name, options, fn, 'skip');
+    },
+
+    /**
+     * Register test
+     * @param {string} name - Test name
+     * @param {Object|Function} options - Test options { tags?, timeout?, retries? }, or the test function
+     * @param {Function} [fn] - Test function
+     */
+    test(name, options, fn) {
+      testRunnerConcept.actions._registerTest(name, options, fn, 'run');
+    },
+
+    /**
+     * Register a focused test; only focused suites and tests run
+     * @param {string} name - Test name
+     * @param {Object|Function} options - Test options, or the test function
+     * @param {Function} [fn] - Test function
+     */
+    testOnly(name, options, fn) {
+      testRunnerConcept.actions._registerTest(name, options, fn, 'only');
+    },
+
+    /**
+     * Register a skipped test
+     * @param {string} name - Test name
+     * @param {Object|Function} options - Test options, or the test function
+     * @param {Function} [fn] - Test function
+     */
+    testSkip(name, options, fn) {
+      testRunnerConcept.actions._registerTest(name, options, fn, 'skip');
+    },
+
+    /**
+     * Register a placeholder for a test still to be written
+     * @param {string} name - Test name
+     * @param {Object} [options] - Test options
+     */
+    testTodo(name, options) {
+      testRunnerConcept.actions._registerTest(name, options || {}, undefined, 'todo');
+    },
+
+    /**
+     * Create a test function whose tests receive fixtures
+     * Each definition is a value, an async (fixtures, use, info) => {} function
+     * that sets up before use(value) and tears down after it, or
+     * [value or function, { scope: 'test' | 'worker' }].
+     * @param {Object} definitions - Fixture name -> definition
+     * @param {Object} [parent] - Fixtures of the test function being extended
+     * @returns {Function} test(name, options, fn) with .only, .skip, .todo and .extend
+     */
+    extend(definitions, parent = {}) {
+      const self = testRunnerConcept;
+      const fixtures = { ...parent, ...normalizeFixtures(definitions) };
+
+      const extended = (name, options, fn) => self.actions._registerTest(name, options, fn, 'run', fixtures);
+      extended.only = (name, options, fn) => self.actions._registerTest(name, options, fn, 'only', fixtures);
+      extended.skip = (name, options, fn) => self.actions._registerTest(name, options, fn, 'skip', fixtures);
+      extended.todo = (name, options) => self.actions._registerTest(name, options || {}, undefined, 'todo', fixtures);
+      extended.extend = (more) => self.actions.extend(more, fixtures);
+
+      return extended;
+    },
+
+    /**
+     * Create and register a suite
+     * @param {string} name - Suite name
+     * @param {Object|Function} options - Suite options, or the definition function
+     * @param {Function} [fn] - Suite definition function
+     * @param {string} mode - 'run' | 'only' | 'skip'
      */
-    describe(name, fn) {
+    _registerSuite(name, options, fn, mode) {
       const self = testRunnerConcept;
+      const { options: suiteOptions, fn: suiteFn } = normalizeArgs(options, fn);
 
-      // 1. Create suite object
+      if (typeof suiteFn !== 'function') {
+        throw new Error(`describe("${name}") requires a definition function`);
+      }
+
+      // 1. Create suite object, nested under the suite being defined
+      const parent = self.state.currentSuite;
       const suite = {
         name,
+        parent,
+        suites: [],
         tests: [],
         hooks: {
           beforeAll: [],
@@ -44,42 +162,73 @@ export const testRunnerConcept = {
           beforeEach: [],
           afterEach: []
         },
-        fn
+        fn: suiteFn,
+        mode,
+        tags: normalizeTags(suiteOptions.tags),
+        timeout: suiteOptions.timeout,
+        retries: suiteOptions.retries,
+        emulation: suiteOptions.emulation
       };
 
-      // 2. Set as current suite so tests can be added to it
-      const previousSuite = self.state.currentSuite;
+      // 2. Set as current suite so tests and child suites can be added to it
       self.state.currentSuite = suite;
 
-      // 3. Execute fn to collect tests and hooks
+      // 3. Execute fn to collect tests, hooks and child suites
       try {
-        fn();
+        suiteFn();
       } finally {
-        self.state.currentSuite = previousSuite;
+        self.state.currentSuite = parent;
       }
 
-      // 4. Add to suites registry
-      self.state.suites.push(suite);
+      // 4. Add to parent suite, or to the registry if top-level
+      if (parent) {
+        parent.suites.push(suite);
+      } else {
+        self.state.suites.push(suite);
+      }
 
       self.notify('suiteRegistered', {
-        name,
+        name: formatSuitePath(suite),
         testCount: suite.tests.length
       });
     },
 
     /**
-     * Register test
+     * Create and register a test in the current suite
      * @param {string} name - Test name
-     * @param {Function} fn - Test function
+     * @param {Object|Function} options - Test options, or the test function
+     * @param {Function} [fn] - Test function
+     * @param {string} mode - 'run' | 'only' | 'skip' | 'todo'
+     * @param {Object} [fixtures] - Fixtures from test.extend
      */
-    test(name, fn) {
+    _registerTest(name, options, fn, mode, fixtures) {
       const self = testRunnerConcept;
+      const { options: testOptions, fn: testFn } = normalizeArgs(options, fn);
+
+      if (mode !== 'todo' && typeof testFn !== 'function') {
+        throw new Error(`test("${name}") requires a test function`);
+      }
+
+      // Unknown names fail at registration rather than when the test runs
+      if (fixtures && testFn) {
+        for (const fixture of parseFixtureNames(testFn)) {
+          if (!fixtures[fixture]) {
+            throw new Error(`test("${name}") uses unknown fixture "${fixture}"`);
+          }
+        }
+      }
 
       // 1. Create test object
       const test = {
         name,
-        fn,
-        suite: self.state.currentSuite?.name || 'default'
+        fn: testFn,
+        suite: self.state.currentSuite ? formatSuitePath(self.state.currentSuite) : 'default',
+        mode,
+        tags: normalizeTags(testOptions.tags),
+        timeout: testOptions.timeout,
+        retries: testOptions.retries,
+        emulation: testOptions.emulation,
+        fixtures: fixtures || null
       };
 
       // 2. Add to current suite
@@ -90,13 +239,17 @@ export const testRunnerConcept = {
         if (self.state.suites.length === 0 || self.state.suites[0].name !== 'default') {
           self.state.suites.unshift({
             name: 'default',
+            parent: null,
+            suites: [],
             tests: [],
             hooks: {
               beforeAll: [],
               afterAll: [],
               beforeEach: [],
               afterEach: []
-            }
+            },
+            mode: 'run',
+            tags: []
           });
         }
         self.state.suites[0].tests.push(test);
@@ -160,38 +313,58 @@ export const testRunnerConcept = {
     },
 
     /**
-     * Execute all tests sequentially
-     * @param {Object} options - Run options
+     * Execute all tests, sequentially or across parallel workers
+     * @param {Object} options - Run options { isolate?, screenshotOnFailure?, failOnConsoleError?, trace?, video?, workers?, grep?, tags?, exclude?, timeout?, hookTimeout?, retries? }
      * @returns {Promise<Object>} Test results
      */
     async run(options = {}) {
       const self = testRunnerConcept;
       const isolate = options.isolate !== false; // Default true
+      const screenshotOnFailure = options.screenshotOnFailure !== false; // Default true
+      const failOnConsoleError = options.failOnConsoleError === true; // Default false
+      const trace = validateTraceMode(options.trace ?? 'off');
+      const video = validateVideoMode(options.video ?? 'off');
+      const workers = parseWorkerCount(options.workers);
+      const selection = resolveTestModes(self.state.suites, {
+        grep: options.grep,
+        tags: options.tags,
+        exclude: options.exclude
+      });
+      const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+      const hookTimeout = options.hookTimeout ?? timeout;
+      const retries = options.retries ?? 0;
+      const emulation = options.emulation || null;
+      const executeOptions = { isolate, screenshotOnFailure, failOnConsoleError, trace, video, selection, timeout, hookTimeout, retries, emulation };
       const startTime = Date.now();
 
+      if (workers > 1 && !isolate) {
+        throw new Error('Parallel execution requires isolate: true so each worker gets its own context');
+      }
+
       self.state.isRunning = true;
       self.state.results = [];
 
       self.notify('runStarted', {
         suiteCount: self.state.suites.length,
-        isolate
+        isolate,
+        workers
       });
 
       try {
         // 1. Execute global beforeAll hooks
-        for (const hook of self.state.globalHooks.beforeAll) {
-          await hook();
-        }
+        await self.actions._runHooks(self.state.globalHooks.beforeAll, 'beforeAll', 'run', hookTimeout);
 
         // 2. Execute each suite
-        for (const suite of self.state.suites) {
-          await self.actions._executeSuite(suite, { isolate });
+        if (workers > 1) {
+          await self.actions._executeParallel(workers, executeOptions);
+        } else {
+          for (const suite of self.state.suites) {
+            await self.actions._executeSuite(suite, executeOptions);
+          }
         }
 
         // 3. Execute global afterAll hooks
-        for (const hook of self.state.globalHooks.afterAll) {
-          await hook();
-        }
+        await self.actions._runHooks(self.state.globalHooks.afterAll, 'afterAll', 'run', hookTimeout);
 
         // 4. Aggregate results
         const stats = aggregateResults(self.state.results);
@@ -209,137 +382,684 @@ export const testRunnerConcept = {
         return summary;
 
       } finally {
+        await self.actions._teardownWorkerFixtures();
         self.state.isRunning = false;
       }
     },
 
     /**
-     * Execute a single test suite
+     * Execute a test suite: its own tests first, then its child suites
      * @param {Object} suite - Test suite
      * @param {Object} options - Execution options
      */
     async _executeSuite(suite, options = {}) {
       const self = testRunnerConcept;
+      const modeOf = (test) => options.selection?.get(test) || 'run';
+      const name = formatSuitePath(suite);
+      const plan = buildTestPlan([suite]).filter(entry => modeOf(entry.testRef) !== 'exclude');
+
+      if (plan.length === 0) {
+        return;
+      }
+
+      // Nothing to run: record skipped/todo results without running hooks
+      if (!plan.some(entry => modeOf(entry.testRef) === 'run')) {
+        for (const entry of plan) {
+          await self.actions._executeTest(entry.testRef, entry.suiteRef, options);
+        }
+        return;
+      }
 
       self.notify('suiteStarted', {
-        name: suite.name,
-        testCount: suite.tests.length
+        name,
+        testCount: plan.length
       });
 
       const startTime = Date.now();
 
       try {
         // Execute suite beforeAll hooks
-        for (const hook of suite.hooks.beforeAll) {
-          await hook();
-        }
+        await self.actions._runHooks(suite.hooks.beforeAll, 'beforeAll', name, options.hookTimeout);
 
         // Execute each test
         for (const test of suite.tests) {
-          await self.actions._executeTest(test, suite, options);
+          if (modeOf(test) !== 'exclude') {
+            await self.actions._executeTest(test, suite, options);
+          }
         }
 
-        // Execute suite afterAll hooks
-        for (const hook of suite.hooks.afterAll) {
-          await hook();
+        // Execute child suites
+        for (const child of suite.suites) {
+          await self.actions._executeSuite(child, options);
         }
 
+        // Execute suite afterAll hooks
+        await self.actions._runHooks(suite.hooks.afterAll, 'afterAll', name, options.hookTimeout);
+
         self.notify('suiteCompleted', {
-          name: suite.name,
+          name,
           duration: Date.now() - startTime
         });
 
       } catch (err) {
         self.notify('suiteFailed', {
-          name: suite.name,
+          name,
           error: err
         });
       }
     },
 
     /**
-     * Execute a single test
+     * Execute tests across parallel workers, each in its own browser context
+     * Suite beforeAll runs before the first test in the suite (or its child
+     * suites) starts and afterAll after the last one finishes, innermost
+     * suite first. Results keep registration order.
+     * @param {number} workers - Number of concurrent workers
+     * @param {Object} options - Execution options
+     */
+    async _executeParallel(workers, options = {}) {
+      const self = testRunnerConcept;
+      const modeOf = (test) => options.selection?.get(test) || 'run';
+      const plan = buildTestPlan(self.state.suites).filter(entry => modeOf(entry.testRef) !== 'exclude');
+      const slots = new Array(plan.length);
+      const suiteRuns = new Map();
+      let next = 0;
+
+      // Count each suite's tests, including those of its child suites
+      for (const entry of plan) {
+        for (const suite of getSuiteChain(entry.suiteRef)) {
+          const suiteRun = suiteRuns.get(suite) || { total: 0, remaining: 0, setup: null, startTime: null };
+          suiteRun.total++;
+          if (modeOf(entry.testRef) === 'run') {
+            suiteRun.remaining++;
+          }
+          suiteRuns.set(suite, suiteRun);
+        }
+      }
+
+      const startSuite = async (suite, suiteRun) => {
+        const name = formatSuitePath(suite);
+        suiteRun.startTime = Date.now();
+        self.notify('suiteStarted', {
+          name,
+          testCount: suiteRun.total
+        });
+
+        try {
+          await self.actions._runHooks(suite.hooks.beforeAll, 'beforeAll', name, options.hookTimeout);
+          return true;
+        } catch (err) {
+          self.notify('suiteFailed', { name, error: err });
+          return false;
+        }
+      };
+
+      const finishSuite = async (suite, suiteRun) => {
+        const name = formatSuitePath(suite);
+        try {
+          await self.actions._runHooks(suite.hooks.afterAll, 'afterAll', name, options.hookTimeout);
+          self.notify('suiteCompleted', {
+            name,
+            duration: Date.now() - suiteRun.startTime
+          });
+        } catch (err) {
+          self.notify('suiteFailed', { name, error: err });
+        }
+      };
+
+      // Start every suite from the outermost in; false if any beforeAll failed
+      const setupChain = async (chain) => {
+        for (const suite of chain) {
+          const suiteRun = suiteRuns.get(suite);
+          if (!suiteRun.setup) {
+            suiteRun.setup = startSuite(suite, suiteRun);
+          }
+          if (!(await suiteRun.setup)) {
+            return false;
+          }
+        }
+        return true;
+      };
+
+      // Finish suites from the innermost out once their last test is done
+      const teardownChain = async (chain) => {
+        for (const suite of [...chain].reverse()) {
+          const suiteRun = suiteRuns.get(suite);
+          suiteRun.remaining--;
+          if (suiteRun.remaining === 0 && suiteRun.setup && await suiteRun.setup) {
+            await finishSuite(suite, suiteRun);
+          }
+        }
+      };
+
+      const worker = async (workerId) => {
+        while (next < plan.length) {
+          const index = next++;
+          const { suiteRef: suite, testRef: test } = plan[index];
+
+          // Skipped and todo tests never start their suite
+          if (modeOf(test) !== 'run') {
+            slots[index] = await self.actions._executeTest(test, suite, options);
+            continue;
+          }
+
+          const chain = getSuiteChain(suite);
+          const ready = await setupChain(chain);
+
+          if (ready) {
+            slots[index] = await workerConcept.actions.run({ workerId }, () => {
+              return self.actions._executeTest(test, suite, { ...options, workerId });
+            });
+          }
+
+          await teardownChain(chain);
+        }
+
+        // Its contexts are gone; worker fixtures end on a page of their own
+        await self.actions._teardownWorkerFixtures(workerId, options.emulation);
+      };
+
+      const workerCount = Math.min(workers, plan.length);
+      await Promise.all(Array.from({ length: workerCount }, (_, i) => worker(i + 1)));
+
+      // Completion order is nondeterministic; report in registration order
+      self.state.results = slots.filter(Boolean);
+    },
+
+    /**
+     * Execute a single test, retrying failed attempts
      * @param {Object} test - Test object
      * @param {Object} suite - Parent suite
      * @param {Object} options - Execution options
      */
     async _executeTest(test, suite, options = {}) {
       const self = testRunnerConcept;
-      const isolate = options.isolate !== false;
+      const mode = options.selection?.get(test) || 'run';
+      const chain = getSuiteChain(suite);
+      const suiteName = formatSuitePath(suite);
+      const tags = collectTags(chain, test);
+
+      if (mode === 'skip' || mode === 'todo') {
+        const skipped = {
+          name: test.name,
+          suite: suiteName,
+          status: mode === 'skip' ? 'skipped' : 'todo',
+          duration: 0,
+          error: null,
+          tags
+        };
+        self.state.results.push(skipped);
+        self.notify('testSkipped', skipped);
+        return skipped;
+      }
 
       self.state.currentTest = test;
 
       self.notify('testStarted', {
         name: test.name,
-        suite: suite.name
+        suite: suiteName
       });
 
+      const { timeout, retries, emulation } = resolveTestOptions(chain, test, options);
       const startTime = Date.now();
       const result = {
         name: test.name,
-        suite: suite.name,
+        suite: suiteName,
+        status: 'passed',
+        duration: 0,
+        error: null,
+        tags,
+        attempts: []
+      };
+
+      if (options.workerId) {
+        result.workerId = options.workerId;
+      }
+
+      for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const outcome = await self.actions._executeAttempt(test, suite, {
+          ...options,
+          attempt,
+          timeout,
+          emulation,
+          isLastAttempt: attempt > retries
+        });
+        result.attempts.push(outcome);
+
+        if (outcome.status === 'passed' || attempt > retries) {
+          break;
+        }
+
+        self.notify('testRetried', {
+          name: test.name,
+          suite: suiteName,
+          attempt,
+          retries,
+          error: outcome.error
+        });
+      }
+
+      const last = result.attempts[result.attempts.length - 1];
+      result.status = last.status;
+      result.error = last.error;
+      result.flaky = last.status === 'passed' && result.attempts.length > 1;
+      if (last.screenshot) {
+        result.screenshot = last.screenshot;
+      }
+      if (last.violations.length > 0) {
+        result.violations = last.violations;
+      }
+      if (last.status === 'failed' && last.console.length > 0) {
+        result.console = last.console;
+      }
+      if (last.trace) {
+        result.trace = last.trace;
+      }
+      if (last.video) {
+        result.video = last.video;
+      }
+      if (last.videoFrameStep) {
+        result.videoFrameStep = last.videoFrameStep;
+      }
+
+      result.duration = Date.now() - startTime;
+      self.state.results.push(result);
+
+      self.notify('testCompleted', result);
+
+      self.state.currentTest = null;
+
+      return result;
+    },
+
+    /**
+     * Run one attempt of a test: context, beforeEach hooks, test, afterEach hooks
+     * @param {Object} test - Test object
+     * @param {Object} suite - Parent suite
+     * @param {Object} options - Execution options { attempt, timeout, isLastAttempt, ... }
+     * @returns {Promise<Object>} Attempt outcome { attempt, status, duration, error, violations, console, screenshot?, trace?, video?, videoFrameStep? }
+     */
+    async _executeAttempt(test, suite, options = {}) {
+      const self = testRunnerConcept;
+      const isolate = options.isolate !== false;
+      const chain = getSuiteChain(suite);
+      const suiteName = formatSuitePath(suite);
+      const fullName = `${suiteName} > ${test.name}`;
+      const startTime = Date.now();
+      const outcome = {
+        attempt: options.attempt || 1,
         status: 'passed',
         duration: 0,
-        error: null
+        error: null,
+        violations: [],
+        console: []
       };
 
       let contextId = null;
 
+      // Console messages from here on belong to this attempt; parallel
+      // attempts only take those from their own browser context
+      const consoleFilter = { since: consoleConcept.actions.getConsoleCursor() };
+
+      // Accessibility audits during the attempt record violations on it
+      const binding = workerConcept.actions.getBinding();
+      if (binding) {
+        binding.attempt = outcome;
+      } else {
+        self.state.currentAttempt = outcome;
+      }
+
+      // Record the full trace of this attempt (run({ trace }))
+      const recordingId = options.trace && options.trace !== 'off'
+        ? traceConcept.actions.startRecording({
+          suite: suiteName,
+          test: test.name,
+          attempt: outcome.attempt,
+          workerId: binding?.workerId
+        })
+        : null;
+
+      let emulated = false;
+      let videoId = null;
+
       try {
         // Create isolated context if requested
         if (isolate && browserConcept.state.browser) {
-          contextId = await contextConcept.actions.createContext();
+          contextId = await contextConcept.actions.createContext(binding ? options.emulation || {} : {});
+
+          // Parallel workers drive their own context's page, emulated on creation
+          if (binding) {
+            const context = contextConcept.actions.getContext(contextId);
+            binding.contextId = contextId;
+            binding.targetId = context.targetId;
+            binding.sessionId = context.sessionId;
+            consoleFilter.browserContextId = context.browserContextId;
+          }
         }
 
-        // Execute global beforeEach hooks
-        for (const hook of self.state.globalHooks.beforeEach) {
-          await hook();
+        // Sequential tests share the default page; emulate it for this attempt only
+        if (options.emulation && !binding && browserConcept.state.browser) {
+          emulated = true;
+          await emulationConcept.actions.emulate(options.emulation);
         }
 
-        // Execute suite beforeEach hooks
-        for (const hook of suite.hooks.beforeEach) {
-          await hook();
+        // Record the page the test starts on (run({ video }))
+        if (options.video && options.video !== 'off' && browserConcept.state.browser) {
+          try {
+            const { sessionId } = await navigationConcept.actions.ensureActivePage();
+            videoId = await videoConcept.actions.startRecording(sessionId, {
+              suite: suiteName,
+              test: test.name,
+              attempt: outcome.attempt
+            });
+          } catch (videoErr) {
+            // The test still runs, just without a video
+            console.error('Video error:', videoErr);
+          }
+        }
+
+        // Execute global beforeEach hooks
+        await self.actions._runHooks(self.state.globalHooks.beforeEach, 'beforeEach', fullName, options.hookTimeout);
+
+        // Execute suite beforeEach hooks, outermost suite first
+        for (const ancestor of chain) {
+          await self.actions._runHooks(ancestor.hooks.beforeEach, 'beforeEach', fullName, options.hookTimeout);
         }
 
-        // Execute test function
-        await test.fn();
+        // Execute test function, with its fixtures
+        await withTimeout(() => self.actions._runTestFunction(test, {
+          name: test.name,
+          suite: suiteName,
+          attempt: outcome.attempt,
+          workerId: options.workerId || 0,
+          tags: collectTags(chain, test)
+        }), options.timeout, () => new TimeoutError({
+          selector: fullName,
+          timeout: options.timeout,
+          action: 'test'
+        }));
+
+        if (options.failOnConsoleError) {
+          const errors = consoleConcept.actions.getConsoleMessages(consoleFilter).filter(isConsoleError);
+          if (errors.length > 0) {
+            throw new ConsoleError({ messages: errors, test: fullName });
+          }
+        }
 
-        result.status = 'passed';
+        outcome.status = 'passed';
 
       } catch (err) {
-        result.status = 'failed';
-        result.error = {
+        outcome.status = 'failed';
+        outcome.error = {
           message: err.message,
           stack: err.stack,
           errorType: err.errorType || err.name
         };
+
+        // Capture what the page looked like before hooks change it
+        if (options.isLastAttempt !== false && options.screenshotOnFailure !== false) {
+          try {
+            outcome.screenshot = await screenshotConcept.actions.captureFailure(suiteName, test.name);
+          } catch (screenshotErr) {
+            // No page to capture (e.g. failure before navigation)
+          }
+        }
       } finally {
         try {
-          // Execute suite afterEach hooks
-          for (const hook of suite.hooks.afterEach) {
-            await hook();
+          // Execute suite afterEach hooks, innermost suite first
+          for (const ancestor of [...chain].reverse()) {
+            await self.actions._runHooks(ancestor.hooks.afterEach, 'afterEach', fullName, options.hookTimeout);
           }
 
           // Execute global afterEach hooks
-          for (const hook of self.state.globalHooks.afterEach) {
-            await hook();
+          await self.actions._runHooks(self.state.globalHooks.afterEach, 'afterEach', fullName, options.hookTimeout);
+        } catch (cleanupErr) {
+          // Log cleanup errors but don't fail the test
+          console.error('Cleanup error:', cleanupErr);
+        }
+
+        outcome.console = consoleConcept.actions.getConsoleMessages(consoleFilter);
+
+        // Save the trace while the attempt's page still exists for pending snapshots
+        if (recordingId !== null) {
+          try {
+            const recording = await traceConcept.actions.stopRecording(recordingId);
+            if (options.trace === 'always' || outcome.status === 'failed') {
+              outcome.trace = await traceConcept.actions.saveRecording(recording, {
+                ...outcome,
+                duration: Date.now() - startTime
+              });
+            }
+          } catch (traceErr) {
+            console.error('Trace error:', traceErr);
           }
+        }
+
+        // Stop the video before its context is destroyed
+        if (videoId !== null) {
+          try {
+            const recording = await videoConcept.actions.stopRecording(videoId);
+            if (options.video === 'on' || outcome.status === 'failed') {
+              const path = await videoConcept.actions.saveRecording(recording);
+              if (path) {
+                outcome.video = path;
+              }
+              // Long attempts keep one of every N frames
+              if (path && recording.frameStep > 1) {
+                outcome.videoFrameStep = recording.frameStep;
+              }
+            }
+          } catch (videoErr) {
+            console.error('Video error:', videoErr);
+          }
+        }
 
+        // Each step runs even if an earlier one failed, so a failed reset
+        // can't leave the shared page offline or leak the context
+        const cleanups = [
+          emulated && (() => emulationConcept.actions.clearEmulation()),
+          // Don't leave the shared page offline or throttled for the next test
+          !binding && (() => networkConcept.actions.clearNetworkConditions()),
           // Destroy context if created
-          if (contextId) {
+          contextId && (() => contextConcept.actions.destroyContext(contextId))
+        ];
+        for (const cleanup of cleanups.filter(Boolean)) {
+          try {
+            await cleanup();
+          } catch (cleanupErr) {
+            console.error('Cleanup error:', cleanupErr);
+          }
+        }
+
+        outcome.duration = Date.now() - startTime;
+
+        if (binding) {
+          binding.attempt = null;
+        } else {
+          self.state.currentAttempt = null;
+        }
+      }
+
+      return outcome;
+    },
+
+    /**
+     * Call a test function, passing the fixtures it destructures
+     * Test fixtures are torn down when it finishes, pass or fail.
+     * @param {Object} test - Test object
+     * @param {Object} testInfo - { name, suite, attempt, workerId, tags }
+     * @returns {Promise<void>}
+     */
+    async _runTestFunction(test, testInfo) {
+      const self = testRunnerConcept;
+
+      if (!test.fixtures) {
+        return test.fn();
+      }
+
+      if (!self.state.workerFixtures.has(testInfo.workerId)) {
+        self.state.workerFixtures.set(testInfo.workerId, { instances: new Map(), order: [] });
+      }
+      const scopes = {
+        test: { instances: new Map(), order: [] },
+        worker: self.state.workerFixtures.get(testInfo.workerId)
+      };
+
+      let failed = false;
+      try {
+        const args = {};
+        for (const name of parseFixtureNames(test.fn)) {
+          args[name] = await self.actions._setupFixture(name, test.fixtures, scopes, testInfo, []);
+        }
+        await test.fn(args, testInfo);
+      } catch (err) {
+        failed = true;
+        throw err;
+      } finally {
+        const teardownError = await teardownFixtures(scopes.test);
+        // A test's own error wins over a teardown error
+        if (teardownError && !failed) {
+          throw teardownError;
+        }
+      }
+    },
+
+    /**
+     * Set up a fixture and its dependencies, or reuse the scope's instance
+     * @param {string} name - Fixture name
+     * @param {Object} fixtures - Fixture definitions
+     * @param {Object} scopes - { test, worker } instance scopes
+     * @param {Object} testInfo - Passed to fixture functions
+     * @param {Array<string>} path - Fixtures being set up that depend on this one
+     * @returns {Promise<*>} Fixture value
+     */
+    async _setupFixture(name, fixtures, scopes, testInfo, path) {
+      const self = testRunnerConcept;
+      const fixture = fixtures[name];
+
+      if (!fixture) {
+        throw new Error(`Unknown fixture "${name}"${path.length > 0 ? ` (used by "${path[path.length - 1]}")` : ''}`);
+      }
+      if (path.includes(name)) {
+        throw new Error(`Fixture dependency cycle: ${[...path, name].join(' -> ')}`);
+      }
+
+      const scope = fixture.scope === 'worker' ? scopes.worker : scopes.test;
+      if (scope.instances.has(fixture)) {
+        return scope.instances.get(fixture).value;
+      }
+
+      const deps = {};
+      for (const dep of fixture.deps) {
+        // Unknown dependencies fall through to the "Unknown fixture" error
+        if (fixture.scope === 'worker' && fixtures[dep] && fixtures[dep].scope !== 'worker') {
+          throw new Error(`Worker fixture "${name}" can't use test fixture "${dep}"`);
+        }
+        deps[dep] = await self.actions._setupFixture(dep, fixtures, scopes, testInfo, [...path, name]);
+      }
+
+      const instance = await startFixture(fixture, deps, fixture.scope === 'worker' ? { workerId: testInfo.workerId } : testInfo);
+      // Code after use() keeps the page binding it was set up with
+      instance.binding = workerConcept.actions.getBinding();
+      scope.instances.set(fixture, instance);
+      scope.order.push(instance);
+
+      self.notify('fixtureSetup', { name, scope: fixture.scope, test: testInfo.name });
+
+      return instance.value;
+    },
+
+    /**
+     * Tear down a worker's fixtures, or every worker's at the end of the run
+     * Parallel workers' fixtures were set up in a test's context, which is
+     * destroyed by now, so their bindings are moved to a fresh context first:
+     * page calls after use() act on it.
+     * @param {number} [workerId] - Worker; every worker when omitted
+     * @param {Object} [emulation] - Emulation of the fresh context (run({ emulation }))
+     * @returns {Promise<void>}
+     */
+    async _teardownWorkerFixtures(workerId, emulation) {
+      const self = testRunnerConcept;
+      const workerIds = workerId === undefined ? [...self.state.workerFixtures.keys()] : [workerId];
+
+      for (const id of workerIds) {
+        const scope = self.state.workerFixtures.get(id);
+        if (!scope) continue;
+        self.state.workerFixtures.delete(id);
+
+        const bindings = new Set(scope.order.map(instance => instance.binding).filter(Boolean));
+        let contextId = null;
+
+        if (bindings.size > 0 && browserConcept.state.browser) {
+          try {
+            contextId = await contextConcept.actions.createContext(emulation || {});
+            const context = contextConcept.actions.getContext(contextId);
+            for (const binding of bindings) {
+              Object.assign(binding, {
+                contextId,
+                targetId: context.targetId,
+                sessionId: context.sessionId,
+                currentUrl: ''
+              });
+            }
+          } catch (err) {
+            console.error('Cleanup error:', err);
+          }
+        }
+
+        const err = await teardownFixtures(scope);
+        if (err) {
+          console.error('Cleanup error:', err);
+        }
+
+        if (contextId) {
+          try {
             await contextConcept.actions.destroyContext(contextId);
+          } catch (destroyErr) {
+            console.error('Cleanup error:', destroyErr);
           }
-        } catch (cleanupErr) {
-          // Log cleanup errors but don't fail the test
-          console.error('Cleanup error:', cleanupErr);
         }
+      }
+    },
 
-        result.duration = Date.now() - startTime;
-        self.state.results.push(result);
+    /**
+     * Record accessibility violations on the running test's current attempt
+     * Violations already recorded (same rule and element) are not repeated.
+     * @param {Array} violations - Violations from auditAccessibility()
+     */
+    recordViolations(violations) {
+      const binding = workerConcept.actions.getBinding();
+      const attempt = binding ? binding.attempt : testRunnerConcept.state.currentAttempt;
+
+      // Audit outside a test
+      if (!attempt) {
+        return;
+      }
 
-        self.notify('testCompleted', result);
+      for (const violation of violations) {
+        const seen = attempt.violations.some(recorded =>
+          recorded.rule === violation.rule && recorded.target === violation.target
+        );
+        if (!seen) {
+          attempt.violations.push(violation);
+        }
+      }
+    },
 
-        self.state.currentTest = null;
+    /**
+     * Run hooks in order, each bounded by the hook timeout
+     * @param {Array<Function>} hooks - Hook functions
+     * @param {string} type - Hook type, e.g. 'beforeEach'
+     * @param {string} scope - Suite or test the hooks run for
+     * @param {number} timeout - Per-hook timeout in ms (0 disables)
+     */
+    async _runHooks(hooks, type, scope, timeout) {
+      for (const hook of hooks) {
+        await withTimeout(hook, timeout, () => new TimeoutError({
+          selector: `${type} hook`,
+          timeout,
+          action: scope
+        }));
       }
     },
 
@@ -352,6 +1072,7 @@ export const testRunnerConcept = {
       self.state.suites = [];
       self.state.currentSuite = null;
       self.state.currentTest = null;
+      self.state.currentAttempt = null;
       self.state.globalHooks = {
         beforeAll: [],
         afterAll: [],
@@ -381,10 +1102,76 @@ export const testRunnerConcept = {
   }
 };
 
+/**
+ * Run a fixture function up to its use() call
+ * @param {Object} fixture - Normalized fixture
+ * @param {Object} deps - Fixtures it destructures
+ * @param {Object} info - Test info, or { workerId } for worker fixtures
+ * @returns {Promise<Object>} { value, teardown } where teardown resumes the function after use()
+ */
+function startFixture(fixture, deps, info) {
+  if (!fixture.fn) {
+    return Promise.resolve({ value: fixture.value, teardown: async () => {} });
+  }
+
+  return new Promise((resolve, reject) => {
+    let used = false;
+    let release;
+    const released = new Promise(r => { release = r; });
+
+    const done = Promise.resolve().then(() => fixture.fn(deps, async (value) => {
+      if (used) {
+        throw new Error(`Fixture "${fixture.name}" called use() twice`);
+      }
+      used = true;
+      resolve({
+        value,
+        teardown: async () => {
+          release();
+          await done;
+        }
+      });
+      await released;
+    }, info));
+
+    done.then(() => {
+      if (!used) {
+        reject(new Error(`Fixture "${fixture.name}" finished without calling use()`));
+      }
+    }, (err) => {
+      if (!used) {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Tear down a scope's fixtures, last set up first
+ * @param {Object} scope - { instances, order }
+ * @returns {Promise<Error|null>} First teardown error; later fixtures are still torn down
+ */
+async function teardownFixtures(scope) {
+  let firstError = null;
+
+  for (const instance of [...scope.order].reverse()) {
+    try {
+      await instance.teardown();
+    } catch (err) {
+      firstError = firstError || err;
+    }
+  }
+  scope.instances.clear();
+  scope.order = [];
+
+  return firstError;
+}
+
 // Pure functions for test runner concept
 
 /**
  * Build test execution plan from suites
+ * Each suite's own tests come before those of its child suites.
  * @param {Array} suites - Test suites
  * @returns {Array} Ordered test plan
  */
@@ -393,15 +1180,103 @@ export function buildTestPlan(suites) {
   for (const suite of suites) {
     for (const test of suite.tests) {
       plan.push({
-        suite: suite.name,
+        suite: formatSuitePath(suite),
         test: test.name,
-        fn: test.fn
+        fn: test.fn,
+        suiteRef: suite,
+        testRef: test
       });
     }
+    plan.push(...buildTestPlan(suite.suites || []));
   }
   return plan;
 }
 
+/**
+ * Get a suite and its ancestors, outermost first
+ * @param {Object} suite - Test suite
+ * @returns {Array} Suites from root to the given suite
+ */
+export function getSuiteChain(suite) {
+  const chain = [];
+  for (let current = suite; current; current = current.parent) {
+    chain.unshift(current);
+  }
+  return chain;
+}
+
+/**
+ * Format a suite's full name, e.g. "Parent > Child"
+ * @param {Object} suite - Test suite
+ * @returns {string}
+ */
+export function formatSuitePath(suite) {
+  return getSuiteChain(suite).map(s => s.name).join(' > ');
+}
+
+/**
+ * Collect a test's tags, including those inherited from its suites
+ * @param {Array} chain - Suites from root to the test's suite
+ * @param {Object} test - Test object
+ * @returns {string[]}
+ */
+export function collectTags(chain, test) {
+  return [...chain.flatMap(suite => suite.tags || []), ...(test.tags || [])];
+}
+
+/**
+ * Resolve a test's timeout, retries and emulation; the test's own options
+ * win, then the nearest suite's, then the run defaults
+ * @param {Array} chain - Suites from root to the test's suite
+ * @param {Object} test - Test object
+ * @param {Object} defaults - Run options { timeout?, retries?, emulation? }
+ * @returns {{timeout: number, retries: number, emulation: Object|null}}
+ */
+export function resolveTestOptions(chain, test, defaults = {}) {
+  const pick = (key, fallback) => {
+    if (test[key] !== undefined) return test[key];
+    for (const suite of [...chain].reverse()) {
+      if (suite[key] !== undefined) return suite[key];
+    }
+    return defaults[key] ?? fallback;
+  };
+
+  const timeout = pick('timeout', DEFAULT_TIMEOUT);
+  const retries = pick('retries', 0);
+  const emulation = pick('emulation', null);
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`Invalid retries option: ${retries}. Must be a non-negative integer`);
+  }
+
+  if (emulation) {
+    resolveEmulation(emulation);
+  }
+
+  return { timeout, retries, emulation };
+}
+
+/**
+ * Run a function, rejecting if it doesn't settle within the timeout
+ * The function itself keeps running; only the wait is abandoned.
+ * @param {Function} fn - Function to run
+ * @param {number} timeout - Timeout in ms (0 or undefined disables)
+ * @param {Function} createError - Builds the error thrown on timeout
+ * @returns {Promise<*>} Result of fn
+ */
+export function withTimeout(fn, timeout, createError) {
+  if (!timeout) {
+    return Promise.resolve().then(fn);
+  }
+
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError()), timeout);
+  });
+
+  return Promise.race([Promise.resolve().then(fn), expired]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Aggregate test results into statistics
  * @param {Array} results - Test results
@@ -412,12 +1287,22 @@ export function aggregateResults(results) {
     total: results.length,
     passed: 0,
     failed: 0,
+    skipped: 0,
+    todo: 0,
+    flaky: 0,
     duration: 0
   };
 
   for (const result of results) {
+    if (result.flaky) {
+      stats.flaky++;
+    }
     if (result.status === 'passed') {
       stats.passed++;
+    } else if (result.status === 'skipped') {
+      stats.skipped++;
+    } else if (result.status === 'todo') {
+      stats.todo++;
     } else {
       stats.failed++;
     }
@@ -426,3 +1311,168 @@ export function aggregateResults(results) {
 
   return stats;
 }
+
+/**
+ * Split (options, fn) arguments where options may be omitted
+ * @param {Object|Function} options - Options object or function
+ * @param {Function} [fn] - Function
+ * @returns {{options: Object, fn: Function|undefined}}
+ */
+export function normalizeArgs(options, fn) {
+  if (typeof options === 'function') {
+    return { options: {}, fn: options };
+  }
+  return { options: options || {}, fn };
+}
+
+/**
+ * Normalize tags to a list without leading '@'
+ * @param {string|string[]} tags - Tag or tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : [tags];
+  return list.map(tag => String(tag).replace(/^@/, ''));
+}
+
+/**
+ * Check a test against run filters
+ * @param {string} fullName - "Parent > Child > test"
+ * @param {string[]} tags - Test tags (including inherited suite tags)
+ * @param {Object} filter - { grep?: string|RegExp, tags?: string[], exclude?: string[] }
+ * @returns {boolean}
+ */
+export function matchesFilter(fullName, tags, filter = {}) {
+  if (filter.grep) {
+    const matches = filter.grep instanceof RegExp
+      ? filter.grep.test(fullName)
+      : fullName.includes(filter.grep);
+    if (!matches) return false;
+  }
+
+  const include = normalizeTags(filter.tags);
+  if (include.length > 0 && !include.some(tag => tags.includes(tag))) {
+    return false;
+  }
+
+  const exclude = normalizeTags(filter.exclude);
+  if (exclude.some(tag => tags.includes(tag))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Decide how each registered test runs
+ * 'exclude' tests are filtered out of the run entirely; 'skip' and 'todo'
+ * tests are reported without running. When any suite or test is focused
+ * with .only, everything unfocused is skipped. Suite modes and tags apply
+ * to every test in the suite's child suites too.
+ * @param {Array} suites - Test suites
+ * @param {Object} filter - { grep?, tags?, exclude? }
+ * @returns {Map<Object, string>} test -> 'run' | 'skip' | 'todo' | 'exclude'
+ */
+export function resolveTestModes(suites, filter = {}) {
+  const plan = buildTestPlan(suites);
+  const hasOnly = plan.some(({ suiteRef, testRef }) =>
+    testRef.mode === 'only' || getSuiteChain(suiteRef).some(suite => suite.mode === 'only')
+  );
+  const modes = new Map();
+
+  for (const { suite: suiteName, suiteRef, testRef: test } of plan) {
+    const chain = getSuiteChain(suiteRef);
+    const tags = collectTags(chain, test);
+    let mode = 'run';
+
+    if (!matchesFilter(`${suiteName} > ${test.name}`, tags, filter)) {
+      mode = 'exclude';
+    } else if (test.mode === 'todo') {
+      mode = 'todo';
+    } else if (test.mode === 'skip' || chain.some(suite => suite.mode === 'skip')) {
+      mode = 'skip';
+    } else if (hasOnly && test.mode !== 'only' && !chain.some(suite => suite.mode === 'only')) {
+      mode = 'skip';
+    }
+
+    modes.set(test, mode);
+  }
+
+  return modes;
+}
+
+/**
+ * Normalize test.extend definitions
+ * @param {Object} definitions - Name -> value, function, or [value or function, { scope }]
+ * @returns {Object} Name -> { name, fn?, value?, scope, deps }
+ * @throws {Error} If a scope is invalid or a fixture function doesn't destructure its fixtures
+ */
+export function normalizeFixtures(definitions) {
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error('test.extend() requires an object of fixtures');
+  }
+
+  const fixtures = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    const [body, options = {}] = Array.isArray(definition) ? definition : [definition];
+    const scope = options.scope || 'test';
+
+    if (!['test', 'worker'].includes(scope)) {
+      throw new Error(`Invalid scope for fixture "${name}": ${scope}. Must be 'test' or 'worker'`);
+    }
+
+    fixtures[name] = typeof body === 'function'
+      ? { name, fn: body, scope, deps: parseFixtureNames(body) }
+      : { name, value: body, scope, deps: [] };
+  }
+  return fixtures;
+}
+
+/**
+ * Fixture names a function destructures from its first parameter
+ * e.g. async ({ page, uploadPage }, use) => {} -> ['page', 'uploadPage']
+ * @param {Function} fn - Test or fixture function
+ * @returns {Array<string>} Empty when the function takes no parameters
+ * @throws {Error} If the first parameter isn't an object destructuring pattern
+ */
+export function parseFixtureNames(fn) {
+  const source = fn.toString();
+
+  // Single-parameter arrow without parentheses: (async) x => ...
+  if (/^(?:async\s+)?[\w$]+\s*=>/.test(source)) {
+    throw new Error(`Fixtures must be destructured from the first argument, e.g. async ({ page }) => {}: ${source.slice(0, 60)}`);
+  }
+
+  const params = source.slice(source.indexOf('(') + 1);
+  const trimmed = params.trimStart();
+  if (trimmed.startsWith(')')) {
+    return [];
+  }
+  if (!trimmed.startsWith('{')) {
+    throw new Error(`Fixtures must be destructured from the first argument, e.g. async ({ page }) => {}: ${source.slice(0, 60)}`);
+  }
+
+  // Split the pattern's top-level properties, skipping nested patterns and defaults
+  const names = [];
+  let depth = 0;
+  let part = '';
+  for (const char of trimmed.slice(1)) {
+    if (depth === 0 && (char === ',' || char === '}')) {
+      const name = part.trim().split(/[:=]/)[0].trim();
+      if (name.startsWith('...')) {
+        throw new Error('Fixtures can\'t be collected with a rest pattern; name each one');
+      }
+      if (name) {
+        names.push(name);
+      }
+      part = '';
+      if (char === '}') break;
+      continue;
+    }
+    if ('{[('.includes(char)) depth++;
+    if ('}])'.includes(char)) depth--;
+    part += char;
+  }
+  return names;
+}
@@ -6,11 +6,31 @@
  * FR-52: Machine-Readable Error Context
  */
 
+import { writeFile, readFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { reportConcept } from './reportConcept.js';
+import { workerConcept } from './workerConcept.js';
+import { toFileName } from './screenshotConcept.js';
+
+// Trace modes accepted by run({ trace })
+const TRACE_MODES = ['off', 'on-failure', 'always'];
+
+// Actions followed by a page snapshot in recorded traces
+const SNAPSHOT_ACTIONS = ['navigate', 'interact', 'assert'];
+
+// A snapshot that hasn't arrived by then is left out
+const SNAPSHOT_TIMEOUT = 5000;
+
+// Events kept per recording
+const MAX_RECORDING_EVENTS = 10000;
+
 export const traceConcept = {
   state: {
     events: [],              // TraceEvent[]
     sequenceId: 0,
-    bufferSize: 100          // Keep last 100 events
+    bufferSize: 100,         // Keep last 100 events
+    recordings: new Map(),   // recordingId -> recording of one test attempt
+    nextRecordingId: 1
   },
 
   actions: {
@@ -20,16 +40,175 @@ export const traceConcept = {
      * @param {Object} details - Action details
      */
     logAction(action, details) {
-      const event = createTraceEvent(action, details, this.state.sequenceId++);
+      const self = traceConcept;
+      const event = createTraceEvent(action, details, self.state.sequenceId++);
 
-      this.state.events.push(event);
+      self.state.events.push(event);
 
       // Maintain buffer size
-      if (this.state.events.length > this.state.bufferSize) {
-        this.state.events.shift();
+      if (self.state.events.length > self.state.bufferSize) {
+        self.state.events.shift();
+      }
+
+      self.actions._record(event);
+    },
+
+    /**
+     * Log network activity to recorded traces only
+     * Requests stay out of the action buffer, so they can't push the test's
+     * own actions out of error context; the request log keeps them.
+     * @param {string} action - 'network' | 'route'
+     * @param {Object} details - Event details
+     */
+    logNetwork(action, details) {
+      const self = traceConcept;
+      self.actions._record(createTraceEvent(action, details, self.state.sequenceId++));
+    },
+
+    /**
+     * Add an event to the recordings it belongs to
+     * @param {Object} event - TraceEvent
+     */
+    _record(event) {
+      const self = traceConcept;
+
+      for (const recording of self.actions._activeRecordings()) {
+        if (recording.events.length < MAX_RECORDING_EVENTS) {
+          recording.events.push(event);
+        }
+      }
+
+      self.notify('traceEventLogged', { event });
+    },
+
+    /**
+     * Start recording the full trace of a test attempt
+     * Parallel workers record only their own events; browser events that
+     * aren't tied to a worker (network, console) go to every recording.
+     * @param {Object} info - { suite, test, attempt, workerId? }
+     * @returns {number} Recording ID
+     */
+    startRecording(info) {
+      const self = traceConcept;
+      const id = self.state.nextRecordingId++;
+
+      self.state.recordings.set(id, {
+        id,
+        suite: info.suite,
+        test: info.test,
+        attempt: info.attempt || 1,
+        workerId: info.workerId || null,
+        startTime: Date.now(),
+        events: [],
+        snapshots: new Map(),  // sequenceId -> { screenshot, html, url }
+        pending: new Set()     // Snapshot captures still running
+      });
+
+      return id;
+    },
+
+    /**
+     * Whether the current test (or worker) is being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+      return traceConcept.actions._activeRecordings().length > 0;
+    },
+
+    /**
+     * Attach a page snapshot to a recorded event once it has been captured
+     * @param {number} sequenceId - Event the snapshot follows
+     * @param {Promise<Object>} capture - Resolves to { screenshot, html, url }
+     */
+    trackSnapshot(sequenceId, capture) {
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, SNAPSHOT_TIMEOUT, null);
+      });
+      const settled = Promise.race([capture, timeout]).finally(() => clearTimeout(timer));
+
+      for (const recording of traceConcept.actions._activeRecordings()) {
+        const pending = settled
+          .then(snapshot => {
+            if (snapshot) {
+              recording.snapshots.set(sequenceId, snapshot);
+            }
+          })
+          .catch(() => {
+            // Page closed or navigating; the event keeps no snapshot
+          })
+          .finally(() => recording.pending.delete(pending));
+
+        recording.pending.add(pending);
       }
+    },
+
+    /**
+     * Stop a recording, waiting for snapshots still being captured
+     * @param {number} id - Recording ID
+     * @returns {Promise<Object|null>} The recording
+     */
+    async stopRecording(id) {
+      const self = traceConcept;
+      const recording = self.state.recordings.get(id);
+
+      if (!recording) {
+        return null;
+      }
+
+      self.state.recordings.delete(id);
+      await Promise.all(recording.pending);
 
-      this.notify('traceEventLogged', { event });
+      return recording;
+    },
+
+    /**
+     * Write a recording as a JSON bundle and an offline HTML viewer
+     * Files go to <outputDir>/traces/<suite>-<test>[-attempt<N>].trace.{json,html}.
+     * @param {Object} recording - From stopRecording()
+     * @param {Object} outcome - { status, duration, error, console, screenshot? }
+     * @returns {Promise<Object>} { path, viewer }
+     */
+    async saveRecording(recording, outcome) {
+      const dir = join(reportConcept.state.outputDir, 'traces');
+      const suffix = recording.attempt > 1 ? `-attempt${recording.attempt}` : '';
+      const name = `${toFileName(`${recording.suite} ${recording.test}`)}${suffix}`;
+      const paths = {
+        path: join(dir, `${name}.trace.json`),
+        viewer: join(dir, `${name}.trace.html`)
+      };
+
+      let finalScreenshot = null;
+      if (outcome.screenshot) {
+        try {
+          finalScreenshot = `data:image/png;base64,${(await readFile(outcome.screenshot)).toString('base64')}`;
+        } catch (err) {
+          // Screenshot file missing; the bundle still has the step snapshots
+        }
+      }
+
+      const bundle = buildTraceBundle(recording, { ...outcome, finalScreenshot });
+
+      await mkdir(dir, { recursive: true });
+      await writeFile(paths.path, JSON.stringify(bundle), 'utf-8');
+      await writeFile(paths.viewer, buildTraceViewer(bundle), 'utf-8');
+
+      traceConcept.notify('traceSaved', { suite: recording.suite, test: recording.test, ...paths });
+
+      return paths;
+    },
+
+    /**
+     * Recordings the current event belongs to
+     * @returns {Array<Object>}
+     */
+    _activeRecordings() {
+      const recordings = Array.from(traceConcept.state.recordings.values());
+      const binding = workerConcept.actions.getBinding();
+
+      return binding
+        ? recordings.filter(recording => recording.workerId === binding.workerId)
+        : recordings;
     },
 
     /**
@@ -38,15 +217,16 @@ export const traceConcept = {
      * @returns {Array} Recent trace events
      */
     getRecentTrace(count = 10) {
-      return this.state.events.slice(-count);
+      return traceConcept.state.events.slice(-count);
     },
 
     /**
      * Clear trace buffer
      */
     clearTrace() {
-      this.state.events = [];
-      this.state.sequenceId = 0;
+      traceConcept.state.events = [];
+      traceConcept.state.sequenceId = 0;
+      traceConcept.state.recordings.clear();
     }
   },
 
@@ -86,7 +266,13 @@ export function createTraceEvent(action, details, sequenceId) {
       url: details.pageUrl || details.url || '',
       viewport: details.viewport || {},
       elementSnapshot: details.elementSnapshot
-    }
+    },
+    network: details.network,
+    assertion: details.matcher ? {
+      matcher: details.matcher,
+      expected: details.expected,
+      actual: details.actual
+    } : undefined
   };
 }
 
@@ -103,10 +289,282 @@ export function formatTraceForError(events) {
   const lines = ['Last 10 actions:'];
   events.forEach((event, index) => {
     const status = event.success ? '✓' : '✗';
+    const target = event.selector ? ` "${event.selector}"` : '';
     lines.push(
-      `${index + 1}. ${status} ${event.action}${event.selector ? ` "${event.selector}"` : ''} (${event.duration}ms)`
+      `${index + 1}. ${status} ${event.action}${target} (${event.duration}ms)`
     );
   });
 
   return lines.join('\n');
 }
+
+/**
+ * Validate a run({ trace }) mode
+ * @param {string} mode - 'off' | 'on-failure' | 'always'
+ * @returns {string} The mode
+ * @throws {Error} If the mode is unknown
+ */
+export function validateTraceMode(mode) {
+  if (!TRACE_MODES.includes(mode)) {
+    throw new Error(`Invalid trace option: ${mode}. Must be one of ${TRACE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Whether a recorded event should be followed by a page snapshot
+ * @param {Object} event - TraceEvent
+ * @returns {boolean}
+ */
+export function shouldSnapshot(event) {
+  return SNAPSHOT_ACTIONS.includes(event.action);
+}
+
+/**
+ * Build the persisted trace of a test attempt
+ * Event and console times are ms since the attempt started.
+ * @param {Object} recording - Recording from stopRecording()
+ * @param {Object} outcome - { status, duration, error, console, finalScreenshot }
+ * @returns {Object} Trace bundle
+ */
+export function buildTraceBundle(recording, outcome) {
+  return {
+    version: 1,
+    suite: recording.suite,
+    test: recording.test,
+    attempt: recording.attempt,
+    status: outcome.status,
+    startTime: recording.startTime,
+    duration: outcome.duration,
+    error: outcome.error ? {
+      type: outcome.error.errorType,
+      message: outcome.error.message,
+      stack: outcome.error.stack
+    } : null,
+    events: recording.events.map(event => ({
+      ...event,
+      time: event.timestamp - recording.startTime,
+      snapshot: recording.snapshots.get(event.sequenceId) || null
+    })),
+    console: (outcome.console || []).map(message => ({
+      type: message.type,
+      text: message.text,
+      location: message.location,
+      time: message.timestamp - recording.startTime
+    })),
+    finalScreenshot: outcome.finalScreenshot || null
+  };
+}
+
+/**
+ * Build a self-contained HTML page that steps through a trace bundle
+ * The bundle is embedded, so the page works offline from file://.
+ * @param {Object} bundle - From buildTraceBundle()
+ * @returns {string} HTML document
+ */
+export function buildTraceViewer(bundle) {
+  // "<" is escaped so page HTML in snapshots can't close the script element
+  const data = JSON.stringify(bundle).replace(/</g, '\\u003c');
+  const title = `${bundle.suite} > ${bundle.test}`.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Trace: ${title}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 system-ui, sans-serif; color: #1f2328; display: flex; flex-direction: column; height: 100vh; }
+  header { padding: 8px 12px; border-bottom: 1px solid #d0d7de; }
+  header h1 { font-size: 15px; margin: 0 0 4px; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 8px; color: #fff; font-size: 12px; }
+  .passed { background: #1a7f37; } .failed { background: #cf222e; }
+  .error { color: #cf222e; white-space: pre-wrap; margin: 4px 0 0; }
+  main { flex: 1; display: flex; min-height: 0; }
+  #timeline { width: 360px; overflow: auto; border-right: 1px solid #d0d7de; margin: 0; padding: 0; list-style: none; }
+  #timeline li { padding: 3px 8px; cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  #timeline li.fail { color: #cf222e; }
+  #timeline li.selected { background: #ddf4ff; }
+  #timeline .time { color: #656d76; display: inline-block; width: 64px; text-align: right; margin-right: 6px; }
+  section { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+  nav { border-bottom: 1px solid #d0d7de; padding: 4px 8px; }
+  nav button { margin-right: 4px; }
+  nav button.active { font-weight: bold; }
+  #pane { flex: 1; overflow: auto; padding: 8px; }
+  #pane img { max-width: 100%; border: 1px solid #d0d7de; }
+  #pane iframe { width: 100%; height: 100%; border: 1px solid #d0d7de; }
+  #pane pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+  .caption { color: #656d76; margin-bottom: 4px; }
+  .later { opacity: 0.4; }
+</style>
+</head>
+<body>
+<header>
+  <h1 id="title"></h1>
+  <div id="summary"></div>
+</header>
+<main>
+  <ol id="timeline"></ol>
+  <section>
+    <nav>
+      <button data-step="-1" title="Previous (↑)">◀</button>
+      <button data-step="1" title="Next (↓)">▶</button>
+      <span id="tabs"></span>
+    </nav>
+    <div id="pane"></div>
+  </section>
+</main>
+<script type="application/json" id="trace-data">${data}</script>
+<script>
+  var trace = JSON.parse(document.getElementById('trace-data').textContent);
+  var steps = trace.events.slice();
+  if (trace.finalScreenshot) {
+    steps.push({ action: 'failure', time: trace.duration, success: false, final: true,
+      snapshot: { screenshot: trace.finalScreenshot } });
+  }
+  var tabs = ['Screenshot', 'DOM', 'Details', 'Console', 'Network'];
+  var current = 0;
+  var tab = 'Screenshot';
+
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) { node[key] = props[key]; });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  function describe(step) {
+    if (step.final) return 'failure screenshot';
+    if (step.network) return step.network.method + ' ' + step.context.url + ' → ' + (step.network.status != null ? step.network.status : step.network.action);
+    if (step.assertion) return (step.selector ? step.selector + ' ' : '') + step.assertion.matcher;
+    if (step.selector) return step.selector;
+    if (step.error) return step.error.message;
+    return step.context ? step.context.url : '';
+  }
+
+  // Latest snapshot at or before a step
+  function snapshotFor(index) {
+    for (var i = index; i >= 0; i--) {
+      if (steps[i].snapshot) return { snapshot: steps[i].snapshot, index: i };
+    }
+    return null;
+  }
+
+  function renderHeader() {
+    document.getElementById('title').textContent = trace.suite + ' > ' + trace.test;
+    var summary = document.getElementById('summary');
+    summary.appendChild(el('span', { className: 'badge ' + trace.status, textContent: trace.status }));
+    summary.appendChild(document.createTextNode(' attempt ' + trace.attempt + ' · ' + trace.duration + 'ms · ' +
+      new Date(trace.startTime).toLocaleString()));
+    if (trace.error) {
+      summary.appendChild(el('pre', { className: 'error', textContent: trace.error.message }));
+    }
+  }
+
+  function renderTimeline() {
+    var list = document.getElementById('timeline');
+    steps.forEach(function (step, index) {
+      var item = el('li', { className: step.success === false ? 'fail' : '' }, [
+        el('span', { className: 'time', textContent: '+' + step.time + 'ms' }),
+        (step.success === false ? '✗ ' : '✓ ') + step.action + ' ',
+        describe(step)
+      ]);
+      item.title = describe(step);
+      item.onclick = function () { select(index); };
+      list.appendChild(item);
+    });
+  }
+
+  function renderTabs() {
+    var container = document.getElementById('tabs');
+    container.textContent = '';
+    tabs.forEach(function (name) {
+      var button = el('button', { textContent: name, className: name === tab ? 'active' : '' });
+      button.onclick = function () { tab = name; renderTabs(); renderPane(); };
+      container.appendChild(button);
+    });
+  }
+
+  function renderPane() {
+    var pane = document.getElementById('pane');
+    var step = steps[current];
+    pane.textContent = '';
+    if (!step) {
+      pane.appendChild(el('p', { textContent: 'No events recorded' }));
+      return;
+    }
+
+    if (tab === 'Screenshot' || tab === 'DOM') {
+      var found = snapshotFor(current);
+      var key = tab === 'Screenshot' ? 'screenshot' : 'html';
+      if (!found || !found.snapshot[key]) {
+        pane.appendChild(el('p', { textContent: 'No snapshot yet' }));
+        return;
+      }
+      var caption = found.index === current ? 'After this step' : 'After step ' + (found.index + 1) + ' (' + steps[found.index].action + ')';
+      if (found.snapshot.url) caption += ' · ' + found.snapshot.url;
+      pane.appendChild(el('div', { className: 'caption', textContent: caption }));
+      if (tab === 'Screenshot') {
+        pane.appendChild(el('img', { src: found.snapshot.screenshot, alt: 'Page snapshot' }));
+      } else {
+        var frame = el('iframe', { srcdoc: found.snapshot.html });
+        frame.setAttribute('sandbox', '');
+        pane.appendChild(frame);
+      }
+    } else if (tab === 'Details') {
+      var details = Object.assign({}, step);
+      delete details.snapshot;
+      pane.appendChild(el('pre', { textContent: JSON.stringify(details, null, 2) }));
+    } else if (tab === 'Console') {
+      if (trace.console.length === 0) pane.appendChild(el('p', { textContent: 'No console messages' }));
+      trace.console.forEach(function (message) {
+        pane.appendChild(el('pre', { className: message.time > step.time ? 'later' : '' }, [
+          '+' + message.time + 'ms [' + message.type + '] ' + message.text
+        ]));
+      });
+    } else {
+      var requests = steps.filter(function (s) { return s.network; });
+      if (requests.length === 0) pane.appendChild(el('p', { textContent: 'No network requests' }));
+      requests.forEach(function (request) {
+        pane.appendChild(el('pre', { className: request.time > step.time ? 'later' : '' }, [
+          '+' + request.time + 'ms ' + describe(request) + ' (' + request.duration + 'ms)'
+        ]));
+      });
+    }
+  }
+
+  function select(index) {
+    if (index < 0 || index >= steps.length) return;
+    var items = document.getElementById('timeline').children;
+    if (items[current]) items[current].classList.remove('selected');
+    current = index;
+    items[current].classList.add('selected');
+    items[current].scrollIntoView({ block: 'nearest' });
+    renderPane();
+  }
+
+  document.querySelectorAll('[data-step]').forEach(function (button) {
+    button.onclick = function () { select(current + Number(button.dataset.step)); };
+  });
+  document.addEventListener('keydown', function (event) {
+    if (event.key === 'ArrowDown' || event.key === 'j') { select(current + 1); event.preventDefault(); }
+    if (event.key === 'ArrowUp' || event.key === 'k') { select(current - 1); event.preventDefault(); }
+  });
+
+  renderHeader();
+  renderTimeline();
+  renderTabs();
+  if (steps.length > 0) {
+    // Open on the first failing step, or the last one
+    var failing = steps.findIndex(function (step) { return step.success === false; });
+    select(failing >= 0 ? failing : steps.length - 1);
+  } else {
+    renderPane();
+  }
+</script>
+</body>
+</html>
+`;
+}
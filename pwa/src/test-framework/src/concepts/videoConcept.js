@@ -0,0 +1,315 @@
+/**
+ * Video Concept
+ * Records what a page shows during a test attempt with Page.startScreencast
+ * and stitches the frames into an animated PNG.
+ *
+ * Chrome only sends a frame when the page repaints, so each frame is shown
+ * until the next one arrives: a page that doesn't change costs one frame.
+ * Long recordings are thinned out evenly rather than cut, so the video
+ * still covers the whole attempt.
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { browserConcept } from './browserConcept.js';
+import { reportConcept } from './reportConcept.js';
+import { PNG_SIGNATURE, pngChunk, decodePNG, encodePNG, toFileName } from './screenshotConcept.js';
+
+// Video modes accepted by run({ video })
+const VIDEO_MODES = ['off', 'on', 'retain-on-failure'];
+
+// Frames kept per recording; past it every other frame is dropped
+const MAX_VIDEO_FRAMES = 500;
+
+// Longest delay an APNG frame can hold (16-bit numerator, in ms)
+const MAX_FRAME_DELAY = 65535;
+
+export const videoConcept = {
+  state: {
+    recordings: new Map(),   // recordingId -> recording of one page
+    nextRecordingId: 1,
+    maxWidth: 800,           // Frames are scaled down to fit
+    maxHeight: 600
+  },
+
+  actions: {
+    /**
+     * Start recording a page
+     * @param {string} sessionId - CDP session of the page
+     * @param {Object} info - { suite, test, attempt }
+     * @returns {Promise<number>} Recording ID
+     */
+    async startRecording(sessionId, info = {}) {
+      const self = videoConcept;
+      const id = self.state.nextRecordingId++;
+      const recording = {
+        id,
+        sessionId,
+        suite: info.suite,
+        test: info.test,
+        attempt: info.attempt || 1,
+        startTime: Date.now(),
+        frames: [],            // { data: PNG Buffer, time: ms }
+        received: 0,           // Frames Chrome sent
+        frameStep: 1,          // One of every frameStep received frames is kept
+        unsubscribe: null
+      };
+
+      recording.unsubscribe = browserConcept.subscribe((event, payload) => {
+        if (event === 'cdpEvent' && payload.method === 'Page.screencastFrame' && payload.sessionId === sessionId) {
+          self.actions._addFrame(recording, payload.params);
+        }
+      });
+      self.state.recordings.set(id, recording);
+
+      try {
+        await browserConcept.actions.sendCDPCommand('Page.startScreencast', {
+          format: 'png',
+          maxWidth: self.state.maxWidth,
+          maxHeight: self.state.maxHeight
+        }, sessionId);
+      } catch (err) {
+        recording.unsubscribe();
+        self.state.recordings.delete(id);
+        throw err;
+      }
+
+      self.notify('recordingStarted', { id, sessionId, suite: recording.suite, test: recording.test });
+
+      return id;
+    },
+
+    /**
+     * Keep a screencast frame and acknowledge it so Chrome sends the next one
+     * Once a recording is full, every other kept frame is dropped and only
+     * one of every frameStep (doubled) later frames is kept.
+     * @param {Object} recording - Recording the frame belongs to
+     * @param {Object} params - Page.screencastFrame params
+     */
+    _addFrame(recording, params) {
+      const timestamp = params.metadata?.timestamp;
+
+      if (recording.received++ % recording.frameStep === 0) {
+        recording.frames.push({
+          data: Buffer.from(params.data, 'base64'),
+          time: timestamp ? timestamp * 1000 : Date.now()
+        });
+        if (recording.frames.length > MAX_VIDEO_FRAMES) {
+          recording.frames = recording.frames.filter((frame, index) => index % 2 === 0);
+          recording.frameStep *= 2;
+        }
+      }
+
+      browserConcept.actions.sendCDPCommand('Page.screencastFrameAck', {
+        sessionId: params.sessionId
+      }, recording.sessionId).catch(() => {
+        // Page closed; no more frames are coming
+      });
+    },
+
+    /**
+     * Stop a recording
+     * @param {number} id - Recording ID
+     * @returns {Promise<Object|null>} The recording, with endTime
+     */
+    async stopRecording(id) {
+      const self = videoConcept;
+      const recording = self.state.recordings.get(id);
+
+      if (!recording) {
+        return null;
+      }
+
+      self.state.recordings.delete(id);
+      recording.unsubscribe();
+      recording.endTime = Date.now();
+
+      try {
+        await browserConcept.actions.sendCDPCommand('Page.stopScreencast', {}, recording.sessionId);
+      } catch (err) {
+        // Page or browser already closed; the frames are kept
+      }
+
+      return recording;
+    },
+
+    /**
+     * Write a recording as an animated PNG
+     * Files go to <outputDir>/videos/<suite>-<test>[-attempt<N>].png. The
+     * videoSaved event's frameStep is above 1 when frames were thinned out.
+     * @param {Object} recording - From stopRecording()
+     * @returns {Promise<string|null>} File path, or null when no frame was captured
+     */
+    async saveRecording(recording) {
+      if (recording.frames.length === 0) {
+        return null;
+      }
+
+      const dir = join(reportConcept.state.outputDir, 'videos');
+      const suffix = recording.attempt > 1 ? `-attempt${recording.attempt}` : '';
+      const path = join(dir, `${toFileName(`${recording.suite} ${recording.test}`)}${suffix}.png`);
+
+      await mkdir(dir, { recursive: true });
+      await writeFile(path, encodeAPNG(recording.frames, recording.endTime));
+
+      videoConcept.notify('videoSaved', {
+        suite: recording.suite,
+        test: recording.test,
+        path,
+        frames: recording.frames.length,
+        frameStep: recording.frameStep,
+        duration: recording.endTime - recording.startTime
+      });
+
+      return path;
+    },
+
+    /**
+     * Stop every recording without saving (browser closed)
+     */
+    reset() {
+      const self = videoConcept;
+      for (const recording of self.state.recordings.values()) {
+        recording.unsubscribe();
+      }
+      self.state.recordings.clear();
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+// Pure functions for video concept
+
+/**
+ * Validate the run({ video }) option
+ * @param {string} mode - 'off' | 'on' | 'retain-on-failure'
+ * @returns {string} The mode
+ * @throws {Error} If the mode is unknown
+ */
+export function validateVideoMode(mode) {
+  if (!VIDEO_MODES.includes(mode)) {
+    throw new Error(`Invalid video option: ${mode}. Must be one of ${VIDEO_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Stitch PNG frames into an animated PNG that plays them in real time
+ * Each frame is shown until the next one's time; the last until endTime.
+ * Frames the size of the first are copied as they are; others are decoded
+ * and cropped or padded to it.
+ * @param {Array<Object>} frames - { data: PNG Buffer, time: ms }, in order
+ * @param {number} endTime - When the recording stopped, in ms
+ * @returns {Buffer} APNG data
+ */
+export function encodeAPNG(frames, endTime) {
+  if (frames.length === 0) {
+    throw new Error('Cannot encode a video without frames');
+  }
+
+  let images = frames.map(frame => readPNGChunks(frame.data));
+  let header = images[0].header;
+
+  if (images.some(image => !image.header.equals(header))) {
+    const width = header.readUInt32BE(0);
+    const height = header.readUInt32BE(4);
+    images = frames.map(frame => readPNGChunks(encodePNG(fitImage(decodePNG(frame.data), width, height))));
+    header = images[0].header;
+  }
+
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(frames.length, 0);
+  animationControl.writeUInt32BE(0, 4);  // Loop forever
+
+  const chunks = [PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('acTL', animationControl)];
+  let sequence = 0;
+
+  images.forEach((image, index) => {
+    const next = index + 1 < frames.length ? frames[index + 1].time : endTime;
+    const delay = Math.min(MAX_FRAME_DELAY, Math.max(0, Math.round(next - frames[index].time)));
+
+    const frameControl = Buffer.alloc(26);
+    frameControl.writeUInt32BE(sequence++, 0);
+    header.copy(frameControl, 4, 0, 8);       // Full-canvas width and height
+    frameControl.writeUInt32BE(0, 12);        // x offset
+    frameControl.writeUInt32BE(0, 16);        // y offset
+    frameControl.writeUInt16BE(delay, 20);
+    frameControl.writeUInt16BE(1000, 22);     // Delay in ms
+    frameControl[24] = 0;                     // dispose: none
+    frameControl[25] = 0;                     // blend: source
+    chunks.push(pngChunk('fcTL', frameControl));
+
+    if (index === 0) {
+      chunks.push(pngChunk('IDAT', image.data));
+    } else {
+      const sequenceNumber = Buffer.alloc(4);
+      sequenceNumber.writeUInt32BE(sequence++, 0);
+      chunks.push(pngChunk('fdAT', Buffer.concat([sequenceNumber, image.data])));
+    }
+  });
+
+  chunks.push(pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Split a PNG into its header and compressed image data
+ * @param {Buffer} buffer - PNG data
+ * @returns {{header: Buffer, data: Buffer}} IHDR contents and joined IDAT contents
+ */
+function readPNGChunks(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let offset = 8;
+  let header = null;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG is missing IHDR chunk');
+  }
+  return { header, data: Buffer.concat(idat) };
+}
+
+/**
+ * Crop or pad an RGBA image to a size; padding is transparent
+ * @param {Object} image - RGBA image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} RGBA image
+ */
+function fitImage(image, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  const rowBytes = Math.min(width, image.width) * 4;
+
+  for (let y = 0; y < Math.min(height, image.height); y++) {
+    image.data.copy(data, y * width * 4, y * image.width * 4, y * image.width * 4 + rowBytes);
+  }
+
+  return { width, height, data };
+}
@@ -0,0 +1,98 @@
+/**
+ * Worker Concept
+ * Binds concurrently running tests to their own page.
+ *
+ * Concepts are singletons, so parallel tests cannot share "the active page"
+ * in concept state. Each worker runs its test inside an async scope carrying
+ * a page binding; page-aware concepts read the binding when one is present.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const workerConcept = {
+  state: {
+    storage: new AsyncLocalStorage(), // Async scope -> page binding
+    activeWorkers: new Set()          // Worker IDs currently running a test
+  },
+
+  actions: {
+    /**
+     * Run a function with a page binding visible to everything it awaits
+     * @param {Object} binding - { workerId, contextId?, targetId?, sessionId?, currentUrl? }
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} Result of fn
+     */
+    async run(binding, fn) {
+      const self = workerConcept;
+      const scoped = createBinding(binding);
+
+      self.state.activeWorkers.add(scoped.workerId);
+      self.notify('workerBusy', { workerId: scoped.workerId });
+
+      try {
+        return await self.state.storage.run(scoped, fn);
+      } finally {
+        self.state.activeWorkers.delete(scoped.workerId);
+        self.notify('workerIdle', { workerId: scoped.workerId });
+      }
+    },
+
+    /**
+     * Get the binding of the current worker scope
+     * @returns {Object|null} Binding, or null outside a worker
+     */
+    getBinding() {
+      return workerConcept.state.storage.getStore() || null;
+    }
+  },
+
+  _subscribers: [],
+
+  notify(event, payload) {
+    this._subscribers.forEach(fn => fn(event, payload));
+  },
+
+  subscribe(fn) {
+    this._subscribers.push(fn);
+  }
+};
+
+// Pure functions for worker concept
+
+/**
+ * Create a page binding with the fields navigation tracks per page
+ * @param {Object} binding - Initial values
+ * @returns {Object} Page binding
+ */
+export function createBinding(binding = {}) {
+  if (binding.workerId === undefined) {
+    throw new Error('Worker binding requires a workerId');
+  }
+
+  return {
+    workerId: binding.workerId,
+    contextId: binding.contextId || null,
+    targetId: binding.targetId || null,
+    sessionId: binding.sessionId || null,
+    currentUrl: binding.currentUrl || '',
+    loadState: '',
+    timingMetrics: {},
+    isNavigating: false,
+    attempt: null // Running test attempt, for per-test accessibility violations
+  };
+}
+
+/**
+ * Validate the workers run option
+ * @param {*} workers - Requested worker count
+ * @returns {number} Worker count
+ */
+export function parseWorkerCount(workers) {
+  if (workers === undefined) {
+    return 1;
+  }
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`Invalid workers option: ${workers}. Must be a positive integer`);
+  }
+  return workers;
+}
@@ -0,0 +1,33 @@
+/**
+ * ConsoleError
+ * Thrown when a test passes but the page logged errors and the run uses failOnConsoleError.
+ * Non-fatal - fails the test like an assertion.
+ */
+export class ConsoleError extends Error {
+  constructor({ messages, test }) {
+    const first = messages[0];
+    super(`Page logged ${messages.length} console error(s) during "${test}": [${first.type}] ${first.text}`);
+    this.name = 'ConsoleError';
+    this.errorType = 'ConsoleError';
+    this.messages = messages;
+    this.test = test;
+    this.timestamp = Date.now();
+    this.fatal = false;
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ConsoleError);
+    }
+  }
+
+  toJSON() {
+    return {
+      errorType: this.errorType,
+      message: this.message,
+      messages: this.messages,
+      test: this.test,
+      timestamp: this.timestamp,
+      fatal: this.fatal,
+      stack: this.stack
+    };
+  }
+}
@@ -10,3 +10,4 @@ export { ElementNotFoundError } from './ElementNotFoundError.js';
 export { ElementNotInteractableError } from './ElementNotInteractableError.js';
 export { AssertionError } from './AssertionError.js';
 export { NavigationError } from './NavigationError.js';
+export { ConsoleError } from './ConsoleError.js';
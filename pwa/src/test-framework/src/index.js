@@ -15,6 +15,16 @@ import { testRunnerConcept } from './concepts/testRunnerConcept.js';
 import { assertionConcept } from './concepts/assertionConcept.js';
 import { traceConcept } from './concepts/traceConcept.js';
 import { reportConcept } from './concepts/reportConcept.js';
+import { networkConcept, NETWORK_PRESETS } from './concepts/networkConcept.js';
+import { screenshotConcept } from './concepts/screenshotConcept.js';
+import { workerConcept } from './concepts/workerConcept.js';
+import { accessibilityConcept } from './concepts/accessibilityConcept.js';
+import { downloadConcept } from './concepts/downloadConcept.js';
+import { consoleConcept } from './concepts/consoleConcept.js';
+import { emulationConcept, DEVICES } from './concepts/emulationConcept.js';
+import { serviceWorkerConcept } from './concepts/serviceWorkerConcept.js';
+import { storageConcept } from './concepts/storageConcept.js';
+import { videoConcept } from './concepts/videoConcept.js';
 import { initializeSynchronizations } from './synchronizations.js';
 
 // Initialize synchronizations on import
@@ -28,18 +38,92 @@ export const close = browserConcept.actions.close.bind(browserConcept.actions);
 export const navigate = navigationConcept.actions.navigate.bind(navigationConcept.actions);
 export const getCurrentUrl = navigationConcept.actions.getCurrentUrl.bind(navigationConcept.actions);
 
+// Pages, tabs and popups
+export const listPages = navigationConcept.actions.listPages.bind(navigationConcept.actions);
+export const switchToPage = navigationConcept.actions.switchToPage.bind(navigationConcept.actions);
+export const waitForPopup = navigationConcept.actions.waitForPopup.bind(navigationConcept.actions);
+export const closePage = navigationConcept.actions.closePage.bind(navigationConcept.actions);
+
+// Device and environment emulation
+export const emulate = emulationConcept.actions.emulate.bind(emulationConcept.actions);
+export const setViewport = emulationConcept.actions.setViewport.bind(emulationConcept.actions);
+export const emulateDevice = emulationConcept.actions.emulateDevice.bind(emulationConcept.actions);
+export const emulateMedia = emulationConcept.actions.emulateMedia.bind(emulationConcept.actions);
+export const setTimezone = emulationConcept.actions.setTimezone.bind(emulationConcept.actions);
+export const setLocale = emulationConcept.actions.setLocale.bind(emulationConcept.actions);
+export const setGeolocation = emulationConcept.actions.setGeolocation.bind(emulationConcept.actions);
+export const clearEmulation = emulationConcept.actions.clearEmulation.bind(emulationConcept.actions);
+export { DEVICES as devices };
+
+// Network interception
+export const route = networkConcept.actions.route.bind(networkConcept.actions);
+export const unroute = networkConcept.actions.unroute.bind(networkConcept.actions);
+export const getRequests = networkConcept.actions.getRequests.bind(networkConcept.actions);
+export const clearRequests = networkConcept.actions.clearRequests.bind(networkConcept.actions);
+
+// Network conditions and service workers
+export const setOffline = networkConcept.actions.setOffline.bind(networkConcept.actions);
+export const throttle = networkConcept.actions.throttle.bind(networkConcept.actions);
+export const clearNetworkConditions = networkConcept.actions.clearNetworkConditions.bind(networkConcept.actions);
+export { NETWORK_PRESETS as networkPresets };
+export const waitForServiceWorker = serviceWorkerConcept.actions.waitForServiceWorker.bind(serviceWorkerConcept.actions);
+export const getCacheNames = serviceWorkerConcept.actions.getCacheNames.bind(serviceWorkerConcept.actions);
+export const getCachedURLs = serviceWorkerConcept.actions.getCachedURLs.bind(serviceWorkerConcept.actions);
+
+// Storage
+export const getCookies = storageConcept.actions.getCookies.bind(storageConcept.actions);
+export const setCookies = storageConcept.actions.setCookies.bind(storageConcept.actions);
+export const clearCookies = storageConcept.actions.clearCookies.bind(storageConcept.actions);
+export const getLocalStorage = storageConcept.actions.getLocalStorage.bind(storageConcept.actions);
+export const setLocalStorage = storageConcept.actions.setLocalStorage.bind(storageConcept.actions);
+export const clearLocalStorage = storageConcept.actions.clearLocalStorage.bind(storageConcept.actions);
+export const dumpIndexedDB = storageConcept.actions.dumpIndexedDB.bind(storageConcept.actions);
+export const restoreIndexedDB = storageConcept.actions.restoreIndexedDB.bind(storageConcept.actions);
+export const getStorageState = storageConcept.actions.getStorageState.bind(storageConcept.actions);
+export const saveStorageState = storageConcept.actions.saveStorageState.bind(storageConcept.actions);
+
 // DOM interaction
 export const click = domConcept.actions.click.bind(domConcept.actions);
 export const type = domConcept.actions.type.bind(domConcept.actions);
 export const select = domConcept.actions.select.bind(domConcept.actions);
 export const check = domConcept.actions.check.bind(domConcept.actions);
 export const uncheck = domConcept.actions.uncheck.bind(domConcept.actions);
+export const dblclick = domConcept.actions.dblclick.bind(domConcept.actions);
+export const rightClick = domConcept.actions.rightClick.bind(domConcept.actions);
+export const hover = domConcept.actions.hover.bind(domConcept.actions);
+export const dragAndDrop = domConcept.actions.dragAndDrop.bind(domConcept.actions);
+export const scrollIntoView = domConcept.actions.scrollIntoView.bind(domConcept.actions);
+export const setInputFiles = domConcept.actions.setInputFiles.bind(domConcept.actions);
+export const dropFiles = domConcept.actions.dropFiles.bind(domConcept.actions);
+
+// Downloads
+export const waitForDownload = downloadConcept.actions.waitForDownload.bind(downloadConcept.actions);
+export const getDownloads = downloadConcept.actions.getDownloads.bind(downloadConcept.actions);
+
+// Console
+export const getConsoleMessages = consoleConcept.actions.getConsoleMessages.bind(consoleConcept.actions);
+export const clearConsoleMessages = consoleConcept.actions.clearConsoleMessages.bind(consoleConcept.actions);
+
+// Keyboard
+export const press = domConcept.actions.press.bind(domConcept.actions);
+export const hotkey = domConcept.actions.hotkey.bind(domConcept.actions);
 
 // DOM queries
 export const getAttribute = domConcept.actions.getAttribute.bind(domConcept.actions);
 export const getText = domConcept.actions.getText.bind(domConcept.actions);
 export const isVisible = domConcept.actions.isVisible.bind(domConcept.actions);
 export const exists = domConcept.actions.exists.bind(domConcept.actions);
+export const count = domConcept.actions.count.bind(domConcept.actions);
+
+// Accessibility-tree locators and audit
+export const getByRole = accessibilityConcept.actions.getByRole.bind(accessibilityConcept.actions);
+export const getByLabel = accessibilityConcept.actions.getByLabel.bind(accessibilityConcept.actions);
+export const getByPlaceholder = accessibilityConcept.actions.getByPlaceholder.bind(accessibilityConcept.actions);
+export const getByText = accessibilityConcept.actions.getByText.bind(accessibilityConcept.actions);
+export const auditAccessibility = accessibilityConcept.actions.auditAccessibility.bind(accessibilityConcept.actions);
+
+// Screenshots
+export const screenshot = screenshotConcept.actions.screenshot.bind(screenshotConcept.actions);
 
 // Wait functions
 export const waitForSelector = waitConcept.actions.waitForSelector.bind(waitConcept.actions);
@@ -50,6 +134,16 @@ export const waitForHidden = waitConcept.actions.waitForHidden.bind(waitConcept.
 export const describe = testRunnerConcept.actions.describe.bind(testRunnerConcept.actions);
 export const test = testRunnerConcept.actions.test.bind(testRunnerConcept.actions);
 
+describe.only = testRunnerConcept.actions.describeOnly.bind(testRunnerConcept.actions);
+describe.skip = testRunnerConcept.actions.describeSkip.bind(testRunnerConcept.actions);
+test.only = testRunnerConcept.actions.testOnly.bind(testRunnerConcept.actions);
+test.skip = testRunnerConcept.actions.testSkip.bind(testRunnerConcept.actions);
+test.todo = testRunnerConcept.actions.testTodo.bind(testRunnerConcept.actions);
+test.extend = testRunnerConcept.actions.extend.bind(testRunnerConcept.actions);
+
+// Page objects
+export { definePage, defineComponent } from './pageObjects.js';
+
 // Lifecycle hooks
 export const beforeAll = testRunnerConcept.actions.beforeAll.bind(testRunnerConcept.actions);
 export const afterAll = testRunnerConcept.actions.afterAll.bind(testRunnerConcept.actions);
@@ -61,9 +155,11 @@ export const run = testRunnerConcept.actions.run.bind(testRunnerConcept.actions)
 
 // Assertions
 export const expect = assertionConcept.actions.expect.bind(assertionConcept.actions);
+expect.extend = assertionConcept.actions.extend.bind(assertionConcept.actions);
 
 // Reporting (for advanced usage)
 export const generateReport = reportConcept.actions.generateReport.bind(reportConcept.actions);
+export const setReporters = reportConcept.actions.setReporters.bind(reportConcept.actions);
 export const getTrace = traceConcept.actions.getRecentTrace.bind(traceConcept.actions);
 
 // Export error classes for custom error handling
@@ -79,5 +175,15 @@ export {
   testRunnerConcept,
   assertionConcept,
   traceConcept,
-  reportConcept
+  reportConcept,
+  networkConcept,
+  screenshotConcept,
+  workerConcept,
+  accessibilityConcept,
+  downloadConcept,
+  consoleConcept,
+  emulationConcept,
+  serviceWorkerConcept,
+  storageConcept,
+  videoConcept
 };
@@ -0,0 +1,134 @@
+/**
+ * Page objects
+ * definePage / defineComponent bind named locators and actions into reusable
+ * objects, so suites share one definition of e.g. the upload zone instead of
+ * repeating its selectors.
+ *
+ * Page objects hold no page reference: their actions call the framework's
+ * functions, which act on the active page. Created inside a parallel worker,
+ * a page object drives that worker's context like any other call.
+ */
+
+import { navigationConcept } from './concepts/navigationConcept.js';
+
+// Properties every page object or component defines itself
+const RESERVED = ['root', 'url', 'goto'];
+
+/**
+ * Define a page object
+ * @param {Object} definition - { url?, locators?, actions?, components? }
+ *   locators: name -> selector, locator, or (...args) => selector
+ *   actions: name -> function, called with `this` bound to the page object
+ *   components: name -> factory from defineComponent
+ * @returns {Function} (options?) => page object; options: { baseURL? } to resolve a relative url
+ */
+export function definePage(definition = {}) {
+  validateDefinition(definition, 'definePage');
+
+  return (options = {}) => {
+    const page = {};
+
+    if (definition.url !== undefined) {
+      page.url = resolvePageUrl(definition.url, options.baseURL);
+      page.goto = (navigateOptions) => navigationConcept.actions.navigate(page.url, navigateOptions);
+    }
+
+    return bindDefinition(page, definition, null);
+  };
+}
+
+/**
+ * Define a component: like a page object, but its string selectors are
+ * searched inside a root element
+ * @param {Object} definition - { root, locators?, actions?, components? }
+ * @returns {Function} (root?) => component; root overrides the definition's (e.g. for one of several instances)
+ */
+export function defineComponent(definition = {}) {
+  validateDefinition(definition, 'defineComponent');
+
+  if (typeof definition.root !== 'string' || definition.root.length === 0) {
+    throw new Error('defineComponent() requires a root selector');
+  }
+
+  const factory = (root = definition.root) => bindDefinition({ root }, definition, root);
+  factory.root = definition.root;
+  return factory;
+}
+
+/**
+ * Add locators, actions and components to a page object or component
+ * @param {Object} target - Object to fill
+ * @param {Object} definition - Page or component definition
+ * @param {string|null} root - Root selector components scope string selectors to
+ * @returns {Object} target
+ */
+function bindDefinition(target, definition, root) {
+  for (const [name, locator] of Object.entries(definition.locators || {})) {
+    target[name] = typeof locator === 'function'
+      ? (...args) => scopeSelector(root, locator(...args))
+      : scopeSelector(root, locator);
+  }
+
+  for (const [name, factory] of Object.entries(definition.components || {})) {
+    // Components inside a component are searched inside its root too
+    target[name] = root ? factory(scopeSelector(root, factory.root)) : factory();
+  }
+
+  for (const [name, action] of Object.entries(definition.actions || {})) {
+    target[name] = action.bind(target);
+  }
+
+  return target;
+}
+
+// Pure functions for page objects
+
+/**
+ * Validate a page or component definition
+ * @param {Object} definition - Definition
+ * @param {string} caller - 'definePage' or 'defineComponent', for messages
+ * @throws {Error} If members aren't the right type or names clash
+ */
+export function validateDefinition(definition, caller) {
+  const seen = new Set();
+
+  for (const group of ['locators', 'actions', 'components']) {
+    for (const [name, member] of Object.entries(definition[group] || {})) {
+      if (RESERVED.includes(name) || seen.has(name)) {
+        throw new Error(`${caller}(): "${name}" is defined twice or is reserved`);
+      }
+      seen.add(name);
+
+      if (group !== 'locators' && typeof member !== 'function') {
+        throw new Error(`${caller}(): ${group.slice(0, -1)} "${name}" must be a function`);
+      }
+      if (group === 'locators' && !member) {
+        throw new Error(`${caller}(): locator "${name}" is empty`);
+      }
+    }
+  }
+}
+
+/**
+ * Scope a selector to a component root with '>>'
+ * Locator objects (getByRole, ...) resolve across the whole page and are kept as-is.
+ * @param {string|null} root - Root selector
+ * @param {string|Object} selector - Selector or locator
+ * @returns {string|Object}
+ */
+export function scopeSelector(root, selector) {
+  if (!root || typeof selector !== 'string') {
+    return selector;
+  }
+  return `${root} >> ${selector}`;
+}
+
+/**
+ * Resolve a page object's URL against a base URL
+ * @param {string} url - Absolute URL, or path when baseURL is given
+ * @param {string} [baseURL] - Base URL
+ * @returns {string}
+ */
+export function resolvePageUrl(url, baseURL) {
+  return baseURL ? new URL(url, baseURL).href : url;
+}
@@ -15,8 +15,16 @@ import { domConcept } from './concepts/domConcept.js';
 import { waitConcept } from './concepts/waitConcept.js';
 import { testRunnerConcept } from './concepts/testRunnerConcept.js';
 import { assertionConcept } from './concepts/assertionConcept.js';
-import { traceConcept } from './concepts/traceConcept.js';
+import { traceConcept, shouldSnapshot } from './concepts/traceConcept.js';
 import { reportConcept } from './concepts/reportConcept.js';
+import { networkConcept } from './concepts/networkConcept.js';
+import { screenshotConcept } from './concepts/screenshotConcept.js';
+import { accessibilityConcept } from './concepts/accessibilityConcept.js';
+import { downloadConcept } from './concepts/downloadConcept.js';
+import { consoleConcept, isConsoleError } from './concepts/consoleConcept.js';
+import { emulationConcept } from './concepts/emulationConcept.js';
+import { storageConcept } from './concepts/storageConcept.js';
+import { videoConcept } from './concepts/videoConcept.js';
 
 export const synchronizations = [
   // Browser launch triggers context creation
@@ -40,6 +48,239 @@ export const synchronizations = [
     }
   },
 
+  // Closed pages are dropped from the page registry
+  {
+    when: 'targetDestroyed',
+    from: browserConcept,
+    do: (payload) => {
+      navigationConcept.actions.handlePageClosed(payload.targetId).catch(() => {
+        // Browser may be shutting down; nothing left to switch to
+      });
+    }
+  },
+
+  // Browser shutdown clears page state
+  {
+    when: 'browserClosed',
+    from: browserConcept,
+    do: () => {
+      navigationConcept.actions.reset();
+      accessibilityConcept.actions.reset();
+      emulationConcept.actions.reset();
+      videoConcept.actions.reset();
+    }
+  },
+
+  // Pages attached later (popups, other tabs) get their context's emulation
+  {
+    when: 'pageAttached',
+    from: navigationConcept,
+    do: (payload) => {
+      emulationConcept.actions.applyToTarget(payload).catch(() => {
+        // Page closed before the emulation was applied
+      });
+    }
+  },
+
+  // Pages attached later go offline / get throttled with their context
+  {
+    when: 'pageAttached',
+    from: navigationConcept,
+    do: (payload) => {
+      networkConcept.actions.applyConditionsToTarget(payload).catch(() => {
+        // Page closed before the conditions were applied
+      });
+    }
+  },
+
+  // Service workers started while a context is offline or throttled share its conditions
+  {
+    when: 'targetCreated',
+    from: browserConcept,
+    do: (payload) => {
+      if (payload.targetInfo.type !== 'service_worker') return;
+
+      networkConcept.actions.applyConditionsToTarget({ targetId: payload.targetInfo.targetId }).catch(() => {
+        // Worker stopped before it was attached
+      });
+    }
+  },
+
+  // Destroyed contexts drop their emulation settings, network conditions and console messages
+  {
+    when: 'contextDestroyed',
+    from: contextConcept,
+    do: (payload) => {
+      emulationConcept.actions.forgetContext(payload.browserContextId);
+      networkConcept.actions.forgetContext(payload.browserContextId);
+      consoleConcept.actions.forgetContext(payload.browserContextId);
+    }
+  },
+
+  // New isolated contexts save downloads too
+  {
+    when: 'contextCreated',
+    from: contextConcept,
+    do: (payload) => {
+      downloadConcept.actions.applyToContext(payload.browserContextId).catch(() => {
+        // Context destroyed before the behavior was applied
+      });
+    }
+  },
+
+  // Finished downloads log to trace
+  {
+    when: 'downloadCompleted',
+    from: downloadConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('download', {
+        success: true,
+        selector: payload.suggestedFilename,
+        url: payload.url,
+        duration: payload.duration
+      });
+    }
+  },
+
+  // Canceled downloads log to trace
+  {
+    when: 'downloadCanceled',
+    from: downloadConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('download', {
+        success: false,
+        selector: payload.suggestedFilename,
+        url: payload.url,
+        duration: payload.duration,
+        error: { name: 'DownloadCanceled', message: `Download canceled: ${payload.suggestedFilename}` }
+      });
+    }
+  },
+
+  // Saved and restored storage states log to trace
+  {
+    when: 'storageStateSaved',
+    from: storageConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('storageState', {
+        success: true,
+        selector: payload.path,
+        url: payload.origins.join(', ')
+      });
+    }
+  },
+
+  {
+    when: 'storageStateRestored',
+    from: storageConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('storageState', {
+        success: true,
+        selector: payload.browserContextId,
+        url: payload.origins.join(', ')
+      });
+    }
+  },
+
+  // Browser console output and page errors are captured from every page
+  {
+    when: 'cdpEvent',
+    from: browserConcept,
+    do: (payload) => {
+      consoleConcept.actions.handleCDPEvent(payload);
+    }
+  },
+
+  // Console errors and uncaught exceptions log to trace
+  {
+    when: 'consoleMessage',
+    from: consoleConcept,
+    do: (payload) => {
+      if (!isConsoleError(payload)) return;
+
+      traceConcept.actions.logAction('console', {
+        success: false,
+        url: payload.location?.url,
+        error: { name: payload.type, message: payload.text }
+      });
+    }
+  },
+
+  // Popup logs to trace
+  {
+    when: 'popupOpened',
+    from: navigationConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('popup', {
+        success: true,
+        url: payload.url,
+        duration: payload.duration
+      });
+    }
+  },
+
+  // Page switch logs to trace
+  {
+    when: 'pageSwitched',
+    from: navigationConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('switchPage', {
+        success: true,
+        url: payload.url
+      });
+    }
+  },
+
+  // Interception and request logging follow the active page
+  {
+    when: 'pageSwitched',
+    from: navigationConcept,
+    do: () => {
+      if (networkConcept.state.enabledSessions.size > 0) {
+        networkConcept.actions.enable().catch(() => {
+          // Page closed before it could be enabled
+        });
+      }
+    }
+  },
+
+  // Finished requests log to recorded traces
+  {
+    when: 'requestFinished',
+    from: networkConcept,
+    do: (payload) => {
+      traceConcept.actions.logNetwork('network', {
+        success: !payload.failed && (payload.status === null || payload.status < 400),
+        url: payload.url,
+        duration: payload.duration,
+        error: payload.failed ? { name: 'NetworkError', message: payload.errorText } : undefined,
+        network: {
+          method: payload.method,
+          status: payload.status,
+          resourceType: payload.resourceType,
+          mocked: payload.mocked
+        }
+      });
+    }
+  },
+
+  // Routed requests log to recorded traces
+  {
+    when: 'requestRouted',
+    from: networkConcept,
+    do: (payload) => {
+      traceConcept.actions.logNetwork('route', {
+        success: true,
+        url: payload.url,
+        network: {
+          method: payload.method,
+          action: payload.action,
+          routeId: payload.routeId
+        }
+      });
+    }
+  },
+
   // Navigation completion logs to trace
   {
     when: 'navigationCompleted',
@@ -124,12 +365,49 @@ export const synchronizations = [
     }
   },
 
-  // Test start creates isolated context
+  // Screenshot capture logs to trace
+  {
+    when: 'screenshotCaptured',
+    from: screenshotConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('screenshot', {
+        success: true,
+        selector: payload.selector,
+        duration: payload.duration
+      });
+    }
+  },
+
+  // Accessibility audit logs to trace
+  {
+    when: 'accessibilityAudited',
+    from: accessibilityConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('a11yAudit', {
+        success: payload.violations.length === 0,
+        url: payload.url,
+        duration: payload.duration,
+        error: payload.violations.length > 0
+          ? { name: 'AccessibilityViolation', message: `${payload.violations.length} accessibility violation(s)` }
+          : undefined
+      });
+    }
+  },
+
+  // Accessibility violations are listed on the running test
+  {
+    when: 'accessibilityAudited',
+    from: accessibilityConcept,
+    do: (payload) => {
+      testRunnerConcept.actions.recordViolations(payload.violations);
+    }
+  },
+
+  // Test start logs to trace (the runner owns per-test context isolation)
   {
     when: 'testStarted',
     from: testRunnerConcept,
     do: (payload) => {
-      contextConcept.actions.createContext();
       traceConcept.actions.logAction('testStart', {
         success: true,
         testName: payload.name,
@@ -138,14 +416,38 @@ export const synchronizations = [
     }
   },
 
-  // Test completion destroys context
+  // Skipped and todo tests log to trace
+  {
+    when: 'testSkipped',
+    from: testRunnerConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('testSkip', {
+        success: true,
+        testName: payload.name,
+        status: payload.status
+      });
+    }
+  },
+
+  // Retried attempts log to trace
+  {
+    when: 'testRetried',
+    from: testRunnerConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('testRetry', {
+        success: false,
+        testName: payload.name,
+        attempt: payload.attempt,
+        error: payload.error ? { name: payload.error.errorType, message: payload.error.message } : undefined
+      });
+    }
+  },
+
+  // Test completion logs to trace
   {
     when: 'testCompleted',
     from: testRunnerConcept,
     do: (payload) => {
-      if (contextConcept.state.activeContext) {
-        contextConcept.actions.destroyContext(contextConcept.state.activeContext);
-      }
       traceConcept.actions.logAction('testComplete', {
         success: payload.status === 'passed',
         testName: payload.name,
@@ -155,12 +457,52 @@ export const synchronizations = [
     }
   },
 
-  // Suite completion triggers report generation
+  // Run start opens the reporters
+  {
+    when: 'runStarted',
+    from: testRunnerConcept,
+    do: (payload) => {
+      reportConcept.actions.runStarted(payload);
+    }
+  },
+
+  // Finished tests are reported as they end
+  {
+    when: 'testCompleted',
+    from: testRunnerConcept,
+    do: (payload) => {
+      reportConcept.actions.testEnded(payload);
+    }
+  },
+
+  // Skipped and todo tests are reported too
   {
-    when: 'suiteCompleted',
+    when: 'testSkipped',
     from: testRunnerConcept,
     do: (payload) => {
-      reportConcept.actions.generateReport(payload);
+      reportConcept.actions.testEnded(payload);
+    }
+  },
+
+  // Run completion triggers report generation from the merged, ordered results
+  {
+    when: 'runCompleted',
+    from: testRunnerConcept,
+    do: (payload) => {
+      reportConcept.actions.generateReport({
+        stats: {
+          total: payload.total,
+          passed: payload.passed,
+          failed: payload.failed,
+          skipped: payload.skipped,
+          todo: payload.todo,
+          flaky: payload.flaky,
+          duration: payload.totalDuration
+        },
+        tests: payload.results
+      }).catch(err => {
+        console.error('Report generation failed:', err);
+      });
     }
   },
 
@@ -178,6 +520,33 @@ export const synchronizations = [
     }
   },
 
+  // Assertion failure logs to trace
+  {
+    when: 'assertionFailed',
+    from: assertionConcept,
+    do: (payload) => {
+      traceConcept.actions.logAction('assert', {
+        success: false,
+        selector: payload.selector,
+        matcher: payload.matcher,
+        expected: payload.expected,
+        actual: payload.actual,
+        error: payload
+      });
+    }
+  },
+
+  // Recorded traces get a page snapshot after navigations, interactions and assertions
+  {
+    when: 'traceEventLogged',
+    from: traceConcept,
+    do: ({ event }) => {
+      if (shouldSnapshot(event) && traceConcept.actions.isRecording()) {
+        traceConcept.actions.trackSnapshot(event.sequenceId, screenshotConcept.actions.captureSnapshot());
+      }
+    }
+  },
+
   // Assertion success logs to trace
   {
     when: 'assertionPassed',
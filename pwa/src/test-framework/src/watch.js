@@ -0,0 +1,304 @@
+/**
+ * Watch mode
+ * Keeps the browser launched by the CLI alive, watches test files and the
+ * local modules they import, and re-runs only the test files a change
+ * affects. Each re-run resets testRunnerConcept and re-imports the affected
+ * files so they register fresh suites; global hooks of the other files are
+ * put back, so every re-run has the hooks a full run would.
+ *
+ * Re-imports bypass the module cache with a version query; see
+ * watchHooks.js for how local imports are reloaded with them.
+ */
+
+import { watch } from 'fs';
+import { readFile } from 'fs/promises';
+import module from 'module';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { run, testRunnerConcept, reportConcept } from './index.js';
+
+const FRAMEWORK_DIR = dirname(fileURLToPath(import.meta.url));
+const VERSION_PARAM = 'ui-test-v';
+
+// Wait for a burst of file events (e.g. an editor's save) to settle
+const WATCH_DEBOUNCE = 100;
+
+const HOOK_TYPES = ['beforeAll', 'afterAll', 'beforeEach', 'afterEach'];
+
+/**
+ * Run the imported test files, then re-run affected files on every change
+ * Resolves when the process gets SIGINT (Ctrl+C).
+ * @param {Object} options - { cwd, files, globalHooks, testDir, discover, runOptions }
+ *   files: test files already imported, relative to cwd
+ *   globalHooks: from importTestFiles() when they were imported
+ *   discover: async () => current test files, relative to cwd
+ * @returns {Promise<number>} Exit code
+ */
+export async function watchTestFiles({ cwd, files, globalHooks = new Map(), testDir, discover, runOptions }) {
+  const statuses = new Map();
+  const hooksByFile = new Map(globalHooks);
+  const watchers = new Map();
+  const pending = new Set();
+  let testFiles = files.map(file => resolve(cwd, file));
+  let graph = await buildDependencyGraph(testFiles);
+  let version = 0;
+  let timer = null;
+  let queue = Promise.resolve();
+  let recursive = false;   // Whether testDir's watcher also covers its subdirectories
+
+  // Edited helpers need the resolve hooks; without them only test files reload
+  if (typeof module.register === 'function') {
+    module.register('./watchHooks.js', import.meta.url, { data: { frameworkDir: FRAMEWORK_DIR } });
+  }
+
+  async function runFiles(affected, reload) {
+    try {
+      if (reload) {
+        version++;
+        testRunnerConcept.actions.reset();
+
+        // In file order, so hooks run in the same order as in a full run
+        for (const file of testFiles) {
+          if (affected.includes(file)) {
+            const [hooks] = (await importTestFiles([file], version)).values();
+            hooksByFile.set(file, hooks);
+          } else if (hooksByFile.has(file)) {
+            for (const type of HOOK_TYPES) {
+              testRunnerConcept.state.globalHooks[type].push(...hooksByFile.get(file)[type]);
+            }
+          }
+        }
+      }
+
+      const summary = await run(runOptions);
+      await reportConcept.actions.flush();
+      console.log(formatWatchDelta(statuses, summary.results, affected.length));
+
+      for (const result of summary.results) {
+        statuses.set(`${result.suite} > ${result.name}`, result.status);
+      }
+    } catch (error) {
+      console.error(`[watch] ${error.message}`);
+    }
+    console.log('[watch] Waiting for changes. Press Ctrl+C to exit.');
+  }
+
+  function watchDirectories() {
+    const root = resolve(cwd, testDir);
+    const dirs = new Set([root, ...[...graph.values()].flatMap(deps => [...deps].map(dirname))]);
+
+    for (const dir of dirs) {
+      // testDir is watched recursively, which covers the directories inside it,
+      // including ones created later for new test files
+      if (watchers.has(dir) || (dir !== root && recursive && !relative(root, dir).startsWith('..'))) continue;
+
+      const onChange = (event, filename) => {
+        if (filename) {
+          pending.add(join(dir, filename));
+          clearTimeout(timer);
+          timer = setTimeout(() => { queue = queue.then(rerun); }, WATCH_DEBOUNCE);
+        }
+      };
+      try {
+        watchers.set(dir, watch(dir, { recursive: dir === root }, onChange));
+        recursive = recursive || dir === root;
+      } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') continue; // Directory removed since the graph was built
+
+        // Node 18 on Linux can't watch recursively; new subdirectories are missed there
+        try {
+          watchers.set(dir, watch(dir, onChange));
+        } catch {
+          // Directory removed since the graph was built
+        }
+      }
+    }
+  }
+
+  async function rerun() {
+    const changed = [...pending];
+    pending.clear();
+
+    try {
+      const current = (await discover()).map(file => resolve(cwd, file));
+      const added = current.filter(file => !testFiles.includes(file));
+      testFiles = current;
+      graph = await buildDependencyGraph(testFiles);
+
+      const affected = findAffectedFiles(graph, changed, added);
+      if (affected.length === 0) return;
+
+      const names = changed.filter(file => [...graph.values()].some(deps => deps.has(file)));
+      console.log(`\n[watch] Changed: ${names.map(file => relative(cwd, file)).join(', ')}`);
+      await runFiles(affected, true);
+      watchDirectories();
+    } catch (error) {
+      console.error(`[watch] ${error.message}`);
+    }
+  }
+
+  await runFiles(testFiles, false);
+  watchDirectories();
+
+  return new Promise(resolvePromise => {
+    process.once('SIGINT', async () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      await queue;
+      resolvePromise(0);
+    });
+  });
+}
+
+/**
+ * Import test files in order, noting the global hooks each one registers
+ * @param {Array<string>} files - Absolute paths
+ * @param {number} [version] - Reload version; 0 imports from the module cache
+ * @returns {Promise<Map<string, Object>>} file -> { beforeAll, afterAll, beforeEach, afterEach } it registered
+ */
+export async function importTestFiles(files, version = 0) {
+  const { globalHooks } = testRunnerConcept.state;
+  const hooksByFile = new Map();
+
+  for (const file of files) {
+    const before = Object.fromEntries(HOOK_TYPES.map(type => [type, globalHooks[type].length]));
+    const url = pathToFileURL(file).href;
+
+    await import(version ? `${url}?${VERSION_PARAM}=${version}` : url);
+
+    hooksByFile.set(file, Object.fromEntries(HOOK_TYPES.map(type => [type, globalHooks[type].slice(before[type])])));
+  }
+
+  return hooksByFile;
+}
+
+/**
+ * Map each test file to the local modules it imports, directly or not
+ * Framework modules and packages are left out.
+ * @param {Array<string>} testFiles - Absolute paths
+ * @returns {Promise<Map<string, Set<string>>>} test file -> absolute paths, including itself
+ */
+export async function buildDependencyGraph(testFiles) {
+  const graph = new Map();
+
+  for (const testFile of testFiles) {
+    const deps = new Set();
+    const stack = [testFile];
+
+    while (stack.length > 0) {
+      const file = stack.pop();
+      if (deps.has(file)) continue;
+
+      let source;
+      try {
+        source = await readFile(file, 'utf8');
+      } catch {
+        continue; // Deleted, or not a file
+      }
+      deps.add(file);
+
+      for (const specifier of parseImports(source)) {
+        const target = resolveLocalImport(specifier, file);
+        if (target) {
+          stack.push(target);
+        }
+      }
+    }
+
+    graph.set(testFile, deps);
+  }
+
+  return graph;
+}
+
+// Pure functions for watch mode
+
+/**
+ * Static import specifiers in a module's source
+ * Covers `import ... from`, `export ... from`, side-effect imports and
+ * dynamic import() with a string literal.
+ * @param {string} source - JavaScript source
+ * @returns {Array<string>}
+ */
+export function parseImports(source) {
+  const pattern = /(?:import|export)\s[^'"`;]*?from\s*['"]([^'"]+)['"]|import\s*\(\s*['"]([^'"]+)['"]\s*\)|import\s+['"]([^'"]+)['"]/g;
+  const specifiers = [];
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    specifiers.push(match[1] || match[2] || match[3]);
+  }
+  return specifiers;
+}
+
+/**
+ * Absolute path of a relative import, if it is reloadable
+ * @param {string} specifier - Import specifier
+ * @param {string} importer - Absolute path of the importing file
+ * @returns {string|null} Null for packages, URLs and framework modules
+ */
+export function resolveLocalImport(specifier, importer) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return null;
+  }
+
+  const target = resolve(dirname(importer), specifier.split('?')[0]);
+  const inFramework = !relative(FRAMEWORK_DIR, target).startsWith('..');
+  if (inFramework || target.split(/[\\/]/).includes('node_modules')) {
+    return null;
+  }
+  return target;
+}
+
+/**
+ * Test files to re-run for a set of changed paths
+ * @param {Map<string, Set<string>>} graph - From buildDependencyGraph
+ * @param {Array<string>} changed - Changed absolute paths
+ * @param {Array<string>} added - New test files
+ * @returns {Array<string>} Test files, in graph order
+ */
+export function findAffectedFiles(graph, changed, added = []) {
+  return [...graph.keys()].filter(testFile =>
+    added.includes(testFile) || changed.some(file => graph.get(testFile).has(file))
+  );
+}
+
+/**
+ * One-line summary of a re-run compared with the previous results
+ * @param {Map<string, string>} previous - 'suite > test' -> status from earlier runs
+ * @param {Array<Object>} results - This run's results
+ * @param {number} fileCount - Files re-run
+ * @returns {string} e.g. "[watch] 2 file(s): 5 passed, 1 failed | newly failing: Upload > rejects .exe"
+ */
+export function formatWatchDelta(previous, results, fileCount) {
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  const newlyFailing = [];
+  const fixed = [];
+
+  for (const result of results) {
+    const name = `${result.suite} > ${result.name}`;
+    const before = previous.get(name);
+
+    if (result.status === 'passed') {
+      counts.passed++;
+      if (before === 'failed') fixed.push(name);
+    } else if (result.status === 'failed') {
+      counts.failed++;
+      if (before !== 'failed') newlyFailing.push(name);
+    } else {
+      counts.skipped++;
+    }
+  }
+
+  let line = `[watch] ${fileCount} file(s): ${counts.passed} passed, ${counts.failed} failed`;
+  if (counts.skipped > 0) {
+    line += `, ${counts.skipped} skipped`;
+  }
+  if (newlyFailing.length > 0) {
+    line += ` | newly failing: ${newlyFailing.join(', ')}`;
+  }
+  if (fixed.length > 0) {
+    line += ` | fixed: ${fixed.join(', ')}`;
+  }
+  return line;
+}
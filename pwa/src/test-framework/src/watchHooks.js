@@ -0,0 +1,43 @@
+/**
+ * Module resolve hooks for watch mode
+ * Registered by watch.js with module.register (Node 20.6+).
+ *
+ * A re-imported test file carries a version query; the hooks pass it on to
+ * the local modules it imports so edited helpers are loaded fresh too.
+ * Framework modules and packages are never versioned, so every run keeps
+ * sharing the same concepts and browser.
+ */
+
+import { pathToFileURL } from 'url';
+
+const VERSION_PARAM = 'ui-test-v';
+
+let frameworkURL = null;
+
+/**
+ * @param {Object} data - { frameworkDir }
+ */
+export async function initialize(data) {
+  frameworkURL = `${pathToFileURL(data.frameworkDir).href}/`;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  const version = context.parentURL?.startsWith('file:')
+    ? new URL(context.parentURL).searchParams.get(VERSION_PARAM)
+    : null;
+
+  if (!version || !isReloadable(result.url)) {
+    return result;
+  }
+
+  const url = new URL(result.url);
+  url.searchParams.set(VERSION_PARAM, version);
+  return { ...result, url: url.href };
+}
+
+function isReloadable(url) {
+  return url.startsWith('file:') &&
+    !url.startsWith(frameworkURL) &&
+    !url.includes('/node_modules/');
+}
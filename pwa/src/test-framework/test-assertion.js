@@ -170,7 +170,85 @@ async function test() {
 
     console.log('✅ Complex assertions work\n');
 
-    console.log('9️⃣ Closing browser...');
+    console.log('9️⃣ Testing rich matchers, negation and expect.extend...');
+    const expect = assertionConcept.actions.expect.bind(assertionConcept.actions);
+
+    expect(5).not.toBe(6);
+    expect({ id: 'Q42', labels: ['Douglas Adams'] }).toEqual({ id: 'Q42', labels: ['Douglas Adams'] });
+    expect('Q42').toMatch(/^Q\d+$/);
+    expect(0.1 + 0.2).toBeCloseTo(0.3);
+    expect([1, 2, 3]).toHaveLength(3);
+    expect({ claims: { P31: ['Q5'] } }).toHaveProperty('claims.P31[0]', 'Q5');
+    expect(() => { throw new TypeError('bad id'); }).toThrow(TypeError);
+    await expect(Promise.reject(new Error('not found'))).rejects.toThrow('not found');
+    await expect(domConcept.actions.getText('h1')).resolves.toContain('Example');
+    await expect('.non-existent-element').not.toExist();
+    console.log('  ✓ Built-in matchers and modifiers pass');
+
+    try {
+      expect({ user: { name: 'a' } }).toEqual({ user: { name: 'b' } });
+      throw new Error('toEqual should have failed');
+    } catch (err) {
+      if (err.name !== 'AssertionError' || !err.diff.includes('user.name: expected "b", got "a"')) {
+        throw err;
+      }
+      console.log('  ✓ toEqual diff lists differing paths');
+    }
+
+    assertionConcept.actions.extend({
+      toBeEntityId(actual) {
+        return { pass: /^[QPL]\d+$/.test(actual), expected: 'entity ID' };
+      }
+    });
+    expect('Q42').toBeEntityId();
+    expect('hello').not.toBeEntityId();
+    try {
+      expect('hello').toBeEntityId();
+      throw new Error('Custom matcher should have failed');
+    } catch (err) {
+      if (err.name !== 'AssertionError' || err.matcher !== 'toBeEntityId') {
+        throw err;
+      }
+      console.log('  ✓ Custom matcher registered with extend()');
+    }
+
+    console.log('✅ Rich matchers work\n');
+
+    console.log('🔟 Testing auto-retrying DOM matchers...');
+    await navigationConcept.actions.navigate('data:text/html,' + encodeURIComponent(`
+      <p id="status">Saving…</p>
+      <input id="name" value="Douglas">
+      <input id="agree" type="checkbox" checked>
+      <button id="save" class="btn primary" disabled>Save</button>
+      <ul><li>a</li><li>b</li></ul>
+      <script>
+        setTimeout(() => { document.getElementById('status').textContent = 'Saved'; }, 500);
+      </script>
+    `), { loadState: 'load' });
+
+    await expect('#status').toHaveText('Saved');
+    await expect('#name').toHaveValue('Douglas');
+    await expect('#save').toHaveAttribute('disabled');
+    await expect('#save').toHaveClass('primary');
+    await expect('li').toHaveCount(2);
+    await expect('#save').not.toBeEnabled();
+    await expect('#agree').toBeChecked();
+    await expect('.missing').toBeHidden();
+    console.log('  ✓ Matchers retry until the page catches up');
+
+    try {
+      await expect('#status').toHaveText('Failed', { timeout: 300 });
+      throw new Error('toHaveText should have timed out');
+    } catch (err) {
+      if (err.name !== 'AssertionError' || !err.diff.includes('Last observed: "Saved"')) {
+        throw err;
+      }
+      console.log('  ✓ Failure reports the last observed value');
+    }
+
+    console.log('✅ Auto-retrying matchers work\n');
+
+    console.log('1️⃣1️⃣ Closing browser...');
     await browserConcept.actions.close();
     console.log('✅ Browser closed\n');
 
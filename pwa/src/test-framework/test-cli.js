@@ -0,0 +1,123 @@
+/**
+ * CLI Test
+ * Tests ui-test discovery, config loading and exit codes with real browser
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { main, discoverTestFiles } from './src/cli.js';
+import { buildDependencyGraph, findAffectedFiles } from './src/watch.js';
+import { getChromePath } from './test-config.js';
+
+const PROJECT_DIR = resolve('./test-results/cli-test');
+const FRAMEWORK = pathToFileURL(resolve('./src/index.js')).href;
+
+const PAGE = '<h1>Dashboard</h1>';
+
+const FILES = {
+  'ui-test.config.js': `
+    export default {
+      browserExecutablePath: ${JSON.stringify(getChromePath())},
+      testDir: 'tests',
+      reporters: ['json'],
+      outputDir: './results',
+      screenshotOnFailure: false
+    };
+  `,
+  'tests/dashboard.ui.test.js': `
+    import { describe, test, navigate, expect } from '${FRAMEWORK}';
+    import { notATest } from './helpers.js';
+    describe('Dashboard', () => {
+      test('shows the heading', async () => {
+        await navigate('data:text/html,${encodeURIComponent(PAGE)}');
+        await expect('h1').toHaveText('Dashboard');
+      });
+    });
+  `,
+  'tests/settings/settings.ui.test.js': `
+    import { describe, test, navigate, expect } from '${FRAMEWORK}';
+    describe('Settings', () => {
+      test('shows the heading', async () => {
+        await navigate('data:text/html,${encodeURIComponent(PAGE)}');
+        await expect('h1').toHaveText('Settings', { timeout: 500 });
+      });
+    });
+  `,
+  'tests/helpers.js': 'export const notATest = true;'
+};
+
+async function test() {
+  console.log('🧪 Testing CLI\n');
+
+  try {
+    await rm(PROJECT_DIR, { recursive: true, force: true });
+    for (const [name, content] of Object.entries(FILES)) {
+      await mkdir(join(PROJECT_DIR, name, '..'), { recursive: true });
+      await writeFile(join(PROJECT_DIR, name), content);
+    }
+
+    console.log('1️⃣ Testing discovery...');
+    const all = await discoverTestFiles({ cwd: PROJECT_DIR, testDir: 'tests', testMatch: ['**/*.ui.test.js'] });
+    if (JSON.stringify(all) !== JSON.stringify(['tests/dashboard.ui.test.js', 'tests/settings/settings.ui.test.js'])) {
+      throw new Error(`Unexpected files: ${all.join(', ')}`);
+    }
+    const filtered = await discoverTestFiles({
+      cwd: PROJECT_DIR,
+      testDir: 'tests',
+      testMatch: ['**/*.ui.test.js'],
+      patterns: ['tests/settings']
+    });
+    if (JSON.stringify(filtered) !== JSON.stringify(['tests/settings/settings.ui.test.js'])) {
+      throw new Error(`Directory pattern selected: ${filtered.join(', ')}`);
+    }
+    console.log('✅ Test files discovered\n');
+
+    console.log('2️⃣ Testing watch dependencies...');
+    const graph = await buildDependencyGraph(all.map(file => join(PROJECT_DIR, file)));
+    const affected = findAffectedFiles(graph, [join(PROJECT_DIR, 'tests/helpers.js')]);
+    if (affected.length !== 1 || !affected[0].endsWith('dashboard.ui.test.js')) {
+      throw new Error(`Helper change affected: ${affected.join(', ')}`);
+    }
+    console.log('✅ Helper change re-runs only its importer\n');
+
+    console.log('3️⃣ Testing usage errors...');
+    if (await main(['--workers'], { cwd: PROJECT_DIR }) !== 2) {
+      throw new Error('Missing option value should exit 2');
+    }
+    if (await main(['missing/**'], { cwd: PROJECT_DIR }) !== 1) {
+      throw new Error('No matching files should exit 1');
+    }
+    console.log('✅ Usage errors exit non-zero\n');
+
+    console.log('4️⃣ Running both files with one browser...');
+    const code = await main([], { cwd: PROJECT_DIR });
+    if (code !== 1) {
+      throw new Error(`Expected exit code 1 for a failing test, got ${code}`);
+    }
+    const report = JSON.parse(await readFile(join(PROJECT_DIR, 'results/results.json'), 'utf8'));
+    const statuses = report.tests.map(result => `${result.suite}:${result.status}`).sort();
+    if (JSON.stringify(statuses) !== JSON.stringify(['Dashboard:passed', 'Settings:failed'])) {
+      throw new Error(`Unexpected results: ${statuses.join(', ')}`);
+    }
+    console.log('✅ Failing run exits 1 and writes the configured report\n');
+
+    await rm(PROJECT_DIR, { recursive: true, force: true });
+
+    console.log('🎉 All CLI tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  CLI Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
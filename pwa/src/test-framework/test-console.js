@@ -0,0 +1,159 @@
+/**
+ * Console Capture Test
+ * Tests console messages, uncaught exceptions, unhandled rejections and
+ * failOnConsoleError with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { consoleConcept } from './src/concepts/consoleConcept.js';
+import { testRunnerConcept } from './src/concepts/testRunnerConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+
+const PAGE = `
+  <button id="log" onclick="console.log('count', 3, { ok: true })">Log</button>
+  <button id="error" onclick="console.error('[EventBus] Error in handler', 'upload:done')">Error</button>
+  <button id="throw" onclick="setTimeout(() => { throw new TypeError('metadata is undefined'); })">Throw</button>
+  <button id="reject" onclick="Promise.reject(new Error('fetch failed'))">Reject</button>
+  <button id="flood" onclick="for (let i = 0; i < 1500; i++) console.log('tick', i); console.log('flood done')">Flood</button>
+`;
+
+const PAGE_URL = `data:text/html,${encodeURIComponent(PAGE)}`;
+
+async function waitForMessages(filter, count) {
+  const deadline = Date.now() + 2000;
+  while (Date.now() < deadline) {
+    const messages = consoleConcept.actions.getConsoleMessages(filter);
+    if (messages.length >= count) {
+      return messages;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Expected ${count} message(s) matching ${JSON.stringify(filter)}`);
+}
+
+async function test() {
+  console.log('🧪 Testing Console Capture\n');
+
+  initializeSynchronizations();
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(PAGE_URL);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing console messages...');
+    await domConcept.actions.click('#log');
+    await domConcept.actions.click('#error');
+    const [log] = await waitForMessages({ type: 'log' }, 1);
+    if (log.text !== 'count 3 Object') {
+      throw new Error(`Unexpected log text: ${log.text}`);
+    }
+    const [error] = await waitForMessages({ type: 'error' }, 1);
+    if (error.text !== '[EventBus] Error in handler upload:done') {
+      throw new Error(`Unexpected error text: ${error.text}`);
+    }
+    console.log('✅ console.log and console.error captured\n');
+
+    console.log('3️⃣ Testing uncaught exceptions and rejections...');
+    await domConcept.actions.click('#throw');
+    await domConcept.actions.click('#reject');
+    const [pageError] = await waitForMessages({ type: 'pageerror' }, 1);
+    if (!pageError.text.startsWith('TypeError: metadata is undefined')) {
+      throw new Error(`Unexpected page error: ${pageError.text}`);
+    }
+    const [rejection] = await waitForMessages({ type: 'unhandledrejection' }, 1);
+    if (!rejection.text.startsWith('Error: fetch failed')) {
+      throw new Error(`Unexpected rejection: ${rejection.text}`);
+    }
+    console.log('✅ Page errors captured\n');
+
+    console.log('4️⃣ Testing failOnConsoleError...');
+    testRunnerConcept.actions.reset();
+    testRunnerConcept.actions.describe('Console', () => {
+      testRunnerConcept.actions.test('logs an error', async () => {
+        await navigationConcept.actions.navigate(PAGE_URL);
+        await domConcept.actions.click('#error');
+        await waitForMessages({ type: 'error' }, 2); // One from step 2
+      });
+    });
+    const summary = await testRunnerConcept.actions.run({ failOnConsoleError: true, screenshotOnFailure: false });
+    const [result] = summary.results;
+    if (result.status !== 'failed' || result.error.errorType !== 'ConsoleError') {
+      throw new Error(`Expected ConsoleError, got ${result.status} ${result.error?.errorType}`);
+    }
+    if (!result.console?.some(message => message.type === 'error')) {
+      throw new Error('Failed result has no console log attached');
+    }
+    console.log('✅ Test failed with ConsoleError and its console log\n');
+
+    console.log('5️⃣ Testing parallel workers keep their own messages...');
+    let flooded;
+    const floodDone = new Promise(resolve => { flooded = resolve; });
+    testRunnerConcept.actions.reset();
+    testRunnerConcept.actions.describe('Parallel console', () => {
+      testRunnerConcept.actions.test('logs one error', async () => {
+        await navigationConcept.actions.navigate(PAGE_URL);
+        await domConcept.actions.click('#error');
+        await floodDone;
+      });
+      testRunnerConcept.actions.test('floods and clears', async () => {
+        await navigationConcept.actions.navigate(PAGE_URL);
+        await domConcept.actions.click('#flood');
+        const deadline = Date.now() + 5000;
+        while (!consoleConcept.actions.getConsoleMessages({ type: 'log' }).some(message => message.text === 'flood done')) {
+          if (Date.now() > deadline) throw new Error('Flood not captured');
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        consoleConcept.actions.clearConsoleMessages();
+        flooded();
+      });
+    });
+    const parallel = await testRunnerConcept.actions.run({ workers: 2, failOnConsoleError: true, screenshotOnFailure: false });
+    const quiet = parallel.results.find(result => result.name === 'logs one error');
+    const noisy = parallel.results.find(result => result.name === 'floods and clears');
+    if (quiet.status !== 'failed' || quiet.error.errorType !== 'ConsoleError') {
+      throw new Error(`Expected the quiet worker's error to survive, got ${quiet.status} ${quiet.error?.errorType}`);
+    }
+    if (!quiet.console?.some(message => message.text === '[EventBus] Error in handler upload:done')) {
+      throw new Error('Quiet worker lost its console log');
+    }
+    if (noisy.status !== 'passed') {
+      throw new Error(`Flooding worker failed: ${noisy.error?.message}`);
+    }
+    console.log('✅ One worker\'s errors survive another worker\'s output and clear\n');
+
+    console.log('6️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All console tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Console Capture Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
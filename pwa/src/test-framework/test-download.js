@@ -0,0 +1,108 @@
+/**
+ * Download Test
+ * Tests waitForDownload with a JSON-LD export in real browser
+ */
+
+import { readFile } from 'fs/promises';
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { downloadConcept } from './src/concepts/downloadConcept.js';
+import { getChromePath } from './test-config.js';
+
+// Same export as the PWA's downloadJSONLD
+const PAGE = `
+  <button id="downloadJSONLD">Download JSON-LD</button>
+  <script>
+    document.getElementById('downloadJSONLD').addEventListener('click', () => {
+      const jsonld = { '@context': 'https://schema.org', '@graph': [{ '@id': 'Q11', name: 'red panda' }] };
+      const blob = new Blob([JSON.stringify(jsonld, null, 2)], { type: 'application/ld+json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'redPanda-graph.jsonld';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+  </script>
+`;
+
+async function test() {
+  console.log('🧪 Testing Downloads\n');
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing waitForDownload...');
+    const downloadPromise = downloadConcept.actions.waitForDownload({ timeout: 10000 });
+    await domConcept.actions.click('#downloadJSONLD');
+    const download = await downloadPromise;
+    if (download.suggestedFilename !== 'redPanda-graph.jsonld') {
+      throw new Error(`Unexpected filename: ${download.suggestedFilename}`);
+    }
+    if (download.guessedMimeType !== 'application/ld+json') {
+      throw new Error(`Unexpected MIME type: ${download.guessedMimeType}`);
+    }
+    console.log(`✅ Downloaded to ${download.path}\n`);
+
+    console.log('3️⃣ Parsing the saved JSON-LD...');
+    const graph = JSON.parse(await readFile(download.path, 'utf8'));
+    if (graph['@context'] !== 'https://schema.org' || graph['@graph'][0].name !== 'red panda') {
+      throw new Error(`Unexpected JSON-LD: ${JSON.stringify(graph)}`);
+    }
+    console.log('✅ Saved file is the exported graph\n');
+
+    console.log('4️⃣ Testing getDownloads...');
+    const downloads = downloadConcept.actions.getDownloads();
+    if (downloads.length !== 1 || downloads[0].state !== 'completed') {
+      throw new Error(`Unexpected downloads: ${JSON.stringify(downloads)}`);
+    }
+    console.log('✅ Download recorded as completed\n');
+
+    console.log('5️⃣ Testing timeout without a download...');
+    try {
+      await downloadConcept.actions.waitForDownload({ timeout: 500 });
+      throw new Error('waitForDownload should time out');
+    } catch (err) {
+      if (err.name !== 'TimeoutError') {
+        throw err;
+      }
+    }
+    console.log('✅ TimeoutError thrown\n');
+
+    console.log('6️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All download tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Download Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
@@ -0,0 +1,171 @@
+/**
+ * Emulation Test
+ * Tests device profiles, media features, timezone, locale, geolocation and
+ * per-context emulation with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { contextConcept } from './src/concepts/contextConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { emulationConcept, buildEmulationCommands } from './src/concepts/emulationConcept.js';
+import { testRunnerConcept } from './src/concepts/testRunnerConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+import http from 'http';
+
+let PAGE_URL;
+
+/**
+ * Local server: geolocation needs a secure context, which http://127.0.0.1 is and data: URLs aren't
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<h1>Emulation</h1>');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function evaluate(expression, sessionId = navigationConcept.actions.getActivePage().sessionId) {
+  const { result } = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+    expression,
+    returnByValue: true,
+    awaitPromise: true
+  }, sessionId);
+  return result.value;
+}
+
+async function test() {
+  console.log('🧪 Testing Emulation\n');
+
+  initializeSynchronizations();
+  const server = await startServer();
+  PAGE_URL = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(PAGE_URL);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing device profile...');
+    await emulationConcept.actions.emulateDevice('Pixel 7');
+    const device = await evaluate(`({
+      width: innerWidth,
+      dpr: devicePixelRatio,
+      touch: navigator.maxTouchPoints,
+      ua: navigator.userAgent
+    })`);
+    if (device.width !== 412 || device.dpr !== 2.625 || device.touch !== 5 || !device.ua.includes('Pixel 7')) {
+      throw new Error(`Unexpected device: ${JSON.stringify(device)}`);
+    }
+    await emulationConcept.actions.setViewport({ width: 600, height: 800 });
+    if (await evaluate('innerWidth') !== 600) {
+      throw new Error('setViewport did not resize the page');
+    }
+    console.log('✅ Viewport, pixel ratio, touch and user agent emulated\n');
+
+    console.log('3️⃣ Testing media, timezone, locale and geolocation...');
+    await emulationConcept.actions.emulateMedia({ colorScheme: 'dark', reducedMotion: 'reduce' });
+    await emulationConcept.actions.setTimezone('Asia/Tokyo');
+    await emulationConcept.actions.setLocale('de-DE');
+    await emulationConcept.actions.setGeolocation({ latitude: 52.52, longitude: 13.405 });
+    const environment = await evaluate(`(async () => ({
+      dark: matchMedia('(prefers-color-scheme: dark)').matches,
+      reduced: matchMedia('(prefers-reduced-motion: reduce)').matches,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      number: (1234.5).toLocaleString(),
+      position: await new Promise((resolve, reject) =>
+        navigator.geolocation.getCurrentPosition(p => resolve([p.coords.latitude, p.coords.longitude]), e => reject(e.message)))
+    }))()`);
+    if (!environment.dark || !environment.reduced) {
+      throw new Error(`Media features not emulated: ${JSON.stringify(environment)}`);
+    }
+    if (environment.timezone !== 'Asia/Tokyo' || environment.number !== '1.234,5') {
+      throw new Error(`Timezone/locale not emulated: ${JSON.stringify(environment)}`);
+    }
+    if (environment.position[0] !== 52.52 || environment.position[1] !== 13.405) {
+      throw new Error(`Geolocation not emulated: ${JSON.stringify(environment.position)}`);
+    }
+    console.log('✅ Environment emulated\n');
+
+    console.log('4️⃣ Testing clearEmulation...');
+    await emulationConcept.actions.clearEmulation();
+    const cleared = await evaluate(`({ width: innerWidth, dark: matchMedia('(prefers-color-scheme: dark)').matches })`);
+    if (cleared.width !== 1280 || cleared.dark) {
+      throw new Error(`Emulation not cleared: ${JSON.stringify(cleared)}`);
+    }
+    const [[metricsMethod]] = buildEmulationCommands({}, { viewport: null });
+    if (metricsMethod !== 'Emulation.clearDeviceMetricsOverride') {
+      throw new Error(`Without a viewport, device metrics should be cleared, got ${metricsMethod}`);
+    }
+    console.log('✅ Back to launch settings\n');
+
+    console.log('5️⃣ Testing per-context emulation...');
+    const contextId = await contextConcept.actions.createContext({ device: 'iPhone 13', colorScheme: 'dark' });
+    const { sessionId } = contextConcept.actions.getContext(contextId);
+    const phone = await evaluate(`({ width: innerWidth, dark: matchMedia('(prefers-color-scheme: dark)').matches })`, sessionId);
+    if (phone.width !== 390 || !phone.dark) {
+      throw new Error(`Context not emulated: ${JSON.stringify(phone)}`);
+    }
+    if (await evaluate('innerWidth') !== 1280) {
+      throw new Error('Context emulation leaked into the default page');
+    }
+    await contextConcept.actions.destroyContext(contextId);
+    console.log('✅ Context emulated on creation\n');
+
+    console.log('6️⃣ Testing emulation option in parallel runs...');
+    testRunnerConcept.actions.reset();
+    const widths = [];
+    testRunnerConcept.actions.describe('Responsive', { emulation: { device: 'iPad Mini' } }, () => {
+      testRunnerConcept.actions.test('tablet', async () => {
+        await navigationConcept.actions.navigate(PAGE_URL);
+        widths.push(await evaluate('innerWidth'));
+      });
+      testRunnerConcept.actions.test('phone', { emulation: { device: 'iPhone SE' } }, async () => {
+        await navigationConcept.actions.navigate(PAGE_URL);
+        widths.push(await evaluate('innerWidth'));
+      });
+    });
+    const summary = await testRunnerConcept.actions.run({ workers: 2, screenshotOnFailure: false });
+    if (summary.failed > 0 || JSON.stringify(widths.sort()) !== JSON.stringify([375, 768])) {
+      throw new Error(`Unexpected run: ${summary.failed} failed, widths ${widths.join(', ')}`);
+    }
+    console.log('✅ Suite and test emulation applied\n');
+
+    console.log('7️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    server.close();
+
+    console.log('🎉 All emulation tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Emulation Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
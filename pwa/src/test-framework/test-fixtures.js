@@ -0,0 +1,171 @@
+/**
+ * Fixtures Test
+ * Tests test.extend fixtures (lazy setup, teardown, worker scope) and
+ * definePage/defineComponent page objects with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { testRunnerConcept } from './src/concepts/testRunnerConcept.js';
+import { definePage, defineComponent } from './src/pageObjects.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+
+const PAGE = `
+  <div data-testid="drop-zone">Drop files</div>
+  <section class="status-panel"><p class="message">Idle</p></section>
+  <section class="status-panel" id="secondary"><p class="message">Waiting</p></section>
+  <button onclick="document.querySelector('.message').textContent = 'Done'">Process</button>
+`;
+
+const StatusPanel = defineComponent({
+  root: '.status-panel',
+  locators: { message: '.message' },
+  actions: {
+    async read() {
+      return domConcept.actions.getText(this.message);
+    }
+  }
+});
+
+const UploadPage = definePage({
+  url: `data:text/html,${encodeURIComponent(PAGE)}`,
+  locators: {
+    dropZone: '[data-testid="drop-zone"]',
+    process: 'text=Process'
+  },
+  components: { status: StatusPanel },
+  actions: {
+    async processAll() {
+      await domConcept.actions.click(this.process);
+      return this.status.read();
+    }
+  }
+});
+
+async function test() {
+  console.log('🧪 Testing Fixtures\n');
+
+  initializeSynchronizations();
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    console.log('✅ Browser launched\n');
+
+    console.log('2️⃣ Testing page objects...');
+    const uploadPage = UploadPage();
+    await uploadPage.goto();
+    if (await uploadPage.status.read() !== 'Idle' || await uploadPage.processAll() !== 'Done') {
+      throw new Error('Page object actions did not drive the page');
+    }
+    if (await domConcept.actions.getText(StatusPanel('#secondary').message) !== 'Waiting') {
+      throw new Error('Component root override not scoped');
+    }
+    console.log('✅ Locators, actions and components bound\n');
+
+    console.log('3️⃣ Testing lazy fixtures and teardown...');
+    testRunnerConcept.actions.reset();
+    const log = [];
+    const uploadTest = testRunnerConcept.actions.extend({
+      server: [async ({}, use, info) => {
+        log.push(`server up (worker ${info.workerId})`);
+        await use({ requests: 0 });
+        log.push('server down');
+      }, { scope: 'worker' }],
+      uploadPage: async ({ server }, use) => {
+        server.requests++;
+        const page = UploadPage();
+        await page.goto();
+        await use(page);
+        log.push('uploadPage down');
+      },
+      unused: async ({}, use) => {
+        log.push('unused up');
+        await use(null);
+      }
+    });
+
+    testRunnerConcept.actions.describe('Upload', () => {
+      uploadTest('processes', async ({ uploadPage }) => {
+        if (await uploadPage.processAll() !== 'Done') throw new Error('Not processed');
+      });
+      uploadTest('fails but tears down', async ({ uploadPage }) => {
+        throw new Error('Expected failure');
+      });
+      uploadTest('needs no fixtures', async () => {});
+    });
+    const summary = await testRunnerConcept.actions.run({ screenshotOnFailure: false });
+    const expected = [
+      'server up (worker 0)',
+      'uploadPage down',
+      'uploadPage down',
+      'server down'
+    ];
+    if (summary.passed !== 2 || summary.failed !== 1 || JSON.stringify(log) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected fixture lifecycle: ${log.join(', ')}`);
+    }
+    console.log('✅ Only used fixtures set up; torn down after failures\n');
+
+    console.log('4️⃣ Testing worker fixtures in parallel runs...');
+    testRunnerConcept.actions.reset();
+    const workers = new Set();
+    const pages = new Set();
+    const parallelTest = testRunnerConcept.actions.extend({
+      workerName: [async ({}, use, info) => {
+        workers.add(info.workerId);
+        await use(`worker-${info.workerId}`);
+      }, { scope: 'worker' }],
+      uploadPage: async ({}, use) => {
+        const page = UploadPage();
+        await page.goto();
+        await use(page);
+      }
+    });
+
+    testRunnerConcept.actions.describe('Parallel', () => {
+      for (let i = 1; i <= 4; i++) {
+        parallelTest(`test ${i}`, async ({ uploadPage, workerName }) => {
+          pages.add(navigationConcept.actions.getActivePage().targetId);
+          if (await uploadPage.processAll() !== 'Done') throw new Error(`${workerName} not processed`);
+        });
+      }
+    });
+    const parallel = await testRunnerConcept.actions.run({ workers: 2, screenshotOnFailure: false });
+    if (parallel.passed !== 4 || workers.size !== 2 || pages.size < 2) {
+      throw new Error(`Unexpected parallel run: ${parallel.passed} passed, workers ${[...workers]}, pages ${pages.size}`);
+    }
+    console.log('✅ One worker fixture per worker; page objects use the worker context\n');
+
+    console.log('5️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All fixture tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Fixtures Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
@@ -0,0 +1,135 @@
+/**
+ * Input Test
+ * Tests keyboard (press, hotkey) and mouse (hover, dblclick, rightClick,
+ * dragAndDrop, scrollIntoView) input with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { assertionConcept } from './src/concepts/assertionConcept.js';
+import { getChromePath } from './test-config.js';
+
+const PAGE = `
+  <style>
+    #hover:hover { color: rgb(255, 0, 0); }
+    .zone { width: 120px; height: 60px; border: 1px solid; display: inline-block; }
+  </style>
+  <form onsubmit="event.preventDefault(); log('submitted')">
+    <input id="name">
+  </form>
+  <ul id="list" tabindex="0" onkeydown="if (event.key === 'ArrowDown') log('down:' + event.code)"></ul>
+  <button id="hover" onmouseenter="log('hovered')">Hover me</button>
+  <button id="double" ondblclick="log('double')">Double</button>
+  <button id="menu" oncontextmenu="event.preventDefault(); log('context')">Menu</button>
+  <div id="card" class="zone" draggable="true" ondragstart="event.dataTransfer.setData('text/plain', 'card')">Card</div>
+  <div id="done" class="zone" ondragover="event.preventDefault()"
+       ondrop="event.preventDefault(); log('dropped:' + event.dataTransfer.getData('text/plain'))">Done</div>
+  <div style="height: 3000px"></div>
+  <p id="footer">Footer</p>
+  <pre id="log"></pre>
+  <script>
+    function log(entry) { document.getElementById('log').textContent += entry + ';'; }
+    document.addEventListener('keydown', (event) => {
+      if (event.ctrlKey && event.key === 'k') log('hotkey');
+    });
+  </script>
+`;
+
+async function test() {
+  console.log('🧪 Testing Keyboard and Mouse Input\n');
+
+  const expectLog = (entry) => assertionConcept.actions.expect('#log').toHaveText(new RegExp(`${entry};`), { timeout: 2000 });
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing press...');
+    await domConcept.actions.type('#name', 'Repor');
+    await domConcept.actions.press('Backspace');
+    await domConcept.actions.type('#name', 'rt');
+    await assertionConcept.actions.expect('#name').toHaveValue('Report');
+    await domConcept.actions.press('Enter');
+    await expectLog('submitted');
+    await domConcept.actions.press('ArrowDown', { selector: '#list' });
+    await expectLog('down:ArrowDown');
+    console.log('✅ Special keys reach the page\n');
+
+    console.log('3️⃣ Testing hotkey...');
+    await domConcept.actions.hotkey('Control+A', { selector: '#name' });
+    await domConcept.actions.press('Delete');
+    await assertionConcept.actions.expect('#name').toHaveValue('');
+    await domConcept.actions.hotkey('Ctrl+K');
+    await expectLog('hotkey');
+    console.log('✅ Modifier combinations work\n');
+
+    console.log('4️⃣ Testing hover, dblclick and rightClick...');
+    await domConcept.actions.hover('#hover');
+    await expectLog('hovered');
+    await domConcept.actions.dblclick('#double');
+    await expectLog('double');
+    await domConcept.actions.rightClick('#menu');
+    await expectLog('context');
+    console.log('✅ Mouse buttons and hover work\n');
+
+    console.log('5️⃣ Testing dragAndDrop...');
+    await domConcept.actions.dragAndDrop('#card', '#done');
+    await expectLog('dropped:card');
+    console.log('✅ Native drag-and-drop works\n');
+
+    console.log('6️⃣ Testing scrollIntoView...');
+    await domConcept.actions.scrollIntoView('#footer');
+    const { value: inView } = await domConcept.actions._evaluateOnElement('#footer', (element) => {
+      const rect = element.getBoundingClientRect();
+      return rect.top >= 0 && rect.bottom <= window.innerHeight;
+    });
+    if (!inView) {
+      throw new Error('Footer was not scrolled into view');
+    }
+    console.log('✅ Element scrolled into view\n');
+
+    console.log('7️⃣ Testing unknown keys...');
+    try {
+      await domConcept.actions.press('Hyper');
+      throw new Error('Unknown key should be rejected');
+    } catch (err) {
+      if (!err.message.startsWith('Unknown key')) {
+        throw err;
+      }
+    }
+    console.log('✅ Unknown key rejected\n');
+
+    console.log('8️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All input tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Keyboard and Mouse Input Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
@@ -0,0 +1,150 @@
+/**
+ * Locator Test
+ * Tests accessibility-tree locators (getByRole, getByLabel, getByPlaceholder, getByText)
+ * and the accessibility audit with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { waitConcept } from './src/concepts/waitConcept.js';
+import { assertionConcept } from './src/concepts/assertionConcept.js';
+import { accessibilityConcept } from './src/concepts/accessibilityConcept.js';
+import { getChromePath } from './test-config.js';
+
+const { getByRole, getByLabel, getByPlaceholder, getByText } = accessibilityConcept.actions;
+
+const PAGE = `
+  <h1>Upload</h1>
+  <label for="title">Title</label>
+  <input id="title">
+  <input aria-label="Tags" placeholder="Add tags">
+  <input type="search" placeholder="Search files">
+  <button aria-label="Save draft" onclick="document.getElementById('status').textContent = 'Saved'">💾</button>
+  <button onclick="document.getElementById('status').textContent = 'Published'">Publish</button>
+  <p id="status" role="status"></p>
+  <div><span>Drop <b>files</b> here</span></div>
+`;
+
+const AUDIT_PAGE = `
+  <form id="upload">
+    <button></button>
+    <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" width="20" height="20">
+    <p style="color: #bbb">Drag files here</p>
+  </form>
+  <section id="help">
+    <p id="note">Help</p>
+    <p id="note">More help</p>
+    <button id="trap-a" onkeydown="if (event.key === 'Tab') { event.preventDefault(); document.getElementById('trap-b').focus(); }">A</button>
+    <button id="trap-b" onkeydown="if (event.key === 'Tab') { event.preventDefault(); document.getElementById('trap-a').focus(); }">B</button>
+    <a href="#top">Top</a>
+  </section>
+  <iframe srcdoc="<button></button>"></iframe>
+`;
+
+async function test() {
+  console.log('🧪 Testing Accessibility Locators\n');
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing getByRole...');
+    if (await domConcept.actions.count(getByRole('button')) !== 2) {
+      throw new Error('Expected two buttons');
+    }
+    await domConcept.actions.click(getByRole('button', { name: 'save draft' }));
+    await waitConcept.actions.waitForText(getByRole('status'), 'Saved', { timeout: 2000 });
+    if (await domConcept.actions.exists(getByRole('button', { name: 'save', exact: true }))) {
+      throw new Error('exact name should not match a partial name');
+    }
+    console.log('✅ Role locators work\n');
+
+    console.log('3️⃣ Testing getByLabel and getByPlaceholder...');
+    await domConcept.actions.type(getByLabel('Title'), 'Q42 report');
+    await assertionConcept.actions.expect('#title').toHaveValue('Q42 report');
+    await domConcept.actions.type(getByPlaceholder('Search'), 'invoices');
+    await assertionConcept.actions.expect(getByPlaceholder(/search files/i)).toHaveValue('invoices');
+    await assertionConcept.actions.expect(getByLabel('Tags')).toHaveAttribute('placeholder', 'Add tags');
+    console.log('✅ Label and placeholder locators work\n');
+
+    console.log('4️⃣ Testing getByText...');
+    if (await domConcept.actions.getText(getByText('drop files')) !== 'Drop files here') {
+      throw new Error('getByText did not match text split across elements');
+    }
+    await domConcept.actions.click(getByText('Publish', { exact: true }));
+    await assertionConcept.actions.expect(getByRole('status')).toHaveText('Published');
+    console.log('✅ Text locators work\n');
+
+    console.log('5️⃣ Testing missing element errors...');
+    try {
+      await domConcept.actions.click(getByRole('link', { name: 'Missing' }));
+      throw new Error('Missing locator should throw');
+    } catch (err) {
+      if (err.name !== 'ElementNotFoundError' || !err.message.includes('getByRole("link", { name: "Missing" })')) {
+        throw err;
+      }
+    }
+    console.log('✅ ElementNotFoundError describes the locator\n');
+
+    console.log('6️⃣ Testing accessibility audit...');
+    await assertionConcept.actions.expect('body').toBeAccessible({ rules: ['missing-label', 'missing-alt', 'duplicate-id'] });
+    await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(AUDIT_PAGE)}`);
+    const { violations } = await accessibilityConcept.actions.auditAccessibility();
+    const rules = new Set(violations.map(violation => violation.rule));
+    for (const rule of ['missing-label', 'missing-alt', 'color-contrast', 'duplicate-id', 'focus-trap']) {
+      if (!rules.has(rule)) {
+        throw new Error(`Audit did not report ${rule}: ${JSON.stringify(violations)}`);
+      }
+    }
+    try {
+      await assertionConcept.actions.expect('#upload').toBeAccessible({ rules: ['missing-label', 'missing-alt', 'duplicate-id'] });
+      throw new Error('toBeAccessible should fail for the upload form');
+    } catch (err) {
+      if (err.name !== 'AssertionError' || !err.diff.includes('missing-alt') || err.diff.includes('duplicate-id')) {
+        throw err;
+      }
+    }
+    try {
+      await assertionConcept.actions.expect('iframe >> button').toBeAccessible();
+      throw new Error('toBeAccessible should reject an element inside an iframe');
+    } catch (err) {
+      if (err.name !== 'AssertionError' || !err.diff.includes('top-level document')) {
+        throw err;
+      }
+    }
+    console.log(`✅ Audit found ${violations.length} violations\n`);
+
+    console.log('7️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All locator tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Accessibility Locator Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
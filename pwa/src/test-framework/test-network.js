@@ -0,0 +1,153 @@
+/**
+ * Network Concept Test
+ * Tests request interception, mocking and request logging with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { networkConcept } from './src/concepts/networkConcept.js';
+import { getChromePath } from './test-config.js';
+import http from 'http';
+
+/**
+ * Local server: serves a page and echoes request headers at /echo
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/echo') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.headers));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<h1>Network</h1>');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Run fetch() in the page and return { status, body } or { error }
+ */
+async function pageFetch(url, init = {}) {
+  const result = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+    expression: `
+      fetch(${JSON.stringify(url)}, ${JSON.stringify(init)})
+        .then(async res => ({ status: res.status, body: await res.text() }))
+        .catch(err => ({ error: err.message }))
+    `,
+    awaitPromise: true,
+    returnByValue: true
+  }, navigationConcept.state.sessionId);
+
+  return result.result.value;
+}
+
+async function test() {
+  console.log('🧪 Testing Network Concept\n');
+
+  const server = await startServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    networkConcept.subscribe((event, payload) => {
+      if (event === 'requestRouted') {
+        console.log(`📡 Network Event: ${event}`, payload);
+      }
+    });
+
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(origin, { loadState: 'load' });
+    console.log('✅ Browser launched\n');
+
+    console.log('2️⃣ Testing fulfill with JSON...');
+    await networkConcept.actions.route('**/w/api.php*', (route) => {
+      return route.fulfill({ json: { search: [{ id: 'Q11' }] } });
+    });
+    const mocked = await pageFetch(`${origin}/w/api.php?action=wbsearchentities`);
+    if (mocked.status !== 200 || !mocked.body.includes('Q11')) {
+      throw new Error(`Unexpected mocked response: ${JSON.stringify(mocked)}`);
+    }
+    console.log('✅ Mocked response received\n');
+
+    console.log('3️⃣ Testing 500 response...');
+    await networkConcept.actions.route('**/api/broken', (route) => route.fulfill({ status: 500, body: 'boom' }));
+    const broken = await pageFetch(`${origin}/api/broken`);
+    if (broken.status !== 500) {
+      throw new Error(`Expected 500, got ${broken.status}`);
+    }
+    console.log('✅ 500 response received\n');
+
+    console.log('4️⃣ Testing abort (offline)...');
+    await networkConcept.actions.route(/\/api\/offline$/, (route) => route.abort('InternetDisconnected'));
+    const offline = await pageFetch(`${origin}/api/offline`);
+    if (!offline.error) {
+      throw new Error('Expected fetch to fail');
+    }
+    console.log(`✅ Request failed: ${offline.error}\n`);
+
+    console.log('5️⃣ Testing continue with modified headers...');
+    await networkConcept.actions.route('**/echo', (route, request) => {
+      return route.continue({ headers: { ...request.headers, 'X-Test-Run': '1' } });
+    });
+    const echo = await pageFetch(`${origin}/echo`);
+    if (JSON.parse(echo.body)['x-test-run'] !== '1') {
+      throw new Error(`Modified header not received: ${echo.body}`);
+    }
+    console.log('✅ Server received modified header\n');
+
+    console.log('6️⃣ Verifying request log...');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const requests = networkConcept.actions.getRequests({ url: `${origin}/**` });
+    requests.forEach(r => console.log(`  ${r.method} ${r.url} → ${r.status ?? r.errorText} ${r.mocked ? '(mocked)' : ''}`));
+    if (requests.length < 4) {
+      throw new Error(`Expected at least 4 recorded requests, got ${requests.length}`);
+    }
+    if (!requests.some(r => r.failed)) {
+      throw new Error('Expected aborted request in log');
+    }
+    console.log('✅ Requests recorded\n');
+
+    console.log('7️⃣ Testing unroute...');
+    await networkConcept.actions.unroute();
+    if (networkConcept.state.routes.length !== 0) {
+      throw new Error('Routes not removed');
+    }
+    console.log('✅ Routes removed\n');
+
+    console.log('8️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    server.close();
+
+    console.log('🎉 All network tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Network Concept Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
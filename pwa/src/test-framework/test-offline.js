@@ -0,0 +1,185 @@
+/**
+ * Offline Test
+ * Tests service worker inspection, offline mode and network throttling with
+ * real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { networkConcept } from './src/concepts/networkConcept.js';
+import { serviceWorkerConcept } from './src/concepts/serviceWorkerConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+import http from 'http';
+
+let BASE_URL;
+
+const PAGE = `<h1>Offline App</h1>
+<script>navigator.serviceWorker.register('/sw.js');</script>`;
+
+// Caches the page on install and serves it cache-first
+const SERVICE_WORKER = `
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open('app-v1').then(cache => cache.addAll(['/', '/data.json'])));
+});
+self.addEventListener('activate', event => event.waitUntil(clients.claim()));
+self.addEventListener('fetch', event => {
+  event.respondWith(caches.match(event.request).then(cached => cached || fetch(event.request)));
+});
+`;
+
+/**
+ * Local server: service workers need a secure context, which http://127.0.0.1 is
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/sw.js') {
+      res.writeHead(200, { 'Content-Type': 'text/javascript' });
+      res.end(SERVICE_WORKER);
+      return;
+    }
+    if (req.url === '/data.json' || req.url === '/live.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ url: req.url }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(PAGE);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Fetch a path in the page; returns { ok, ms } or { error, ms }
+ */
+async function pageFetch(path) {
+  const { result } = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+    expression: `(async () => {
+      const start = performance.now();
+      try {
+        const res = await fetch(${JSON.stringify(path)}, { cache: 'no-store' });
+        return { ok: res.ok, ms: performance.now() - start };
+      } catch (err) {
+        return { error: err.message, ms: performance.now() - start };
+      }
+    })()`,
+    returnByValue: true,
+    awaitPromise: true
+  }, navigationConcept.actions.getActivePage().sessionId);
+  return result.value;
+}
+
+async function test() {
+  console.log('🧪 Testing Offline Mode\n');
+
+  initializeSynchronizations();
+  const server = await startServer();
+  BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(`${BASE_URL}/`);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing waitForServiceWorker...');
+    const worker = await serviceWorkerConcept.actions.waitForServiceWorker({ controlled: true });
+    if (worker.state !== 'activated' || !worker.controlled || worker.scriptURL !== `${BASE_URL}/sw.js`) {
+      throw new Error(`Unexpected worker: ${JSON.stringify(worker)}`);
+    }
+    console.log('✅ Worker activated and controlling the page\n');
+
+    console.log('3️⃣ Testing cache inspection...');
+    const names = await serviceWorkerConcept.actions.getCacheNames();
+    if (JSON.stringify(names) !== JSON.stringify(['app-v1'])) {
+      throw new Error(`Unexpected caches: ${names.join(', ')}`);
+    }
+    const urls = await serviceWorkerConcept.actions.getCachedURLs('app-v1');
+    if (JSON.stringify(urls.sort()) !== JSON.stringify([`${BASE_URL}/`, `${BASE_URL}/data.json`])) {
+      throw new Error(`Unexpected cached URLs: ${urls.join(', ')}`);
+    }
+    try {
+      await serviceWorkerConcept.actions.getCachedURLs('missing');
+      throw new Error('Missing cache should throw');
+    } catch (err) {
+      if (!err.message.includes('Cache not found')) throw err;
+    }
+    console.log('✅ Cached URLs listed\n');
+
+    console.log('4️⃣ Testing setOffline...');
+    await networkConcept.actions.setOffline();
+    await navigationConcept.actions.navigate(`${BASE_URL}/`);
+    const offlineCached = await pageFetch('/data.json');
+    const offlineLive = await pageFetch('/live.json');
+    if (!offlineCached.ok) {
+      throw new Error('Cached data not served offline');
+    }
+    if (!offlineLive.error) {
+      throw new Error('Uncached request reached the network while offline');
+    }
+    await networkConcept.actions.setOffline(false);
+    if (!(await pageFetch('/live.json')).ok) {
+      throw new Error('Back online but the request failed');
+    }
+    console.log('✅ App served by its worker while offline\n');
+
+    console.log('5️⃣ Testing throttle...');
+    await networkConcept.actions.throttle('3g');
+    const slow = await pageFetch('/live.json');
+    if (!slow.ok || slow.ms < 2000) {
+      throw new Error(`3g preset not applied: ${JSON.stringify(slow)}`);
+    }
+    await networkConcept.actions.throttle({ latency: 300 });
+    const custom = await pageFetch('/live.json');
+    if (custom.ms < 300 || custom.ms >= 2000) {
+      throw new Error(`Custom latency not applied: ${JSON.stringify(custom)}`);
+    }
+    await networkConcept.actions.clearNetworkConditions();
+    const fast = await pageFetch('/live.json');
+    if (fast.ms >= 300) {
+      throw new Error(`Conditions not cleared: ${JSON.stringify(fast)}`);
+    }
+    try {
+      await networkConcept.actions.throttle('2g');
+      throw new Error('Unknown preset should throw');
+    } catch (err) {
+      if (!err.message.includes('Unknown network preset')) throw err;
+    }
+    console.log('✅ Presets, custom conditions and clearing work\n');
+
+    console.log('6️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    server.close();
+
+    console.log('🎉 All offline tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Offline Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
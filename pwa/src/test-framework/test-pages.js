@@ -0,0 +1,116 @@
+/**
+ * Pages Test
+ * Tests popup tracking, page switching and page closing with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { getChromePath } from './test-config.js';
+
+const OPENER_PAGE = 'data:text/html,' + encodeURIComponent(`
+  <h1 id="title">Opener</h1>
+  <button id="open" onclick="window.open('about:blank').document.write('<h1 id=title>Popup</h1>')">
+    Open popup
+  </button>
+`);
+
+async function test() {
+  console.log('🧪 Testing Pages (tabs and popups)\n');
+
+  try {
+    navigationConcept.subscribe((event, payload) => {
+      if (['popupOpened', 'pageSwitched', 'pageClosed'].includes(event)) {
+        console.log(`📡 Navigation Event: ${event}`, payload);
+      }
+    });
+
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    console.log('✅ Browser launched\n');
+
+    console.log('2️⃣ Navigating to opener page...');
+    await navigationConcept.actions.navigate(OPENER_PAGE, { loadState: 'load' });
+    const openerId = navigationConcept.state.targetId;
+    console.log('✅ Navigation complete\n');
+
+    console.log('3️⃣ Waiting for popup opened by link click...');
+    const popupPromise = navigationConcept.actions.waitForPopup({ timeout: 5000 });
+    await domConcept.actions.click('#open');
+    const popup = await popupPromise;
+
+    if (popup.openerId !== openerId) {
+      throw new Error(`Expected popup opener ${openerId}, got ${popup.openerId}`);
+    }
+    console.log(`✅ Popup opened: ${popup.targetId}\n`);
+
+    console.log('4️⃣ Listing pages...');
+    const pages = navigationConcept.actions.listPages();
+    pages.forEach(page => console.log(`  ${page.isActive ? '*' : ' '} ${page.targetId} ${page.url}`));
+    if (!pages.some(page => page.targetId === popup.targetId)) {
+      throw new Error('Popup missing from page list');
+    }
+    console.log('✅ Popup is listed\n');
+
+    console.log('5️⃣ Switching to popup and querying its DOM...');
+    await navigationConcept.actions.switchToPage(popup.targetId);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const popupTitle = await domConcept.actions.getText('#title');
+    if (popupTitle !== 'Popup') {
+      throw new Error(`Expected "Popup", got "${popupTitle}"`);
+    }
+    console.log('✅ DOM actions target the popup\n');
+
+    console.log('6️⃣ Closing popup falls back to opener...');
+    await navigationConcept.actions.closePage();
+    if (navigationConcept.state.targetId !== openerId) {
+      throw new Error('Active page did not fall back to opener');
+    }
+    const openerTitle = await domConcept.actions.getText('#title');
+    if (openerTitle !== 'Opener') {
+      throw new Error(`Expected "Opener", got "${openerTitle}"`);
+    }
+    console.log('✅ Opener is active again\n');
+
+    console.log('7️⃣ Testing waitForPopup timeout...');
+    try {
+      await navigationConcept.actions.waitForPopup({ timeout: 500 });
+      throw new Error('waitForPopup should have timed out');
+    } catch (err) {
+      if (err.name !== 'TimeoutError') {
+        throw err;
+      }
+    }
+    console.log('✅ TimeoutError thrown\n');
+
+    console.log('8️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All page tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Pages Concept Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
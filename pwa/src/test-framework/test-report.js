@@ -1,9 +1,12 @@
 /**
  * Report Concept Test
- * Tests report generation including directory creation
+ * Tests report generation including directory creation, the JUnit, TAP and
+ * HTML reporters, and custom reporters
  */
 
 import { reportConcept } from './src/concepts/reportConcept.js';
+import { testRunnerConcept } from './src/concepts/testRunnerConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
 import { readFile, rm } from 'fs/promises';
 import { existsSync } from 'fs';
 
@@ -35,7 +38,9 @@ async function test() {
           error: {
             message: 'Expected 5 to equal 10',
             stack: 'Error: Expected 5 to equal 10\n  at test.js:10:5'
-          }
+          },
+          video: 'test-results/videos/Suite-A-Test-2.png',
+          videoFrameStep: 4
         },
         {
           name: 'Test 3',
@@ -61,6 +66,9 @@ async function test() {
     if (!consoleOutput.includes('Test Results')) {
       throw new Error('Console output should include "Test Results"');
     }
+    if (!consoleOutput.includes('Video: test-results/videos/Suite-A-Test-2.png (1 of every 4 frames kept)')) {
+      throw new Error('Console output should note a thinned-out video');
+    }
 
     console.log('✅ Console report output works\n');
 
@@ -122,7 +130,71 @@ async function test() {
 
     console.log('✅ File overwrite works\n');
 
-    console.log('5️⃣ Cleaning up test files...');
+    console.log('5️⃣ Testing JUnit, TAP and HTML reporters with a custom reporter...');
+
+    initializeSynchronizations();
+    const calls = [];
+    reportConcept.actions.setReporters([
+      ['junit', { outputFile: 'ci/junit.xml' }],
+      'tap',
+      'html',
+      {
+        name: 'recorder',
+        onRunStart: (info) => calls.push(`start:${info.suiteCount}`),
+        onTestEnd: (result) => calls.push(`${result.status}:${result.name}`),
+        onRunEnd: (results) => calls.push(`end:${results.stats.total}`)
+      }
+    ]);
+
+    testRunnerConcept.actions.reset();
+    testRunnerConcept.actions.describe('Export <JSON-LD>', () => {
+      testRunnerConcept.actions.test('downloads the graph', () => {});
+      testRunnerConcept.actions.test('escapes "quotes" & #hashes', () => {
+        throw new Error('Expected <a> & "b"');
+      });
+      testRunnerConcept.actions.testSkip('uploads to Wikidata', () => {});
+    });
+    await testRunnerConcept.actions.run({ isolate: false });
+    await reportConcept.state.queue;
+
+    const expectedCalls = 'start:1,passed:downloads the graph,failed:escapes "quotes" & #hashes,skipped:uploads to Wikidata,end:3';
+    if (calls.join(',') !== expectedCalls) {
+      throw new Error(`Unexpected reporter calls: ${calls.join(',')}`);
+    }
+
+    const junit = await readFile(`${testOutputDir}/ci/junit.xml`, 'utf-8');
+    if (!junit.includes('<testsuite name="Export &lt;JSON-LD&gt;" tests="3" failures="1" skipped="1"') ||
+        !junit.includes('<failure message="Expected &lt;a&gt; &amp; &quot;b&quot;"')) {
+      throw new Error(`Unexpected JUnit XML:\n${junit}`);
+    }
+
+    const tap = await readFile(`${testOutputDir}/results.tap`, 'utf-8');
+    if (!tap.startsWith('TAP version 13\n1..3\n') ||
+        !tap.includes('not ok 2 - Export <JSON-LD> > escapes "quotes" & \\#hashes') ||
+        !tap.includes('ok 3 - Export <JSON-LD> > uploads to Wikidata # SKIP')) {
+      throw new Error(`Unexpected TAP:\n${tap}`);
+    }
+
+    const html = await readFile(`${testOutputDir}/report.html`, 'utf-8');
+    if (!html.includes('id="report-data"') || html.includes('<a> & "b"')) {
+      throw new Error('HTML report should embed escaped report data');
+    }
+    console.log('✅ Reporters received every event and wrote their files\n');
+
+    console.log('6️⃣ Testing reporter validation...');
+    for (const reporters of [['xml'], [{ name: 'empty' }]]) {
+      try {
+        reportConcept.actions.setReporters(reporters);
+        throw new Error(`setReporters(${JSON.stringify(reporters)}) should fail`);
+      } catch (err) {
+        if (!/Unknown reporter|Invalid reporter/.test(err.message)) {
+          throw err;
+        }
+      }
+    }
+    console.log('✅ Invalid reporters rejected\n');
+
+    console.log('7️⃣ Cleaning up test files...');
 
     await rm('./test-output', { recursive: true, force: true });
     console.log('✅ Test files cleaned up\n');
@@ -221,7 +221,141 @@ async function test() {
     console.log(`Passed without isolation: ${noIsolationSummary.passed}/${noIsolationSummary.total}`);
     console.log('✅ Run without isolation works\n');
 
-    console.log('1️⃣2️⃣ Testing reset functionality...');
+    console.log('1️⃣2️⃣ Testing parallel workers...');
+    testRunnerConcept.actions.reset();
+
+    const { navigationConcept } = await import('./src/concepts/navigationConcept.js');
+    const { domConcept } = await import('./src/concepts/domConcept.js');
+    const sessions = new Set();
+
+    testRunnerConcept.actions.describe('Parallel Suite', () => {
+      for (const label of ['one', 'two', 'three', 'four']) {
+        testRunnerConcept.actions.test(`Parallel ${label}`, async () => {
+          await navigationConcept.actions.navigate(`data:text/html,<h1>${label}</h1>`);
+          sessions.add(navigationConcept.actions.getActivePage().sessionId);
+          await new Promise(resolve => setTimeout(resolve, 200));
+          const text = await domConcept.actions.getText('h1');
+          if (text !== label) {
+            throw new Error(`Worker page was trampled: expected "${label}", got "${text}"`);
+          }
+        });
+      }
+    });
+
+    const parallelSummary = await testRunnerConcept.actions.run({ workers: 2 });
+    const parallelOrder = parallelSummary.results.map(r => r.name).join(', ');
+    console.log(`Passed in parallel: ${parallelSummary.passed}/${parallelSummary.total}`);
+    console.log(`Result order: ${parallelOrder}`);
+
+    if (parallelSummary.passed !== 4) {
+      throw new Error(`Expected 4 parallel tests to pass, got ${parallelSummary.passed}`);
+    }
+    if (parallelOrder !== 'Parallel one, Parallel two, Parallel three, Parallel four') {
+      throw new Error('Parallel results are not in registration order');
+    }
+    if (sessions.size !== 4) {
+      throw new Error(`Expected each test to use its own page, got ${sessions.size} sessions`);
+    }
+    console.log('✅ Parallel workers use isolated pages\n');
+
+    console.log('1️⃣3️⃣ Testing only/skip/todo and filters...');
+    testRunnerConcept.actions.reset();
+
+    testRunnerConcept.actions.describe('Filter Suite', { tags: ['@smoke'] }, () => {
+      testRunnerConcept.actions.test('Fast test', () => {});
+      testRunnerConcept.actions.test('Slow test', { tags: ['@slow'] }, () => {});
+      testRunnerConcept.actions.testSkip('Skipped test', () => {
+        throw new Error('Skipped test should not run');
+      });
+      testRunnerConcept.actions.testTodo('Todo test');
+    });
+
+    const filtered = await testRunnerConcept.actions.run({ tags: ['smoke'], exclude: ['slow'], isolate: false });
+    console.log(`Total: ${filtered.total}, Passed: ${filtered.passed}, Skipped: ${filtered.skipped}, Todo: ${filtered.todo}`);
+    if (filtered.total !== 3 || filtered.passed !== 1 || filtered.skipped !== 1 || filtered.todo !== 1) {
+      throw new Error('Unexpected counts for filtered run');
+    }
+
+    testRunnerConcept.actions.describe('Focused Suite', () => {
+      testRunnerConcept.actions.testOnly('Focused test', () => {});
+    });
+
+    const focused = await testRunnerConcept.actions.run({ isolate: false });
+    const ran = focused.results.filter(r => r.status === 'passed').map(r => r.name);
+    if (ran.length !== 1 || ran[0] !== 'Focused test') {
+      throw new Error(`Expected only the focused test to run, got: ${ran.join(', ')}`);
+    }
+    console.log('✅ Focus, skip, todo and tag filters work\n');
+
+    console.log('1️⃣4️⃣ Testing nested suites...');
+    testRunnerConcept.actions.reset();
+    const nestedOrder = [];
+
+    testRunnerConcept.actions.describe('Parent', () => {
+      testRunnerConcept.actions.beforeAll(() => nestedOrder.push('parent-beforeAll'));
+      testRunnerConcept.actions.beforeEach(() => nestedOrder.push('parent-beforeEach'));
+      testRunnerConcept.actions.afterEach(() => nestedOrder.push('parent-afterEach'));
+      testRunnerConcept.actions.afterAll(() => nestedOrder.push('parent-afterAll'));
+
+      testRunnerConcept.actions.describe('Child', () => {
+        testRunnerConcept.actions.beforeAll(() => nestedOrder.push('child-beforeAll'));
+        testRunnerConcept.actions.beforeEach(() => nestedOrder.push('child-beforeEach'));
+        testRunnerConcept.actions.afterEach(() => nestedOrder.push('child-afterEach'));
+        testRunnerConcept.actions.afterAll(() => nestedOrder.push('child-afterAll'));
+
+        testRunnerConcept.actions.test('Nested test', () => nestedOrder.push('nested-test'));
+      });
+    });
+
+    const nested = await testRunnerConcept.actions.run({ isolate: false });
+    const expectedNestedOrder = [
+      'parent-beforeAll',
+      'child-beforeAll',
+      'parent-beforeEach',
+      'child-beforeEach',
+      'nested-test',
+      'child-afterEach',
+      'parent-afterEach',
+      'child-afterAll',
+      'parent-afterAll'
+    ];
+    if (nestedOrder.join(',') !== expectedNestedOrder.join(',')) {
+      throw new Error(`Unexpected nested hook order: ${nestedOrder.join(', ')}`);
+    }
+    if (nested.results[0].suite !== 'Parent > Child') {
+      throw new Error(`Expected suite path "Parent > Child", got "${nested.results[0].suite}"`);
+    }
+    console.log('✅ Nested hooks run in order and results carry the full path\n');
+
+    console.log('1️⃣5️⃣ Testing timeouts and retries...');
+    testRunnerConcept.actions.reset();
+    let flakyAttempts = 0;
+    const retried = [];
+    testRunnerConcept.subscribe((event, payload) => {
+      if (event === 'testRetried') retried.push(payload.attempt);
+    });
+
+    testRunnerConcept.actions.describe('Timeout Suite', () => {
+      testRunnerConcept.actions.test('Hangs forever', { timeout: 100 }, () => new Promise(() => {}));
+      testRunnerConcept.actions.test('Flaky test', { retries: 2 }, () => {
+        flakyAttempts++;
+        if (flakyAttempts < 2) {
+          throw new Error('Fails on first attempt');
+        }
+      });
+    });
+
+    const timed = await testRunnerConcept.actions.run({ isolate: false });
+    const [hung, flaky] = timed.results;
+    if (hung.status !== 'failed' || hung.error.errorType !== 'TimeoutError') {
+      throw new Error(`Expected hung test to time out, got ${hung.status}`);
+    }
+    if (flaky.status !== 'passed' || !flaky.flaky || flaky.attempts.length !== 2 || retried.length !== 1) {
+      throw new Error('Expected flaky test to pass on its second attempt');
+    }
+    console.log('✅ Hung test timed out and flaky test passed on retry\n');
+
+    console.log('1️⃣6️⃣ Testing reset functionality...');
     testRunnerConcept.actions.reset();
     const suitesAfterReset = testRunnerConcept.state.suites;
     if (suitesAfterReset.length !== 0) {
@@ -229,7 +363,7 @@ async function test() {
     }
     console.log('✅ Reset works correctly\n');
 
-    console.log('1️⃣3️⃣ Closing browser...');
+    console.log('1️⃣7️⃣ Closing browser...');
     await browserConcept.actions.close();
     console.log('✅ Browser closed\n');
 
@@ -0,0 +1,128 @@
+/**
+ * Screenshot Concept Test
+ * Tests PNG codec, image diffing, capture and baseline comparison
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { assertionConcept } from './src/concepts/assertionConcept.js';
+import { reportConcept } from './src/concepts/reportConcept.js';
+import {
+  screenshotConcept,
+  decodePNG,
+  encodePNG,
+  compareImages
+} from './src/concepts/screenshotConcept.js';
+import { getChromePath } from './test-config.js';
+import { existsSync } from 'fs';
+import { rm } from 'fs/promises';
+
+const PAGE = 'data:text/html,' + encodeURIComponent(`
+  <body style="margin:0">
+    <div id="box" style="width:40px;height:30px;background:rgb(26,115,232)"></div>
+    <div style="height:2000px"></div>
+  </body>
+`);
+
+async function test() {
+  console.log('🧪 Testing Screenshot Concept\n');
+
+  screenshotConcept.state.baselineDir = './test-output/baselines';
+  screenshotConcept.state.ci = false;
+  reportConcept.state.outputDir = './test-output/results';
+
+  try {
+    console.log('1️⃣ Testing PNG encode/decode round trip...');
+    const data = Buffer.alloc(4 * 3 * 4);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 29) & 0xff;
+    const image = { width: 4, height: 3, data };
+    const decoded = decodePNG(encodePNG(image));
+    if (!decoded.data.equals(data)) {
+      throw new Error('Round trip changed pixel data');
+    }
+    console.log('✅ Round trip preserves pixels\n');
+
+    console.log('2️⃣ Testing image comparison...');
+    const changed = Buffer.from(data);
+    changed[0] ^= 0xff;
+    const result = compareImages(image, { ...image, data: changed });
+    if (result.passed || result.diffPixels !== 1) {
+      throw new Error(`Expected 1 differing pixel, got ${result.diffPixels}`);
+    }
+    if (!compareImages(image, { ...image, data: changed }, { maxDiffPixels: 1 }).passed) {
+      throw new Error('maxDiffPixels should allow 1 differing pixel');
+    }
+    console.log('✅ Pixel diff works\n');
+
+    console.log('3️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(PAGE, { loadState: 'load' });
+    console.log('✅ Browser launched\n');
+
+    console.log('4️⃣ Testing element and full-page screenshots...');
+    const element = decodePNG(await screenshotConcept.actions.screenshot({ selector: '#box' }));
+    if (element.width !== 40 || element.height !== 30) {
+      throw new Error(`Expected 40x30 element screenshot, got ${element.width}x${element.height}`);
+    }
+    const fullPage = decodePNG(await screenshotConcept.actions.screenshot({ fullPage: true }));
+    if (fullPage.height < 2000) {
+      throw new Error(`Expected full page height >= 2000, got ${fullPage.height}`);
+    }
+    console.log('✅ Screenshots have expected size\n');
+
+    console.log('5️⃣ Testing toMatchScreenshot baseline flow...');
+    await assertionConcept.actions.expect('#box').toMatchScreenshot('box');
+    if (!existsSync('./test-output/baselines/box.png')) {
+      throw new Error('Baseline was not written');
+    }
+    await assertionConcept.actions.expect('#box').toMatchScreenshot('box');
+    console.log('✅ Baseline written and matched\n');
+
+    console.log('6️⃣ Testing toMatchScreenshot mismatch...');
+    await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+      expression: `document.getElementById('box').style.background = 'rgb(200, 0, 0)'`
+    }, navigationConcept.state.sessionId);
+    try {
+      await assertionConcept.actions.expect('#box').toMatchScreenshot('box');
+      throw new Error('toMatchScreenshot should have failed');
+    } catch (err) {
+      if (err.name !== 'AssertionError') throw err;
+    }
+    if (!existsSync('./test-output/results/screenshots/box-diff.png')) {
+      throw new Error('Diff image was not written');
+    }
+    console.log('✅ Mismatch reported with diff image\n');
+
+    console.log('7️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    await rm('./test-output', { recursive: true, force: true });
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All screenshot tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+      await rm('./test-output', { recursive: true, force: true });
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Screenshot Concept Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
@@ -0,0 +1,145 @@
+/**
+ * Selector Engine Test
+ * Tests shadow DOM piercing, iframe traversal and text/role/data-testid selectors with real browser
+ */
+
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { waitConcept } from './src/concepts/waitConcept.js';
+import { getChromePath } from './test-config.js';
+import http from 'http';
+
+const MAIN_PAGE = `
+  <h1>Upload</h1>
+  <label for="title">Title</label>
+  <input id="title">
+  <button aria-label="Save draft">💾</button>
+  <div data-testid="drop-zone"><span>Drop <b>files</b> here</span></div>
+  <upload-panel></upload-panel>
+  <iframe id="same" srcdoc="<p class='note'>Same-origin frame</p>"></iframe>
+  <iframe id="cross"></iframe>
+  <script>
+    customElements.define('upload-panel', class extends HTMLElement {
+      connectedCallback() {
+        this.attachShadow({ mode: 'open' }).innerHTML =
+          '<button class="browse" onclick="this.textContent = \\'Browsing\\'">Browse</button>';
+      }
+    });
+  </script>
+`;
+
+const FRAME_PAGE = `
+  <button id="pay" onclick="this.textContent = 'Paid'">Pay now</button>
+`;
+
+/**
+ * Local server; the cross-origin frame is served from "localhost" while the
+ * page is loaded from "127.0.0.1", so the two have different origins
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(req.url === '/frame' ? FRAME_PAGE : MAIN_PAGE);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function test() {
+  console.log('🧪 Testing Selector Engine\n');
+
+  const server = await startServer();
+  const port = server.address().port;
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true,
+      disableSiteIsolation: true  // Cross-origin iframe cases
+    });
+    await navigationConcept.actions.navigate(`http://127.0.0.1:${port}/`, { loadState: 'load' });
+    await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+      expression: `document.getElementById('cross').src = 'http://localhost:${port}/frame'`
+    }, navigationConcept.state.sessionId);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing shadow DOM piercing...');
+    await domConcept.actions.click('.browse');
+    const browse = await domConcept.actions.getText('upload-panel >> .browse');
+    if (browse !== 'Browsing') {
+      throw new Error(`Expected "Browsing", got "${browse}"`);
+    }
+    console.log('✅ Shadow DOM button clicked\n');
+
+    console.log('3️⃣ Testing text=, role= and data-testid= selectors...');
+    const dropText = await domConcept.actions.getText('text=drop files');
+    if (dropText !== 'Drop files here') {
+      throw new Error(`Unexpected text= match: "${dropText}"`);
+    }
+    if (!await domConcept.actions.exists('role=button[name="Save draft"]')) {
+      throw new Error('role= selector did not match the labelled button');
+    }
+    await domConcept.actions.type('role=textbox[name=Title]', 'Report');
+    if (await domConcept.actions.getText('data-testid=drop-zone >> b') !== 'files') {
+      throw new Error('data-testid= chain did not match');
+    }
+    console.log('✅ Prefixed selectors work\n');
+
+    console.log('4️⃣ Testing same-origin iframe...');
+    const note = await domConcept.actions.getText('#same >> .note');
+    if (note !== 'Same-origin frame') {
+      throw new Error(`Unexpected frame text: "${note}"`);
+    }
+    console.log('✅ Same-origin iframe content read\n');
+
+    console.log('5️⃣ Testing cross-origin iframe...');
+    await waitConcept.actions.waitForSelector('#cross >> #pay', { timeout: 5000 });
+    await domConcept.actions.click('#cross >> text=Pay now');
+    await waitConcept.actions.waitForText('#cross >> #pay', 'Paid', { timeout: 2000 });
+    console.log('✅ Cross-origin iframe button clicked\n');
+
+    console.log('6️⃣ Testing invalid selectors...');
+    try {
+      await domConcept.actions.exists('#cross >> ');
+      throw new Error('Empty segment should be rejected');
+    } catch (err) {
+      if (err.name !== 'SelectorError') {
+        throw err;
+      }
+    }
+    console.log('✅ SelectorError thrown\n');
+
+    console.log('7️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    server.close();
+
+    console.log('🎉 All selector tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Selector Engine Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
@@ -0,0 +1,211 @@
+/**
+ * Storage Test
+ * Tests cookies, localStorage, IndexedDB dump/restore and storage states
+ * with real browser
+ */
+
+import { readFile, rm } from 'fs/promises';
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { contextConcept } from './src/concepts/contextConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { storageConcept } from './src/concepts/storageConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+import http from 'http';
+
+const STATE_PATH = './test-results/storage-test/state.json';
+
+let BASE_URL;
+let requestCount = 0;
+
+/**
+ * Local server: serves a page and echoes the Cookie header at /whoami
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    requestCount++;
+    if (req.url === '/whoami') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(req.headers.cookie || '');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<h1>Storage</h1>');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function evaluate(expression) {
+  const { result, exceptionDetails } = await browserConcept.actions.sendCDPCommand('Runtime.evaluate', {
+    expression,
+    returnByValue: true,
+    awaitPromise: true
+  }, navigationConcept.actions.getActivePage().sessionId);
+  if (exceptionDetails) {
+    throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+  }
+  return result.value;
+}
+
+// Creates the app's database: DSQStore with an index, and an out-of-line key store
+const CREATE_DATABASE = `new Promise((resolve, reject) => {
+  const open = indexedDB.open('documents', 2);
+  open.onupgradeneeded = () => {
+    const store = open.result.createObjectStore('DSQStore', { keyPath: 'id' });
+    store.createIndex('byType', 'type');
+    open.result.createObjectStore('meta');
+  };
+  open.onsuccess = () => {
+    const tx = open.result.transaction(['DSQStore', 'meta'], 'readwrite');
+    tx.objectStore('DSQStore').put({ id: 'dsq-1', type: 'DSQ', text: 'Invoice 42' });
+    tx.objectStore('DSQStore').put({ id: 'gdc-1', type: 'GDC', parent: 'dsq-1' });
+    tx.objectStore('meta').put({ schema: 3 }, 'settings');
+    tx.oncomplete = () => { open.result.close(); resolve(); };
+    tx.onerror = () => reject(tx.error);
+  };
+  open.onerror = () => reject(open.error);
+})`;
+
+// Reads it back: { version, indexes, records, meta }
+const READ_DATABASE = `new Promise((resolve, reject) => {
+  const open = indexedDB.open('documents');
+  open.onsuccess = () => {
+    const db = open.result;
+    const tx = db.transaction(['DSQStore', 'meta'], 'readonly');
+    const all = tx.objectStore('DSQStore').getAll();
+    const meta = tx.objectStore('meta').get('settings');
+    tx.oncomplete = () => {
+      resolve({
+        version: db.version,
+        indexes: Array.from(tx.objectStore('DSQStore').indexNames),
+        records: all.result.map(r => r.id),
+        meta: meta.result
+      });
+      db.close();
+    };
+    tx.onerror = () => reject(tx.error);
+  };
+  open.onerror = () => reject(open.error);
+})`;
+
+async function test() {
+  console.log('🧪 Testing Storage\n');
+
+  initializeSynchronizations();
+  const server = await startServer();
+  BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(`${BASE_URL}/`);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing cookies...');
+    await storageConcept.actions.setCookies([{ name: 'session', value: 'abc', url: BASE_URL }]);
+    const cookies = await storageConcept.actions.getCookies(BASE_URL);
+    if (cookies.length !== 1 || cookies[0].value !== 'abc') {
+      throw new Error(`Unexpected cookies: ${JSON.stringify(cookies)}`);
+    }
+    if (await evaluate(`fetch('/whoami').then(r => r.text())`) !== 'session=abc') {
+      throw new Error('Cookie not sent with requests');
+    }
+    if ((await storageConcept.actions.getCookies('https://example.com/')).length !== 0) {
+      throw new Error('Cookie filter matched another site');
+    }
+    await storageConcept.actions.clearCookies();
+    if ((await storageConcept.actions.getCookies()).length !== 0) {
+      throw new Error('Cookies not cleared');
+    }
+    console.log('✅ Cookies set, filtered and cleared\n');
+
+    console.log('3️⃣ Testing localStorage...');
+    await storageConcept.actions.setLocalStorage({ theme: 'dark', count: 3 });
+    const items = await storageConcept.actions.getLocalStorage();
+    if (items.theme !== 'dark' || items.count !== '3') {
+      throw new Error(`Unexpected localStorage: ${JSON.stringify(items)}`);
+    }
+    await storageConcept.actions.clearLocalStorage();
+    if (Object.keys(await storageConcept.actions.getLocalStorage()).length !== 0) {
+      throw new Error('localStorage not cleared');
+    }
+    console.log('✅ localStorage set, read and cleared\n');
+
+    console.log('4️⃣ Testing IndexedDB dump and restore...');
+    await evaluate(CREATE_DATABASE);
+    const [dump] = await storageConcept.actions.dumpIndexedDB('documents');
+    const dsqStore = dump.stores.find(store => store.name === 'DSQStore');
+    if (dump.version !== 2 || dsqStore.keyPath !== 'id' || dsqStore.records.length !== 2) {
+      throw new Error(`Unexpected dump: ${JSON.stringify(dump)}`);
+    }
+    await evaluate(`new Promise(resolve => { indexedDB.deleteDatabase('documents').onsuccess = resolve; })`);
+    await storageConcept.actions.restoreIndexedDB([dump]);
+    const restored = await evaluate(READ_DATABASE);
+    if (restored.version !== 2 || restored.indexes[0] !== 'byType' ||
+        restored.records.join() !== 'dsq-1,gdc-1' || restored.meta?.schema !== 3) {
+      throw new Error(`Unexpected restore: ${JSON.stringify(restored)}`);
+    }
+    console.log('✅ Stores, indexes and records round-tripped\n');
+
+    console.log('5️⃣ Testing storage state...');
+    await storageConcept.actions.setCookies([{ name: 'session', value: 'xyz', url: BASE_URL }]);
+    await storageConcept.actions.setLocalStorage({ user: 'alice' });
+    await storageConcept.actions.saveStorageState(STATE_PATH);
+    const saved = JSON.parse(await readFile(STATE_PATH, 'utf8'));
+    if (saved.cookies.length !== 1 || saved.origins[0].origin !== BASE_URL) {
+      throw new Error(`Unexpected saved state: ${JSON.stringify(saved)}`);
+    }
+
+    const requestsBefore = requestCount;
+    const contextId = await contextConcept.actions.createContext({ storageState: STATE_PATH });
+    if (requestCount !== requestsBefore) {
+      throw new Error('Restoring the state reached the server');
+    }
+    await navigationConcept.actions.switchToPage(contextConcept.actions.getContext(contextId).targetId);
+    await navigationConcept.actions.navigate(`${BASE_URL}/`);
+    const user = await evaluate(`localStorage.getItem('user')`);
+    const cookie = await evaluate(`fetch('/whoami').then(r => r.text())`);
+    const records = (await evaluate(READ_DATABASE)).records;
+    if (user !== 'alice' || cookie !== 'session=xyz' || records.length !== 2) {
+      throw new Error(`State not restored: ${JSON.stringify({ user, cookie, records })}`);
+    }
+    await contextConcept.actions.destroyContext(contextId);
+    console.log('✅ New context starts from the saved state\n');
+
+    console.log('6️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    server.close();
+    await rm('./test-results/storage-test', { recursive: true, force: true });
+
+    console.log('🎉 All storage tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Storage Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
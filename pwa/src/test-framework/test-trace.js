@@ -0,0 +1,112 @@
+/**
+ * Trace Recording Test
+ * Tests run({ trace }) bundles and the offline viewer with real browser
+ */
+
+import { readFile, rm } from 'fs/promises';
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { assertionConcept } from './src/concepts/assertionConcept.js';
+import { testRunnerConcept } from './src/concepts/testRunnerConcept.js';
+import { reportConcept } from './src/concepts/reportConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+
+const OUTPUT_DIR = './test-results/trace-test';
+
+const PAGE = `
+  <button id="save" onclick="console.error('save failed'); document.getElementById('status').textContent = 'Error'">Save</button>
+  <p id="status">Ready</p>
+`;
+
+async function test() {
+  console.log('🧪 Testing Trace Recording\n');
+
+  initializeSynchronizations();
+  reportConcept.state.outputDir = OUTPUT_DIR;
+
+  try {
+    await rm(OUTPUT_DIR, { recursive: true, force: true });
+
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    console.log('✅ Browser launched\n');
+
+    console.log('2️⃣ Running tests with trace: on-failure...');
+    testRunnerConcept.actions.reset();
+    testRunnerConcept.actions.describe('Trace', () => {
+      testRunnerConcept.actions.test('saves the form', async () => {
+        await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+        await domConcept.actions.click('#save');
+        await assertionConcept.actions.expect('#status').toHaveText('Saved', { timeout: 500 });
+      });
+      testRunnerConcept.actions.test('loads the page', async () => {
+        await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+      });
+    });
+    const summary = await testRunnerConcept.actions.run({ trace: 'on-failure' });
+    const [failed, passed] = summary.results;
+    if (!failed.trace || passed.trace) {
+      throw new Error(`Expected a trace for the failed test only: ${JSON.stringify(summary.results.map(r => r.trace))}`);
+    }
+    console.log(`✅ Trace saved: ${failed.trace.viewer}\n`);
+
+    console.log('3️⃣ Checking the bundle...');
+    const bundle = JSON.parse(await readFile(failed.trace.path, 'utf8'));
+    const actions = bundle.events.map(event => event.action);
+    for (const action of ['navigate', 'interact', 'assert']) {
+      if (!actions.includes(action)) {
+        throw new Error(`Bundle has no ${action} event: ${actions.join(', ')}`);
+      }
+    }
+    const click = bundle.events.find(event => event.action === 'interact');
+    if (!click.snapshot?.screenshot.startsWith('data:image/jpeg;base64,') || !click.snapshot.html.includes('id="status"')) {
+      throw new Error('Click has no page snapshot');
+    }
+    if (!bundle.console.some(message => message.text === 'save failed')) {
+      throw new Error('Bundle has no console messages');
+    }
+    if (bundle.status !== 'failed' || !bundle.error || !bundle.finalScreenshot) {
+      throw new Error('Bundle has no failure details');
+    }
+    console.log('✅ Events, snapshots, console and failure recorded\n');
+
+    console.log('4️⃣ Checking the viewer...');
+    const viewer = await readFile(failed.trace.viewer, 'utf8');
+    if (!viewer.includes('id="trace-data"') || /<script src=|<link /.test(viewer)) {
+      throw new Error('Viewer is not self-contained');
+    }
+    console.log('✅ Viewer embeds the bundle\n');
+
+    console.log('5️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All trace tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Trace Recording Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
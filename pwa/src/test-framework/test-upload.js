@@ -0,0 +1,109 @@
+/**
+ * File Upload Test
+ * Tests setInputFiles and dropFiles with the redPanda.docx fixture in real browser
+ */
+
+import { fileURLToPath } from 'url';
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { assertionConcept } from './src/concepts/assertionConcept.js';
+import { getChromePath } from './test-config.js';
+
+const FIXTURE = fileURLToPath(new URL('../../tests/fixtures/redPanda.docx', import.meta.url));
+
+// Same markup as the PWA's DocumentUpload component
+const PAGE = `
+  <div class="upload-zone" style="width: 300px; height: 100px; border: 1px dashed">
+    <input type="file" id="docUpload" accept=".docx" style="display: none;">
+    <label for="docUpload" class="upload-button">Choose .docx File</label>
+    <p class="upload-hint">or drag and drop</p>
+  </div>
+  <div id="uploadStatus"></div>
+  <script>
+    const status = document.getElementById('uploadStatus');
+    const describe = (file) => file.name + ' ' + file.size + ' ' + file.type;
+
+    document.getElementById('docUpload').addEventListener('change', (event) => {
+      status.textContent = 'input: ' + describe(event.target.files[0]);
+    });
+
+    const zone = document.querySelector('.upload-zone');
+    zone.addEventListener('dragover', (event) => event.preventDefault());
+    zone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      status.textContent = 'drop: ' + describe(event.dataTransfer.files[0]);
+    });
+  </script>
+`;
+
+async function test() {
+  console.log('🧪 Testing File Upload\n');
+
+  try {
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+    console.log('✅ Page loaded\n');
+
+    console.log('2️⃣ Testing setInputFiles on hidden input...');
+    await domConcept.actions.setInputFiles('#docUpload', FIXTURE);
+    await assertionConcept.actions.expect('#uploadStatus').toHaveText(/^input: redPanda\.docx \d+ /);
+    console.log('✅ change fired with the fixture\n');
+
+    console.log('3️⃣ Testing dropFiles...');
+    const { accepted } = await domConcept.actions.dropFiles('.upload-zone', [FIXTURE]);
+    if (!accepted) {
+      throw new Error('Drop zone did not accept the drop');
+    }
+    await assertionConcept.actions.expect('#uploadStatus').toHaveText(/^drop: redPanda\.docx \d+ .*wordprocessingml\.document$/);
+    console.log('✅ Drop delivered the fixture with its MIME type\n');
+
+    console.log('4️⃣ Testing invalid uploads...');
+    for (const [selector, paths, expected] of [
+      ['.upload-button', FIXTURE, 'not an <input type="file">'],
+      ['#docUpload', [FIXTURE, FIXTURE], 'does not accept multiple files'],
+      ['#docUpload', 'missing.docx', 'File not found']
+    ]) {
+      try {
+        await domConcept.actions.setInputFiles(selector, paths);
+        throw new Error(`setInputFiles(${selector}) should fail`);
+      } catch (err) {
+        if (!err.message.includes(expected)) {
+          throw err;
+        }
+      }
+    }
+    console.log('✅ Invalid uploads rejected\n');
+
+    console.log('5️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All upload tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  File Upload Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
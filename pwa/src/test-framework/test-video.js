@@ -0,0 +1,137 @@
+/**
+ * Video Recording Test
+ * Tests run({ video }) screencast recordings and report links with real browser
+ */
+
+import { readFile, rm } from 'fs/promises';
+import { browserConcept } from './src/concepts/browserConcept.js';
+import { navigationConcept } from './src/concepts/navigationConcept.js';
+import { domConcept } from './src/concepts/domConcept.js';
+import { assertionConcept } from './src/concepts/assertionConcept.js';
+import { testRunnerConcept } from './src/concepts/testRunnerConcept.js';
+import { reportConcept } from './src/concepts/reportConcept.js';
+import { initializeSynchronizations } from './src/synchronizations.js';
+import { getChromePath } from './test-config.js';
+
+const OUTPUT_DIR = './test-results/video-test';
+
+// Counts up while the test runs, so the screencast has frames to send
+const PAGE = `
+  <p id="counter">0</p>
+  <button id="start" onclick="setInterval(() => counter.textContent++, 50)">Start</button>
+`;
+
+/**
+ * Read an animated PNG's frame count and total delay in ms
+ */
+async function readVideo(path) {
+  const data = await readFile(path);
+  const actl = data.indexOf('acTL');
+  if (data.toString('ascii', 1, 4) !== 'PNG' || actl === -1) {
+    throw new Error(`${path} is not an animated PNG`);
+  }
+
+  let duration = 0;
+  for (let offset = data.indexOf('fcTL'); offset !== -1; offset = data.indexOf('fcTL', offset + 4)) {
+    duration += data.readUInt16BE(offset + 24) * 1000 / data.readUInt16BE(offset + 26);
+  }
+  return { frames: data.readUInt32BE(actl + 4), duration };
+}
+
+function defineTests() {
+  testRunnerConcept.actions.describe('Video', () => {
+    testRunnerConcept.actions.test('counts to ten', async () => {
+      await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+      await domConcept.actions.click('#start');
+      await assertionConcept.actions.expect('#counter').toHaveText('never', { timeout: 600 });
+    });
+    testRunnerConcept.actions.test('loads the page', async () => {
+      await navigationConcept.actions.navigate(`data:text/html,${encodeURIComponent(PAGE)}`);
+    });
+  });
+}
+
+async function test() {
+  console.log('🧪 Testing Video Recording\n');
+
+  initializeSynchronizations();
+  reportConcept.state.outputDir = OUTPUT_DIR;
+  reportConcept.actions.setReporters(['html']);
+
+  try {
+    await rm(OUTPUT_DIR, { recursive: true, force: true });
+
+    console.log('1️⃣ Launching browser...');
+    await browserConcept.actions.launch({
+      executablePath: getChromePath(),
+      headless: true
+    });
+    console.log('✅ Browser launched\n');
+
+    console.log('2️⃣ Running tests with video: retain-on-failure...');
+    testRunnerConcept.actions.reset();
+    defineTests();
+    const summary = await testRunnerConcept.actions.run({ video: 'retain-on-failure', screenshotOnFailure: false });
+    const [failed, passed] = summary.results;
+    if (!failed.video || passed.video || failed.attempts[0].video !== failed.video) {
+      throw new Error(`Expected a video for the failed test only: ${JSON.stringify(summary.results.map(r => r.video))}`);
+    }
+    console.log(`✅ Video saved: ${failed.video}\n`);
+
+    console.log('3️⃣ Checking the video...');
+    const video = await readVideo(failed.video);
+    if (video.frames < 5 || video.duration < 500 || video.duration > failed.duration + 1000) {
+      throw new Error(`Unexpected video: ${JSON.stringify(video)} for a ${failed.duration}ms test`);
+    }
+    console.log(`✅ ${video.frames} frames over ${Math.round(video.duration)}ms\n`);
+
+    console.log('4️⃣ Checking the HTML report...');
+    await reportConcept.actions.flush();
+    const html = await readFile(`${OUTPUT_DIR}/report.html`, 'utf8');
+    if (!html.includes('"videoLink":"videos/Video-counts-to-ten.png"')) {
+      throw new Error('HTML report does not link the video');
+    }
+    console.log('✅ Report links the video\n');
+
+    console.log('5️⃣ Running in parallel with video: on...');
+    testRunnerConcept.actions.reset();
+    defineTests();
+    const parallel = await testRunnerConcept.actions.run({ video: 'on', workers: 2, screenshotOnFailure: false });
+    const paths = parallel.results.map(result => result.video);
+    if (paths.some(path => !path) || new Set(paths).size !== 2) {
+      throw new Error(`Expected one video per test: ${JSON.stringify(paths)}`);
+    }
+    const stillPage = await readVideo(parallel.results.find(result => result.name === 'loads the page').video);
+    if (stillPage.frames >= video.frames) {
+      throw new Error('Still page recorded as many frames as the animated one');
+    }
+    console.log('✅ Each worker records its own context\n');
+
+    console.log('6️⃣ Closing browser...');
+    await browserConcept.actions.close();
+    console.log('✅ Browser closed\n');
+
+    console.log('🎉 All video tests passed!');
+    process.exit(0);
+
+  } catch (err) {
+    console.error('\n❌ Test failed!');
+    console.error('Error:', err.message);
+    console.error('Stack:', err.stack);
+
+    try {
+      await browserConcept.actions.close();
+    } catch (e) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+console.log('='.repeat(60));
+console.log('  Video Recording Test');
+console.log('='.repeat(60));
+console.log();
+
+test();
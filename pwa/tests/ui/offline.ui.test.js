@@ -0,0 +1,26 @@
+/**
+ * Offline fallback page (public/offline.html), shown by the service worker
+ * when the app can't be reached
+ */
+
+import { fileURLToPath, pathToFileURL } from 'url';
+import { describe, test, navigate, expect, getByRole } from '../../src/test-framework/src/index.js';
+
+const OFFLINE_PAGE = pathToFileURL(fileURLToPath(new URL('../../public/offline.html', import.meta.url))).href;
+
+describe('Offline page', () => {
+  test('explains that the app is offline', async () => {
+    await navigate(OFFLINE_PAGE);
+    await expect('h1').toHaveText("You're Offline");
+  });
+
+  test('offers a retry', async () => {
+    await navigate(OFFLINE_PAGE);
+    await expect(getByRole('link', { name: 'Try Again' })).toBeVisible();
+  });
+
+  test('lists what works offline', async () => {
+    await navigate(OFFLINE_PAGE);
+    await expect('.features li').toHaveCount(4);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Browser tests of the PWA, run by `node scripts/run-all-tests.js`
+ * See src/test-framework/README.md (Configuration) for the options.
+ */
+export default {
+  testDir: 'tests/ui',
+  testMatch: ['tests/ui/**/*.ui.test.js'],
+  outputDir: './test-results/ui'
+};